@@ -6,12 +6,19 @@
  * capture sources simultaneously.
  *
  * Commands:
- *   allocate <case-path> <count> [batch-id]    - Allocate a range of source IDs
+ *   allocate <case-path> <count> [batch-id] [--lead <lead-id>]
+ *                                              - Allocate a range of source IDs
  *   release <case-path> <batch-id>             - Release an allocation (on error/cancel)
  *   commit <case-path> <batch-id> <used-count> - Commit allocation, update next_source
  *   status <case-path>                         - Show current allocations
  *   cleanup-stale <case-path>                  - Release allocations older than 1 hour
  *
+ * Allocations made with --lead are charged to that lead's capture budget
+ * (lead-budget.js): the full count on allocate, the unused part refunded on
+ * commit, everything refunded on release. An allocation larger than the
+ * lead's remaining captures is refused (budget_exceeded; budget_exhausted when
+ * none remain), and a lead deferred over its budget gets no more allocations.
+ *
  * Usage: node scripts/allocate-sources.js <command> [args...]
  */
 
@@ -21,8 +28,11 @@ const path = require('path');
 // Stale allocation threshold (1 hour)
 const STALE_THRESHOLD_MS = 60 * 60 * 1000;
 
-// Import locking from leads-lock
-const { acquireLock, releaseLock } = require('./leads-lock');
+// Cross-process locking (shared with leads-lock.js and the merge scripts)
+const { acquireLock, releaseLock } = require('./file-lock');
+const ids = require('./ids');
+const leadsLock = require('./leads-lock');
+const leadBudget = require('./lead-budget');
 
 /**
  * Read state.json
@@ -59,10 +69,52 @@ function isAllocationStale(allocation) {
   return Date.now() - allocTime > STALE_THRESHOLD_MS;
 }
 
+/**
+ * Refuse allocations for a lead that is no longer pending or is over budget.
+ * Returns an error result, or null when the lead may capture.
+ */
+function checkLeadCanCapture(casePath, leadId) {
+  const data = leadsLock.readLeads(casePath);
+  const lead = data.leads.find(l => l.id === leadId);
+  if (!lead) {
+    return { success: false, error: `Lead ${leadId} not found` };
+  }
+  if (lead.status === 'deferred') {
+    return { success: false, error: 'budget_exhausted', lead_id: leadId, result: lead.result };
+  }
+  const budget = leadBudget.checkBudget(lead, data);
+  if (lead.status === 'pending' && budget.over) {
+    return { success: false, error: 'budget_exhausted', lead_id: leadId, budget: budget };
+  }
+  return null;
+}
+
 /**
  * Allocate a range of source IDs (with file locking)
+ *
+ * metadata.lead_id charges the allocation to that lead's capture budget; the
+ * captures are charged before the IDs are reserved, so an allocation over
+ * the remaining budget reserves nothing.
  */
 function allocateRange(casePath, count, providedBatchId = null, metadata = {}) {
+  if (!metadata.lead_id) return allocateIds(casePath, count, providedBatchId, metadata);
+
+  const refused = checkLeadCanCapture(casePath, metadata.lead_id);
+  if (refused) return refused;
+
+  const charge = leadsLock.chargeCaptures(casePath, metadata.lead_id, count);
+  if (!charge.success) return charge;
+
+  const allocation = allocateIds(casePath, count, providedBatchId, metadata);
+  if (!allocation.success) {
+    leadsLock.chargeCaptures(casePath, metadata.lead_id, -count);
+    return allocation;
+  }
+  return { ...allocation, lead_id: metadata.lead_id, budget: charge.budget };
+}
+
+/** Reserve the next free ID range in state.json */
+function allocateIds(casePath, count, providedBatchId, metadata) {
   const lockPath = path.join(casePath, 'state.json.lock');
   if (!acquireLock(lockPath)) {
     return { success: false, error: 'Could not acquire lock' };
@@ -112,13 +164,25 @@ function allocateRange(casePath, count, providedBatchId = null, metadata = {}) {
       batch_id: batchId,
       start: start,
       end: end,
-      count: count
+      count: count,
+      first_id: ids.formatId(ids.PREFIX.source, start),
+      last_id: ids.formatId(ids.PREFIX.source, end - 1)
     };
   } finally {
     releaseLock(lockPath);
   }
 }
 
+/**
+ * Refund the unused part of an allocation charged to a lead (see --lead)
+ */
+function refundCaptures(casePath, result, allocation, usedCount) {
+  if (!allocation.lead_id) return result;
+  const unused = Math.max(allocation.count - usedCount, 0);
+  if (unused > 0) leadsLock.chargeCaptures(casePath, allocation.lead_id, -unused);
+  return { ...result, lead_id: allocation.lead_id, refunded: unused };
+}
+
 /**
  * Release an allocation (e.g., on error)
  */
@@ -128,6 +192,7 @@ function releaseAllocation(casePath, batchId) {
     return { success: false, error: 'Could not acquire lock' };
   }
 
+  let allocation;
   try {
     const state = readState(casePath);
 
@@ -135,13 +200,14 @@ function releaseAllocation(casePath, batchId) {
       return { success: false, error: `Allocation ${batchId} not found` };
     }
 
+    allocation = state.source_allocations[batchId];
     delete state.source_allocations[batchId];
     writeState(casePath, state);
-
-    return { success: true, batch_id: batchId };
   } finally {
     releaseLock(lockPath);
   }
+
+  return refundCaptures(casePath, { success: true, batch_id: batchId }, allocation, 0);
 }
 
 /**
@@ -154,14 +220,16 @@ function commitAllocation(casePath, batchId, usedCount) {
     return { success: false, error: 'Could not acquire lock' };
   }
 
+  let allocation;
+  let state;
   try {
-    const state = readState(casePath);
+    state = readState(casePath);
 
     if (!state.source_allocations || !state.source_allocations[batchId]) {
       return { success: false, error: `Allocation ${batchId} not found` };
     }
 
-    const allocation = state.source_allocations[batchId];
+    allocation = state.source_allocations[batchId];
     const actualEnd = allocation.start + usedCount;
 
     // Update next_source to the next available after what was used
@@ -177,16 +245,16 @@ function commitAllocation(casePath, batchId, usedCount) {
     delete state.source_allocations[batchId];
 
     writeState(casePath, state);
-
-    return {
-      success: true,
-      batch_id: batchId,
-      used_count: usedCount,
-      next_source: state.next_source
-    };
   } finally {
     releaseLock(lockPath);
   }
+
+  return refundCaptures(casePath, {
+    success: true,
+    batch_id: batchId,
+    used_count: usedCount,
+    next_source: state.next_source
+  }, allocation, usedCount);
 }
 
 /**
@@ -220,25 +288,34 @@ function getStatus(casePath) {
  * Clean up stale allocations
  */
 function cleanupStale(casePath) {
-  const state = readState(casePath);
-
-  if (!state.source_allocations) {
-    return { success: true, cleaned: 0 };
+  const lockPath = path.join(casePath, 'state.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
   }
 
-  let cleaned = 0;
-  Object.keys(state.source_allocations).forEach(batchId => {
-    if (isAllocationStale(state.source_allocations[batchId])) {
-      delete state.source_allocations[batchId];
-      cleaned++;
+  try {
+    const state = readState(casePath);
+
+    if (!state.source_allocations) {
+      return { success: true, cleaned: 0 };
     }
-  });
 
-  if (cleaned > 0) {
-    writeState(casePath, state);
-  }
+    let cleaned = 0;
+    Object.keys(state.source_allocations).forEach(batchId => {
+      if (isAllocationStale(state.source_allocations[batchId])) {
+        delete state.source_allocations[batchId];
+        cleaned++;
+      }
+    });
 
-  return { success: true, cleaned: cleaned };
+    if (cleaned > 0) {
+      writeState(casePath, state);
+    }
+
+    return { success: true, cleaned: cleaned };
+  } finally {
+    releaseLock(lockPath);
+  }
 }
 
 /**
@@ -261,10 +338,7 @@ function allocateLeadRange(casePath, count, batchId) {
     const leads = JSON.parse(fs.readFileSync(leadsPath, 'utf-8'));
 
     // Find highest lead ID
-    const maxId = (leads.leads || []).reduce((max, l) => {
-      const num = parseInt(l.id.replace('L', ''), 10);
-      return num > max ? num : max;
-    }, 0);
+    const maxId = ids.maxIdNumber(ids.PREFIX.lead, (leads.leads || []).map(l => l.id));
 
     const start = maxId + 1;
     const end = start + count;
@@ -274,7 +348,9 @@ function allocateLeadRange(casePath, count, batchId) {
       batch_id: batchId,
       start: start,
       end: end,
-      count: count
+      count: count,
+      first_id: ids.formatId(ids.PREFIX.lead, start),
+      last_id: ids.formatId(ids.PREFIX.lead, end - 1)
     };
   } finally {
     releaseLock(lockPath);
@@ -290,7 +366,9 @@ function main() {
     console.log(`Usage: node scripts/allocate-sources.js <command> [args...]
 
 Commands:
-  allocate <case-path> <count> [batch-id]     Allocate source ID range
+  allocate <case-path> <count> [batch-id] [--lead <lead-id>]
+                                              Allocate source ID range (charged to
+                                              the lead's capture budget)
   release <case-path> <batch-id>              Release an allocation
   commit <case-path> <batch-id> <used-count>  Commit and update next_source
   status <case-path>                          Show current allocations
@@ -305,10 +383,13 @@ Commands:
   switch (command) {
     case 'allocate':
       if (args.length < 3) {
-        console.error('Usage: allocate <case-path> <count> [batch-id]');
+        console.error('Usage: allocate <case-path> <count> [batch-id] [--lead <lead-id>]');
         process.exit(1);
       }
-      result = allocateRange(args[1], parseInt(args[2], 10), args[3] || null);
+      const leadIdx = args.indexOf('--lead');
+      const leadId = leadIdx !== -1 ? args[leadIdx + 1] : null;
+      const positional = leadIdx !== -1 ? [...args.slice(0, leadIdx), ...args.slice(leadIdx + 2)] : args;
+      result = allocateRange(positional[1], parseInt(positional[2], 10), positional[3] || null, leadId ? { lead_id: leadId } : {});
       break;
 
     case 'release':
@@ -30,6 +30,7 @@ const fs = require('fs');
 const path = require('path');
 const { verifySource } = require('./verify-source');
 const { normalizeUrl } = require('./osint-save');
+const ids = require('./ids');
 
 function isHttpUrl(url) {
     return typeof url === 'string' && /^https?:\/\/.+/i.test(url.trim());
@@ -40,25 +41,14 @@ function isForbiddenSourceType(type) {
     return /synth|compil/i.test(type);
 }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const caseDir = args.find(a => !a.startsWith('--'));
-const jsonOutput = args.includes('--json');
-const blockMode = args.includes('--block');
-
-if (!caseDir) {
-    console.error('Usage: node scripts/audit-citations.js <case_dir> [--block] [--json]');
-    process.exit(2);
-}
-
 // Extract all [S###] citations from text
 function extractCitations(text) {
-    const pattern = /\[S(\d{3})\]/g;
+    const pattern = ids.bareCitationRegex('g');
     const citations = new Map(); // sourceId -> count
 
     let match;
     while ((match = pattern.exec(text)) !== null) {
-        const sourceId = `S${match[1]}`;
+        const sourceId = match[1];
         citations.set(sourceId, (citations.get(sourceId) || 0) + 1);
     }
 
@@ -226,8 +216,8 @@ function auditCitations(caseDir) {
 
     // Read all finding files
     const findingFiles = fs.readdirSync(findingsDir)
-        .filter(f => f.match(/^F\d{3}\.md$/))
-        .sort();
+        .filter(ids.isFindingFile)
+        .sort(ids.compareIds);
 
     if (findingFiles.length === 0) {
         results.error = 'No finding files found in findings/';
@@ -290,6 +280,17 @@ function auditCitations(caseDir) {
 
 // Main execution
 function main() {
+    // Parse command line arguments
+    const args = process.argv.slice(2);
+    const caseDir = args.find(a => !a.startsWith('--'));
+    const jsonOutput = args.includes('--json');
+    const blockMode = args.includes('--block');
+
+    if (!caseDir) {
+        console.error('Usage: node scripts/audit-citations.js <case_dir> [--block] [--json]');
+        process.exit(2);
+    }
+
     const results = auditCitations(caseDir);
 
     if (jsonOutput) {
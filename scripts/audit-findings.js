@@ -12,9 +12,16 @@
  *
  * Checks:
  *   - Each findings/*.md has valid frontmatter with id: F###
+ *   - Frontmatter parses as YAML and matches the findings schema (frontmatter.js):
+ *     status/confidence enums, source and lead ID lists, dates, supersedes links
  *   - Filename matches the id exactly (F###.md). Misnamed files are ignored by assembly.
  *   - No duplicate ids across files
  *   - manifest.json assembly_order references existing canonical files
+ *   - supersedes/superseded_by chains link both ways, point at existing findings
+ *     and have no cycles; manifest.json no longer names superseded or retired
+ *     findings (finding-chain.js)
+ *   - Declared confidence of current findings is no higher than their evidence
+ *     supports (finding-confidence.js); fails only with --block
  *
  * Exit codes:
  *   0 - OK (or non-blocking mode)
@@ -26,62 +33,29 @@
 
 const fs = require('fs');
 const path = require('path');
-
-function parseFrontmatter(fileText) {
-  const match = fileText.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (!match) {
-    return { metadata: null, body: fileText, errors: ['Missing or invalid YAML frontmatter block'], warnings: [] };
-  }
-
-  const frontmatter = match[1];
-  const body = match[2];
-  const metadata = {};
-  const errors = [];
-  const warnings = [];
-
-  for (const line of frontmatter.split('\n')) {
-    if (!line.trim()) continue;
-    const [rawKey, ...rest] = line.split(':');
-    if (!rawKey || rest.length === 0) {
-      warnings.push(`Unparseable frontmatter line: "${line}"`);
-      continue;
-    }
-
-    const key = rawKey.trim();
-    const rawValue = rest.join(':').trim();
-
-    if (rawValue.startsWith('[') && rawValue.endsWith(']')) {
-      try {
-        metadata[key] = JSON.parse(rawValue);
-      } catch (e) {
-        errors.push(`Frontmatter field "${key}" is not valid JSON array: ${e.message}`);
-        metadata[key] = rawValue;
-      }
-    } else if (rawValue === 'null') {
-      metadata[key] = null;
-    } else if (rawValue === 'true') {
-      metadata[key] = true;
-    } else if (rawValue === 'false') {
-      metadata[key] = false;
-    } else {
-      metadata[key] = rawValue;
-    }
-  }
-
-  return { metadata, body, errors, warnings };
-}
+const ids = require('./ids');
+const { parseFrontmatter, validateFinding } = require('./frontmatter');
+const { readFindingRecords, readManifest, auditChains } = require('./finding-chain');
+const { assessFindings } = require('./finding-confidence');
 
 function isFindingId(value) {
-  return typeof value === 'string' && /^F\d{3}$/.test(value);
+  return ids.isFindingId(value);
 }
 
 function summarizeFindingFile(fileName, fileText) {
   const { metadata, errors, warnings } = parseFrontmatter(fileText);
-  const idFromFilename = (fileName.match(/^(F\d{3})/) || [null, null])[1];
+  const idFromFilename = ids.findingIdFromFilename(fileName);
   const idFromFrontmatter = metadata?.id || null;
   const id = idFromFrontmatter || idFromFilename || null;
 
   const fileErrors = [...errors];
+  const fileWarnings = [...warnings];
+  if (metadata) {
+    const schema = validateFinding(metadata);
+    // id is checked below, together with the filename
+    fileErrors.push(...schema.errors.filter(e => !e.startsWith('id ')));
+    fileWarnings.push(...schema.warnings);
+  }
 
   if (!id) {
     fileErrors.push('Missing finding id (frontmatter id missing and filename not starting with F###)');
@@ -111,7 +85,7 @@ function summarizeFindingFile(fileName, fileText) {
     relatedLeadsCount: Array.isArray(metadata?.related_leads) ? metadata.related_leads.length : null,
     isCanonicalName,
     errors: fileErrors,
-    warnings
+    warnings: fileWarnings
   };
 }
 
@@ -135,7 +109,15 @@ function auditFindings(caseDir) {
     manifest: {
       present: false,
       assemblyOrderCount: 0,
-      missingCanonicalInAssemblyOrder: []
+      missingCanonicalInAssemblyOrder: [],
+      supersededReferences: []
+    },
+    chains: {
+      errors: [],
+      cycles: []
+    },
+    confidence: {
+      overstated: []
     },
     duplicates: [],
     details: []
@@ -211,6 +193,39 @@ function auditFindings(caseDir) {
     }
   }
 
+  // Supersession chains
+  const chainAudit = auditChains(readFindingRecords(findingsDir), readManifest(findingsDir));
+  results.chains = { errors: chainAudit.errors, cycles: chainAudit.cycles };
+  results.manifest.supersededReferences = chainAudit.manifestReferences;
+  for (const { id, message } of chainAudit.errors) {
+    const detail = results.details.find(d => d.file === `${id}.md`);
+    if (detail) detail.errors.push(`Chain: ${message}`);
+  }
+  if (chainAudit.manifestReferences.length > 0) {
+    results.details.push({
+      file: 'manifest.json',
+      id: null,
+      idFromFilename: null,
+      idFromFrontmatter: null,
+      status: null,
+      confidence: null,
+      sourcesCount: null,
+      relatedLeadsCount: null,
+      isCanonicalName: true,
+      errors: chainAudit.manifestReferences.map(r =>
+        `${r.where} lists ${r.status} finding ${r.id}${r.head && r.head !== r.id ? ` (current version: ${r.head})` : ''}`),
+      warnings: []
+    });
+  }
+
+  // Declared vs evidence-derived confidence
+  const assessment = assessFindings(caseDir);
+  for (const f of assessment.findings) {
+    const detail = results.details.find(d => d.file === `${f.id}.md`);
+    if (detail) detail.suggestedConfidence = f.suggested;
+  }
+  results.confidence.overstated = assessment.overstated.map(({ id, declared, suggested, reasons }) => ({ id, declared, suggested, reasons }));
+
   // Error/warning totals
   for (const d of results.details) {
     results.summary.errors += (d.errors || []).length;
@@ -231,7 +246,7 @@ function printUsage() {
   console.log('');
   console.log('Exit codes:');
   console.log('  0 - OK');
-  console.log('  1 - Errors found (only with --block)');
+  console.log('  1 - Errors found, or confidence above evidence (only with --block)');
   console.log('  2 - Usage/config error');
 }
 
@@ -260,7 +275,8 @@ function main() {
   const hasErrors =
     results.summary.errors > 0 ||
     results.duplicates.length > 0 ||
-    (results.manifest.missingCanonicalInAssemblyOrder || []).length > 0;
+    (results.manifest.missingCanonicalInAssemblyOrder || []).length > 0 ||
+    results.confidence.overstated.length > 0;
 
   if (jsonOutput) {
     console.log(JSON.stringify(results, null, 2));
@@ -276,6 +292,8 @@ function main() {
     console.log(`Files: ${s.totalFiles} (canonical: ${s.canonicalFiles}, non-canonical: ${s.nonCanonicalFiles})`);
     console.log(`IDs: ${s.uniqueIds} (duplicate IDs: ${s.duplicateIds})`);
     console.log(`Frontmatter issues: ${s.errors} errors, ${s.warnings} warnings`);
+    console.log(`Supersession chains: ${results.chains.errors.length} errors (${results.chains.cycles.length} cycles), ${results.manifest.supersededReferences.length} stale manifest references`);
+    console.log(`Confidence above evidence: ${results.confidence.overstated.length}`);
     console.log('');
 
     if (results.duplicates.length > 0) {
@@ -296,6 +314,16 @@ function main() {
       console.log('');
     }
 
+    if (results.confidence.overstated.length > 0) {
+      console.log('-'.repeat(70));
+      console.log('CONFIDENCE ABOVE EVIDENCE (lower confidence or add evidence):');
+      for (const o of results.confidence.overstated) {
+        console.log(`  ${o.id}: declared ${o.declared}, evidence supports ${o.suggested}`);
+        for (const reason of o.reasons) console.log(`    ${reason}`);
+      }
+      console.log('');
+    }
+
     const fileIssues = results.details.filter(d => (d.errors || []).length > 0 || (d.warnings || []).length > 0);
     if (fileIssues.length > 0) {
       console.log('-'.repeat(70));
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * audit-id-migration.js - Find citations the old fixed-width ID parsers misread
+ *
+ * Before scripts/ids.js, every extractor hard-coded `S\d{3}`. Citations with
+ * wider IDs (e.g. `[S2017]`) were silently dropped by bracketed extractors,
+ * and prefix/slice-based parsers read them as a different source (`S201`).
+ * This audit scans a case's markdown for citations whose legacy reading
+ * differs from the canonical one, and flags verification outputs that were
+ * produced before those citations were visible.
+ *
+ * Checks:
+ *   - wide_citation:      [S####] that legacy parsers dropped/truncated
+ *                         (error if the truncated ID is a real source)
+ *   - non_canonical:      [S1], [S12] - not a valid ID under any parser
+ *   - stale_verification: semantic/compute verification output that never
+ *                         saw a wide ID cited by the article
+ *
+ * Usage:
+ *   node scripts/audit-id-migration.js <case_dir> [--block] [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+
+const LEGACY_WIDTH = 3;
+
+// Any bracketed S-token, regardless of width, so we can see what legacy
+// parsers did with it.
+const ANY_CITATION = /\[S(\d+)\](?:\([^)]+\))?/g;
+
+function listMarkdown(caseDir) {
+  const files = [];
+  const addDir = (rel) => {
+    const dir = path.join(caseDir, rel);
+    if (!fs.existsSync(dir)) return;
+    for (const f of fs.readdirSync(dir).sort()) {
+      if (f.endsWith('.md')) files.push(path.join(dir, f));
+    }
+  };
+  addDir('.');
+  addDir('articles');
+  addDir('findings');
+  return files;
+}
+
+function loadKnownSourceIds(caseDir) {
+  const known = new Set();
+  const evidenceDir = path.join(caseDir, 'evidence');
+  if (fs.existsSync(evidenceDir)) {
+    for (const d of fs.readdirSync(evidenceDir)) {
+      if (ids.isSourceId(d)) known.add(d);
+    }
+  }
+  try {
+    const sources = JSON.parse(fs.readFileSync(path.join(caseDir, 'sources.json'), 'utf-8'));
+    for (const s of sources.sources || []) {
+      if (ids.isSourceId(s.id)) known.add(s.id);
+    }
+  } catch {
+    // sources.json missing or invalid; evidence dirs are enough
+  }
+  return known;
+}
+
+/**
+ * Scan one markdown file. Returns issues with line numbers.
+ */
+function scanFile(filePath, knownSourceIds, caseDir) {
+  const issues = [];
+  const wideIds = new Set();
+  const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+  const rel = path.relative(caseDir, filePath);
+
+  lines.forEach((line, i) => {
+    for (const m of line.matchAll(ANY_CITATION)) {
+      const digits = m[1];
+      const citation = m[0];
+
+      if (digits.length < LEGACY_WIDTH) {
+        issues.push({
+          type: 'non_canonical',
+          severity: 'error',
+          file: rel,
+          line: i + 1,
+          citation,
+          legacyReading: null,
+          canonicalReading: null,
+          message: `Citation ${citation} is not a valid source ID; use ${ids.formatId(ids.PREFIX.source, parseInt(digits, 10))}`
+        });
+        continue;
+      }
+
+      if (digits.length === LEGACY_WIDTH) continue;
+
+      const canonical = `S${digits}`;
+      const truncated = `S${digits.slice(0, LEGACY_WIDTH)}`;
+      const collides = knownSourceIds.has(truncated);
+      wideIds.add(canonical);
+
+      issues.push({
+        type: 'wide_citation',
+        severity: collides ? 'error' : 'warning',
+        file: rel,
+        line: i + 1,
+        citation,
+        legacyReading: truncated,
+        canonicalReading: canonical,
+        message: collides
+          ? `${canonical} was dropped by bracketed parsers and read as existing source ${truncated} by prefix parsers; re-verify claims on this line`
+          : `${canonical} was dropped by legacy parsers; re-run audits for this file`
+      });
+    }
+  });
+
+  return { issues, wideIds };
+}
+
+function verificationSourceIds(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const items = data.results || data.claims || [];
+    const seen = new Set();
+    for (const item of items) {
+      if (typeof item.sourceId === 'string') seen.add(item.sourceId);
+      for (const sid of item.sourceIds || []) seen.add(sid);
+    }
+    return seen;
+  } catch {
+    return null;
+  }
+}
+
+function auditIdMigration(caseDir) {
+  const knownSourceIds = loadKnownSourceIds(caseDir);
+  const result = {
+    caseDir,
+    filesScanned: 0,
+    issues: [],
+    summary: { wideCitations: 0, collisions: 0, nonCanonical: 0, staleVerification: 0, errors: 0, warnings: 0 }
+  };
+
+  const articleWideIds = new Set();
+  for (const file of listMarkdown(caseDir)) {
+    result.filesScanned++;
+    const { issues, wideIds } = scanFile(file, knownSourceIds, caseDir);
+    result.issues.push(...issues);
+    if (path.basename(path.dirname(file)) === 'articles') {
+      for (const id of wideIds) articleWideIds.add(id);
+    }
+  }
+
+  for (const name of ['semantic-verification.json', 'compute-verification.json']) {
+    if (articleWideIds.size === 0) break;
+    const p = path.join(caseDir, name);
+    if (!fs.existsSync(p)) continue;
+    const seen = verificationSourceIds(p);
+    if (!seen) continue;
+    const missing = [...articleWideIds].filter(id => !seen.has(id)).sort(ids.compareIds);
+    if (missing.length > 0) {
+      result.issues.push({
+        type: 'stale_verification',
+        severity: 'error',
+        file: name,
+        line: null,
+        citation: null,
+        legacyReading: null,
+        canonicalReading: missing,
+        message: `${name} has no results for ${missing.join(', ')}; regenerate it`
+      });
+    }
+  }
+
+  for (const issue of result.issues) {
+    if (issue.type === 'wide_citation') result.summary.wideCitations++;
+    if (issue.type === 'wide_citation' && issue.severity === 'error') result.summary.collisions++;
+    if (issue.type === 'non_canonical') result.summary.nonCanonical++;
+    if (issue.type === 'stale_verification') result.summary.staleVerification++;
+    if (issue.severity === 'error') result.summary.errors++;
+    else result.summary.warnings++;
+  }
+
+  return result;
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node scripts/audit-id-migration.js <case_dir> [--block] [--json]');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const caseDir = args.find(a => !a.startsWith('--'));
+  const jsonOutput = args.includes('--json');
+  const blockMode = args.includes('--block');
+
+  if (!caseDir) {
+    printUsage();
+    process.exit(2);
+  }
+
+  const res = auditIdMigration(caseDir);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(res, null, 2));
+  } else {
+    console.log('='.repeat(70));
+    console.log('ID MIGRATION AUDIT');
+    console.log('='.repeat(70));
+    console.log(`Case: ${caseDir}`);
+    console.log(`Files scanned: ${res.filesScanned}`);
+    console.log(`Wide citations: ${res.summary.wideCitations} (${res.summary.collisions} collide with an existing source)`);
+    console.log(`Non-canonical citations: ${res.summary.nonCanonical}`);
+    console.log(`Stale verification outputs: ${res.summary.staleVerification}`);
+
+    if (res.issues.length > 0) {
+      console.log('\n--- ISSUES ---');
+      for (const issue of res.issues.slice(0, 50)) {
+        const where = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+        console.log(`\n  ${where} (${issue.severity}): ${issue.message}`);
+      }
+      if (res.issues.length > 50) console.log(`\n  ...and ${res.issues.length - 50} more`);
+    }
+
+    console.log('\n' + '='.repeat(70));
+  }
+
+  if (blockMode && res.summary.errors > 0) process.exit(1);
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { auditIdMigration, scanFile };
@@ -6,7 +6,11 @@
  * enforces a minimal sourcing discipline:
  *
  * - For investigated leads: if result contains digits (numbers/dates/stats), sources[] must be non-empty.
+ * - Structured results (lead-result.js) must follow the schema; claim sources are checked like sources[].
  * - Any referenced sources must exist in sources.json and have http(s) URLs (no synthesis placeholders).
+ * - Structured claims are compared exactly against findings: a finding sentence stating a claim the
+ *   lead refuted or could not verify is an error; one stating a confirmed claim with none of its
+ *   sources is a warning.
  *
  * Usage:
  *   node scripts/audit-leads.js <case_dir> [--block] [--json]
@@ -21,13 +25,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('./ids');
+const leadResult = require('./lead-result');
 
 function isHttpUrl(url) {
   return typeof url === 'string' && /^https?:\/\/.+/i.test(url.trim());
 }
 
 function isSourceId(value) {
-  return typeof value === 'string' && /^S\d{3,}$/.test(value.trim());
+  return typeof value === 'string' && ids.isSourceId(value.trim());
 }
 
 function safeReadJson(filePath) {
@@ -68,9 +74,15 @@ function auditLeads(caseDir) {
       invalidSourceIds: 0,
       unknownSources: 0,
       nonHttpSources: 0,
-      uncapturedSources: 0
+      uncapturedSources: 0,
+      structuredResults: 0,
+      invalidStructuredResults: 0,
+      claimsCompared: 0,
+      claimContradictions: 0,
+      claimCitationMismatches: 0
     },
     errors: [],
+    warnings: [],
     details: []
   };
 
@@ -81,9 +93,13 @@ function auditLeads(caseDir) {
     results.summary.investigated += 1;
 
     const leadId = String(lead.id || '');
-    const resultText = String(lead.result || '');
+    const structured = leadResult.isStructuredResult(lead.result);
+    const resultText = leadResult.resultText(lead.result);
     const hasDigits = /\d/.test(resultText);
-    const sourcesUsed = Array.isArray(lead.sources) ? lead.sources : [];
+    const sourcesUsed = [...new Set([
+      ...(Array.isArray(lead.sources) ? lead.sources : []),
+      ...leadResult.resultSources(lead.result)
+    ])];
 
     if (hasDigits) results.summary.investigatedWithDigits += 1;
 
@@ -94,6 +110,15 @@ function auditLeads(caseDir) {
       errors: []
     };
 
+    if (structured) {
+      results.summary.structuredResults += 1;
+      const validation = leadResult.validateResult(lead.result);
+      if (!validation.ok) {
+        results.summary.invalidStructuredResults += 1;
+        detail.errors.push(...validation.errors.map(e => `Structured result: ${e}`));
+      }
+    }
+
     if (hasDigits && sourcesUsed.length === 0) {
       results.summary.investigatedMissingSources += 1;
       detail.errors.push('Investigated lead result contains digits but sources[] is empty');
@@ -129,6 +154,27 @@ function auditLeads(caseDir) {
     }
   }
 
+  const comparison = leadResult.compareClaimsToFindings(leads, leadResult.loadFindingSentences(caseDir));
+  results.summary.claimsCompared = comparison.claimsCompared;
+  results.summary.claimContradictions = comparison.contradictions.length;
+  results.summary.claimCitationMismatches = comparison.citationMismatches.length;
+
+  for (const c of comparison.contradictions) {
+    let detail = results.details.find(d => d.id === c.leadId);
+    if (!detail) {
+      detail = { id: c.leadId, errors: [] };
+      results.details.push(detail);
+    }
+    detail.errors.push(`${c.finding} states a claim the lead found ${c.verdict}: "${c.claim}"`);
+  }
+  for (const m of comparison.citationMismatches) {
+    results.warnings.push({
+      id: m.leadId,
+      finding: m.finding,
+      message: `${m.finding} states "${m.claim}" citing ${m.sentenceSources.join(', ')}; the lead confirmed it from ${m.claimSources.join(', ')}`
+    });
+  }
+
   results.ok = results.details.length === 0 && !results.error;
   if (!results.ok) {
     results.errors = results.details.slice(0, 50);
@@ -180,6 +226,8 @@ function main() {
       console.log(`Unknown sources: ${s.unknownSources}`);
       console.log(`Non-http sources: ${s.nonHttpSources}`);
       console.log(`Uncaptured sources: ${s.uncapturedSources}`);
+      console.log(`Structured results: ${s.structuredResults} (${s.invalidStructuredResults} invalid)`);
+      console.log(`Claims compared with findings: ${s.claimsCompared} (${s.claimContradictions} contradicted, ${s.claimCitationMismatches} cited differently)`);
 
       if (!res.ok && Array.isArray(res.details) && res.details.length > 0) {
         console.log('\n--- SAMPLE FAILURES ---');
@@ -187,6 +235,13 @@ function main() {
           console.log(`- ${d.id}: ${d.errors.join('; ')}`);
         }
       }
+
+      if (res.warnings.length > 0) {
+        console.log('\n--- WARNINGS ---');
+        for (const w of res.warnings.slice(0, 20)) {
+          console.log(`- ${w.id}: ${w.message}`);
+        }
+      }
     }
     console.log('='.repeat(70));
   }
@@ -17,6 +17,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('./ids');
 
 function splitSentences(line) {
   return line
@@ -39,7 +40,7 @@ function auditFile(filePath) {
   let inCodeBlock = false;
   let inSourcesSection = false;
   let sourcesHeadingLevel = null;
-  const citationPattern = /\[S\d{3}\](?:\([^)]+\))?/;
+  const citationPattern = ids.citationRegex('');
   const sourcesHeaderPattern = /^#+\s*(Sources?\s+(Cited|Consulted)|Sources?|References?|Works\s+Cited|Bibliography)\b/i;
 
   for (let i = 0; i < lines.length; i++) {
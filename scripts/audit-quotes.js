@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+/**
+ * audit-quotes.js - Verbatim quote verification
+ *
+ * Pulls every double-quoted span out of the case articles, finds the [S###]
+ * citation that covers it, and checks that the quote appears verbatim in that
+ * source's evidence/S###/content.md. When the sentence attributes the quote to
+ * a named speaker ("Smith said", "according to Jane Smith"), the speaker must
+ * also be named in the source, ideally near the quote.
+ *
+ * Matching tolerates:
+ * - whitespace / line-wrap differences and markdown emphasis
+ * - smart vs straight quotes and apostrophes, en/em dashes
+ * - ellipses ("..." or "…"): the pieces must appear in order
+ * - [bracketed insertions]: match any short run of text in the source
+ * - leading/trailing punctuation moved inside the quote marks
+ *
+ * Short quoted spans (fewer than --min-words words) are treated as scare quotes
+ * or titles and skipped.
+ *
+ * Usage:
+ *   node scripts/audit-quotes.js <case_dir> [--article <path>] [--min-words N] [--block] [--json]
+ *
+ * Defaults:
+ *   All articles/*.md, --min-words 4
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+
+const DEFAULT_MIN_WORDS = 4;
+
+// Max characters a [bracketed insertion] may stand in for
+const INSERTION_MAX_CHARS = 60;
+
+// Speaker must be named within this many characters of the quote in the source
+const SPEAKER_WINDOW_CHARS = 1500;
+
+const SPEECH_VERBS = 'said|says|told|tells|wrote|writes|stated|states|testified|added|adds|explained|argued|noted|notes|warned|recalled|insisted|acknowledged|claimed|asked|replied|responded|declared|announced';
+const NAME = "(?:[A-Z][\\w.'’-]*\\s+){0,3}[A-Z][\\w'’-]*";
+const NOT_A_SPEAKER = new Set([
+  'He', 'She', 'They', 'It', 'We', 'I', 'You', 'The', 'This', 'That', 'A', 'An', 'But', 'And', 'In', 'On', 'As',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'Today', 'Yesterday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'
+]);
+
+const SPEAKER_PATTERNS = [
+  // Smith said / Jane Smith, the director, said
+  new RegExp(`(${NAME})(?:,[^,"“”]{1,80},)?\\s+(?:${SPEECH_VERBS})\\b`),
+  // said Smith / told reporters Jane Smith
+  new RegExp(`\\b(?:${SPEECH_VERBS})(?:\\s+[a-z]+){0,2}\\s+(${NAME})`),
+  // according to Jane Smith
+  new RegExp(`\\baccording to\\s+(${NAME})`)
+];
+
+function splitParagraphs(text) {
+  const lines = text.split('\n');
+  const paragraphs = [];
+  let current = null;
+
+  let inCodeBlock = false;
+  let inSourcesSection = false;
+  let sourcesHeadingLevel = null;
+  const sourcesHeaderPattern = /^#+\s*(Sources?\s+(Cited|Consulted)|Sources?|References?|Works\s+Cited|Bibliography)\b/i;
+
+  const flush = () => {
+    if (current) paragraphs.push(current);
+    current = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      flush();
+      continue;
+    }
+    if (inCodeBlock) continue;
+
+    if (sourcesHeaderPattern.test(line)) {
+      inSourcesSection = true;
+      sourcesHeadingLevel = (line.match(/^#+/) || ['##'])[0].length;
+      flush();
+      continue;
+    }
+    if (inSourcesSection && /^#+\s+/.test(line)) {
+      const level = (line.match(/^#+/) || ['##'])[0].length;
+      if (sourcesHeadingLevel !== null && level <= sourcesHeadingLevel && !sourcesHeaderPattern.test(line)) {
+        inSourcesSection = false;
+        sourcesHeadingLevel = null;
+      }
+    }
+    if (inSourcesSection) continue;
+
+    if (line.trim() === '' || line.startsWith('---') || line.startsWith('#')) {
+      flush();
+      continue;
+    }
+
+    const body = line.replace(/^\s*>\s?/, '');
+    if (!current) current = { line: i + 1, text: body, lineStarts: [{ offset: 0, line: i + 1 }] };
+    else {
+      current.text += ' ';
+      current.lineStarts.push({ offset: current.text.length, line: i + 1 });
+      current.text += body;
+    }
+  }
+  flush();
+  return paragraphs;
+}
+
+function lineAt(paragraph, offset) {
+  let line = paragraph.line;
+  for (const s of paragraph.lineStarts) {
+    if (s.offset <= offset) line = s.line;
+  }
+  return line;
+}
+
+/**
+ * Double-quoted spans in a paragraph: [{ text, start, end }] where start/end
+ * are offsets of the opening and closing quote marks.
+ */
+function extractQuotes(paragraphText) {
+  const quotes = [];
+  const re = /“([^”]+)”|"([^"\n]+)"/g;
+  let m;
+  while ((m = re.exec(paragraphText)) !== null) {
+    quotes.push({ text: m[1] !== undefined ? m[1] : m[2], start: m.index, end: m.index + m[0].length });
+  }
+  return quotes;
+}
+
+/**
+ * Source IDs covering a quote: the first citation after the closing quote mark
+ * plus any citations chained directly onto it ([S001][S002], [S001], [S002]).
+ * Falls back to the nearest citation cluster before the quote in the paragraph.
+ */
+function coveringCitations(paragraphText, quote) {
+  const re = ids.citationRegex('g');
+  const found = [];
+  let m;
+  while ((m = re.exec(paragraphText)) !== null) {
+    found.push({ id: m[1], start: m.index, end: m.index + m[0].length });
+  }
+  if (found.length === 0) return [];
+
+  const cluster = (startIdx, step) => {
+    const out = [found[startIdx]];
+    for (let i = startIdx + step; i >= 0 && i < found.length; i += step) {
+      const prev = out[out.length - 1];
+      const gap = step > 0
+        ? paragraphText.slice(prev.end, found[i].start)
+        : paragraphText.slice(found[i].end, prev.start);
+      if (!/^[\s,;]*$/.test(gap)) break;
+      out.push(found[i]);
+    }
+    return [...new Set(out.map(c => c.id))];
+  };
+
+  const after = found.findIndex(c => c.start >= quote.end);
+  if (after !== -1) return cluster(after, 1);
+
+  let before = -1;
+  for (let i = 0; i < found.length; i++) {
+    if (found[i].end <= quote.start) before = i;
+  }
+  return before !== -1 ? cluster(before, -1) : [];
+}
+
+/** Lowercased, whitespace-collapsed text with typographic variants folded. */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\[([^\]]*)\]\((?:[^)]*)\)/g, '$1')
+    .replace(/[‘’‚‛′]/g, "'")
+    .replace(/[“”„‟″]/g, '"')
+    .replace(/[‐‑‒–—―]/g, '-')
+    .replace(/ /g, ' ')
+    .replace(/[*_]+/g, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex for a normalized quote. Ellipses become ordered gaps, bracketed
+ * insertions become short wildcards, and punctuation at the edges of each
+ * piece is dropped so "We did it," matches "We did it." in the source.
+ */
+function quotePattern(quoteText) {
+  const cleaned = normalizeText(quoteText.replace(ids.citationRegex('g'), ''));
+  const pieces = cleaned
+    .split(/\s*(?:\.\s?\.\s?\.|…)\s*/)
+    .map(p => p.replace(/^[\s"',;:.!?-]+|[\s"',;:.!?-]+$/g, ''))
+    .filter(p => p.replace(/\[[^\]]*\]/g, '').trim().length > 0);
+  if (pieces.length === 0) return null;
+
+  const piecePattern = piece => piece
+    .split(/(\[[^\]]*\])/)
+    .map(part => {
+      if (/^\[[^\]]*\]$/.test(part)) return `[\\s\\S]{0,${INSERTION_MAX_CHARS}}?`;
+      return escapeRegExp(part).replace(/ /g, '\\s*');
+    })
+    .join('');
+
+  return new RegExp(pieces.map(piecePattern).join('[\\s\\S]*?'));
+}
+
+/** Named speaker attributed in the sentence around a quote, or null. */
+function findSpeaker(paragraphText, quote) {
+  const sentenceStart = Math.max(
+    paragraphText.lastIndexOf('. ', quote.start) + 1,
+    paragraphText.lastIndexOf('? ', quote.start) + 1,
+    paragraphText.lastIndexOf('! ', quote.start) + 1,
+    0
+  );
+  const tail = paragraphText.slice(quote.end);
+  const endMatch = tail.match(/[.!?](?=\s+[A-Z“"(]|\s*$)/);
+  const sentenceEnd = endMatch ? quote.end + endMatch.index + 1 : paragraphText.length;
+
+  const around = (paragraphText.slice(sentenceStart, quote.start) + ' ' + paragraphText.slice(quote.end, sentenceEnd))
+    .replace(ids.citationRegex('g'), '')
+    .replace(/[*_]+/g, '');
+
+  for (const pattern of SPEAKER_PATTERNS) {
+    const m = around.match(pattern);
+    if (!m) continue;
+    const words = m[1].trim().split(/\s+/).filter(w => !NOT_A_SPEAKER.has(w));
+    if (words.length === 0) continue;
+    return words.join(' ');
+  }
+  return null;
+}
+
+/**
+ * Check a speaker against the source: returns 'near', 'elsewhere' or 'absent'.
+ * The surname (last word) is what must appear; titles and first names vary.
+ */
+function speakerInSource(normalizedSource, speaker, matchIndex) {
+  const surname = normalizeText(speaker.split(/\s+/).pop().replace(/['’]s$/, ''));
+  if (!surname) return 'near';
+  const re = new RegExp(`\\b${escapeRegExp(surname)}\\b`, 'g');
+  let m;
+  let found = false;
+  while ((m = re.exec(normalizedSource)) !== null) {
+    found = true;
+    if (matchIndex === null || Math.abs(m.index - matchIndex) <= SPEAKER_WINDOW_CHARS) return 'near';
+  }
+  return found ? 'elsewhere' : 'absent';
+}
+
+function listArticles(caseDir, articleRel) {
+  if (articleRel) {
+    const p = path.isAbsolute(articleRel) ? articleRel : path.join(caseDir, articleRel);
+    return fs.existsSync(p) ? [p] : [];
+  }
+  const dir = path.join(caseDir, 'articles');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.md'))
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+/**
+ * Audit quotes in the case articles.
+ *
+ * @param {string} caseDir
+ * @param {object} [options]
+ * @param {string} [options.article] - Single article (relative to caseDir or absolute)
+ * @param {number} [options.minWords] - Shorter quotes are skipped as scare quotes
+ * @returns {object} { articles, summary, issues, quotes } or { error, message }
+ */
+function auditQuotes(caseDir, options = {}) {
+  const minWords = options.minWords || DEFAULT_MIN_WORDS;
+  const articles = listArticles(caseDir, options.article);
+  if (articles.length === 0) {
+    return { error: 'ARTICLE_NOT_FOUND', message: `No articles found in ${path.join(caseDir, 'articles')}` };
+  }
+
+  const sourceCache = new Map();
+  const loadSource = (sourceId) => {
+    if (!sourceCache.has(sourceId)) {
+      const contentPath = path.join(caseDir, 'evidence', sourceId, 'content.md');
+      sourceCache.set(sourceId, fs.existsSync(contentPath) ? normalizeText(fs.readFileSync(contentPath, 'utf-8')) : null);
+    }
+    return sourceCache.get(sourceId);
+  };
+
+  const summary = { quotes: 0, checked: 0, verified: 0, skippedShort: 0, errors: 0, warnings: 0 };
+  const issues = [];
+  const quotes = [];
+
+  const addIssue = (issue) => {
+    issues.push(issue);
+    if (issue.severity === 'error') summary.errors++;
+    else summary.warnings++;
+  };
+
+  for (const articlePath of articles) {
+    const file = path.relative(caseDir, articlePath);
+    const paragraphs = splitParagraphs(fs.readFileSync(articlePath, 'utf-8'));
+
+    for (const paragraph of paragraphs) {
+      for (const quote of extractQuotes(paragraph.text)) {
+        summary.quotes++;
+        const words = quote.text.replace(ids.citationRegex('g'), '').trim().split(/\s+/).filter(Boolean);
+        if (words.length < minWords) {
+          summary.skippedShort++;
+          continue;
+        }
+        summary.checked++;
+
+        const line = lineAt(paragraph, quote.start);
+        const sourceIds = coveringCitations(paragraph.text, quote);
+        const speaker = findSpeaker(paragraph.text, quote);
+        const entry = { file, line, quote: quote.text, sourceIds, speaker, status: 'VERIFIED', matchedSource: null };
+        quotes.push(entry);
+        const base = { file, line, quote: quote.text.slice(0, 240), sourceIds, speaker };
+
+        if (sourceIds.length === 0) {
+          entry.status = 'NO_CITATION';
+          addIssue({ ...base, type: 'no_citation', severity: 'error', message: 'Quote has no covering [S###] citation' });
+          continue;
+        }
+
+        const pattern = quotePattern(quote.text);
+        const available = sourceIds.filter(id => loadSource(id) !== null);
+        if (available.length === 0) {
+          entry.status = 'SOURCE_MISSING';
+          addIssue({ ...base, type: 'source_missing', severity: 'error', message: `No evidence content.md for ${sourceIds.join(', ')}` });
+          continue;
+        }
+
+        let match = null;
+        for (const id of available) {
+          const m = pattern ? loadSource(id).match(pattern) : null;
+          if (m) {
+            match = { sourceId: id, index: m.index };
+            break;
+          }
+        }
+        if (!match) {
+          entry.status = 'QUOTE_NOT_FOUND';
+          addIssue({ ...base, type: 'quote_not_found', severity: 'error', message: `Quote not found verbatim in ${available.join(', ')}` });
+          continue;
+        }
+        entry.matchedSource = match.sourceId;
+
+        if (speaker) {
+          const where = speakerInSource(loadSource(match.sourceId), speaker, match.index);
+          if (where === 'absent') {
+            entry.status = 'SPEAKER_NOT_IN_SOURCE';
+            addIssue({ ...base, type: 'speaker_not_in_source', severity: 'error', message: `Speaker "${speaker}" is not named in ${match.sourceId}` });
+            continue;
+          }
+          if (where === 'elsewhere') {
+            entry.status = 'SPEAKER_NOT_NEAR_QUOTE';
+            addIssue({ ...base, type: 'speaker_not_near_quote', severity: 'warning', message: `Speaker "${speaker}" is named in ${match.sourceId} but not near the quote` });
+            summary.verified++;
+            continue;
+          }
+        }
+        summary.verified++;
+      }
+    }
+  }
+
+  return {
+    caseDir,
+    articles: articles.map(a => path.relative(caseDir, a)),
+    summary,
+    issues,
+    quotes
+  };
+}
+
+function printUsage() {
+  console.log('audit-quotes.js - Verbatim quote verification');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node scripts/audit-quotes.js <case_dir> [--article <path>] [--min-words N] [--block] [--json]');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const caseDir = args.find((a, i) => !a.startsWith('--') && !['--article', '--min-words'].includes(args[i - 1]));
+  const jsonOutput = args.includes('--json');
+  const blockMode = args.includes('--block');
+
+  if (!caseDir) {
+    printUsage();
+    process.exit(2);
+  }
+
+  const options = {};
+  const articleIdx = args.indexOf('--article');
+  if (articleIdx !== -1 && args[articleIdx + 1]) options.article = args[articleIdx + 1];
+  const minIdx = args.indexOf('--min-words');
+  if (minIdx !== -1) {
+    options.minWords = parseInt(args[minIdx + 1], 10);
+    if (!Number.isInteger(options.minWords) || options.minWords < 1) {
+      console.error('--min-words must be a positive integer');
+      process.exit(2);
+    }
+  }
+
+  const res = auditQuotes(caseDir, options);
+  if (res.error) {
+    if (jsonOutput) console.log(JSON.stringify(res, null, 2));
+    else console.error(res.message);
+    process.exit(2);
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(res, null, 2));
+  } else {
+    console.log('='.repeat(70));
+    console.log('QUOTE VERIFICATION AUDIT');
+    console.log('='.repeat(70));
+    console.log(`Articles: ${res.articles.join(', ')}`);
+    console.log(`Quoted spans: ${res.summary.quotes} (checked: ${res.summary.checked}, short/skipped: ${res.summary.skippedShort})`);
+    console.log(`Verified verbatim: ${res.summary.verified}`);
+    console.log(`Errors: ${res.summary.errors}  Warnings: ${res.summary.warnings}`);
+
+    if (res.issues.length > 0) {
+      console.log('\n--- QUOTE ISSUES ---');
+      for (const issue of res.issues.slice(0, 50)) {
+        const cited = issue.sourceIds.length ? ` [${issue.sourceIds.join(', ')}]` : '';
+        console.log(`\n  ${issue.file}:${issue.line} (${issue.severity}) ${issue.type}${cited}`);
+        console.log(`    "${issue.quote}"`);
+        console.log(`    ${issue.message}`);
+      }
+      if (res.issues.length > 50) console.log(`\n  ...and ${res.issues.length - 50} more`);
+    }
+
+    console.log('\n' + '='.repeat(70));
+  }
+
+  if (blockMode && res.summary.errors > 0) process.exit(1);
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  auditQuotes,
+  extractQuotes,
+  coveringCitations,
+  quotePattern,
+  findSpeaker,
+  normalizeText
+};
@@ -28,6 +28,7 @@
 const fs = require('fs');
 const path = require('path');
 const { normalizeUrl } = require('./osint-save');
+const ids = require('./ids');
 
 /**
  * Content quality patterns that indicate low-value or problematic content
@@ -135,8 +136,8 @@ function getEvidenceDirectories(caseDir) {
   }
 
   return fs.readdirSync(evidenceDir)
-    .filter(name => name.match(/^S\d{3}$/))
-    .sort();
+    .filter(ids.isSourceId)
+    .sort(ids.compareIds);
 }
 
 /**
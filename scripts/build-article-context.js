@@ -5,13 +5,15 @@
  * The article-writing model benefits from having one large, structured input file.
  * This script builds an "article context bundle" by concatenating:
  * - refined_prompt.md / strategic_context.md / investigation_plan.md / custom_questions.md
- * - canonical findings (findings/F###.md in manifest order)
+ * - canonical findings (findings/F###.md in manifest order, current versions only)
  * - optionally: all framework question files (questions/*.md)
+ * - optionally: the investigation graph as a Mermaid diagram (lead-graph.js)
  *
  * Usage:
  *   node scripts/build-article-context.js <case_dir>
  *   node scripts/build-article-context.js <case_dir> --output <file>
  *   node scripts/build-article-context.js <case_dir> --no-questions
+ *   node scripts/build-article-context.js <case_dir> --lead-graph
  *   node scripts/build-article-context.js <case_dir> --block   (fail if findings hygiene fails)
  */
 
@@ -20,6 +22,10 @@
 const fs = require('fs');
 const path = require('path');
 const { auditFindings } = require('./audit-findings');
+const ids = require('./ids');
+const { parseFinding } = require('./findings');
+const { assemblyOrder } = require('./finding-chain');
+const { buildGraph, toMermaid } = require('./lead-graph');
 
 function readIfExists(filePath) {
   if (!fs.existsSync(filePath)) return null;
@@ -41,83 +47,31 @@ function extractMarkdownSection(text, headingRegex) {
   return m ? m[0].trim() : null;
 }
 
-function parseFindingFrontmatter(fileText) {
-  const match = fileText.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (!match) return { metadata: {}, body: fileText.trim() };
-
-  const frontmatter = match[1];
-  const body = match[2];
-  const metadata = {};
-
-  for (const line of frontmatter.split('\n')) {
-    const [key, ...rest] = line.split(':');
-    if (!key || rest.length === 0) continue;
-    const rawValue = rest.join(':').trim();
-    if (rawValue.startsWith('[') && rawValue.endsWith(']')) {
-      try {
-        metadata[key.trim()] = JSON.parse(rawValue);
-      } catch {
-        metadata[key.trim()] = rawValue;
-      }
-    } else {
-      metadata[key.trim()] = rawValue;
-    }
-  }
-
-  return { metadata, body: body.trim() };
-}
-
 function loadCanonicalFindings(caseDir) {
   const findingsDir = path.join(caseDir, 'findings');
-  const manifestPath = path.join(findingsDir, 'manifest.json');
-
-  let assemblyOrder = [];
-  if (fs.existsSync(manifestPath)) {
-    try {
-      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
-      assemblyOrder = Array.isArray(manifest.assembly_order) ? manifest.assembly_order : [];
-    } catch {
-      // ignore; fall back to filename sort
-    }
-  }
-
-  const allCanonical = fs.existsSync(findingsDir)
-    ? fs.readdirSync(findingsDir).filter(f => /^F\d{3}\.md$/.test(f)).map(f => f.replace('.md', '')).sort()
-    : [];
-
-  const ordered = [
-    ...assemblyOrder.filter(id => /^F\d{3}$/.test(id)),
-    ...allCanonical.filter(id => !assemblyOrder.includes(id))
-  ];
 
   const out = [];
   const citedSourceIds = new Set();
-  for (const id of ordered) {
-    const p = path.join(findingsDir, `${id}.md`);
-    if (!fs.existsSync(p)) continue;
-    const raw = fs.readFileSync(p, 'utf-8');
-    const { metadata, body } = parseFindingFrontmatter(raw);
-    if (metadata.status === 'stale' || metadata.status === 'superseded') continue;
+  // Current chain heads only, in manifest order (finding-chain.js)
+  for (const id of assemblyOrder(findingsDir)) {
+    const raw = fs.readFileSync(path.join(findingsDir, `${id}.md`), 'utf-8');
+    const { metadata, content: body } = parseFinding(raw);
 
     // Prefer frontmatter `sources: [...]` but also scan body for [S###] mentions.
     const fmSources = metadata.sources;
     if (Array.isArray(fmSources)) {
       for (const s of fmSources) {
-        if (typeof s === 'string' && /^S\d{3}$/.test(s)) citedSourceIds.add(s);
+        if (ids.isSourceId(s)) citedSourceIds.add(s);
       }
     }
-    const citedInBody = body.match(/\[S\d{3}\]/g) || [];
-    for (const tag of citedInBody) {
-      const sid = tag.slice(1, -1);
-      if (/^S\d{3}$/.test(sid)) citedSourceIds.add(sid);
-    }
+    for (const sid of ids.extractSourceIds(body)) citedSourceIds.add(sid);
 
     out.push(`### ${id}: ${metadata.title || ''}`.trim());
     out.push(body);
     out.push('');
   }
 
-  return { markdown: out.join('\n'), citedSourceIds: [...citedSourceIds].sort() };
+  return { markdown: out.join('\n'), citedSourceIds: [...citedSourceIds].sort(ids.compareIds) };
 }
 
 function loadQuestions(caseDir) {
@@ -137,7 +91,7 @@ function loadQuestions(caseDir) {
 }
 
 function buildBundle(caseDir, options = {}) {
-  const { includeQuestions = true } = options;
+  const { includeQuestions = true, includeLeadGraph = false } = options;
 
   const parts = [];
   const assembled = loadCanonicalFindings(caseDir);
@@ -228,6 +182,19 @@ function buildBundle(caseDir, options = {}) {
     parts.push('');
   }
 
+  if (includeLeadGraph) {
+    const graph = buildGraph(caseDir);
+    if (graph.nodes.some(n => n.kind === 'lead')) {
+      parts.push('## Investigation Graph (NOT EVIDENCE)');
+      parts.push('Lead tree with the sources and findings each lead produced. Use it for structure, not as a source of facts.');
+      parts.push('');
+      parts.push('```mermaid');
+      parts.push(toMermaid(graph).trimEnd());
+      parts.push('```');
+      parts.push('');
+    }
+  }
+
   if (includeQuestions) {
     const q = loadQuestions(caseDir);
     if (q) {
@@ -244,7 +211,7 @@ function printUsage() {
   console.log('build-article-context.js - Bundle case context for article generation');
   console.log('');
   console.log('Usage:');
-  console.log('  node scripts/build-article-context.js <case_dir> [--output <file>] [--no-questions] [--block]');
+  console.log('  node scripts/build-article-context.js <case_dir> [--output <file>] [--no-questions] [--lead-graph] [--block]');
 }
 
 function main() {
@@ -285,7 +252,7 @@ function main() {
   const outIdx = args.indexOf('--output');
   if (outIdx !== -1 && args[outIdx + 1]) outputPath = args[outIdx + 1];
 
-  const bundle = buildBundle(caseDir, { includeQuestions });
+  const bundle = buildBundle(caseDir, { includeQuestions, includeLeadGraph: args.includes('--lead-graph') });
 
   if (outputPath) {
     const resolved = path.isAbsolute(outputPath) ? outputPath : path.join(process.cwd(), outputPath);
@@ -11,6 +11,15 @@
  *   --batch         Enable batch mode for parallel lead processing
  *   --batch-size N  Number of leads per batch (default: 4)
  *
+ * Pending leads are taken in score order (lead-scoring.js; weights from the
+ * `scoring` block of leads.json), in both sequential and batch mode. Leads
+ * whose `blocked_by` leads are not yet investigated/dead_end are skipped
+ * (lead-deps.js).
+ *
+ * Before deciding, pending leads that have used up their time or capture
+ * budget are deferred to future_research.md (lead-budget.js); the signal lists
+ * each overrun.
+ *
  * Output format:
  * ═══════════════════════════════════════════════════════
  * ORCHESTRATOR SIGNAL
@@ -26,6 +35,10 @@ const fs = require('fs');
 const path = require('path');
 
 const { deriveAllGates } = require('./gates');
+const leadScoring = require('./lead-scoring');
+const leadDeps = require('./lead-deps');
+const leadBudget = require('./lead-budget');
+const { enforceBudgets } = require('./leads-lock');
 
 function findCasePath(providedPath) {
   // If path provided, use it
@@ -67,34 +80,42 @@ function loadLeads(casePath) {
   return JSON.parse(fs.readFileSync(leadsPath, 'utf-8'));
 }
 
-function getNextPendingLead(leads) {
-  // Priority order: HIGH first, then MEDIUM
-  const priorityOrder = { 'HIGH': 0, 'MEDIUM': 1, 'LOW': 2 };
-
-  const pendingLeads = leads
-    .filter(l => l.status === 'pending')
-    .sort((a, b) => {
-      const aPriority = priorityOrder[a.priority] ?? 3;
-      const bPriority = priorityOrder[b.priority] ?? 3;
-      return aPriority - bPriority;
-    });
+/**
+ * Rank leads by score (see lead-scoring.js), best first
+ * @param {Array} candidates - Leads to rank
+ * @param {object} leadsData - Full leads.json (scoring config, parents)
+ * @param {string} casePath - Case directory (findings/sources context)
+ * @returns {Array} [{ lead, score, factors }]
+ */
+function rankLeads(candidates, leadsData, casePath) {
+  return leadScoring.scoreLeads(candidates, leadsData, leadScoring.loadScoringContext(casePath));
+}
 
-  return pendingLeads.length > 0 ? pendingLeads[0] : null;
+function getNextPendingLead(leadsData, casePath) {
+  const byId = leadDeps.indexLeads(leadsData.leads);
+  const pendingLeads = (leadsData.leads || [])
+    .filter(l => l.status === 'pending' && leadDeps.isUnblocked(l, byId));
+  if (pendingLeads.length === 0) return null;
+  const best = rankLeads(pendingLeads, leadsData, casePath)[0];
+  return { ...best.lead, score: best.score };
 }
 
 /**
- * Get a batch of pending leads for parallel processing
- * @param {Array} leads - All leads
+ * Get a batch of the top-scoring pending leads for parallel processing
+ * @param {object} leadsData - Full leads.json
  * @param {number} batchSize - Number of leads to select
- * @returns {Array} Selected leads
+ * @param {string} casePath - Case directory
+ * @returns {Array} Selected leads (with `score`)
  */
-function getBatchOfPendingLeads(leads, batchSize = 4) {
-  const priorityOrder = { 'HIGH': 0, 'MEDIUM': 1, 'LOW': 2 };
+function getBatchOfPendingLeads(leadsData, batchSize, casePath) {
   const STALE_THRESHOLD_MS = 30 * 60 * 1000; // 30 minutes
+  const leads = leadsData.leads || [];
+  const byId = leadDeps.indexLeads(leads);
 
-  // Filter to pending, unclaimed leads
+  // Filter to pending, unclaimed, unblocked leads
   const available = leads.filter(l => {
     if (l.status !== 'pending') return false;
+    if (!leadDeps.isUnblocked(l, byId)) return false;
     // Skip if claimed and not stale
     if (l.claimed_by && l.claimed_at) {
       const claimTime = new Date(l.claimed_at).getTime();
@@ -103,19 +124,54 @@ function getBatchOfPendingLeads(leads, batchSize = 4) {
     return true;
   });
 
-  // Sort by priority (HIGH first), then depth (shallower first)
-  available.sort((a, b) => {
-    const aPriority = priorityOrder[a.priority] ?? 3;
-    const bPriority = priorityOrder[b.priority] ?? 3;
-    if (aPriority !== bPriority) return aPriority - bPriority;
-    return (a.depth || 0) - (b.depth || 0);
-  });
+  return rankLeads(available, leadsData, casePath)
+    .slice(0, batchSize)
+    .map(r => ({ ...r.lead, score: r.score }));
+}
 
-  return available.slice(0, batchSize);
+/**
+ * Signal for pending leads that can never be scheduled: every pending lead
+ * waits on a blocker, so the dependencies form a cycle or name missing leads.
+ * Returns null when some pending lead is unblocked (possibly claimed elsewhere).
+ */
+function deadlockedLeadsSignal(leadsData, leadCounts) {
+  const leads = leadsData.leads || [];
+  const byId = leadDeps.indexLeads(leads);
+  const pending = leads.filter(l => l.status === 'pending');
+  if (pending.length === 0 || pending.some(l => leadDeps.isUnblocked(l, byId))) return null;
+
+  const report = leadDeps.dependencyReport(leads);
+  const problems = [
+    ...report.cycles.map(c => `cycle ${c.join(' -> ')}`),
+    ...report.missing.map(m => `${m.id} waits on missing ${m.missing.join(', ')}`)
+  ];
+  return {
+    status: 'CONTINUE',
+    next: 'ERROR: All pending leads are blocked',
+    reason: `Fix blocked_by with leads-lock.js remove-dep: ${problems.join('; ') || 'unresolvable dependencies'}`,
+    leadInfo: {
+      pending: leadCounts.pending,
+      investigated: leadCounts.investigated,
+      dead_end: leadCounts.dead_end,
+      total: leadCounts.total
+    },
+    error: true,
+    blockedLeads: report.blocked
+  };
+}
+
+/**
+ * Defer over-budget leads (leads-lock.js enforce-budgets) and return the
+ * overrun checks for the signal. A lock timeout is reported, not fatal.
+ */
+function enforceLeadBudgets(casePath) {
+  if (!fs.existsSync(path.join(casePath, 'leads.json'))) return { deferred: [] };
+  const result = enforceBudgets(casePath);
+  return result.success ? { deferred: result.deferred } : { deferred: [], error: result.error };
 }
 
 function countLeadsByStatus(leads) {
-  const counts = { pending: 0, investigated: 0, dead_end: 0, total: leads.length };
+  const counts = { pending: 0, investigated: 0, dead_end: 0, deferred: 0, total: leads.length };
   leads.forEach(l => {
     if (counts[l.status] !== undefined) {
       counts[l.status]++;
@@ -193,7 +249,7 @@ function determineNextAction(state, casePath, options = {}) {
       // Check for pending leads - MUST pursue ALL before reconcile/curiosity
       if (batchMode) {
         // Batch mode: select multiple leads for parallel processing
-        const batchLeads = getBatchOfPendingLeads(leads, batchSize);
+        const batchLeads = getBatchOfPendingLeads(leadsData, batchSize, casePath);
 
         if (batchLeads.length > 1) {
           // Multiple leads available - recommend batch processing
@@ -211,7 +267,7 @@ function determineNextAction(state, casePath, options = {}) {
             },
             batchRecommendation: {
               size: batchLeads.length,
-              leads: batchLeads.map(l => ({ id: l.id, priority: l.priority, lead: l.lead }))
+              leads: batchLeads.map(l => ({ id: l.id, priority: l.priority, score: l.score, lead: l.lead }))
             }
           };
         } else if (batchLeads.length === 1) {
@@ -232,7 +288,7 @@ function determineNextAction(state, casePath, options = {}) {
         // Fall through to reconcile if no pending leads
       } else {
         // Sequential mode: process one lead at a time
-        const nextLead = getNextPendingLead(leads);
+        const nextLead = getNextPendingLead(leadsData, casePath);
 
         if (nextLead) {
           // There are pending leads - MUST follow them
@@ -251,6 +307,9 @@ function determineNextAction(state, casePath, options = {}) {
         }
       }
 
+      const deadlocked = deadlockedLeadsSignal(leadsData, leadCounts);
+      if (deadlocked) return deadlocked;
+
       // All leads are terminal - first reconcile lead results with summary
       if (!gates.reconciliation) {
         return {
@@ -295,7 +354,7 @@ function determineNextAction(state, casePath, options = {}) {
 
       // If there are pending leads, treat like FOLLOW phase lead pursuit.
       if (batchMode) {
-        const batchLeads = getBatchOfPendingLeads(leads, batchSize);
+        const batchLeads = getBatchOfPendingLeads(leadsData, batchSize, casePath);
         if (batchLeads.length > 1) {
           const leadIds = batchLeads.map(l => l.id).join(' ');
           return {
@@ -311,7 +370,7 @@ function determineNextAction(state, casePath, options = {}) {
             },
             batchRecommendation: {
               size: batchLeads.length,
-              leads: batchLeads.map(l => ({ id: l.id, priority: l.priority, lead: l.lead }))
+              leads: batchLeads.map(l => ({ id: l.id, priority: l.priority, score: l.score, lead: l.lead }))
             }
           };
         }
@@ -330,7 +389,7 @@ function determineNextAction(state, casePath, options = {}) {
           };
         }
       } else {
-        const nextLead = getNextPendingLead(leads);
+        const nextLead = getNextPendingLead(leadsData, casePath);
         if (nextLead) {
           return {
             status: 'CONTINUE',
@@ -347,6 +406,9 @@ function determineNextAction(state, casePath, options = {}) {
         }
       }
 
+      const revisionDeadlock = deadlockedLeadsSignal(leadsData, leadCounts);
+      if (revisionDeadlock) return revisionDeadlock;
+
       // No pending leads: reconcile, then curiosity, then rewrite.
       if (!gates.reconciliation) {
         return {
@@ -545,6 +607,9 @@ function main() {
   const statePath = path.join(casePath, 'state.json');
   const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
 
+  // Defer over-budget leads first so neither the gates nor the next action see them as pending
+  const budgets = enforceLeadBudgets(casePath);
+
   // Derive gates from artifacts + deterministic checks to prevent self-reported gate passage.
   const derived = deriveAllGates(casePath, { strict: options.strict });
   const stateWithDerivedGates = { ...state, gates: derived.gates };
@@ -573,17 +638,32 @@ function main() {
     }
   }
 
+  // Budget overruns deferred by this run
+  if (budgets.deferred.length > 0 || budgets.error) {
+    console.log('───────────────────────────────────────────────────────');
+    if (budgets.error) {
+      console.log(`Budget check skipped: ${budgets.error}`);
+    } else {
+      console.log(`Budget overruns: ${budgets.deferred.length} lead(s) deferred to future_research.md`);
+      budgets.deferred.forEach(check => {
+        console.log(`  - ${check.lead_id}: ${leadBudget.describeOverrun(check)}`);
+      });
+    }
+  }
+
   // Show lead status in FOLLOW phase
   if (result.leadInfo) {
     console.log('───────────────────────────────────────────────────────');
-    console.log(`Leads: ${result.leadInfo.pending} pending, ${result.leadInfo.investigated} investigated, ${result.leadInfo.dead_end} dead_end`);
+    const deferred = countLeadsByStatus(loadLeads(casePath).leads || []).deferred;
+    console.log(`Leads: ${result.leadInfo.pending} pending, ${result.leadInfo.investigated} investigated, ${result.leadInfo.dead_end} dead_end` +
+      (deferred > 0 ? `, ${deferred} deferred` : ''));
 
     // Show batch recommendation if available
     if (result.batchRecommendation) {
       console.log(`Batch: ${result.batchRecommendation.size} leads selected for parallel processing`);
       result.batchRecommendation.leads.forEach(l => {
         const leadText = l.lead.length > 50 ? l.lead.substring(0, 50) + '...' : l.lead;
-        console.log(`  - ${l.id} [${l.priority}]: ${leadText}`);
+        console.log(`  - ${l.id} [${l.priority}, score ${l.score}]: ${leadText}`);
       });
     }
   }
@@ -9,25 +9,35 @@
  *   node scripts/check-summary-claims.js cases/case-id/
  *   node scripts/check-summary-claims.js cases/case-id/ --verbose
  *   node scripts/check-summary-claims.js cases/case-id/ --fix-suggestions
+ *   node scripts/check-summary-claims.js cases/case-id/ --as-of 2026-03-01
  *
  * Checks:
  * 1. All cited sources have captured: true
- * 2. Lead results don't contradict finding claims
+ * 2. Lead results don't contradict finding claims (structured results are
+ *    compared claim by claim, see lead-result.js; free text by keywords)
  * 3. Statistics in findings appear in cited source
  * 4. Investigated leads with specific results have sources
+ * 5. Dated claims in findings and articles/*.md are not cited to sources
+ *    published before the period they describe (see claims/temporal-check.js).
+ *    "last year" / "this year" resolve against --as-of (default: today).
  */
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('./ids');
+const { loadSourceDates, findAnachronisms } = require('./claims/temporal-check');
+const leadResult = require('./lead-result');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const casePath = args.find(a => !a.startsWith('--'));
 const verbose = args.includes('--verbose');
 const fixSuggestions = args.includes('--fix-suggestions');
+const asOfIdx = args.indexOf('--as-of');
+const asOf = asOfIdx !== -1 ? new Date(`${args[asOfIdx + 1]}T00:00:00`) : new Date();
+const casePath = args.find((a, i) => !a.startsWith('--') && args[i - 1] !== '--as-of');
 
-if (!casePath) {
-    console.error('Usage: node scripts/check-summary-claims.js <case-path> [--verbose] [--fix-suggestions]');
+if (!casePath || Number.isNaN(asOf.getTime())) {
+    console.error('Usage: node scripts/check-summary-claims.js <case-path> [--verbose] [--fix-suggestions] [--as-of YYYY-MM-DD]');
     process.exit(1);
 }
 
@@ -35,6 +45,7 @@ const findingsDir = path.join(casePath, 'findings');
 const sourcesPath = path.join(casePath, 'sources.json');
 const leadsPath = path.join(casePath, 'leads.json');
 const evidencePath = path.join(casePath, 'evidence');
+const articlesDir = path.join(casePath, 'articles');
 
 // Results tracking
 const issues = {
@@ -42,7 +53,8 @@ const issues = {
     leadContradictions: [],
     leadsMissingSources: [],
     citationProblems: [],
-    temporalMissing: []
+    temporalMissing: [],
+    temporalAnachronisms: []
 };
 
 // Load files
@@ -58,11 +70,11 @@ function loadFile(filePath, type = 'text') {
 
 // Extract all [S###] citations from text
 function extractCitations(text) {
-    const pattern = /\[S(\d{3})\]/g;
+    const pattern = ids.bareCitationRegex('g');
     const citations = new Set();
     let match;
     while ((match = pattern.exec(text)) !== null) {
-        citations.add(`S${match[1]}`);
+        citations.add(match[1]);
     }
     return Array.from(citations);
 }
@@ -142,9 +154,33 @@ function checkSourceCapture(summary, sources) {
 function checkLeadContradictions(findings, leads) {
     const findingsLower = findings.toLowerCase();
 
+    // Structured results: exact claim comparison
+    const comparison = leadResult.compareClaimsToFindings(leads.leads, leadResult.loadFindingSentences(casePath));
+    for (const c of comparison.contradictions) {
+        issues.leadContradictions.push({
+            leadId: c.leadId,
+            lead: leads.leads.find(l => l.id === c.leadId).lead,
+            result: `${c.finding}: ${c.sentence}`,
+            type: c.verdict,
+            severity: 'HIGH',
+            suggestion: `Remove or correct "${c.claim}" in ${c.finding} - lead found it ${c.verdict}`
+        });
+    }
+    for (const m of comparison.citationMismatches) {
+        issues.leadContradictions.push({
+            leadId: m.leadId,
+            lead: leads.leads.find(l => l.id === m.leadId).lead,
+            result: `${m.finding}: ${m.sentence}`,
+            type: 'cited_differently',
+            severity: 'MEDIUM',
+            suggestion: `Cite ${m.claimSources.join(', ')} for "${m.claim}" in ${m.finding}`
+        });
+    }
+
+    // Free-text results: keyword heuristics
     for (const lead of leads.leads) {
         if (lead.status !== 'dead_end' && lead.status !== 'investigated') continue;
-        if (!lead.result) continue;
+        if (!lead.result || leadResult.isStructuredResult(lead.result)) continue;
 
         const resultLower = lead.result.toLowerCase();
 
@@ -181,20 +217,21 @@ function checkLeadSources(leads) {
     for (const lead of leads.leads) {
         if (lead.status !== 'investigated') continue;
         if (!lead.result) continue;
+        const resultText = leadResult.resultText(lead.result);
 
         // Check if result contains specific numbers
-        const hasStatistics = /\d+(?:,\d{3})*(?:\.\d+)?/.test(lead.result);
-        const hasDollarAmount = /\$\d/.test(lead.result);
-        const hasPercentage = /\d+%/.test(lead.result);
+        const hasStatistics = /\d+(?:,\d{3})*(?:\.\d+)?/.test(resultText);
+        const hasDollarAmount = /\$\d/.test(resultText);
+        const hasPercentage = /\d+%/.test(resultText);
 
         const hasSpecificClaims = hasStatistics || hasDollarAmount || hasPercentage;
-        const hasSources = lead.sources && lead.sources.length > 0;
+        const hasSources = (lead.sources && lead.sources.length > 0) || leadResult.resultSources(lead.result).length > 0;
 
         if (hasSpecificClaims && !hasSources) {
             issues.leadsMissingSources.push({
                 leadId: lead.id,
                 lead: lead.lead,
-                result: lead.result.substring(0, 200) + (lead.result.length > 200 ? '...' : ''),
+                result: resultText.substring(0, 200) + (resultText.length > 200 ? '...' : ''),
                 severity: 'HIGH',
                 suggestion: 'Lead result contains specific claims but has no captured sources'
             });
@@ -202,14 +239,15 @@ function checkLeadSources(leads) {
     }
 }
 
-// Check 4: Check for temporal context (dated evidence without dates)
-function checkTemporalContext(findings) {
+// Check 4: Check for temporal context (dated evidence without dates, and
+// dated claims cited to sources published before the period they describe)
+function checkTemporalContext(findings, sourceDates = {}, label = 'findings') {
     // Look for statistics that might be time-sensitive
     const timeSensitivePatterns = [
         /(\d+%)\s+of\s+(?:Americans|voters|workers|people)/gi,
         /poll(?:ing|s)?\s+(?:show|found|indicate)/gi,
         /survey(?:s)?\s+(?:show|found|indicate)/gi,
-        /(?:Pew|Gallup|poll)\s+.*?\[S\d{3}\]/gi
+        new RegExp(`(?:Pew|Gallup|poll)\\s+.*?\\[${ids.idPatternSource(ids.PREFIX.source)}\\]`, 'gi')
     ];
 
     for (const pattern of timeSensitivePatterns) {
@@ -222,6 +260,7 @@ function checkTemporalContext(findings) {
 
             if (!hasDate) {
                 issues.temporalMissing.push({
+                    file: label,
                     match: match[0],
                     context: context.trim(),
                     severity: 'MEDIUM',
@@ -230,6 +269,11 @@ function checkTemporalContext(findings) {
             }
         }
     }
+
+    const { issues: anachronisms } = findAnachronisms(findings, sourceDates, { asOf });
+    for (const issue of anachronisms) {
+        issues.temporalAnachronisms.push({ file: label, ...issue });
+    }
 }
 
 // Load all findings as a single string
@@ -238,8 +282,8 @@ function loadFindings(findingsDir) {
         return null;
     }
     const files = fs.readdirSync(findingsDir)
-        .filter(f => f.match(/^F\d{3}\.md$/))
-        .sort();
+        .filter(ids.isFindingFile)
+        .sort(ids.compareIds);
 
     if (files.length === 0) return null;
 
@@ -250,6 +294,15 @@ function loadFindings(findingsDir) {
     return content;
 }
 
+// Load articles/*.md keyed by relative path
+function loadArticles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.md'))
+        .sort()
+        .map(f => ({ label: `articles/${f}`, text: fs.readFileSync(path.join(dir, f), 'utf8') }));
+}
+
 // Main execution
 function main() {
     console.log('='.repeat(70));
@@ -274,7 +327,11 @@ function main() {
     checkSourceCapture(findings, sources);
     checkLeadContradictions(findings, leads);
     checkLeadSources(leads);
-    checkTemporalContext(findings);
+    const sourceDates = loadSourceDates(casePath);
+    checkTemporalContext(findings, sourceDates, 'findings');
+    for (const article of loadArticles(articlesDir)) {
+        checkTemporalContext(article.text, sourceDates, article.label);
+    }
 
     // Report results
     let totalIssues = 0;
@@ -302,7 +359,7 @@ function main() {
         for (const issue of issues.leadContradictions) {
             console.log(`\n  [${issue.severity}] ${issue.leadId}: ${issue.lead}`);
             console.log(`    Result: ${issue.result.substring(0, 150)}...`);
-            console.log(`    Issue: Lead result suggests ${issue.type}`);
+            console.log(`    Issue: ${issue.type === 'cited_differently' ? 'Finding cites a confirmed claim to other sources' : `Lead result suggests ${issue.type}`}`);
             if (fixSuggestions) console.log(`    Suggestion: ${issue.suggestion}`);
             totalIssues++;
             if (issue.severity === 'CRITICAL' || issue.severity === 'HIGH') criticalIssues++;
@@ -329,13 +386,30 @@ function main() {
         console.log('4. MISSING TEMPORAL CONTEXT');
         console.log('─'.repeat(70));
         for (const issue of issues.temporalMissing) {
-            console.log(`\n  [${issue.severity}] ${issue.match}`);
+            console.log(`\n  [${issue.severity}] ${issue.file}: ${issue.match}`);
             if (verbose) console.log(`    Context: ...${issue.context}...`);
             if (fixSuggestions) console.log(`    Suggestion: ${issue.suggestion}`);
             totalIssues++;
         }
     }
 
+    // Temporal Anachronisms
+    if (issues.temporalAnachronisms.length > 0) {
+        const undated = Object.entries(sourceDates).filter(([, d]) => !d.published).length;
+        console.log('\n' + '─'.repeat(70));
+        console.log('5. TEMPORAL ANACHRONISMS (claim dated after its cited source)');
+        console.log('─'.repeat(70));
+        console.log(`  As of: ${asOf.toISOString().slice(0, 10)}  (sources without a declared date: ${undated})`);
+        for (const issue of issues.temporalAnachronisms) {
+            console.log(`\n  [${issue.severity}] ${issue.file}:${issue.line} ${issue.type}`);
+            console.log(`    ${issue.message}`);
+            if (verbose) console.log(`    Claim: ${issue.sentence}`);
+            if (fixSuggestions) console.log(`    Suggestion: ${issue.suggestion}`);
+            totalIssues++;
+            if (issue.severity === 'HIGH') criticalIssues++;
+        }
+    }
+
     // Summary
     console.log('\n' + '='.repeat(70));
     console.log('SUMMARY');
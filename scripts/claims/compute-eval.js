@@ -0,0 +1,268 @@
+/**
+ * compute-eval.js - Sandboxed arithmetic evaluator for computational fact-checks
+ *
+ * Evaluates a small expression language locally instead of running
+ * LLM-written Python in an external sandbox:
+ *
+ *   pct_change(v2020, v2024)            -> 47
+ *   cagr(start, end, 4)                 -> compound annual growth, in percent
+ *   sum(a, b, c) / 3
+ *   convert(miles, "mi", "km")
+ *   budget / million
+ *
+ * Grammar: numbers, variables (taken from raw_data), + - * / ^, unary minus,
+ * parentheses, whitelisted function calls and double-quoted unit names.
+ * There is no property access, indexing, assignment or string building: the
+ * expression is parsed into an AST, rejected on anything else, then compiled
+ * and run in a fresh `vm` context that only holds the whitelisted functions
+ * and the variables (no require, process, timers or I/O; code generation
+ * from strings is disabled and evaluation is time-limited).
+ */
+
+'use strict';
+
+const vm = require('vm');
+
+const EVAL_TIMEOUT_MS = 50;
+const MAX_EXPRESSION_LENGTH = 2000;
+
+const CONSTANTS = {
+  thousand: 1e3,
+  million: 1e6,
+  billion: 1e9,
+  trillion: 1e12
+};
+
+// Unit factors relative to the first unit of each family
+const UNITS = {
+  length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, ft: 0.3048, in: 0.0254, yd: 0.9144 },
+  mass: { kg: 1, g: 0.001, mg: 1e-6, t: 1000, lb: 0.45359237, oz: 0.028349523125 },
+  area: { m2: 1, km2: 1e6, ha: 1e4, acre: 4046.8564224, sqmi: 2589988.110336, sqft: 0.09290304 },
+  volume: { l: 1, ml: 0.001, m3: 1000, gal: 3.785411784, bbl: 158.987294928 },
+  time: { s: 1, min: 60, h: 3600, day: 86400, week: 604800, month: 2629800, year: 31557600 },
+  count: { one: 1, thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 }
+};
+const TEMPERATURE_UNITS = ['c', 'f', 'k'];
+
+class ComputeEvalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ComputeEvalError';
+  }
+}
+
+function numbers(args, name) {
+  const flat = args.flat();
+  if (flat.length === 0) throw new ComputeEvalError(`${name}() needs at least one value`);
+  return flat;
+}
+
+function convertTemperature(value, from, to) {
+  const kelvin = from === 'k' ? value : from === 'c' ? value + 273.15 : (value - 32) * 5 / 9 + 273.15;
+  if (to === 'k') return kelvin;
+  if (to === 'c') return kelvin - 273.15;
+  return (kelvin - 273.15) * 9 / 5 + 32;
+}
+
+function convert(value, from, to) {
+  const f = String(from).toLowerCase();
+  const t = String(to).toLowerCase();
+  if (TEMPERATURE_UNITS.includes(f) && TEMPERATURE_UNITS.includes(t)) return convertTemperature(value, f, t);
+  for (const family of Object.values(UNITS)) {
+    if (f in family && t in family) return value * family[f] / family[t];
+  }
+  throw new ComputeEvalError(`Cannot convert "${from}" to "${to}"`);
+}
+
+const FUNCTIONS = {
+  pct_change: (from, to) => (to - from) / from * 100,
+  pct: (part, whole) => part / whole * 100,
+  pp_change: (from, to) => to - from,
+  ratio: (a, b) => a / b,
+  cagr: (start, end, years) => (Math.pow(end / start, 1 / years) - 1) * 100,
+  sum: (...xs) => numbers(xs, 'sum').reduce((s, x) => s + x, 0),
+  mean: (...xs) => { const v = numbers(xs, 'mean'); return v.reduce((s, x) => s + x, 0) / v.length; },
+  median: (...xs) => {
+    const v = numbers(xs, 'median').slice().sort((a, b) => a - b);
+    const mid = Math.floor(v.length / 2);
+    return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  },
+  min: (...xs) => Math.min(...numbers(xs, 'min')),
+  max: (...xs) => Math.max(...numbers(xs, 'max')),
+  abs: x => Math.abs(x),
+  round: (x, digits = 0) => { const f = Math.pow(10, digits); return Math.round(x * f) / f; },
+  sqrt: x => Math.sqrt(x),
+  pow: (x, y) => Math.pow(x, y),
+  log: x => Math.log(x),
+  log10: x => Math.log10(x),
+  convert
+};
+
+function tokenize(expr) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|"([A-Za-z0-9_ %$\/.-]*)"|([-+*/^(),]))/y;
+  let pos = 0;
+  while (pos < expr.length) {
+    if (/^\s*$/.test(expr.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(expr);
+    if (!m) throw new ComputeEvalError(`Unexpected character at ${pos}: "${expr.slice(pos, pos + 10)}"`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'ident', value: m[2] });
+    else if (m[3] !== undefined) tokens.push({ type: 'str', value: m[3] });
+    else tokens.push({ type: 'op', value: m[4] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parse into an AST. Precedence: unary minus < ^ (right-assoc) < * / < + -.
+ */
+function parse(expr, variables) {
+  const tokens = tokenize(expr);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = v => peek() && peek().type === 'op' && peek().value === v;
+  const expect = v => {
+    if (!isOp(v)) throw new ComputeEvalError(`Expected "${v}"`);
+    i++;
+  };
+
+  function primary() {
+    const tok = tokens[i++];
+    if (!tok) throw new ComputeEvalError('Unexpected end of expression');
+    if (tok.type === 'num') return { type: 'num', value: tok.value };
+    if (tok.type === 'str') return { type: 'str', value: tok.value };
+    if (tok.type === 'op' && tok.value === '(') {
+      const inner = additive();
+      expect(')');
+      return inner;
+    }
+    if (tok.type === 'ident') {
+      if (isOp('(')) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, tok.value)) {
+          throw new ComputeEvalError(`Unknown function "${tok.value}"`);
+        }
+        i++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(additive());
+          while (isOp(',')) { i++; args.push(additive()); }
+        }
+        expect(')');
+        return { type: 'call', name: tok.value, args };
+      }
+      if (Object.prototype.hasOwnProperty.call(variables, tok.value)) return { type: 'var', name: tok.value };
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, tok.value)) return { type: 'num', value: CONSTANTS[tok.value] };
+      throw new ComputeEvalError(`Unknown variable "${tok.value}"`);
+    }
+    throw new ComputeEvalError(`Unexpected "${tok.value}"`);
+  }
+
+  function unary() {
+    if (isOp('-')) { i++; return { type: 'neg', arg: unary() }; }
+    if (isOp('+')) { i++; return unary(); }
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    if (isOp('^')) { i++; return { type: 'bin', op: '**', left: base, right: unary() }; }
+    return base;
+  }
+
+  function multiplicative() {
+    let node = unary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[i++].value;
+      node = { type: 'bin', op, left: node, right: unary() };
+    }
+    return node;
+  }
+
+  function additive() {
+    let node = multiplicative();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[i++].value;
+      node = { type: 'bin', op, left: node, right: multiplicative() };
+    }
+    return node;
+  }
+
+  const ast = additive();
+  if (i < tokens.length) throw new ComputeEvalError(`Unexpected "${tokens[i].value}"`);
+  return ast;
+}
+
+function compile(node) {
+  switch (node.type) {
+    case 'num': return `(${node.value})`;
+    case 'str': return JSON.stringify(node.value);
+    case 'var': return `v[${JSON.stringify(node.name)}]`;
+    case 'neg': return `(-${compile(node.arg)})`;
+    case 'bin': return `(${compile(node.left)} ${node.op} ${compile(node.right)})`;
+    case 'call': return `f[${JSON.stringify(node.name)}](${node.args.map(compile).join(', ')})`;
+    default: throw new ComputeEvalError(`Unsupported node ${node.type}`);
+  }
+}
+
+/**
+ * Turn raw_data into evaluator variables: numeric values under identifier keys.
+ * Numeric strings ("1,200") are accepted.
+ */
+function toVariables(rawData) {
+  const vars = Object.create(null);
+  for (const [key, value] of Object.entries(rawData || {})) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) continue;
+    const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    if (Number.isFinite(num)) vars[key] = num;
+  }
+  return vars;
+}
+
+/**
+ * Evaluate an expression.
+ * @param {string} expression
+ * @param {object} [variables] - name -> number
+ * @returns {number}
+ * @throws {ComputeEvalError} on syntax errors, unknown names, or non-finite results
+ */
+function evaluate(expression, variables = {}) {
+  const expr = String(expression || '').trim();
+  if (!expr) throw new ComputeEvalError('Empty expression');
+  if (expr.length > MAX_EXPRESSION_LENGTH) throw new ComputeEvalError('Expression too long');
+
+  const vars = Object.create(null);
+  for (const [k, v] of Object.entries(variables)) {
+    if (typeof v !== 'number' || !Number.isFinite(v)) throw new ComputeEvalError(`Variable "${k}" is not a finite number`);
+    vars[k] = v;
+  }
+
+  const code = compile(parse(expr, vars));
+  const context = vm.createContext(
+    { f: Object.freeze({ ...FUNCTIONS }), v: Object.freeze(vars) },
+    { codeGeneration: { strings: false, wasm: false } }
+  );
+
+  let result;
+  try {
+    result = vm.runInContext(code, context, { timeout: EVAL_TIMEOUT_MS });
+  } catch (err) {
+    if (err instanceof ComputeEvalError) throw err;
+    throw new ComputeEvalError(err.message);
+  }
+  if (typeof result !== 'number' || !Number.isFinite(result)) {
+    throw new ComputeEvalError(`Expression did not produce a finite number (${result})`);
+  }
+  return result;
+}
+
+module.exports = {
+  ComputeEvalError,
+  FUNCTIONS: Object.keys(FUNCTIONS),
+  UNITS,
+  evaluate,
+  toVariables,
+  convert
+};
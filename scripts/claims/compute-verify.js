@@ -4,8 +4,9 @@
  *
  * Extracts numerical claims from articles and verifies them computationally:
  * 1. Extract claims containing numbers (percentages, amounts, calculations)
- * 2. Generate Python verification code for each claim
- * 3. Execute code in sandbox (via MCP or local)
+ * 2. Ask the LLM for the raw numbers in the source and an arithmetic expression
+ * 3. Evaluate the expression locally (compute-eval.js: sandboxed, offline) after
+ *    checking every raw number actually appears in the cited evidence
  * 4. Compare computed results to claimed values
  *
  * This catches errors like:
@@ -22,6 +23,12 @@
  *   --responses <file>     Process LLM responses from file
  *   --json                 Output JSON
  *   --threshold <n>        Tolerance for numerical comparison (default: 0.05 = 5%)
+ *   --no-cache             Ignore verification-cache.json and re-verify every claim
+ *   --require-local        Fail responses without a verification_expression
+ *                          (default: fall back to the LLM's own computed_value)
+ *
+ * Verdicts are cached per claim line, source and evidence hash in
+ * verification-cache.json; unchanged claims are not re-sent to the LLM.
  */
 
 'use strict';
@@ -30,6 +37,10 @@ const fs = require('fs');
 const path = require('path');
 
 const { verifySource } = require('../verify-source');
+const ids = require('../ids');
+const verificationCache = require('./verification-cache');
+const computeEval = require('./compute-eval');
+const { extractNumbers } = require('./passage-index');
 
 function parseNumber(str) {
   return parseFloat(String(str).replace(/,/g, ''));
@@ -169,7 +180,7 @@ function extractNumericalClaims(articleText) {
   const lines = articleText.split('\n');
 
   // Citation pattern
-  const citationPattern = /\[(S\d{3})\](?:\([^)]+\))?/g;
+  const citationPattern = ids.citationRegex('g');
 
   for (let lineNum = 0; lineNum < lines.length; lineNum++) {
     const line = lines[lineNum];
@@ -264,9 +275,18 @@ ${sourceContent.slice(0, 50000)}
 
 TASK:
 1. Find the raw data in the source that relates to this claim
-2. If data is found, write Python code to verify the calculation
-3. Execute the code mentally and report the computed result
-4. Compare to the claimed value
+2. If data is found, write ONE arithmetic expression over that data that
+   computes the claimed value (it is evaluated locally, not by you)
+3. Compare to the claimed value
+
+EXPRESSION LANGUAGE:
+- Numbers, raw_data keys as variables, + - * / ^ and parentheses
+- Functions: ${computeEval.FUNCTIONS.join(', ')}
+- pct_change(from, to) and cagr(start, end, years) return percent (47 means 47%)
+- pct(part, whole) returns percent; ratio(a, b) returns a fraction
+- convert(value, "mi", "km") for units; constants: thousand, million, billion
+- Result must be in the claim's unit: percent as 0-100, currency in dollars,
+  ratios as fractions, multipliers as factors; decreases are negative
 
 RESPONSE FORMAT (JSON):
 {
@@ -274,24 +294,23 @@ RESPONSE FORMAT (JSON):
   "claimed_value": ${claim.value},
   "source_data_found": true | false,
   "raw_data": {
-    // The actual numbers found in the source
-    // e.g., { "2020_value": 1000, "2024_value": 1470 }
+    // Numbers exactly as they appear in the source, keyed by identifiers
+    // e.g., { "v2020": 1000, "v2024": 1470 }
   },
-  "verification_code": "# Python code that computes the value\\nresult = ...",
+  "verification_expression": "pct_change(v2020, v2024)",
   "computed_value": <number>,
   "matches": true | false,
-  "discrepancy": <number if doesn't match>,
-  "discrepancy_percent": <percentage difference>,
   "explanation": "<brief explanation>",
   "confidence": <0.0 to 1.0>
 }
 
 RULES:
 - If source doesn't contain relevant data, set source_data_found: false
+- raw_data values must appear verbatim in the source (they are checked)
+- raw_data keys must be identifiers (letters, digits, underscore; not starting with a digit)
 - Tolerance: Values within 5% are considered matching
 - For percentages, compare percentage points (62% vs 58% = 4pp difference)
-- For currency, account for rounding (50M vs 49.7M = match)
-- Show your work in verification_code even if simple`;
+- For currency, account for rounding (50M vs 49.7M = match)`;
 }
 
 /**
@@ -332,6 +351,7 @@ function prepareVerification(caseDir, options = {}) {
 
   const verificationData = [];
   const sourceIntegrityCache = new Map();
+  const cache = options.noCache ? null : verificationCache.openCache(caseDir);
 
   function getSourceIntegrity(sourceId) {
     if (sourceIntegrityCache.has(sourceId)) return sourceIntegrityCache.get(sourceId);
@@ -379,18 +399,20 @@ function prepareVerification(caseDir, options = {}) {
     }
 
     const prompt = generateVerificationPrompt(claim, sourceData);
+    const cached = cache ? cache.lookup('compute', cacheClaimText(claim), sourceId) : null;
 
     verificationData.push({
       claim,
       sourceId,
       prompt,
+      cached: cached ? { response: cached.response, cachedAt: cached.cached_at } : null,
       status: 'PENDING'
     });
   }
 
-  // Generate prompts for processing
+  // Generate prompts for processing (cached claims are not re-sent)
   const prompts = verificationData
-    .filter(v => v.status === 'PENDING')
+    .filter(v => v.status === 'PENDING' && !v.cached)
     .map((v, idx) => ({
       index: verificationData.indexOf(v),
       prompt: v.prompt,
@@ -402,6 +424,7 @@ function prepareVerification(caseDir, options = {}) {
   const stats = {
     total: numericalClaims.length,
     pending: prompts.length,
+    cached: verificationData.filter(v => v.status === 'PENDING' && v.cached).length,
     noSource: verificationData.filter(v => v.status === 'NO_SOURCE').length,
     sourceMissing: verificationData.filter(v => v.status === 'SOURCE_MISSING').length,
     sourceInvalid: verificationData.filter(v => v.status === 'SOURCE_INVALID').length,
@@ -414,6 +437,7 @@ function prepareVerification(caseDir, options = {}) {
   }
 
   return {
+    caseDir,
     articlePath,
     preparedAt: new Date().toISOString(),
     verificationData,
@@ -422,19 +446,124 @@ function prepareVerification(caseDir, options = {}) {
   };
 }
 
+/**
+ * Cache key text for a numerical claim: its type, matched figure and the
+ * full article line, so any edit to the line re-verifies it.
+ */
+function cacheClaimText(claim) {
+  return `${claim.type}|${claim.raw}|${claim.fullLine}`;
+}
+
+/**
+ * Store final verdicts in the case's verification cache.
+ */
+function cacheVerdicts(prepared, llmResponses, results) {
+  const responseMap = new Map(llmResponses.map(r => [r.index, r.response]));
+  const verdicts = results.results
+    .map((r, idx) => ({
+      claimText: cacheClaimText(r.claim),
+      sourceId: r.sourceId,
+      status: r.status,
+      response: responseMap.get(idx) || prepared.verificationData[idx].cached?.response
+    }))
+    .filter(v => v.sourceId && v.response);
+  return verificationCache.storeVerdicts(prepared.caseDir, 'compute', verdicts);
+}
+
+/**
+ * Value the claim asserts, as { value } or { min, max } for ranges.
+ * Decreases ("fell 12%") are negative so they match a signed pct_change.
+ */
+function claimedTarget(claim) {
+  if (claim.type === 'ranking') return { value: claim.rank };
+  if (claim.type === 'change') return { value: claim.value * (claim.direction || 1) };
+  if (Number.isFinite(claim.value_max) && claim.value_max !== claim.value) {
+    const min = Number.isFinite(claim.value_min) ? claim.value_min : claim.value;
+    return { min, max: claim.value_max };
+  }
+  return { value: claim.value };
+}
+
+/**
+ * Half a unit of the last written digit of the claimed figure ("62%" -> 0.5,
+ * "$4.5 million" -> 50000), so rounding in the article is not a discrepancy.
+ */
+function roundingTolerance(claim, claimed) {
+  const written = String(claim.raw || '').match(/\d[\d,]*(?:\.(\d+))?/);
+  if (!written) return 0;
+  const base = parseNumber(written[0]);
+  if (!base) return 0;
+  const scale = Math.abs(claimed / base) || 1;
+  const decimals = written[1] ? written[1].length : 0;
+  return 0.5 * Math.pow(10, -decimals) * scale;
+}
+
+/**
+ * Compare a locally computed value against the claim.
+ * @returns {{ matches, discrepancy, discrepancy_percent }}
+ */
+function compareToClaim(computed, claim, threshold) {
+  const target = claimedTarget(claim);
+  if (target.min !== undefined) {
+    const lo = Math.min(target.min, target.max);
+    const hi = Math.max(target.min, target.max);
+    const slack = threshold * Math.max(Math.abs(lo), Math.abs(hi));
+    if (computed >= lo - slack && computed <= hi + slack) {
+      return { matches: true, discrepancy: 0, discrepancy_percent: 0 };
+    }
+    const nearest = computed < lo ? lo : hi;
+    const discrepancy = computed - nearest;
+    return { matches: false, discrepancy, discrepancy_percent: nearest ? discrepancy / Math.abs(nearest) * 100 : 100 };
+  }
+
+  const claimed = target.value;
+  const discrepancy = computed - claimed;
+  const discrepancyPercent = claimed ? discrepancy / Math.abs(claimed) * 100 : (computed === 0 ? 0 : 100);
+  const matches = Math.abs(discrepancyPercent) <= threshold * 100 ||
+    Math.abs(discrepancy) <= roundingTolerance(claim, claimed);
+  return { matches, discrepancy, discrepancy_percent: discrepancyPercent };
+}
+
+/**
+ * raw_data values that do not appear in the source text.
+ */
+function rawDataNotInSource(rawData, content) {
+  const found = [...extractNumbers(content)].map(Number);
+  const missing = [];
+  for (const [key, value] of Object.entries(rawData || {})) {
+    const num = typeof value === 'number' ? value : parseNumber(value);
+    if (!Number.isFinite(num)) continue;
+    const present = found.some(n => n === num || Math.abs(n - num) <= 1e-9 * Math.max(Math.abs(n), Math.abs(num)));
+    if (!present) missing.push(`${key}=${value}`);
+  }
+  return missing;
+}
+
 /**
  * Process verification responses
  */
 function processVerificationResponses(prepared, llmResponses, options = {}) {
   const threshold = options.threshold || 0.05; // 5% tolerance
   const responseMap = new Map(llmResponses.map(r => [r.index, r.response]));
+  const sourceContentCache = new Map();
+
+  function getSourceContent(sourceId) {
+    if (!prepared.caseDir) return null;
+    if (!sourceContentCache.has(sourceId)) {
+      sourceContentCache.set(sourceId, loadSourceData(prepared.caseDir, sourceId).content || '');
+    }
+    return sourceContentCache.get(sourceId);
+  }
 
-  const results = prepared.verificationData.map((item, idx) => {
-    if (item.status !== 'PENDING') {
-      return item;
+  const results = prepared.verificationData.map((pendingItem, idx) => {
+    if (pendingItem.status !== 'PENDING') {
+      return pendingItem;
     }
 
-    const response = responseMap.get(idx);
+    const { cached, ...rest } = pendingItem;
+    const fresh = responseMap.get(idx);
+    const response = fresh || cached?.response;
+    const item = fresh || !cached ? rest : { ...rest, fromCache: true, cachedAt: cached.cachedAt };
     if (!response) {
       return { ...item, status: 'NO_RESPONSE', reason: 'LLM response missing' };
     }
@@ -454,7 +583,59 @@ function processVerificationResponses(prepared, llmResponses, options = {}) {
       };
     }
 
-    // Determine if values match within tolerance
+    // Preferred path: evaluate the expression locally against raw data
+    // that is confirmed to be in the cited evidence
+    if (parsed.verification_expression) {
+      const content = getSourceContent(item.sourceId);
+      const missing = content === null ? [] : rawDataNotInSource(parsed.raw_data, content);
+      if (missing.length > 0) {
+        return {
+          ...item,
+          status: 'RAW_DATA_NOT_IN_SOURCE',
+          reason: `raw_data values not found in ${item.sourceId}: ${missing.join(', ')}`,
+          raw_data: parsed.raw_data,
+          verification_expression: parsed.verification_expression
+        };
+      }
+
+      let computed;
+      try {
+        computed = computeEval.evaluate(parsed.verification_expression, computeEval.toVariables(parsed.raw_data));
+      } catch (err) {
+        return {
+          ...item,
+          status: 'EVAL_ERROR',
+          reason: err.message,
+          raw_data: parsed.raw_data,
+          verification_expression: parsed.verification_expression
+        };
+      }
+
+      const comparison = compareToClaim(computed, item.claim, threshold);
+      return {
+        ...item,
+        status: comparison.matches ? 'MATCHED' : 'DISCREPANCY',
+        computed_value: computed,
+        computed_locally: true,
+        llm_computed_value: parsed.computed_value,
+        discrepancy: comparison.discrepancy,
+        discrepancy_percent: comparison.discrepancy_percent,
+        verification_expression: parsed.verification_expression,
+        raw_data: parsed.raw_data,
+        explanation: parsed.explanation,
+        confidence: parsed.confidence
+      };
+    }
+
+    if (options.requireLocal) {
+      return {
+        ...item,
+        status: 'EVAL_ERROR',
+        reason: 'Response has no verification_expression (--require-local)'
+      };
+    }
+
+    // Legacy responses: trust the LLM's own discrepancy
     let status = 'MATCHED';
     const discrepancyPercent = parsed.discrepancy_percent || 0;
 
@@ -471,7 +652,8 @@ function processVerificationResponses(prepared, llmResponses, options = {}) {
       verification_code: parsed.verification_code,
       raw_data: parsed.raw_data,
       explanation: parsed.explanation,
-      confidence: parsed.confidence
+      confidence: parsed.confidence,
+      computed_locally: false
     };
   });
 
@@ -486,7 +668,11 @@ function processVerificationResponses(prepared, llmResponses, options = {}) {
     sourceInvalid: results.filter(r => r.status === 'SOURCE_INVALID').length,
     noResponse: results.filter(r => r.status === 'NO_RESPONSE').length,
     parseErrors: results.filter(r => r.status === 'PARSE_ERROR').length,
-    errors: results.filter(r => ['PARSE_ERROR', 'NO_RESPONSE', 'SOURCE_MISSING', 'SOURCE_INVALID'].includes(r.status)).length
+    evalErrors: results.filter(r => r.status === 'EVAL_ERROR').length,
+    rawDataNotInSource: results.filter(r => r.status === 'RAW_DATA_NOT_IN_SOURCE').length,
+    computedLocally: results.filter(r => r.computed_locally).length,
+    errors: results.filter(r => ['PARSE_ERROR', 'NO_RESPONSE', 'SOURCE_MISSING', 'SOURCE_INVALID', 'EVAL_ERROR', 'RAW_DATA_NOT_IN_SOURCE'].includes(r.status)).length,
+    fromCache: results.filter(r => r.fromCache).length
   };
 
   let overallStatus = 'MATCHED';
@@ -498,6 +684,8 @@ function processVerificationResponses(prepared, llmResponses, options = {}) {
   if (summary.dataNotFound > 0) overallStatus = 'HAS_DATA_NOT_FOUND';
   if (summary.noResponse > 0) overallStatus = 'HAS_NO_RESPONSE';
   if (summary.parseErrors > 0) overallStatus = 'HAS_PARSE_ERRORS';
+  if (summary.rawDataNotInSource > 0) overallStatus = 'HAS_RAW_DATA_NOT_IN_SOURCE';
+  if (summary.evalErrors > 0) overallStatus = 'HAS_EVAL_ERRORS';
 
   return {
     status: overallStatus,
@@ -542,7 +730,11 @@ function generateReport(results) {
   if (results.summary.sourceInvalid > 0) lines.push(`  Invalid evidence: ${results.summary.sourceInvalid}`);
   if (results.summary.noResponse > 0) lines.push(`  Missing LLM responses: ${results.summary.noResponse}`);
   if (results.summary.parseErrors > 0) lines.push(`  Parse errors: ${results.summary.parseErrors}`);
+  if (results.summary.rawDataNotInSource > 0) lines.push(`  Raw data not in source: ${results.summary.rawDataNotInSource}`);
+  if (results.summary.evalErrors > 0) lines.push(`  Expression errors: ${results.summary.evalErrors}`);
   if (results.summary.errors > 0) lines.push(`  Errors: ${results.summary.errors}`);
+  if (results.summary.computedLocally > 0) lines.push(`  Computed locally: ${results.summary.computedLocally}`);
+  if (results.summary.fromCache > 0) lines.push(`  Verdicts from cache: ${results.summary.fromCache}`);
 
   if (results.discrepancies && results.discrepancies.length > 0) {
     lines.push('\n--- DISCREPANCIES ---');
@@ -556,7 +748,9 @@ function generateReport(results) {
       if (item.explanation) {
         lines.push(`    Explanation: ${item.explanation}`);
       }
-      if (item.verification_code) {
+      if (item.verification_expression) {
+        lines.push(`    Expression: ${item.verification_expression}`);
+      } else if (item.verification_code) {
         lines.push(`    Code: ${item.verification_code.split('\n')[0]}...`);
       }
     }
@@ -590,6 +784,8 @@ async function main() {
     console.log('  --responses <file>     Process LLM responses from file');
     console.log('  --json                 Output JSON');
     console.log('  --threshold <n>        Tolerance (default: 0.05 = 5%)');
+    console.log('  --no-cache             Re-verify every claim, ignoring verification-cache.json');
+    console.log('  --require-local        Reject responses without a verification_expression');
     process.exit(1);
   }
 
@@ -606,7 +802,9 @@ async function main() {
     json: false,
     generatePrompts: false,
     responsesFile: null,
-    threshold: 0.05
+    threshold: 0.05,
+    noCache: false,
+    requireLocal: false
   };
 
   for (let i = 1; i < args.length; i++) {
@@ -620,6 +818,10 @@ async function main() {
       options.responsesFile = args[++i];
     } else if (args[i] === '--threshold' && args[i + 1]) {
       options.threshold = parseFloat(args[++i]);
+    } else if (args[i] === '--no-cache') {
+      options.noCache = true;
+    } else if (args[i] === '--require-local') {
+      options.requireLocal = true;
     }
   }
 
@@ -641,6 +843,7 @@ async function main() {
   if (options.responsesFile) {
     const responses = JSON.parse(fs.readFileSync(options.responsesFile, 'utf-8'));
     const results = processVerificationResponses(prepared, responses, options);
+    if (!options.noCache) cacheVerdicts(prepared, responses, results);
 
     if (options.json) {
       console.log(JSON.stringify(results, null, 2));
@@ -670,6 +873,7 @@ async function main() {
   console.log('Computational verification prepared:');
   console.log(`  Total numerical claims: ${prepared.stats.total}`);
   console.log(`  Pending verification: ${prepared.stats.pending}`);
+  console.log(`  Cached verdicts (not re-sent): ${prepared.stats.cached}`);
   console.log(`  By type:`);
   for (const [type, count] of Object.entries(prepared.stats.byType)) {
     console.log(`    ${type}: ${count}`);
@@ -691,5 +895,6 @@ module.exports = {
   prepareVerification,
   processVerificationResponses,
   generateReport,
+  rawDataNotInSource,
   NUMERICAL_PATTERNS
 };
@@ -0,0 +1,84 @@
+/**
+ * _helpers.js - Shared helpers for cross-check plugins
+ *
+ * Passed to every plugin's verify() as the third argument, so drop-in plugins
+ * outside this directory can use them without a relative require.
+ */
+
+'use strict';
+
+const NUMBER_TOLERANCE = 0.05;
+
+/**
+ * Build a verify() result.
+ * status: verified | mismatch | unconfirmed | no_evidence
+ */
+function result(status, { claimed = {}, actual = {}, discrepancies = [], evidence = [], note = null } = {}) {
+  return {
+    status,
+    match: status === 'verified' ? true : status === 'mismatch' ? false : null,
+    claimed,
+    actual,
+    discrepancies,
+    evidence,
+    note
+  };
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const n = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function numbersEqual(a, b, tolerance = NUMBER_TOLERANCE) {
+  const x = toNumber(a);
+  const y = toNumber(b);
+  return x !== null && y !== null && Math.abs(x - y) <= tolerance;
+}
+
+/** Lowercase, collapse whitespace, drop thousands separators and § spacing. */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/(\d),(\d{3})/g, '$1$2')
+    .replace(/§\s*/g, '§ ')
+    .replace(/\s+/g, ' ');
+}
+
+/** Evidence items whose content mentions any of the needles (case-insensitive). */
+function evidenceMentioning(evidence, needles) {
+  const list = (Array.isArray(needles) ? needles : [needles]).filter(Boolean).map(normalizeText);
+  return evidence.filter(e => {
+    const content = normalizeText(e.content);
+    return list.some(n => content.includes(n));
+  });
+}
+
+/** First capture of `pattern` in `text`, or null. */
+function firstMatch(text, pattern) {
+  const m = String(text || '').match(pattern);
+  return m ? m[1] : null;
+}
+
+/** Lines of `text` that mention `needle`, with one line of context either side. */
+function windowsAround(text, needle) {
+  const lines = String(text || '').split('\n');
+  const n = normalizeText(needle);
+  const out = [];
+  lines.forEach((line, i) => {
+    if (normalizeText(line).includes(n)) out.push(lines.slice(Math.max(0, i - 1), i + 2).join('\n'));
+  });
+  return out;
+}
+
+module.exports = {
+  NUMBER_TOLERANCE,
+  result,
+  toNumber,
+  numbersEqual,
+  normalizeText,
+  evidenceMentioning,
+  firstMatch,
+  windowsAround
+};
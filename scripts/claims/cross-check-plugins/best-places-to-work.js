@@ -0,0 +1,157 @@
+/**
+ * best-places-to-work.js - Federal workforce rankings (Partnership for Public Service)
+ *
+ * Compares claimed engagement scores, rankings and category scores against a
+ * captured bestplacestowork.org agency page.
+ */
+
+'use strict';
+
+const AGENCY_CODES = {
+  'ICE': 'HS06',
+  'Immigration and Customs Enforcement': 'HS06',
+  'CBP': 'HS03',
+  'Customs and Border Protection': 'HS03',
+  'TSA': 'HS10',
+  'Transportation Security Administration': 'HS10',
+  'FEMA': 'HS18',
+  'DHS': 'HS00',
+  'Department of Homeland Security': 'HS00',
+  'NASA': 'NN00',
+  'FBI': 'DJ02',
+  'DEA': 'DJ03'
+};
+
+const AGENCY_NAMES = {
+  HS06: ['ICE', 'Immigration and Customs Enforcement'],
+  HS03: ['CBP', 'Customs and Border Protection'],
+  HS10: ['TSA', 'Transportation Security Administration'],
+  HS18: ['FEMA', 'Federal Emergency Management Agency'],
+  HS00: ['DHS', 'Department of Homeland Security'],
+  NN00: ['NASA', 'National Aeronautics and Space Administration'],
+  DJ02: ['FBI', 'Federal Bureau of Investigation'],
+  DJ03: ['DEA', 'Drug Enforcement Administration']
+};
+
+const CATEGORY_KEYS = ['leadership_score', 'pay_score', 'recognition_score'];
+
+// Patterns for reading values off the authoritative page
+const EVIDENCE_EXTRACTORS = {
+  score: /(?:engagement(?:\s+and\s+satisfaction)?|index)\s+score[^0-9]{0,20}(\d+(?:\.\d+)?)/i,
+  rank: /rank(?:ed|ing)?\s*#?(\d+)\s*(?:out of|of)\s*(\d+)/i,
+  leadership_score: /leadership[^0-9\n]{0,40}?(\d+(?:\.\d+)?)/i,
+  pay_score: /pay[^0-9\n]{0,40}?(\d+(?:\.\d+)?)/i,
+  recognition_score: /recognition[^0-9\n]{0,40}?(\d+(?:\.\d+)?)/i
+};
+
+function agencyCode(agency) {
+  if (!agency) return null;
+  const key = Object.keys(AGENCY_CODES).find(k => k.toLowerCase() === String(agency).toLowerCase());
+  return key ? AGENCY_CODES[key] : null;
+}
+
+module.exports = {
+  type: 'best_places_to_work',
+
+  patterns: [
+    /best places to work/i,
+    /partnership for public service/i,
+    /federal employee viewpoint survey|FEVS/i,
+    /employee engagement.*score/i,
+    /agency.*rank.*out of/i
+  ],
+
+  domains: ['bestplacestowork.org'],
+
+  primarySource: {
+    baseUrl: 'https://bestplacestowork.org/rankings/detail/',
+    // Agency codes for DHS subcomponents
+    agencyCodes: AGENCY_CODES
+  },
+
+  extractors: {
+    // Regex patterns to extract claimed values
+    score: /scored?\s*(\d+\.?\d*)\s*(?:out of\s*)?(?:\/\s*)?100/i,
+    rank: /ranking\s*#?(\d+)\s*(?:out of|of)\s*(\d+)/i,
+    // These patterns handle markdown bold (**text:**) format
+    leadership_score: /leadership[^0-9]*?(\d+\.?\d*)\/100/i,
+    pay_score: /pay[^0-9]*?(\d+\.?\d*)\/100/i,
+    recognition_score: /recognition[^0-9]*?(\d+\.?\d*)\/100/i
+  },
+
+  extract(context, details) {
+    const agencyPattern = /\b(ICE|CBP|TSA|FEMA|DHS|NASA|FBI|DEA|Immigration and Customs Enforcement|Customs and Border Protection)\b/i;
+    const agencyMatch = context.match(agencyPattern);
+    if (agencyMatch) {
+      details.agency = agencyMatch[1].toUpperCase();
+    }
+    return details;
+  },
+
+  prompt(claim) {
+    const code = agencyCode(claim.claim.agency);
+    if (!code) return null;
+    const c = claim.claim;
+    return {
+      tool: 'mcp__mcp-osint__osint_get',
+      params: {
+        target: `https://bestplacestowork.org/rankings/detail/?c=${code}`,
+        question: `What is the 2024 engagement score and ranking for this agency? Also list all category scores (leadership, pay, recognition, etc.) with exact numbers.`
+      },
+      extractionPrompt: `Compare these values:
+CLAIMED in article (line ${claim.line}):
+- Overall Score: ${c.score || 'not specified'}/100
+- Ranking: #${c.rank || '?'} out of ${c.rank_total || '?'} agencies
+- Leadership Score: ${c.leadership_score || 'not specified'}/100
+- Pay Satisfaction: ${c.pay_score || 'not specified'}/100
+- Recognition: ${c.recognition_score || 'not specified'}/100
+- Agency: ${c.agency || 'not specified'}
+
+VERIFY: Does the authoritative source match ALL these claimed values exactly?
+For each value, check if the authoritative source confirms it.
+Return JSON: {"match": true/false, "claimed": {...}, "actual": {...}, "discrepancies": [...]}`
+    };
+  },
+
+  verify(claim, evidence, h) {
+    const c = claim.claim;
+    const claimed = {};
+    for (const key of ['score', 'rank', 'rank_total', ...CATEGORY_KEYS]) {
+      if (c[key] !== undefined) claimed[key] = c[key];
+    }
+    if (Object.keys(claimed).length === 0) {
+      return h.result('unconfirmed', { note: 'No score or ranking extracted from the claim' });
+    }
+
+    const code = agencyCode(c.agency);
+    const pages = code
+      ? evidence.filter(e => e.url.includes(`c=${code}`) || h.evidenceMentioning([e], AGENCY_NAMES[code]).length > 0)
+      : evidence;
+    if (pages.length === 0) {
+      return h.result('no_evidence', { claimed, note: `No captured bestplacestowork.org page for ${c.agency || 'the agency'}` });
+    }
+
+    const page = pages[0];
+    const actual = {};
+    for (const [key, pattern] of Object.entries(EVIDENCE_EXTRACTORS)) {
+      const m = page.content.match(pattern);
+      if (m) {
+        actual[key] = m[1];
+        if (m[2]) actual[`${key}_total`] = m[2];
+      }
+    }
+
+    const discrepancies = [];
+    let compared = 0;
+    for (const [key, value] of Object.entries(claimed)) {
+      if (actual[key] === undefined) continue;
+      compared++;
+      if (!h.numbersEqual(value, actual[key])) discrepancies.push(`${key}: claimed ${value}, source ${actual[key]}`);
+    }
+
+    if (compared === 0) {
+      return h.result('unconfirmed', { claimed, actual, evidence: [page.sourceId], note: 'Claimed values not found on the captured page' });
+    }
+    return h.result(discrepancies.length ? 'mismatch' : 'verified', { claimed, actual, discrepancies, evidence: [page.sourceId] });
+  }
+};
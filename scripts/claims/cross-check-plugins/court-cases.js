@@ -0,0 +1,86 @@
+/**
+ * court-cases.js - Court cases (dockets, captions, filing dates)
+ *
+ * Confirms that a captured docket/opinion page for the claimed case number
+ * names the claimed parties, and that a claimed filing date appears on it.
+ */
+
+'use strict';
+
+const CASE_NUMBER = /(\d+:\d+-(?:cv|cr|mc|md)-\d+)/i;
+const CAPTION = /([A-Z][\w.&'-]*(?:\s+[A-Z][\w.&'-]*){0,5})\s+v\.\s+([A-Z][\w.&'-]*(?:\s+[A-Z][\w.&'-]*){0,5})/;
+const DATE = /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4})/;
+
+// Words a caption match can pick up from the sentence rather than the party name
+const CAPTION_NOISE = /^(?:In|The|On|After|When|A|An)\s+/;
+
+function party(name) {
+  return name.replace(CAPTION_NOISE, '').trim();
+}
+
+module.exports = {
+  type: 'court_cases',
+
+  patterns: [
+    /v\.\s+[A-Z]/,  // "X v. Y" case names
+    /\d+:\d+-cv-\d+/,  // Case numbers like 0:26-cv-00190
+    /filed.*lawsuit/i,
+    /court\s+(?:ruled|held|found)/i
+  ],
+
+  domains: ['courtlistener.com', 'pacer.gov', 'uscourts.gov', 'justia.com'],
+
+  primarySource: {
+    courtListener: 'https://www.courtlistener.com/api/rest/v3/',
+    pacer: 'https://pacer.uscourts.gov/'
+  },
+
+  extract(context, details) {
+    const first = context.split('\n')[0];
+    const number = first.match(CASE_NUMBER);
+    if (number) details.case_number = number[1];
+    const caption = first.match(CAPTION);
+    if (caption) {
+      details.plaintiff = party(caption[1]);
+      details.defendant = party(caption[2]);
+    }
+    const date = /\bfiled\b/i.test(first) ? first.match(DATE) : null;
+    if (date) details.filed = date[1];
+    return details;
+  },
+
+  verify(claim, evidence, h) {
+    const c = claim.claim;
+    const claimed = {};
+    for (const key of ['case_number', 'plaintiff', 'defendant', 'filed']) {
+      if (c[key]) claimed[key] = c[key];
+    }
+    if (!claimed.case_number && !claimed.plaintiff) {
+      return h.result('unconfirmed', { note: 'No case number or caption extracted from the claim' });
+    }
+
+    const docs = claimed.case_number
+      ? h.evidenceMentioning(evidence, claimed.case_number)
+      : h.evidenceMentioning(evidence, `${claimed.plaintiff} v. ${claimed.defendant}`);
+    if (docs.length === 0) {
+      return h.result('no_evidence', { claimed, note: 'No captured court record mentions this case' });
+    }
+
+    const doc = docs[0];
+    const text = h.normalizeText(doc.content);
+    const actual = {
+      case_number: h.firstMatch(doc.content, CASE_NUMBER),
+      caption: (doc.content.match(CAPTION) || [])[0] || null
+    };
+    const discrepancies = [];
+    for (const key of ['plaintiff', 'defendant']) {
+      if (claimed[key] && !text.includes(h.normalizeText(claimed[key]))) {
+        discrepancies.push(`${key} "${claimed[key]}" not named in ${doc.sourceId}`);
+      }
+    }
+    if (claimed.filed && !text.includes(h.normalizeText(claimed.filed))) {
+      discrepancies.push(`filing date ${claimed.filed} not found in ${doc.sourceId}`);
+    }
+    return h.result(discrepancies.length ? 'mismatch' : 'verified', { claimed, actual, discrepancies, evidence: [doc.sourceId] });
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * executive-orders.js - Executive orders (number, signing date, title)
+ *
+ * Confirms a claimed executive order against a captured Federal Register or
+ * White House page: the page must name the order number, and any claimed
+ * signing date or quoted title must appear on it.
+ */
+
+'use strict';
+
+const EO_NUMBER = /(?:executive order|EO)\s*(?:no\.\s*|#\s*)?(\d{1,2},?\d{3})/i;
+const DATE = /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4})/;
+const QUOTED_TITLE = /["“]([^"”]{8,160})["”]/;
+
+module.exports = {
+  type: 'executive_orders',
+
+  patterns: [
+    /executive order\s*(?:#?\s*)?(\d+)/i,
+    /EO\s*(\d+)/i,
+    /presidential\s+(?:action|order|memorandum)/i
+  ],
+
+  domains: ['federalregister.gov', 'whitehouse.gov', 'govinfo.gov'],
+
+  primarySource: {
+    federalRegister: 'https://www.federalregister.gov/api/v1/',
+    whitehouse: 'https://www.whitehouse.gov/presidential-actions/'
+  },
+
+  extract(context, details) {
+    const first = context.split('\n')[0];
+    const number = first.match(EO_NUMBER);
+    if (number) details.eo_number = number[1].replace(/,/g, '');
+    const date = first.match(DATE);
+    if (date) details.signed = date[1];
+    const title = first.match(QUOTED_TITLE);
+    if (title) details.title = title[1];
+    return details;
+  },
+
+  prompt(claim) {
+    if (!claim.claim.eo_number) return null;
+    return {
+      tool: 'mcp__mcp-osint__osint_get',
+      params: {
+        target: `https://www.federalregister.gov/documents/search?conditions[presidential_document_type][]=executive_order&conditions[executive_order_number]=${claim.claim.eo_number}`,
+        question: `Find the exact title, date, and key provisions of this executive order.`
+      }
+    };
+  },
+
+  verify(claim, evidence, h) {
+    const c = claim.claim;
+    if (!c.eo_number) {
+      return h.result('unconfirmed', { note: 'No executive order number extracted from the claim' });
+    }
+    const claimed = { eo_number: c.eo_number };
+    if (c.signed) claimed.signed = c.signed;
+    if (c.title) claimed.title = c.title;
+
+    const docs = evidence.filter(e => {
+      const m = h.normalizeText(e.content).match(new RegExp(`(?:executive order|e\\.o\\.)\\s*(?:no\\.\\s*)?${c.eo_number}\\b`));
+      return Boolean(m);
+    });
+    if (docs.length === 0) {
+      return h.result('no_evidence', { claimed, note: `No captured Federal Register/White House page for EO ${c.eo_number}` });
+    }
+
+    const doc = docs[0];
+    const text = h.normalizeText(doc.content);
+    const actual = {
+      eo_number: c.eo_number,
+      dates: [...new Set((doc.content.match(new RegExp(DATE.source, 'g')) || []))].slice(0, 5)
+    };
+    const discrepancies = [];
+    if (claimed.signed && !text.includes(h.normalizeText(claimed.signed))) {
+      discrepancies.push(`signing date ${claimed.signed} not on ${doc.sourceId} (dates there: ${actual.dates.join('; ') || 'none'})`);
+    }
+    if (claimed.title && !text.includes(h.normalizeText(claimed.title))) {
+      discrepancies.push(`title "${claimed.title}" not on ${doc.sourceId}`);
+    }
+    return h.result(discrepancies.length ? 'mismatch' : 'verified', { claimed, actual, discrepancies, evidence: [doc.sourceId] });
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * government-stats.js - Agency statistics (arrests, removals, budgets)
+ *
+ * Looks for every figure in the claim on captured pages from the agency's own
+ * domain. All figures present -> verified; authoritative pages captured but
+ * a figure missing -> unconfirmed (the figure may be on a page not captured).
+ */
+
+'use strict';
+
+const { extractNumbers } = require('../passage-index');
+
+module.exports = {
+  type: 'government_stats',
+
+  patterns: [
+    /(?:FBI|DOJ|DHS|ICE|CBP)\s+(?:data|statistics|report)/i,
+    /(?:arrest|deportation|removal)\s+(?:statistics|numbers|data)/i,
+    /according to\s+(?:federal|government)\s+data/i
+  ],
+
+  domains: ['ice.gov', 'cbp.gov', 'dhs.gov', 'fbi.gov', 'bjs.gov', 'bjs.ojp.gov', 'justice.gov'],
+
+  extract(context, details) {
+    // Drop citation markup so evidence IDs are not read as figures
+    const first = context.split('\n')[0].replace(/\[S\d+\](?:\([^)]*\))?/g, '');
+    const figures = first.match(/\d[\d,]*(?:\.\d+)?\s*(?:%|percent|thousand|million|billion)?/gi) || [];
+    const values = figures
+      .map(f => f.trim())
+      .filter(f => !/^(?:19|20)\d{2}$/.test(f));
+    if (values.length) details.figures = values;
+    return details;
+  },
+
+  verify(claim, evidence, h) {
+    const figures = claim.claim.figures || [];
+    if (figures.length === 0) {
+      return h.result('unconfirmed', { note: 'No figures extracted from the claim' });
+    }
+    if (evidence.length === 0) {
+      return h.result('no_evidence', { claimed: { figures }, note: 'No captured pages from the agency\'s own domain' });
+    }
+
+    let best = null;
+    for (const doc of evidence) {
+      const present = extractNumbers(doc.content);
+      const missing = figures.filter(f => {
+        const wanted = extractNumbers(f);
+        return ![...wanted].some(v => present.has(v));
+      });
+      if (!best || missing.length < best.missing.length) best = { doc, missing };
+    }
+
+    const claimed = { figures };
+    if (best.missing.length === 0) {
+      return h.result('verified', { claimed, actual: { figures }, evidence: [best.doc.sourceId] });
+    }
+    return h.result('unconfirmed', {
+      claimed,
+      actual: { missing: best.missing },
+      evidence: [best.doc.sourceId],
+      note: `Not found on captured agency pages: ${best.missing.join(', ')}`
+    });
+  }
+};
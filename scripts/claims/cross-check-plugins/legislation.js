@@ -0,0 +1,83 @@
+/**
+ * legislation.js - Statutes, public laws and bills
+ *
+ * Confirms that a cited U.S.C. section, Public Law or bill number appears on a
+ * captured congress.gov / law.cornell.edu / govinfo.gov page, and that a
+ * claimed enactment year matches the page.
+ */
+
+'use strict';
+
+const USC = /(\d+)\s*U\.?S\.?C\.?\s*§*\s*(\d+[a-z]?)/i;
+const PUBLIC_LAW = /Public Law\s+(?:No\.\s*)?(\d+-\d+)/i;
+const BILL = /\b(H\.\s?R\.|S\.)\s*(\d+)\b/;
+const YEAR = /\b(?:in|of|enacted|passed|signed)\s+(?:in\s+)?((?:19|20)\d{2})\b/i;
+
+module.exports = {
+  type: 'legislation',
+
+  patterns: [
+    /\d+\s*U\.?S\.?C\.?\s*§?\s*\d+/i,  // USC citations
+    /Public Law\s+\d+-\d+/i,
+    /\bH\.\s?R\.\s*\d+/,
+    // Requires "S." with a period so evidence IDs like [S012] do not match
+    /\bS\.\s*\d+\b/
+  ],
+
+  domains: ['congress.gov', 'law.cornell.edu', 'govinfo.gov', 'uscode.house.gov'],
+
+  primarySource: {
+    congress: 'https://api.congress.gov/v3/',
+    cornell: 'https://www.law.cornell.edu/uscode/'
+  },
+
+  extract(context, details) {
+    const first = context.split('\n')[0];
+    const usc = first.match(USC);
+    if (usc) {
+      details.usc = `${usc[1]} U.S.C. § ${usc[2]}`;
+      details.usc_title = usc[1];
+      details.usc_section = usc[2];
+    }
+    const pl = first.match(PUBLIC_LAW);
+    if (pl) details.public_law = pl[1];
+    const bill = first.match(BILL);
+    if (bill) details.bill = `${bill[1].replace(/\s/g, '')} ${bill[2]}`;
+    const year = first.match(YEAR);
+    if (year) details.year = year[1];
+    return details;
+  },
+
+  verify(claim, evidence, h) {
+    const c = claim.claim;
+    const claimed = {};
+    for (const key of ['usc', 'public_law', 'bill', 'year']) {
+      if (c[key]) claimed[key] = c[key];
+    }
+    const needles = [];
+    if (claimed.usc) {
+      const [title, section] = [c.usc_title, c.usc_section];
+      needles.push(claimed.usc, `${title} usc ${section}`, `${title} u.s. code § ${section}`);
+    }
+    if (claimed.public_law) needles.push(`public law ${claimed.public_law}`, `pub. l. ${claimed.public_law}`, `pub.l. ${claimed.public_law}`);
+    if (claimed.bill) needles.push(claimed.bill, claimed.bill.replace(/\./g, ''));
+    if (needles.length === 0) {
+      return h.result('unconfirmed', { note: 'No statute, public law or bill number extracted from the claim' });
+    }
+
+    const docs = h.evidenceMentioning(evidence, needles);
+    if (docs.length === 0) {
+      return h.result('no_evidence', { claimed, note: 'No captured congress.gov / law.cornell.edu page for this citation' });
+    }
+
+    const doc = docs[0];
+    const discrepancies = [];
+    const actual = {};
+    if (claimed.year) {
+      const years = [...new Set(doc.content.match(/\b(?:19|20)\d{2}\b/g) || [])];
+      actual.years = years.slice(0, 10);
+      if (!years.includes(claimed.year)) discrepancies.push(`year ${claimed.year} not on ${doc.sourceId}`);
+    }
+    return h.result(discrepancies.length ? 'mismatch' : 'verified', { claimed, actual, discrepancies, evidence: [doc.sourceId] });
+  }
+};
@@ -11,135 +11,113 @@
  * - But the ACTUAL authoritative source shows "62.7/100"
  * - Without cross-checking, this error propagates undetected
  *
+ * Each data type is a plugin module in cross-check-plugins/ (patterns,
+ * extractors, verify function). verify() compares the claimed values against
+ * authoritative evidence already captured in the case, i.e. evidence whose URL
+ * is on one of the plugin's domains. Results per claim:
+ *   verified     authoritative evidence confirms the claimed values
+ *   mismatch     authoritative evidence contradicts the claim
+ *   unconfirmed  authoritative evidence captured, but the values are not on it
+ *   no_evidence  nothing from the plugin's domains has been captured yet
+ *
+ * Custom plugins: drop a .js file exporting { type, patterns, domains, verify }
+ * into <case-dir>/cross-check-plugins/, a directory passed with --plugins, or
+ * one listed in CROSS_CHECK_PLUGINS. A plugin with an existing type replaces it.
+ *
  * Usage:
  *   node scripts/claims/cross-check.js <case-dir> [options]
  *
  * Options:
- *   --detect-only     Just identify claims needing cross-check (no fetching)
+ *   --detect-only     Just identify claims needing cross-check (no verification)
  *   --json            Output as JSON
- *   --fix             Generate fix suggestions for mismatches
+ *   --prompts         Generate osint_get prompts to capture missing authoritative pages
+ *   --plugins <dir>   Load extra plugins from dir (repeatable)
+ *   --output <file>   Save claims and results as JSON
+ *   --block           Exit 1 on any mismatch
  */
 
 'use strict';
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('../ids');
+
+const PLUGIN_DIR = path.join(__dirname, 'cross-check-plugins');
+const CASE_PLUGIN_DIR = 'cross-check-plugins';
+const helpers = require('./cross-check-plugins/_helpers');
+
+/**
+ * Validate a plugin module. Plugins are plain objects:
+ *   type          unique data type key (e.g. "court_cases")
+ *   patterns      RegExp[] - a cited line matching any pattern needs a cross-check
+ *   domains       string[] - hostnames whose captured evidence is authoritative
+ *   verify(claim, evidence, helpers) -> helpers.result(...)
+ * Optional: extractors {key: RegExp}, extract(context, details), prompt(claim),
+ * primarySource (informational).
+ */
+function validatePlugin(plugin, file) {
+  const problems = [];
+  if (!plugin || typeof plugin !== 'object') problems.push('module does not export an object');
+  else {
+    if (typeof plugin.type !== 'string' || !plugin.type) problems.push('missing "type"');
+    if (!Array.isArray(plugin.patterns) || !plugin.patterns.every(p => p instanceof RegExp)) problems.push('"patterns" must be an array of RegExp');
+    if (!Array.isArray(plugin.domains)) problems.push('"domains" must be an array');
+    if (typeof plugin.verify !== 'function') problems.push('missing verify()');
+  }
+  if (problems.length) throw new Error(`Invalid cross-check plugin ${file}: ${problems.join('; ')}`);
+  return plugin;
+}
+
+function pluginFiles(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.js') && !f.startsWith('_'))
+    .sort()
+    .map(f => path.resolve(dir, f));
+}
+
+/**
+ * Load plugins: built-ins, then <case>/cross-check-plugins/, then extra dirs
+ * (--plugins, CROSS_CHECK_PLUGINS). A later plugin with the same type replaces
+ * an earlier one, so teams can override a built-in.
+ * @param {object} [options] - { caseDir, dirs: string[] }
+ * @returns {Map<string, object>} type -> plugin (with `file`)
+ */
+function loadPlugins(options = {}) {
+  const dirs = [PLUGIN_DIR];
+  if (options.caseDir) dirs.push(path.join(options.caseDir, CASE_PLUGIN_DIR));
+  if (process.env.CROSS_CHECK_PLUGINS) dirs.push(...process.env.CROSS_CHECK_PLUGINS.split(path.delimiter).filter(Boolean));
+  dirs.push(...(options.dirs || []));
+
+  const plugins = new Map();
+  for (const dir of dirs) {
+    for (const file of pluginFiles(dir)) {
+      const plugin = validatePlugin(require(file), file);
+      plugins.set(plugin.type, { ...plugin, file });
+    }
+  }
+  return plugins;
+}
 
 /**
- * Registry of authoritative sources for different data types
+ * Registry of authoritative sources for different data types (built-in plugins)
  *
  * Each entry maps a pattern/domain to its authoritative source info
  */
-const AUTHORITATIVE_SOURCES = {
-  // Federal workforce rankings
-  'best_places_to_work': {
-    patterns: [
-      /best places to work/i,
-      /partnership for public service/i,
-      /federal employee viewpoint survey|FEVS/i,
-      /employee engagement.*score/i,
-      /agency.*rank.*out of/i
-    ],
-    domains: ['bestplacestowork.org'],
-    primarySource: {
-      baseUrl: 'https://bestplacestowork.org/rankings/detail/',
-      // Agency codes for DHS subcomponents
-      agencyCodes: {
-        'ICE': 'HS06',
-        'Immigration and Customs Enforcement': 'HS06',
-        'CBP': 'HS03',
-        'Customs and Border Protection': 'HS03',
-        'TSA': 'HS10',
-        'Transportation Security Administration': 'HS10',
-        'FEMA': 'HS18',
-        'DHS': 'HS00',
-        'Department of Homeland Security': 'HS00',
-        'NASA': 'NN00',
-        'FBI': 'DJ02',
-        'DEA': 'DJ03'
-      }
-    },
-    extractors: {
-      // Regex patterns to extract claimed values
-      score: /scored?\s*(\d+\.?\d*)\s*(?:out of\s*)?(?:\/\s*)?100/i,
-      rank: /ranking\s*#?(\d+)\s*(?:out of|of)\s*(\d+)/i,
-      // These patterns handle markdown bold (**text:**) format
-      leadership_score: /leadership[^0-9]*?(\d+\.?\d*)\/100/i,
-      pay_score: /pay[^0-9]*?(\d+\.?\d*)\/100/i,
-      recognition_score: /recognition[^0-9]*?(\d+\.?\d*)\/100/i
-    },
-    verifyFn: 'verifyBestPlacesToWork'
-  },
-
-  // Court cases
-  'court_cases': {
-    patterns: [
-      /v\.\s+[A-Z]/,  // "X v. Y" case names
-      /\d+:\d+-cv-\d+/,  // Case numbers like 0:26-cv-00190
-      /filed.*lawsuit/i,
-      /court\s+(?:ruled|held|found)/i
-    ],
-    domains: ['courtlistener.com', 'pacer.gov', 'justia.com'],
-    primarySource: {
-      courtListener: 'https://www.courtlistener.com/api/rest/v3/',
-      pacer: 'https://pacer.uscourts.gov/'
-    },
-    verifyFn: 'verifyCourtCase'
-  },
-
-  // Executive orders
-  'executive_orders': {
-    patterns: [
-      /executive order\s*(?:#?\s*)?(\d+)/i,
-      /EO\s*(\d+)/i,
-      /presidential\s+(?:action|order|memorandum)/i
-    ],
-    domains: ['federalregister.gov', 'whitehouse.gov'],
-    primarySource: {
-      federalRegister: 'https://www.federalregister.gov/api/v1/',
-      whitehouse: 'https://www.whitehouse.gov/presidential-actions/'
-    },
-    verifyFn: 'verifyExecutiveOrder'
-  },
-
-  // Legislation
-  'legislation': {
-    patterns: [
-      /\d+\s*U\.?S\.?C\.?\s*§?\s*\d+/i,  // USC citations
-      /Public Law\s+\d+-\d+/i,
-      /H\.?R\.?\s*\d+/i,
-      /S\.?\s*\d+/i
-    ],
-    domains: ['congress.gov', 'law.cornell.edu'],
-    primarySource: {
-      congress: 'https://api.congress.gov/v3/',
-      cornell: 'https://www.law.cornell.edu/uscode/'
-    },
-    verifyFn: 'verifyLegislation'
-  },
-
-  // Government statistics
-  'government_stats': {
-    patterns: [
-      /(?:FBI|DOJ|DHS|ICE|CBP)\s+(?:data|statistics|report)/i,
-      /(?:arrest|deportation|removal)\s+(?:statistics|numbers|data)/i,
-      /according to\s+(?:federal|government)\s+data/i
-    ],
-    domains: ['ice.gov', 'cbp.gov', 'dhs.gov', 'fbi.gov', 'bjs.gov'],
-    verifyFn: 'verifyGovernmentStats'
-  }
-};
+const AUTHORITATIVE_SOURCES = Object.fromEntries([...loadPlugins().values()].map(p => [p.type, p]));
 
 /**
  * Detect claims in article that need authoritative cross-checking
  */
-function detectCrossCheckClaims(articlePath, sourcesJson) {
+function detectCrossCheckClaims(articlePath, sourcesJson, plugins = AUTHORITATIVE_SOURCES) {
+  const registry = plugins instanceof Map ? Object.fromEntries(plugins) : plugins;
   const article = fs.readFileSync(articlePath, 'utf-8');
   const lines = article.split('\n');
   const claims = [];
+  const urls = new Map(((sourcesJson && sourcesJson.sources) || []).map(s => [s.id, s.url]));
 
-  // Parse each line for claims with citations
-  const citationPattern = /\[S(\d+)\]\([^)]+\)/g;
+  // Parse each line for claims with citations, bare `[S001]` or `[S001](url)`
+  const citationPattern = ids.citationRegex();
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
@@ -148,11 +126,11 @@ function detectCrossCheckClaims(articlePath, sourcesJson) {
     // Find all citations on this line
     let match;
     while ((match = citationPattern.exec(line)) !== null) {
-      const sourceId = `S${match[1].padStart(3, '0')}`;
-      const citationUrl = match[0].match(/\(([^)]+)\)/)?.[1];
+      const sourceId = match[1];
+      const citationUrl = match[2] || urls.get(sourceId) || null;
 
       // Check if line contains patterns needing cross-check
-      for (const [sourceType, config] of Object.entries(AUTHORITATIVE_SOURCES)) {
+      for (const [sourceType, config] of Object.entries(registry)) {
         for (const pattern of config.patterns) {
           if (pattern.test(line)) {
             // Get context: current line plus next 10 lines for multi-line claims
@@ -168,8 +146,7 @@ function detectCrossCheckClaims(articlePath, sourcesJson) {
               citationUrl,
               sourceType,
               claim,
-              authoritativeSource: config.primarySource,
-              verifyFn: config.verifyFn
+              authoritativeSource: config.primarySource || { domains: config.domains }
             });
             break;
           }
@@ -204,13 +181,9 @@ function extractClaimDetails(context, sourceType, config) {
     }
   }
 
-  // Extract agency name for best_places_to_work
-  if (sourceType === 'best_places_to_work') {
-    const agencyPattern = /\b(ICE|CBP|TSA|FEMA|DHS|NASA|FBI|DEA|Immigration and Customs Enforcement|Customs and Border Protection)\b/i;
-    const agencyMatch = context.match(agencyPattern);
-    if (agencyMatch) {
-      details.agency = agencyMatch[1].toUpperCase();
-    }
+  // Type-specific extraction (agency names, case numbers, ...)
+  if (typeof config.extract === 'function') {
+    return config.extract(context, details) || details;
   }
 
   return details;
@@ -221,58 +194,75 @@ function extractClaimDetails(context, sourceType, config) {
  *
  * Returns structured prompts that can be executed by the verification agent
  */
-function generateCrossCheckPrompts(claims) {
+function generateCrossCheckPrompts(claims, plugins = AUTHORITATIVE_SOURCES) {
+  const registry = plugins instanceof Map ? Object.fromEntries(plugins) : plugins;
   const prompts = [];
 
-  for (const claim of claims) {
-    if (claim.sourceType === 'best_places_to_work' && claim.claim.agency) {
-      const agencyCode = AUTHORITATIVE_SOURCES.best_places_to_work.primarySource.agencyCodes[claim.claim.agency];
-
-      if (agencyCode) {
-        const c = claim.claim;
-        prompts.push({
-          claimIndex: claims.indexOf(claim),
-          claim: claim,
-          tool: 'mcp__mcp-osint__osint_get',
-          params: {
-            target: `https://bestplacestowork.org/rankings/detail/?c=${agencyCode}`,
-            question: `What is the 2024 engagement score and ranking for this agency? Also list all category scores (leadership, pay, recognition, etc.) with exact numbers.`
-          },
-          extractionPrompt: `Compare these values:
-CLAIMED in article (line ${claim.line}):
-- Overall Score: ${c.score || 'not specified'}/100
-- Ranking: #${c.rank || '?'} out of ${c.rank_total || '?'} agencies
-- Leadership Score: ${c.leadership_score || 'not specified'}/100
-- Pay Satisfaction: ${c.pay_score || 'not specified'}/100
-- Recognition: ${c.recognition_score || 'not specified'}/100
-- Agency: ${c.agency || 'not specified'}
-
-VERIFY: Does the authoritative source match ALL these claimed values exactly?
-For each value, check if the authoritative source confirms it.
-Return JSON: {"match": true/false, "claimed": {...}, "actual": {...}, "discrepancies": [...]}`
-        });
-      }
-    }
+  claims.forEach((claim, claimIndex) => {
+    const plugin = registry[claim.sourceType];
+    if (!plugin || typeof plugin.prompt !== 'function') return;
+    const prompt = plugin.prompt(claim);
+    if (prompt) prompts.push({ claimIndex, claim, ...prompt });
+  });
 
-    // Add prompts for other source types...
-    if (claim.sourceType === 'executive_orders') {
-      const eoMatch = claim.text.match(/executive order\s*(?:#?\s*)?(\d+)/i) ||
-                      claim.text.match(/EO\s*(\d+)/i);
-      if (eoMatch) {
-        prompts.push({
-          claimIndex: claims.indexOf(claim),
-          claim: claim,
-          tool: 'mcp__mcp-osint__osint_get',
-          params: {
-            target: `https://www.federalregister.gov/documents/search?conditions[presidential_document_type][]=executive_order&conditions[executive_order_number]=${eoMatch[1]}`,
-            question: `Find the exact title, date, and key provisions of this executive order.`
-          }
-        });
+  return prompts;
+}
+
+/**
+ * Load captured evidence as [{ sourceId, url, content }].
+ * URLs come from evidence metadata.json, falling back to sources.json.
+ */
+function loadCaseEvidence(caseDir, sourcesJson = { sources: [] }) {
+  const evidenceDir = path.join(caseDir, 'evidence');
+  if (!fs.existsSync(evidenceDir)) return [];
+  const urls = new Map((sourcesJson.sources || []).map(s => [s.id, s.url]));
+
+  return fs.readdirSync(evidenceDir)
+    .filter(d => ids.isSourceId(d))
+    .sort(ids.compareIds)
+    .map(sourceId => {
+      const dir = path.join(evidenceDir, sourceId);
+      const contentPath = path.join(dir, 'content.md');
+      if (!fs.existsSync(contentPath)) return null;
+      let url = urls.get(sourceId) || '';
+      try {
+        url = JSON.parse(fs.readFileSync(path.join(dir, 'metadata.json'), 'utf-8')).url || url;
+      } catch (e) {
+        // metadata.json missing or unreadable: keep sources.json URL
       }
-    }
+      return { sourceId, url, content: fs.readFileSync(contentPath, 'utf-8') };
+    })
+    .filter(Boolean);
+}
+
+function hostMatches(url, domains) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return false;
   }
+  return domains.some(d => host === d || host.endsWith(`.${d}`));
+}
 
-  return prompts;
+/**
+ * Run each claim's plugin against authoritative evidence already captured in
+ * the case (evidence whose URL is on one of the plugin's domains).
+ * @returns {Array<{ claim, plugin, status, match, claimed, actual, discrepancies, evidence, note }>}
+ */
+function verifyCrossCheckClaims(claims, evidence, plugins = AUTHORITATIVE_SOURCES) {
+  const registry = plugins instanceof Map ? Object.fromEntries(plugins) : plugins;
+  return claims.map(claim => {
+    const plugin = registry[claim.sourceType];
+    const authoritative = evidence.filter(e => hostMatches(e.url, plugin.domains));
+    let outcome;
+    try {
+      outcome = plugin.verify(claim, authoritative, helpers);
+    } catch (err) {
+      outcome = helpers.result('unconfirmed', { note: `Plugin ${claim.sourceType} failed: ${err.message}` });
+    }
+    return { claim, plugin: claim.sourceType, ...outcome };
+  });
 }
 
 /**
@@ -319,8 +309,9 @@ Claims requiring cross-check: ${claims.length}
   if (results && results.length > 0) {
     report += `\n${'='.repeat(70)}\nCROSS-CHECK RESULTS\n${'='.repeat(70)}\n`;
 
-    const mismatches = results.filter(r => !r.match);
-    const matches = results.filter(r => r.match);
+    const mismatches = results.filter(r => r.match === false);
+    const matches = results.filter(r => r.match === true);
+    const open = results.filter(r => r.match !== true && r.match !== false);
 
     if (mismatches.length > 0) {
       report += `\n[!] MISMATCHES FOUND: ${mismatches.length}\n`;
@@ -337,6 +328,13 @@ Claims requiring cross-check: ${claims.length}
     if (matches.length > 0) {
       report += `\n[✓] Verified matches: ${matches.length}\n`;
     }
+
+    if (open.length > 0) {
+      report += `\n[?] Not confirmed against captured authoritative evidence: ${open.length}\n`;
+      for (const r of open) {
+        report += `  Line ${r.claim.line}: ${r.status.toUpperCase()} (${r.plugin}) - ${r.note || ''}\n`;
+      }
+    }
   }
 
   return report;
@@ -360,9 +358,12 @@ Options:
   --json          Output as JSON
   --output <file> Save results to file
   --prompts       Generate MCP tool prompts for verification
+  --plugins <dir> Load extra cross-check plugins from dir (repeatable)
+  --block         Exit 1 on any mismatch
 
 Example:
   node scripts/claims/cross-check.js cases/my-case --detect-only
+  node scripts/claims/cross-check.js cases/my-case --block
   node scripts/claims/cross-check.js cases/my-case --prompts > cross-check-prompts.json
 `);
     process.exit(args.length < 1 ? 1 : 0);
@@ -380,8 +381,23 @@ Example:
   const options = {
     detectOnly: args.includes('--detect-only'),
     json: args.includes('--json'),
-    prompts: args.includes('--prompts')
+    prompts: args.includes('--prompts'),
+    block: args.includes('--block'),
+    output: null,
+    pluginDirs: []
   };
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--output' && args[i + 1]) options.output = args[++i];
+    else if (args[i] === '--plugins' && args[i + 1]) options.pluginDirs.push(args[++i]);
+  }
+
+  let plugins;
+  try {
+    plugins = loadPlugins({ caseDir, dirs: options.pluginDirs });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
 
   // Load sources
   let sources = { sources: [] };
@@ -390,34 +406,46 @@ Example:
   }
 
   // Detect claims needing cross-check
-  const claims = detectCrossCheckClaims(articlePath, sources);
+  const claims = detectCrossCheckClaims(articlePath, sources, plugins);
 
   if (options.prompts) {
-    const prompts = generateCrossCheckPrompts(claims);
+    const prompts = generateCrossCheckPrompts(claims, plugins);
     console.log(JSON.stringify(prompts, null, 2));
     return;
   }
 
-  if (options.detectOnly || options.json) {
+  if (options.detectOnly) {
     const report = formatReport(claims, null, options);
     console.log(report);
     return;
   }
 
-  // Full report with detection
-  console.log(formatReport(claims, null, options));
+  // Verify against captured authoritative evidence
+  const results = verifyCrossCheckClaims(claims, loadCaseEvidence(caseDir, sources), plugins);
+  console.log(formatReport(claims, results, options));
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify({ checkedAt: new Date().toISOString(), claims, results }, null, 2));
+    if (!options.json) console.log(`\nResults written to: ${options.output}`);
+  }
+
+  if (!options.json && results.some(r => r.status === 'no_evidence')) {
+    console.log(`\nTo capture missing authoritative pages: --prompts`);
+  }
 
-  if (claims.length > 0) {
-    console.log(`\nTo generate verification prompts: --prompts`);
-    console.log(`To run verification, pipe prompts to verification agent.`);
+  if (options.block && results.some(r => r.status === 'mismatch')) {
+    process.exit(1);
   }
 }
 
 // Exports for use as module
 module.exports = {
   AUTHORITATIVE_SOURCES,
+  loadPlugins,
   detectCrossCheckClaims,
   generateCrossCheckPrompts,
+  loadCaseEvidence,
+  verifyCrossCheckClaims,
   formatReport
 };
 
@@ -10,6 +10,7 @@
  * Additionally:
  * - Cross-check authoritative claims (bestplacestowork.org, etc.)
  * - Computational verification for numerical claims
+ * - Temporal checks of dated claims against source publication dates
  */
 
 'use strict';
@@ -17,6 +18,8 @@
 const verifyArticle = require('./verify-article');
 const crossCheck = require('./cross-check');
 const computeVerify = require('./compute-verify');
+const passageIndex = require('./passage-index');
+const temporalCheck = require('./temporal-check');
 
 module.exports = {
   // Article claim extraction
@@ -30,14 +33,30 @@ module.exports = {
   // Reporting
   generateReport: verifyArticle.generateReport,
 
+  // Deterministic passage retrieval / pre-triage
+  passageIndex: {
+    buildIndex: passageIndex.buildIndex,
+    searchPassages: passageIndex.searchPassages,
+    triageClaim: passageIndex.triageClaim
+  },
+
   // Authoritative source cross-checking
   crossCheck: {
     detectCrossCheckClaims: crossCheck.detectCrossCheckClaims,
     generateCrossCheckPrompts: crossCheck.generateCrossCheckPrompts,
+    loadPlugins: crossCheck.loadPlugins,
+    verifyCrossCheckClaims: crossCheck.verifyCrossCheckClaims,
     formatReport: crossCheck.formatReport,
     AUTHORITATIVE_SOURCES: crossCheck.AUTHORITATIVE_SOURCES
   },
 
+  // Dated claims vs. cited source publication dates
+  temporalCheck: {
+    extractDateReferences: temporalCheck.extractDateReferences,
+    loadSourceDates: temporalCheck.loadSourceDates,
+    findAnachronisms: temporalCheck.findAnachronisms
+  },
+
   // Computational fact-checking for numerical claims
   computeVerify: {
     extractNumericalClaims: computeVerify.extractNumericalClaims,
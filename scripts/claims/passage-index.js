@@ -0,0 +1,252 @@
+/**
+ * passage-index.js - Deterministic passage retrieval over source content
+ *
+ * Splits a source's content.md into overlapping word-window passages and
+ * ranks them against a claim with BM25 plus a word-shingle overlap bonus.
+ * Used by verify-article.js to:
+ * - shrink LLM prompts to the best-matching passages of long sources
+ * - pre-triage claims: if every key number/entity of a claim appears in one
+ *   passage the claim is labelled "likely_supported" (a hint, not a verdict)
+ * - record passage offsets so reviewers can jump straight to the evidence
+ *
+ * Offsets are character offsets into content.md; lines are 1-based.
+ */
+
+'use strict';
+
+const WINDOW_WORDS = 120;
+const STRIDE_WORDS = 60;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SHINGLE_SIZE = 3;
+const SHINGLE_WEIGHT = 2.0;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'had', 'has', 'have',
+  'he', 'her', 'his', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'she', 'that', 'the',
+  'their', 'them', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'which', 'who', 'will', 'with',
+  'would', 'than', 'then', 'so', 'not', 'no', 'also', 'about', 'after', 'before', 'over', 'said'
+]);
+
+const SCALE_WORDS = {
+  thousand: 1e3, k: 1e3,
+  million: 1e6, m: 1e6, mn: 1e6,
+  billion: 1e9, b: 1e9, bn: 1e9,
+  trillion: 1e12, t: 1e12
+};
+
+/** Word tokens with character offsets. Numbers keep their digits ("1,200" -> "1200"). */
+function wordSpans(text) {
+  const spans = [];
+  const re = /\d[\d,]*(?:\.\d+)?|[A-Za-zÀ-ɏ][A-Za-zÀ-ɏ'-]*/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const raw = m[0];
+    const token = /^\d/.test(raw) ? raw.replace(/,/g, '') : raw.toLowerCase().replace(/'s$/, '');
+    spans.push({ token, start: m.index, end: m.index + raw.length });
+  }
+  return spans;
+}
+
+function tokenize(text) {
+  return wordSpans(text).map(s => s.token).filter(t => !STOPWORDS.has(t));
+}
+
+function shingles(tokens) {
+  const out = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    out.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return out;
+}
+
+function lineAt(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+/**
+ * Build a passage index for one document.
+ * @returns {{ content, passages, df, avgLength }}
+ */
+function buildIndex(content) {
+  const text = String(content || '');
+  const spans = wordSpans(text);
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+
+  const passages = [];
+  for (let i = 0; i < spans.length; i += STRIDE_WORDS) {
+    const window = spans.slice(i, i + WINDOW_WORDS);
+    const start = window[0].start;
+    const end = window[window.length - 1].end;
+    const tokens = window.map(s => s.token).filter(t => !STOPWORDS.has(t));
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    passages.push({
+      start,
+      end,
+      lineStart: lineAt(lineStarts, start),
+      lineEnd: lineAt(lineStarts, end),
+      length: tokens.length,
+      tf,
+      shingles: shingles(tokens)
+    });
+    if (i + WINDOW_WORDS >= spans.length) break;
+  }
+
+  const df = new Map();
+  for (const p of passages) for (const t of p.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = passages.length ? passages.reduce((s, p) => s + p.length, 0) / passages.length : 0;
+
+  return { content: text, passages, df, avgLength };
+}
+
+/**
+ * Rank passages for a claim. Returns the top `k` as
+ * { start, end, lineStart, lineEnd, score, text }, best first.
+ */
+function searchPassages(index, claimText, k = 3) {
+  const queryTokens = tokenize(claimText);
+  const queryShingles = shingles(queryTokens);
+  const uniqueQuery = [...new Set(queryTokens)];
+  const N = index.passages.length;
+
+  const scored = index.passages.map(p => {
+    let bm25 = 0;
+    for (const t of uniqueQuery) {
+      const f = p.tf.get(t);
+      if (!f) continue;
+      const n = index.df.get(t) || 0;
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      bm25 += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * p.length / (index.avgLength || 1)));
+    }
+    let shared = 0;
+    for (const s of queryShingles) if (p.shingles.has(s)) shared++;
+    const shingleScore = queryShingles.size ? shared / queryShingles.size : 0;
+    return { p, score: bm25 + SHINGLE_WEIGHT * shingleScore };
+  });
+
+  return scored
+    .filter(s => s.score > 0)
+    .sort((a, b) => b.score - a.score || a.p.start - b.p.start)
+    .slice(0, k)
+    .map(({ p, score }) => ({
+      start: p.start,
+      end: p.end,
+      lineStart: p.lineStart,
+      lineEnd: p.lineEnd,
+      score: Math.round(score * 1000) / 1000,
+      text: index.content.slice(p.start, p.end)
+    }));
+}
+
+/**
+ * Canonical numeric values mentioned in text ("$1.2 billion" -> 1200000000,
+ * "12%" -> 12). Returned as strings for set comparison.
+ */
+function extractNumbers(text) {
+  const values = new Set();
+  const re = /(\d[\d,]*(?:\.\d+)?)\s*(thousand|million|billion|trillion|bn|mn|[kmbt])?\b/gi;
+  let m;
+  while ((m = re.exec(String(text || ''))) !== null) {
+    const base = parseFloat(m[1].replace(/,/g, ''));
+    if (!Number.isFinite(base)) continue;
+    values.add(String(base));
+    const scale = m[2] ? SCALE_WORDS[m[2].toLowerCase()] : null;
+    if (scale) values.add(String(base * scale));
+  }
+  return values;
+}
+
+/**
+ * Key terms of a claim: numbers plus named entities (acronyms, and
+ * capitalised words that do not start a sentence).
+ */
+function extractKeyTerms(claimText) {
+  const text = String(claimText || '');
+  const numbers = [];
+  const re = /(\d[\d,]*(?:\.\d+)?)/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const n = String(parseFloat(m[1].replace(/,/g, '')));
+    if (!numbers.includes(n)) numbers.push(n);
+  }
+
+  const entities = [];
+  const wordRe = /[A-Za-z][A-Za-z'&.-]*/g;
+  while ((m = wordRe.exec(text)) !== null) {
+    const clean = m[0].replace(/[.'-]+$/, '').replace(/'s$/, '');
+    if (!clean || STOPWORDS.has(clean.toLowerCase())) continue;
+    const before = text.slice(0, m.index).trimEnd();
+    const startsSentence = before === '' || /[.!?:]["')\]]?$/.test(before);
+    const isAcronym = /^[A-Z]{2,}$/.test(clean);
+    const isProper = /^[A-Z][a-z]/.test(clean) && !startsSentence;
+    if ((isAcronym || isProper) && !entities.includes(clean)) entities.push(clean);
+  }
+
+  return { numbers, entities };
+}
+
+/**
+ * Check whether one passage contains every key term of a claim.
+ * @returns {{ label, keyTerms, missing, passageIndex }}
+ */
+function triageClaim(claimText, passages) {
+  const keyTerms = extractKeyTerms(claimText);
+  const total = keyTerms.numbers.length + keyTerms.entities.length;
+  if (passages.length === 0) return { label: 'no_match', keyTerms, missing: [...keyTerms.numbers, ...keyTerms.entities], passageIndex: null };
+  if (keyTerms.numbers.length === 0 && total < 2) return { label: 'needs_review', keyTerms, missing: [], passageIndex: null };
+
+  let best = null;
+  passages.forEach((p, idx) => {
+    const nums = extractNumbers(p.text);
+    const lower = p.text.toLowerCase();
+    const missing = [
+      ...keyTerms.numbers.filter(n => !nums.has(n)),
+      ...keyTerms.entities.filter(e => !lower.includes(e.toLowerCase()))
+    ];
+    if (!best || missing.length < best.missing.length) best = { missing, passageIndex: idx };
+  });
+
+  return {
+    label: best.missing.length === 0 ? 'likely_supported' : 'needs_review',
+    keyTerms,
+    missing: best.missing,
+    passageIndex: best.passageIndex
+  };
+}
+
+/**
+ * Join passages into a prompt excerpt, in document order, merging overlaps.
+ */
+function formatExcerpt(content, passages) {
+  const ranges = passages
+    .map(p => [p.start, p.end])
+    .sort((a, b) => a[0] - b[0])
+    .reduce((acc, r) => {
+      const last = acc[acc.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else acc.push([...r]);
+      return acc;
+    }, []);
+  return ranges
+    .map(([s, e]) => `[... content.md chars ${s}-${e} ...]\n${content.slice(s, e)}`)
+    .join('\n\n');
+}
+
+module.exports = {
+  buildIndex,
+  searchPassages,
+  extractKeyTerms,
+  extractNumbers,
+  triageClaim,
+  formatExcerpt,
+  tokenize
+};
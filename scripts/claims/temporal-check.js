@@ -0,0 +1,246 @@
+/**
+ * temporal-check.js - Dated claims vs. cited source publication dates
+ *
+ * A source cannot report on a period that began after it was published. For
+ * every cited sentence that refers to a date ("in March 2024", "as of 2024",
+ * "last year"), the latest period referred to is compared with the
+ * publication date of each cited source (metadata.json published_at, written
+ * by osint-save.js, or read from raw.html for older captures).
+ *
+ * A sentence is flagged only when every cited source has a known date and all
+ * of them predate the period. Forecast language ("expected", "by 2030") and
+ * sources updated after the period began downgrade the flag to MEDIUM.
+ * "Currently"/"now" claims backed only by sources over a year old are MEDIUM.
+ *
+ * Dates are compared at day precision as YYYY-MM-DD strings.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('../ids');
+const { extractPublicationDate } = require('../osint-save');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_NAME = '(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)';
+const YEAR = '((?:19|20)\\d{2})';
+
+const FORECAST_WORDS = /\b(?:will|would|expected|expects|projected|projects|projection|forecast|forecasts|plans?|planned|scheduled|target|goal|estimated to|on track|by\s+(?:19|20)\d{2})\b/i;
+const CURRENT_WORDS = /\b(?:currently|now|today|at present|presently|as of (?:this writing|now|today))\b/i;
+const STALE_DAYS = 365;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function monthIndex(name) {
+  const lower = name.toLowerCase();
+  return MONTHS.findIndex(m => m.startsWith(lower.slice(0, 3)));
+}
+
+function toDay(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+}
+
+/**
+ * Date references in a sentence: [{ text, start, precision }] where start is
+ * the first day (YYYY-MM-DD) of the referenced period.
+ */
+function extractDateReferences(sentence, asOf = new Date()) {
+  const refs = [];
+  const taken = [];
+  const overlaps = (s, e) => taken.some(([a, b]) => s < b && e > a);
+  const add = (m, start, precision) => {
+    const s = m.index;
+    const e = m.index + m[0].length;
+    if (overlaps(s, e)) return;
+    taken.push([s, e]);
+    refs.push({ text: m[0], start, precision });
+  };
+  const scan = (pattern, fn) => {
+    const re = new RegExp(pattern, 'gi');
+    let m;
+    while ((m = re.exec(sentence)) !== null) fn(m);
+  };
+
+  scan(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2}),?\\s+${YEAR}\\b`, m => {
+    const day = parseInt(m[2], 10);
+    if (day >= 1 && day <= 31) add(m, `${m[3]}-${pad(monthIndex(m[1]) + 1)}-${pad(day)}`, 'day');
+  });
+  scan(`\\b${MONTH_NAME}\\.?\\s+(?:of\\s+)?${YEAR}\\b`, m => {
+    add(m, `${m[2]}-${pad(monthIndex(m[1]) + 1)}-01`, 'month');
+  });
+  scan(`\\bfiscal(?:\\s+year)?\\s+${YEAR}\\b`, m => {
+    // US federal fiscal years start on October 1 of the prior calendar year
+    add(m, `${parseInt(m[1], 10) - 1}-10-01`, 'fiscal_year');
+  });
+  scan(`(?<![$\\d,.])\\b${YEAR}\\b(?![\\d,]|\\s*%)`, m => {
+    add(m, `${m[1]}-01-01`, 'year');
+  });
+
+  const year = asOf.getFullYear();
+  scan('\\b(?:last|past|previous)\\s+year\\b', m => add(m, `${year - 1}-01-01`, 'relative'));
+  scan('\\bthis\\s+year\\b', m => add(m, `${year}-01-01`, 'relative'));
+  scan('\\b(?:last|past|previous)\\s+month\\b', m => {
+    add(m, toDay(new Date(year, asOf.getMonth() - 1, 1)), 'relative');
+  });
+  scan('\\bthis\\s+month\\b', m => add(m, toDay(new Date(year, asOf.getMonth(), 1)), 'relative'));
+
+  return refs;
+}
+
+/**
+ * Publication dates for every captured source:
+ * { S001: { published, modified, from: 'metadata' | 'raw.html' } }.
+ * Sources with no declared date are present with published: null.
+ */
+function loadSourceDates(caseDir) {
+  const dates = {};
+  const evidenceDir = path.join(caseDir, 'evidence');
+  if (!fs.existsSync(evidenceDir)) return dates;
+
+  for (const id of fs.readdirSync(evidenceDir)) {
+    if (!ids.isSourceId(id)) continue;
+    const dir = path.join(evidenceDir, id);
+    let metadata = {};
+    try {
+      metadata = JSON.parse(fs.readFileSync(path.join(dir, 'metadata.json'), 'utf-8'));
+    } catch {
+      // Missing/invalid metadata is reported by verify-source; fall through to raw.html
+    }
+
+    if (metadata.published_at) {
+      dates[id] = { published: metadata.published_at, modified: metadata.modified_at || null, from: 'metadata' };
+      continue;
+    }
+    const rawPath = path.join(dir, 'raw.html');
+    const declared = fs.existsSync(rawPath) ? extractPublicationDate(fs.readFileSync(rawPath, 'utf-8')) : null;
+    dates[id] = declared && declared.published_at
+      ? { published: declared.published_at, modified: declared.modified_at, from: 'raw.html' }
+      : { published: null, modified: null, from: null };
+  }
+  return dates;
+}
+
+function citedSentences(text) {
+  const out = [];
+  const lines = text.split('\n');
+  let inCodeBlock = false;
+  let inSourcesSection = false;
+  const sourcesHeaderPattern = /^#+\s*(Sources?\s+(Cited|Consulted)|Sources?|References?|Works\s+Cited|Bibliography)\b/i;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock) continue;
+    if (/^#+\s+/.test(line)) {
+      inSourcesSection = sourcesHeaderPattern.test(line);
+      continue;
+    }
+    if (inSourcesSection || line.startsWith('---') || line.trim() === '') continue;
+
+    const sentences = line.split(/(?<=[.!?])\s+(?=[A-Z(])/);
+    for (const sentence of sentences) {
+      const sourceIds = ids.extractSourceIds(sentence);
+      if (sourceIds.length === 0) continue;
+      // Citation URLs and link targets often carry dates (/2024/03/) of their own
+      const prose = sentence
+        .replace(ids.citationRegex('g'), ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, ' ');
+      out.push({ line: i + 1, sentence: sentence.trim(), prose, sourceIds });
+    }
+  }
+  return out;
+}
+
+/**
+ * Find dated claims that their cited sources could not have reported.
+ *
+ * @param {string} text - Article or findings markdown
+ * @param {object} sourceDates - Output of loadSourceDates()
+ * @param {object} [options]
+ * @param {Date} [options.asOf] - Date the text was written (for "last year")
+ * @returns {{ issues: object[], stats: object }}
+ */
+function findAnachronisms(text, sourceDates, options = {}) {
+  const asOf = options.asOf || new Date();
+  const issues = [];
+  const stats = { citedSentences: 0, datedClaims: 0, checkedClaims: 0, undatedSources: new Set() };
+
+  for (const { line, sentence, prose, sourceIds } of citedSentences(text)) {
+    stats.citedSentences++;
+    const cited = sourceIds.map(id => ({ id, ...(sourceDates[id] || { published: null, modified: null }) }));
+    for (const c of cited) {
+      if (!c.published) stats.undatedSources.add(c.id);
+    }
+    const allDated = cited.every(c => c.published);
+
+    const refs = extractDateReferences(prose, asOf);
+    if (refs.length > 0) {
+      stats.datedClaims++;
+      if (!allDated) continue;
+      stats.checkedClaims++;
+
+      const latest = refs.reduce((a, b) => (b.start > a.start ? b : a));
+      if (!cited.every(c => c.published < latest.start)) continue;
+
+      const updated = cited.filter(c => c.modified && c.modified >= latest.start);
+      const forecast = FORECAST_WORDS.test(prose);
+      const sources = cited.map(c => `${c.id} published ${c.published}${c.modified ? ` (updated ${c.modified})` : ''}`).join(', ');
+      let note = 'Cited source(s) predate the period this claim refers to';
+      if (forecast) note = 'Claim reads as a forecast; confirm the source frames it as a projection';
+      else if (updated.length) note = `Source updated after the period began (${updated.map(c => c.id).join(', ')}); confirm the update covers it`;
+
+      issues.push({
+        type: 'anachronism',
+        line,
+        sentence,
+        reference: latest.text,
+        periodStart: latest.start,
+        sourceIds,
+        severity: forecast || updated.length ? 'MEDIUM' : 'HIGH',
+        message: `"${latest.text}" (from ${latest.start}) cited to ${sources}`,
+        suggestion: note
+      });
+      continue;
+    }
+
+    if (CURRENT_WORDS.test(prose) && allDated) {
+      stats.checkedClaims++;
+      const asOfDay = toDay(asOf);
+      const newest = cited.reduce((a, b) => ((b.modified || b.published) > (a.modified || a.published) ? b : a));
+      const newestDate = newest.modified || newest.published;
+      const age = daysBetween(newestDate, asOfDay);
+      if (age > STALE_DAYS) {
+        issues.push({
+          type: 'stale_current',
+          line,
+          sentence,
+          reference: (prose.match(CURRENT_WORDS) || [''])[0],
+          periodStart: asOfDay,
+          sourceIds,
+          severity: 'MEDIUM',
+          message: `Present-tense claim backed by a source last dated ${newestDate} (${age} days before ${asOfDay})`,
+          suggestion: 'Date the claim ("as of <month year>") or cite a current source'
+        });
+      }
+    }
+  }
+
+  return { issues, stats: { ...stats, undatedSources: [...stats.undatedSources].sort(ids.compareIds) } };
+}
+
+module.exports = {
+  extractDateReferences,
+  loadSourceDates,
+  findAnachronisms
+};
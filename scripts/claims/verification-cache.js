@@ -0,0 +1,199 @@
+/**
+ * verification-cache.js - Persistent cache of LLM verification verdicts
+ *
+ * Stored at <case>/verification-cache.json. An entry is keyed by
+ * (kind, normalized claim text, source ID, evidence hash, prompt mode), where
+ * the evidence hash is the sha256 recorded in evidence/<id>/metadata.json and
+ * the prompt mode is 'excerpt' (best-matching passages) or 'full' (the whole
+ * source, as with --full-source and in compute-verify.js). A re-run of
+ * verify-article.js / compute-verify.js after a small article edit therefore
+ * only sends new or changed claims to the LLM.
+ *
+ * Invalidation:
+ * - the evidence hash is part of the key, so any hash change is a miss
+ * - fix-source-hashes.js and recapture-sources.js call invalidateSources()
+ *   to drop entries for sources whose hash changed or whose live copy drifted
+ * - entries whose hash no longer matches metadata.json are pruned on store
+ *
+ * Only final verdicts are cached (SUPPORTED/UNSOURCED, MATCHED/DISCREPANCY/
+ * DATA_NOT_FOUND). An UNSOURCED verdict from excerpts is not cached: the
+ * passages may simply have missed the support, so the claim is asked again.
+ * The cached raw LLM response is re-processed on every run,
+ * so quote checks and drift warnings still apply to cached verdicts.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FILE = 'verification-cache.json';
+const CACHE_VERSION = 2;
+const CACHEABLE_STATUSES = {
+  semantic: ['SUPPORTED', 'UNSOURCED'],
+  compute: ['MATCHED', 'DISCREPANCY', 'DATA_NOT_FOUND']
+};
+
+function normalizeClaim(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Evidence hash for a source, as recorded in metadata.json ("sha256:<hex>"),
+ * or null when the source has no recorded hash (such sources are never cached).
+ */
+function evidenceHash(caseDir, sourceId) {
+  const metaPath = path.join(caseDir, 'evidence', sourceId, 'metadata.json');
+  if (!fs.existsSync(metaPath)) return null;
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+    const hash = meta.verification?.computed_hash || meta.sha256;
+    if (!hash) return null;
+    return String(hash).startsWith('sha256:') ? String(hash) : `sha256:${hash}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function cacheKey(kind, claimText, sourceId, hash, mode = 'full') {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([kind, normalizeClaim(claimText), sourceId, hash, mode]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function loadCache(caseDir) {
+  const cachePath = path.join(caseDir, CACHE_FILE);
+  if (!fs.existsSync(cachePath)) return { version: CACHE_VERSION, entries: {} };
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    if (data.version !== CACHE_VERSION || !data.entries) return { version: CACHE_VERSION, entries: {} };
+    return data;
+  } catch (e) {
+    return { version: CACHE_VERSION, entries: {} };
+  }
+}
+
+function saveCache(caseDir, cache) {
+  const cachePath = path.join(caseDir, CACHE_FILE);
+  cache.updated_at = new Date().toISOString();
+  fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Create a lookup bound to one case. Evidence hashes are read once per source.
+ * @returns {{ lookup(kind, claimText, sourceId, mode = 'full') -> entry|null, hashFor(sourceId) }}
+ */
+function openCache(caseDir) {
+  const cache = loadCache(caseDir);
+  const hashes = new Map();
+  function hashFor(sourceId) {
+    if (!hashes.has(sourceId)) hashes.set(sourceId, evidenceHash(caseDir, sourceId));
+    return hashes.get(sourceId);
+  }
+  return {
+    hashFor,
+    lookup(kind, claimText, sourceId, mode = 'full') {
+      const hash = hashFor(sourceId);
+      if (!hash) return null;
+      return cache.entries[cacheKey(kind, claimText, sourceId, hash, mode)] || null;
+    }
+  };
+}
+
+/**
+ * Store final verdicts from processed results.
+ * @param {string} caseDir
+ * @param {'semantic'|'compute'} kind
+ * @param {Array<{ claimText, sourceId, status, response, mode? }>} verdicts
+ *   mode is the prompt mode, 'excerpt' or 'full' (the default)
+ * @returns {{ stored: number, pruned: number }}
+ */
+function storeVerdicts(caseDir, kind, verdicts) {
+  const cache = loadCache(caseDir);
+  const hashes = new Map();
+  const hashFor = id => {
+    if (!hashes.has(id)) hashes.set(id, evidenceHash(caseDir, id));
+    return hashes.get(id);
+  };
+
+  let pruned = 0;
+  for (const [key, entry] of Object.entries(cache.entries)) {
+    if (hashFor(entry.sourceId) !== entry.evidenceHash) {
+      delete cache.entries[key];
+      pruned++;
+    }
+  }
+
+  let stored = 0;
+  const now = new Date().toISOString();
+  for (const v of verdicts) {
+    const mode = v.mode || 'full';
+    if (!CACHEABLE_STATUSES[kind].includes(v.status) || typeof v.response !== 'string') continue;
+    if (mode === 'excerpt' && v.status === 'UNSOURCED') continue;
+    const hash = hashFor(v.sourceId);
+    if (!hash) continue;
+    const key = cacheKey(kind, v.claimText, v.sourceId, hash, mode);
+    const existing = cache.entries[key];
+    cache.entries[key] = {
+      kind,
+      sourceId: v.sourceId,
+      evidenceHash: hash,
+      mode,
+      claim: normalizeClaim(v.claimText),
+      status: v.status,
+      response: v.response,
+      cached_at: existing && existing.response === v.response ? existing.cached_at : now
+    };
+    stored++;
+  }
+
+  saveCache(caseDir, cache);
+  return { stored, pruned };
+}
+
+/**
+ * Drop cached verdicts matching `predicate(entry)`.
+ * @returns {number} entries removed
+ */
+function invalidateEntries(caseDir, predicate) {
+  const cachePath = path.join(caseDir, CACHE_FILE);
+  if (!fs.existsSync(cachePath)) return 0;
+  const cache = loadCache(caseDir);
+  let removed = 0;
+  for (const [key, entry] of Object.entries(cache.entries)) {
+    if (predicate(entry)) {
+      delete cache.entries[key];
+      removed++;
+    }
+  }
+  if (removed > 0) saveCache(caseDir, cache);
+  return removed;
+}
+
+/**
+ * Drop all cached verdicts for the given sources.
+ * @returns {number} entries removed
+ */
+function invalidateSources(caseDir, sourceIds) {
+  const ids = new Set(sourceIds);
+  return invalidateEntries(caseDir, entry => ids.has(entry.sourceId));
+}
+
+module.exports = {
+  CACHE_FILE,
+  normalizeClaim,
+  evidenceHash,
+  cacheKey,
+  openCache,
+  storeVerdicts,
+  invalidateEntries,
+  invalidateSources
+};
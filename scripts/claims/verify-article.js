@@ -21,15 +21,33 @@
  *   --batch-size <n>     Split into batches of size n (default: 30)
  *   --generate-batches   Generate batch files for parallel processing
  *   --merge-batches <n>  Merge n batch response files
+ *   --full-source        Send whole source content instead of best-matching passages
+ *   --no-cache           Ignore verification-cache.json and re-verify every claim
+ *
+ * Verdicts are cached in verification-cache.json (see verification-cache.js);
+ * claims whose text, source and evidence hash are unchanged reuse the cached
+ * LLM response and are not sent again.
  */
 
 'use strict';
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('../ids');
 
 const { verifySource } = require('../verify-source');
 const { normalizeUrl } = require('../osint-save');
+const { loadLatestRecapture, passageStillPresent } = require('../recapture-sources');
+const passageIndex = require('./passage-index');
+const verificationCache = require('./verification-cache');
+
+// Sources shorter than this are always sent whole; longer ones are cut down
+// to the best-matching passages (see passage-index.js) unless --full-source.
+const EXCERPT_MIN_SOURCE_CHARS = 6000;
+const PASSAGES_PER_CLAIM = 3;
+
+// Warning codes raised from recapture-sources.js drift data
+const DRIFT_WARNING_CODES = ['SOURCE_REMOVED_LIVE', 'CITED_PASSAGE_DRIFTED'];
 
 /**
  * Patterns that indicate a claim is a source reference, not a factual claim
@@ -143,7 +161,7 @@ function extractArticleClaims(articleText) {
   const citationUrlErrors = []; // Track invalid citation URLs
 
   // Pattern for citations: [S001], [S001](url) - capture URL part too
-  const citationPattern = /\[(S\d{3})\](?:\(([^)]+)\))?/g;
+  const citationPattern = ids.citationRegex('g');
 
   for (let lineNum = 0; lineNum < lines.length; lineNum++) {
     const line = lines[lineNum];
@@ -190,7 +208,7 @@ function extractArticleClaims(articleText) {
 
       // Extract the claim text (sentence without citation markup)
       const claimText = sentence
-        .replace(/\[(S\d{3})\](?:\([^)]+\))?/g, '')
+        .replace(ids.citationRegex('g'), '')
         .replace(/\s+/g, ' ')
         .trim();
 
@@ -253,14 +271,17 @@ function loadSourceMetadata(caseDir, sourceId) {
 /**
  * Generate LLM prompt for direct claim verification
  */
-function generateVerificationPrompt(claim, sourceContent, sourceUrl) {
+function generateVerificationPrompt(claim, sourceContent, sourceUrl, excerpted = false) {
+  const contentHeader = excerpted
+    ? 'SOURCE EXCERPTS (best-matching passages from a longer captured source; if they do not contain the claimed information, answer supported=false and say the excerpts were insufficient):'
+    : 'SOURCE CONTENT:';
   return `Verify if this source content supports the following claim.
 
 CLAIM: "${claim.text}"
 
 SOURCE URL: ${sourceUrl || 'Unknown'}
 
-SOURCE CONTENT:
+${contentHeader}
 ${sourceContent}
 
 Instructions:
@@ -348,6 +369,14 @@ function prepareVerification(caseDir, options = {}) {
 
   const verificationData = [];
   const sourceIntegrityCache = new Map();
+  const recaptureCache = new Map();
+  const indexCache = new Map();
+  const cache = options.noCache ? null : verificationCache.openCache(caseDir);
+
+  function getPassageIndex(sourceId, content) {
+    if (!indexCache.has(sourceId)) indexCache.set(sourceId, passageIndex.buildIndex(content));
+    return indexCache.get(sourceId);
+  }
 
   function getSourceIntegrity(sourceId) {
     if (sourceIntegrityCache.has(sourceId)) return sourceIntegrityCache.get(sourceId);
@@ -359,6 +388,11 @@ function prepareVerification(caseDir, options = {}) {
     return result;
   }
 
+  function getRecapture(sourceId) {
+    if (!recaptureCache.has(sourceId)) recaptureCache.set(sourceId, loadLatestRecapture(caseDir, sourceId));
+    return recaptureCache.get(sourceId);
+  }
+
   for (const claim of articleClaims) {
     // Skip source references
     if (claim.isSourceRef) {
@@ -422,7 +456,23 @@ function prepareVerification(caseDir, options = {}) {
       }
     }
 
-    const prompt = generateVerificationPrompt(claim, sourceData.content, sourceUrl);
+    const recapture = getRecapture(sourceId);
+    if (recapture && recapture.status === 'removed') {
+      warnings.push({
+        code: 'SOURCE_REMOVED_LIVE',
+        message: `${sourceId} no longer exists at ${sourceUrl} (HTTP ${recapture.record.http_status}, recapture ${recapture.version} on ${recapture.record.checked_at})`
+      });
+    }
+
+    const passages = passageIndex.searchPassages(getPassageIndex(sourceId, sourceData.content), claim.text, PASSAGES_PER_CLAIM);
+    const triage = passageIndex.triageClaim(claim.text, passages);
+    const excerpted = !options.fullSource &&
+      sourceData.content.length > EXCERPT_MIN_SOURCE_CHARS &&
+      passages.length > 0;
+    const promptContent = excerpted ? passageIndex.formatExcerpt(sourceData.content, passages) : sourceData.content;
+    const prompt = generateVerificationPrompt(claim, promptContent, sourceUrl, excerpted);
+    const promptMode = excerpted ? 'excerpt' : 'full';
+    const cached = cache ? cache.lookup('semantic', claim.text, sourceId, promptMode) : null;
 
     verificationData.push({
       claim,
@@ -431,29 +481,46 @@ function prepareVerification(caseDir, options = {}) {
       citedUrl,
       warnings,
       prompt,
+      promptMode,
+      // Offsets into evidence/<sourceId>/content.md, best match first
+      passages: passages.map(({ text, ...offsets }) => offsets),
+      triage: {
+        label: triage.label,
+        keyTerms: triage.keyTerms,
+        missing: triage.missing,
+        passage: triage.passageIndex
+      },
+      // Cached LLM response; processed like a fresh one, but not re-sent
+      cached: cached ? { response: cached.response, cachedAt: cached.cached_at } : null,
       status: 'PENDING'
     });
   }
 
-  // Generate prompts array for LLM processing
+  // Generate prompts array for LLM processing (cached claims are not re-sent)
   const prompts = verificationData
-    .filter(v => v.status === 'PENDING')
+    .filter(v => v.status === 'PENDING' && !v.cached)
     .map((v, idx) => ({
       index: verificationData.indexOf(v),
       prompt: v.prompt,
       claim: v.claim.text,
       sourceId: v.sourceId,
-      line: v.claim.line
+      line: v.claim.line,
+      triage: v.triage.label,
+      passages: v.passages
     }));
 
   const stats = {
     total: articleClaims.length,
     pending: prompts.length,
+    cached: verificationData.filter(v => v.status === 'PENDING' && v.cached).length,
     skipped: verificationData.filter(v => v.status === 'SKIPPED').length,
     noSource: verificationData.filter(v => v.status === 'NO_SOURCE').length,
     sourceMissing: verificationData.filter(v => v.status === 'SOURCE_MISSING').length,
     sourceInvalid: verificationData.filter(v => v.status === 'SOURCE_INVALID').length,
-    citationUrlMismatches: verificationData.filter(v => (v.warnings || []).some(w => w.code === 'CITATION_URL_MISMATCH')).length
+    citationUrlMismatches: verificationData.filter(v => (v.warnings || []).some(w => w.code === 'CITATION_URL_MISMATCH')).length,
+    sourcesRemovedLive: verificationData.filter(v => (v.warnings || []).some(w => w.code === 'SOURCE_REMOVED_LIVE')).length,
+    likelySupported: verificationData.filter(v => v.triage?.label === 'likely_supported').length,
+    excerptedPrompts: verificationData.filter(v => v.promptMode === 'excerpt').length
   };
 
   return {
@@ -481,12 +548,21 @@ function processVerificationResponses(prepared, llmResponses) {
     return content;
   }
 
-  const results = prepared.verificationData.map((item, idx) => {
-    if (item.status !== 'PENDING') {
-      return item;
+  const recaptureCache = new Map();
+  function getRecapture(sourceId) {
+    if (!recaptureCache.has(sourceId)) recaptureCache.set(sourceId, loadLatestRecapture(prepared.caseDir, sourceId));
+    return recaptureCache.get(sourceId);
+  }
+
+  const results = prepared.verificationData.map((pendingItem, idx) => {
+    if (pendingItem.status !== 'PENDING') {
+      return pendingItem;
     }
 
-    const response = responseMap.get(idx);
+    const { cached, ...rest } = pendingItem;
+    const fresh = responseMap.get(idx);
+    const response = fresh || cached?.response;
+    const item = fresh || !cached ? rest : { ...rest, fromCache: true, cachedAt: cached.cachedAt };
     if (!response) {
       return { ...item, status: 'NO_RESPONSE', reason: 'LLM response missing' };
     }
@@ -526,8 +602,21 @@ function processVerificationResponses(prepared, llmResponses) {
         };
       }
 
+      const warnings = [...(item.warnings || [])];
+      const recapture = getRecapture(item.sourceId);
+      // Below the drift threshold a recapture stays "unchanged", yet the
+      // differing lines may still hold this claim's passage
+      const drifted = recapture && (recapture.status === 'changed' || recapture.record.lines_added + recapture.record.lines_removed > 0);
+      if (drifted && !passageStillPresent(recapture.text, supportingQuote)) {
+        warnings.push({
+          code: 'CITED_PASSAGE_DRIFTED',
+          message: `Supporting passage no longer appears in the live version of ${item.sourceId} (recapture ${recapture.version} on ${recapture.record.checked_at})`
+        });
+      }
+
       return {
         ...item,
+        warnings,
         status: 'SUPPORTED',
         confidence: parsed.confidence,
         supportingQuote,
@@ -556,7 +645,10 @@ function processVerificationResponses(prepared, llmResponses) {
     noResponse: results.filter(r => r.status === 'NO_RESPONSE').length,
     parseErrors: results.filter(r => r.status === 'PARSE_ERROR').length,
     invalidResponses: results.filter(r => r.status === 'INVALID_RESPONSE').length,
-    citationUrlMismatches: results.filter(r => (r.warnings || []).some(w => w.code === 'CITATION_URL_MISMATCH')).length
+    citationUrlMismatches: results.filter(r => (r.warnings || []).some(w => w.code === 'CITATION_URL_MISMATCH')).length,
+    driftWarnings: results.filter(r => (r.warnings || []).some(w => DRIFT_WARNING_CODES.includes(w.code))).length,
+    likelySupported: results.filter(r => r.triage?.label === 'likely_supported').length,
+    fromCache: results.filter(r => r.fromCache).length
   };
 
   // Determine overall status
@@ -581,6 +673,24 @@ function processVerificationResponses(prepared, llmResponses) {
   };
 }
 
+/**
+ * Store final verdicts in the case's verification cache.
+ * Fresh responses come from `llmResponses`; cached ones are refreshed as-is.
+ */
+function cacheVerdicts(prepared, llmResponses, results) {
+  const responseMap = new Map(llmResponses.map(r => [r.index, r.response]));
+  const verdicts = results.results
+    .map((r, idx) => ({
+      claimText: r.claim.text,
+      sourceId: r.sourceId,
+      status: r.status,
+      response: responseMap.get(idx) || prepared.verificationData[idx].cached?.response,
+      mode: prepared.verificationData[idx].promptMode
+    }))
+    .filter(v => v.sourceId && v.response);
+  return verificationCache.storeVerdicts(prepared.caseDir, 'semantic', verdicts);
+}
+
 /**
  * Generate human-readable report
  */
@@ -613,6 +723,9 @@ function generateReport(results) {
   if (results.summary.parseErrors > 0) lines.push(`  Parse errors: ${results.summary.parseErrors}`);
   if (results.summary.invalidResponses > 0) lines.push(`  Invalid LLM responses: ${results.summary.invalidResponses}`);
   if (results.summary.citationUrlMismatches > 0) lines.push(`  Citation URL mismatches: ${results.summary.citationUrlMismatches}`);
+  if (results.summary.driftWarnings > 0) lines.push(`  Live-source drift warnings: ${results.summary.driftWarnings}`);
+  if (results.summary.likelySupported > 0) lines.push(`  Pre-triage "likely supported": ${results.summary.likelySupported}`);
+  if (results.summary.fromCache > 0) lines.push(`  Verdicts from cache: ${results.summary.fromCache}`);
 
   if (results.unverified && results.unverified.length > 0) {
     lines.push('\n--- CLAIMS NEEDING SOURCE ---');
@@ -621,6 +734,22 @@ function generateReport(results) {
       lines.push(`\n  Line ${item.claim.line}: "${text}${text.length >= 70 ? '...' : ''}"`);
       lines.push(`    Source: ${item.sourceId}`);
       lines.push(`    Reason: ${item.reason}`);
+      if (item.passages && item.passages.length > 0) {
+        const p = item.passages[0];
+        lines.push(`    Best passage: content.md lines ${p.lineStart}-${p.lineEnd} (chars ${p.start}-${p.end})`);
+      }
+    }
+  }
+
+  const drifted = (results.results || []).filter(r => (r.warnings || []).some(w => DRIFT_WARNING_CODES.includes(w.code)));
+  if (drifted.length > 0) {
+    lines.push('\n--- LIVE SOURCE DRIFT (re-check before publishing) ---');
+    for (const item of drifted) {
+      const text = item.claim.text.substring(0, 70);
+      lines.push(`\n  Line ${item.claim.line}: "${text}${text.length >= 70 ? '...' : ''}"`);
+      for (const w of item.warnings.filter(w => DRIFT_WARNING_CODES.includes(w.code))) {
+        lines.push(`    ${w.code}: ${w.message}`);
+      }
     }
   }
 
@@ -772,6 +901,8 @@ async function main() {
     console.log('  --batch-size <n>     Batch size (default: 30)');
     console.log('  --generate-batches   Generate batch files');
     console.log('  --merge-batches <n>  Merge n batch response files');
+    console.log('  --full-source        Send whole sources instead of best-matching passages');
+    console.log('  --no-cache           Re-verify every claim, ignoring verification-cache.json');
     process.exit(1);
   }
 
@@ -790,7 +921,9 @@ async function main() {
     responsesFile: null,
     batchSize: 30,
     generateBatches: false,
-    mergeBatches: null
+    mergeBatches: null,
+    fullSource: false,
+    noCache: false
   };
 
   for (let i = 1; i < args.length; i++) {
@@ -808,6 +941,10 @@ async function main() {
       options.generateBatches = true;
     } else if (args[i] === '--merge-batches' && args[i + 1]) {
       options.mergeBatches = parseInt(args[++i], 10);
+    } else if (args[i] === '--full-source') {
+      options.fullSource = true;
+    } else if (args[i] === '--no-cache') {
+      options.noCache = true;
     }
   }
 
@@ -834,6 +971,9 @@ async function main() {
       const kb = (f.maxChars / 1024).toFixed(1);
       console.log(`  ${f.file}: ${f.promptCount} prompts (max: ${kb}KB / ~${f.maxTokensApprox} tokens)`);
     });
+    if (prepared.stats.cached > 0) {
+      console.log(`${prepared.stats.cached} claim(s) reuse cached verdicts and are not in any batch.`);
+    }
     console.log(`\nAll prompts are within LLM context limits (1M+ tokens available).`);
     console.log(`Process each batch with LLM, save responses to verification-responses-batch{N}.json`);
     console.log(`Then run: node verify-article.js ${caseDir} --merge-batches ${batches}`);
@@ -841,12 +981,13 @@ async function main() {
   }
 
   // Mode: Merge and process batch responses
-  if (options.mergeBatches) {
+  if (options.mergeBatches !== null) {
     console.log(`Merging ${options.mergeBatches} batch files...`);
     const responses = mergeBatchResponses(caseDir, options.mergeBatches);
     console.log(`Found ${responses.length} responses`);
 
     const results = processVerificationResponses(prepared, responses);
+    if (!options.noCache) cacheVerdicts(prepared, responses, results);
 
     // Persist results for deterministic gate derivation (Gate 5)
     const outputPath = path.join(caseDir, 'semantic-verification.json');
@@ -877,6 +1018,7 @@ async function main() {
   if (options.responsesFile) {
     const responses = JSON.parse(fs.readFileSync(options.responsesFile, 'utf-8'));
     const results = processVerificationResponses(prepared, responses);
+    if (!options.noCache) cacheVerdicts(prepared, responses, results);
 
     // Persist results for deterministic gate derivation (Gate 5)
     const outputPath = path.join(caseDir, 'semantic-verification.json');
@@ -907,8 +1049,11 @@ async function main() {
   console.log('Verification prepared:');
   console.log(`  Total claims: ${prepared.stats.total}`);
   console.log(`  Pending verification: ${prepared.stats.pending}`);
+  console.log(`  Cached verdicts (not re-sent): ${prepared.stats.cached}`);
   console.log(`  Skipped (source refs): ${prepared.stats.skipped}`);
   console.log(`  Missing sources: ${prepared.stats.sourceMissing}`);
+  console.log(`  Likely supported (pre-triage): ${prepared.stats.likelySupported}`);
+  console.log(`  Prompts cut to best passages: ${prepared.stats.excerptedPrompts}`);
   console.log('');
   console.log('To generate LLM prompts: --prompts-only');
   console.log('To generate batch files: --generate-batches');
@@ -927,5 +1072,7 @@ module.exports = {
   prepareVerification,
   processVerificationResponses,
   generateReport,
+  generateBatchFiles,
+  mergeBatchResponses,
   isSourceReference
 };
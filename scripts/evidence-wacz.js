@@ -0,0 +1,647 @@
+#!/usr/bin/env node
+/**
+ * evidence-wacz.js - Export/import case evidence as WARC records in a WACZ
+ *
+ * Packages each evidence/S###/ folder (raw.html, content.md, links.json,
+ * metadata.json, osint-response.json, downloaded PDFs, ...) as WARC/1.1
+ * `resource` records, plus one `metadata` record per source carrying its
+ * sources.json entry, bundled into a WACZ (zip) with a CDXJ index and a
+ * pages.jsonl page list. The captured page/document is recorded under its
+ * original URL so standard replay tools can open it; every other file is
+ * recorded under `urn:evidence:S###/<file>`.
+ *
+ * Every record carries `WARC-Evidence-Source` / `WARC-Evidence-Path` headers
+ * and a `WARC-Block-Digest: sha256:<hex>`. Import writes the blocks back
+ * byte-for-byte, so metadata.json hashes, receipts and capture signatures
+ * written by osint-save.js still verify (`verify-source.js --all`).
+ *
+ * Commands:
+ *   export <case_dir> <out.wacz> [--sources S001,S002]
+ *   import <case_dir> <in.wacz> [--overwrite] [--json]
+ *
+ * Import never replaces an existing evidence folder or sources.json entry
+ * unless --overwrite is given; conflicting sources are reported and skipped.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const ids = require('./ids');
+const { withLock } = require('./file-lock');
+
+const WARC_NAME = 'data.warc';
+const WACZ_VERSION = '1.1.1';
+const SOFTWARE = 'evidence-wacz.js';
+
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.xml': 'application/xml'
+};
+
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function mimeFor(fileName) {
+  return MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a zip archive (STORE method, since WACZ expects stored WARCs) from
+ * [{ name, data: Buffer }].
+ */
+function buildZip(entries) {
+  const { time, day } = dosDateTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf-8');
+    const crc = crc32(entry.data);
+    const size = entry.data.length;
+    if (size >= 0xFFFFFFFF || offset >= 0xFFFFFFFF) {
+      throw new Error(`Archive entry too large for zip32: ${entry.name}`);
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(0, 8);           // method: store
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(size, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, entry.data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);        // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(size, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + size;
+  }
+
+  const centralBuf = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralBuf.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralBuf, eocd]);
+}
+
+/**
+ * Read a zip archive into a Map(name -> Buffer). Supports store and deflate.
+ */
+function readZip(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive (end of central directory not found)');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let ptr = buffer.readUInt32LE(eocd + 16);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(ptr) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buffer.readUInt16LE(ptr + 10);
+    const crc = buffer.readUInt32LE(ptr + 16);
+    const compSize = buffer.readUInt32LE(ptr + 20);
+    const nameLen = buffer.readUInt16LE(ptr + 28);
+    const extraLen = buffer.readUInt16LE(ptr + 30);
+    const commentLen = buffer.readUInt16LE(ptr + 32);
+    const localOffset = buffer.readUInt32LE(ptr + 42);
+    const name = buffer.slice(ptr + 46, ptr + 46 + nameLen).toString('utf-8');
+    ptr += 46 + nameLen + extraLen + commentLen;
+
+    const localNameLen = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLen = buffer.readUInt16LE(localOffset + 28);
+    const start = localOffset + 30 + localNameLen + localExtraLen;
+    const raw = buffer.slice(start, start + compSize);
+
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = zlib.inflateRawSync(raw);
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+
+    if (crc32(data) !== crc) throw new Error(`CRC mismatch for ${name}`);
+    if (!name.endsWith('/')) files.set(name, data);
+  }
+
+  return files;
+}
+
+function warcDate(iso) {
+  const d = iso ? new Date(iso) : new Date();
+  return (Number.isNaN(d.getTime()) ? new Date() : d).toISOString();
+}
+
+function buildWarcRecord(headers, block) {
+  const lines = ['WARC/1.1'];
+  for (const [k, v] of Object.entries(headers)) {
+    if (v !== null && v !== undefined && v !== '') lines.push(`${k}: ${v}`);
+  }
+  lines.push(`WARC-Block-Digest: sha256:${sha256Hex(block)}`);
+  lines.push(`Content-Length: ${block.length}`);
+  const head = Buffer.from(lines.join('\r\n') + '\r\n\r\n', 'utf-8');
+  return Buffer.concat([head, block, Buffer.from('\r\n\r\n')]);
+}
+
+/**
+ * Parse concatenated WARC records. Returns [{ headers, block, offset, length }].
+ * Header names are lower-cased.
+ */
+function parseWarc(buffer) {
+  const records = [];
+  let pos = 0;
+
+  while (pos < buffer.length) {
+    // Skip stray CR/LF between records
+    while (pos < buffer.length && (buffer[pos] === 0x0d || buffer[pos] === 0x0a)) pos++;
+    if (pos >= buffer.length) break;
+
+    const headEnd = buffer.indexOf('\r\n\r\n', pos);
+    if (headEnd === -1) throw new Error(`Truncated WARC header at offset ${pos}`);
+    const headLines = buffer.slice(pos, headEnd).toString('utf-8').split('\r\n');
+    if (!/^WARC\/1\.[01]$/.test(headLines[0])) throw new Error(`Bad WARC version line at offset ${pos}: ${headLines[0]}`);
+
+    const headers = {};
+    for (const line of headLines.slice(1)) {
+      const idx = line.indexOf(':');
+      if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+    }
+
+    const length = parseInt(headers['content-length'], 10);
+    if (!Number.isFinite(length)) throw new Error(`WARC record at offset ${pos} has no Content-Length`);
+    const blockStart = headEnd + 4;
+    const block = buffer.slice(blockStart, blockStart + length);
+    if (block.length !== length) throw new Error(`Truncated WARC block at offset ${pos}`);
+
+    records.push({ headers, block, offset: pos, length: blockStart + length + 4 - pos });
+    pos = blockStart + length + 4;
+  }
+
+  return records;
+}
+
+/** Minimal SURT-style key for CDXJ sorting: com,example)/path?query */
+function surtKey(url) {
+  try {
+    const u = new URL(url);
+    if (!/^https?:$/.test(u.protocol)) return url;
+    const host = u.hostname.replace(/^www\./, '').split('.').reverse().join(',');
+    return `${host})${(u.pathname + u.search).toLowerCase()}`;
+  } catch {
+    return url;
+  }
+}
+
+function cdxTimestamp(iso) {
+  return warcDate(iso).replace(/[-:TZ]/g, '').slice(0, 14);
+}
+
+function listFilesRecursive(dir, prefix = '') {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) out.push(...listFilesRecursive(path.join(dir, entry.name), rel));
+    else if (entry.isFile()) out.push(rel);
+  }
+  return out;
+}
+
+/**
+ * The file that represents the captured page/document itself (replayable under
+ * the original URL). Everything else is evidence bookkeeping.
+ */
+function primaryCaptureFile(metadata, files) {
+  const fileRef = v => (typeof v === 'string' ? v : v && v.path);
+  const candidates = [
+    metadata.verification && metadata.verification.raw_file,
+    metadata.files && fileRef(metadata.files.raw_html),
+    metadata.files && fileRef(metadata.files.document),
+    'raw.html'
+  ];
+  return candidates.find(c => c && files.includes(c)) || null;
+}
+
+function exportWacz(caseDir, outPath, options = {}) {
+  const evidenceDir = path.join(caseDir, 'evidence');
+  if (!fs.existsSync(evidenceDir)) {
+    return { success: false, error: 'EVIDENCE_NOT_FOUND', message: `No evidence/ directory in ${caseDir}` };
+  }
+
+  const sourcesJson = readJson(path.join(caseDir, 'sources.json'), { sources: [] });
+  const sourceEntries = new Map((sourcesJson.sources || []).map(s => [s.id, s]));
+  const wanted = options.sources ? new Set(options.sources) : null;
+
+  const sourceIds = fs.readdirSync(evidenceDir)
+    .filter(ids.isSourceId)
+    .filter(id => !wanted || wanted.has(id))
+    .sort(ids.compareIds);
+
+  const missing = wanted ? [...wanted].filter(id => !sourceIds.includes(id)) : [];
+  if (missing.length > 0) {
+    return { success: false, error: 'SOURCE_NOT_FOUND', message: `No evidence folder for ${missing.join(', ')}` };
+  }
+
+  const now = new Date().toISOString();
+  const warcParts = [];
+  const cdx = [];
+  const pages = [];
+  let offset = 0;
+
+  const pushRecord = (headers, block, indexUrl) => {
+    const record = buildWarcRecord(headers, block);
+    if (indexUrl) {
+      cdx.push({
+        key: `${surtKey(indexUrl)} ${cdxTimestamp(headers['WARC-Date'])}`,
+        data: {
+          url: indexUrl,
+          mime: headers['Content-Type'],
+          digest: `sha256:${sha256Hex(block)}`,
+          length: record.length,
+          offset,
+          filename: WARC_NAME,
+          source_id: headers['WARC-Evidence-Source']
+        }
+      });
+    }
+    warcParts.push(record);
+    offset += record.length;
+  };
+
+  const info = Buffer.from([
+    `software: ${SOFTWARE}`,
+    'format: WARC File Format 1.1',
+    `case: ${path.basename(path.resolve(caseDir))}`,
+    `sources: ${sourceIds.length}`
+  ].join('\r\n') + '\r\n');
+  pushRecord({
+    'WARC-Type': 'warcinfo',
+    'WARC-Record-ID': `<urn:uuid:${crypto.randomUUID()}>`,
+    'WARC-Date': now,
+    'WARC-Filename': WARC_NAME,
+    'Content-Type': 'application/warc-fields'
+  }, info, null);
+
+  let fileCount = 0;
+  for (const sourceId of sourceIds) {
+    const dir = path.join(evidenceDir, sourceId);
+    const files = listFilesRecursive(dir);
+    const metadata = readJson(path.join(dir, 'metadata.json'), {});
+    const capturedAt = warcDate(metadata.captured_at);
+    const url = typeof metadata.url === 'string' && /^https?:\/\//i.test(metadata.url) ? metadata.url : null;
+    const primary = url ? primaryCaptureFile(metadata, files) : null;
+
+    for (const rel of files) {
+      const block = fs.readFileSync(path.join(dir, rel));
+      const targetUri = rel === primary ? url : `urn:evidence:${sourceId}/${rel}`;
+      pushRecord({
+        'WARC-Type': 'resource',
+        'WARC-Record-ID': `<urn:uuid:${crypto.randomUUID()}>`,
+        'WARC-Date': capturedAt,
+        'WARC-Target-URI': targetUri,
+        'Content-Type': mimeFor(rel),
+        'WARC-Evidence-Source': sourceId,
+        'WARC-Evidence-Path': rel
+      }, block, targetUri);
+      fileCount++;
+    }
+
+    const entry = sourceEntries.get(sourceId);
+    if (entry) {
+      pushRecord({
+        'WARC-Type': 'metadata',
+        'WARC-Record-ID': `<urn:uuid:${crypto.randomUUID()}>`,
+        'WARC-Date': capturedAt,
+        'WARC-Target-URI': `urn:evidence:${sourceId}`,
+        'Content-Type': 'application/json',
+        'WARC-Evidence-Source': sourceId,
+        'WARC-Evidence-Path': 'sources.json#entry'
+      }, Buffer.from(JSON.stringify(entry, null, 2)), null);
+    }
+
+    pages.push({
+      id: sourceId,
+      url: url || `urn:evidence:${sourceId}`,
+      title: metadata.title || (entry && entry.title) || sourceId,
+      ts: capturedAt
+    });
+  }
+
+  const warc = Buffer.concat(warcParts);
+  const cdxj = Buffer.from(
+    cdx.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+      .map(line => `${line.key} ${JSON.stringify(line.data)}`)
+      .join('\n') + '\n'
+  );
+  const pagesJsonl = Buffer.from([
+    JSON.stringify({ format: 'json-pages-1.0', id: 'pages', title: 'Evidence sources' }),
+    ...pages.map(p => JSON.stringify(p))
+  ].join('\n') + '\n');
+
+  const entries = [
+    { name: `archive/${WARC_NAME}`, data: warc },
+    { name: 'indexes/index.cdxj', data: cdxj },
+    { name: 'pages/pages.jsonl', data: pagesJsonl }
+  ];
+  const datapackage = {
+    profile: 'data-package',
+    wacz_version: WACZ_VERSION,
+    software: SOFTWARE,
+    created: now,
+    title: path.basename(path.resolve(caseDir)),
+    resources: entries.map(e => ({
+      name: path.basename(e.name),
+      path: e.name,
+      hash: `sha256:${sha256Hex(e.data)}`,
+      bytes: e.data.length
+    }))
+  };
+  const datapackageBuf = Buffer.from(JSON.stringify(datapackage, null, 2));
+  entries.push({ name: 'datapackage.json', data: datapackageBuf });
+  entries.push({
+    name: 'datapackage-digest.json',
+    data: Buffer.from(JSON.stringify({ path: 'datapackage.json', hash: `sha256:${sha256Hex(datapackageBuf)}` }, null, 2))
+  });
+
+  fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+  fs.writeFileSync(outPath, buildZip(entries));
+
+  return { success: true, output: outPath, sources: sourceIds, files: fileCount, bytes: fs.statSync(outPath).size };
+}
+
+function isSafeRelativePath(rel) {
+  if (!rel || path.isAbsolute(rel) || rel.includes('\\')) return false;
+  return rel.split('/').every(part => part && part !== '.' && part !== '..');
+}
+
+function verifyDatapackage(files) {
+  const errors = [];
+  const dpBuf = files.get('datapackage.json');
+  if (!dpBuf) return ['datapackage.json missing'];
+
+  const digest = files.get('datapackage-digest.json');
+  if (digest) {
+    const expected = (readJsonBuffer(digest) || {}).hash;
+    if (expected && expected !== `sha256:${sha256Hex(dpBuf)}`) errors.push('datapackage.json does not match datapackage-digest.json');
+  }
+
+  const dp = readJsonBuffer(dpBuf);
+  if (!dp) return [...errors, 'datapackage.json is not valid JSON'];
+  for (const res of dp.resources || []) {
+    const data = files.get(res.path);
+    if (!data) {
+      errors.push(`Resource listed in datapackage.json is missing: ${res.path}`);
+      continue;
+    }
+    if (typeof res.hash === 'string' && res.hash.startsWith('sha256:') && res.hash !== `sha256:${sha256Hex(data)}`) {
+      errors.push(`Hash mismatch for ${res.path}`);
+    }
+  }
+  return errors;
+}
+
+function readJsonBuffer(buf) {
+  try {
+    return JSON.parse(buf.toString('utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function importWacz(caseDir, waczPath, options = {}) {
+  const { overwrite = false } = options;
+  if (!fs.existsSync(waczPath)) {
+    return { success: false, error: 'WACZ_NOT_FOUND', message: `Not found: ${waczPath}` };
+  }
+
+  const files = readZip(fs.readFileSync(waczPath));
+  const packageErrors = verifyDatapackage(files);
+  if (packageErrors.length > 0) {
+    return { success: false, error: 'WACZ_INTEGRITY', message: packageErrors.join('; '), errors: packageErrors };
+  }
+
+  // Group evidence blocks by source, checking every block digest first.
+  const bySource = new Map();
+  const warnings = [];
+  for (const [name, data] of files) {
+    if (!name.startsWith('archive/')) continue;
+    const warc = name.endsWith('.gz') ? zlib.gunzipSync(data) : data;
+
+    for (const rec of parseWarc(warc)) {
+      const type = rec.headers['warc-type'];
+      if (type !== 'resource' && type !== 'metadata') continue;
+
+      const sourceId = rec.headers['warc-evidence-source'];
+      const rel = rec.headers['warc-evidence-path'];
+      if (!sourceId || !rel) {
+        warnings.push(`${name}@${rec.offset}: ${type} record without evidence headers skipped (${rec.headers['warc-target-uri'] || 'no URI'})`);
+        continue;
+      }
+      if (!ids.isSourceId(sourceId)) {
+        return { success: false, error: 'WACZ_INTEGRITY', message: `Invalid source ID in WARC record: ${sourceId}` };
+      }
+
+      const digest = rec.headers['warc-block-digest'];
+      if (digest && digest.startsWith('sha256:') && digest !== `sha256:${sha256Hex(rec.block)}`) {
+        return { success: false, error: 'WACZ_INTEGRITY', message: `Block digest mismatch for ${sourceId}/${rel}` };
+      }
+
+      if (!bySource.has(sourceId)) bySource.set(sourceId, { files: new Map(), entry: null });
+      const bucket = bySource.get(sourceId);
+      if (type === 'metadata' && rel === 'sources.json#entry') {
+        bucket.entry = readJsonBuffer(rec.block);
+      } else if (type === 'resource') {
+        if (!isSafeRelativePath(rel)) {
+          return { success: false, error: 'WACZ_INTEGRITY', message: `Unsafe evidence path in WARC record: ${sourceId}/${rel}` };
+        }
+        bucket.files.set(rel, rec.block);
+      }
+    }
+  }
+
+  const imported = [];
+  const entries = [];
+  const skipped = [];
+  for (const sourceId of [...bySource.keys()].sort(ids.compareIds)) {
+    const { files: sourceFiles, entry } = bySource.get(sourceId);
+    const dir = path.join(caseDir, 'evidence', sourceId);
+
+    if (fs.existsSync(dir) && !overwrite) {
+      skipped.push({ sourceId, reason: 'evidence folder already exists (use --overwrite)' });
+      continue;
+    }
+
+    if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
+    for (const [rel, block] of sourceFiles) {
+      const target = path.join(dir, ...rel.split('/'));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, block);
+    }
+
+    if (entry) entries.push(entry);
+    imported.push({ sourceId, files: sourceFiles.size, sourcesEntry: !!entry });
+  }
+
+  if (entries.length > 0) {
+    const sourcesPath = path.join(caseDir, 'sources.json');
+    withLock(`${sourcesPath}.lock`, () => {
+      const sourcesJson = readJson(sourcesPath, { sources: [] });
+      if (!Array.isArray(sourcesJson.sources)) sourcesJson.sources = [];
+      // Replace in place, or insert before the first higher ID; the order of
+      // existing entries is left alone.
+      for (const entry of entries) {
+        const idx = sourcesJson.sources.findIndex(s => s.id === entry.id);
+        if (idx !== -1) {
+          sourcesJson.sources[idx] = entry;
+          continue;
+        }
+        const after = sourcesJson.sources.findIndex(s => ids.compareIds(s.id, entry.id) > 0);
+        sourcesJson.sources.splice(after === -1 ? sourcesJson.sources.length : after, 0, entry);
+      }
+      fs.writeFileSync(sourcesPath, JSON.stringify(sourcesJson, null, 2));
+    });
+  }
+
+  // Keep next_source ahead of anything we just brought in.
+  const statePath = path.join(caseDir, 'state.json');
+  if (imported.length > 0 && fs.existsSync(statePath)) {
+    const maxImported = ids.maxIdNumber(ids.PREFIX.source, imported.map(i => i.sourceId));
+    withLock(`${statePath}.lock`, () => {
+      const state = readJson(statePath, null);
+      if (state && (!state.next_source || state.next_source <= maxImported)) {
+        state.next_source = maxImported + 1;
+        fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+      }
+    });
+  }
+
+  return { success: true, imported, skipped, warnings };
+}
+
+function printUsage() {
+  console.log('evidence-wacz.js - Export/import case evidence as WARC records in a WACZ');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node scripts/evidence-wacz.js export <case_dir> <out.wacz> [--sources S001,S002]');
+  console.log('  node scripts/evidence-wacz.js import <case_dir> <in.wacz> [--overwrite] [--json]');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const positional = args.slice(1).filter((a, i, arr) => !a.startsWith('--') && arr[i - 1] !== '--sources');
+  const jsonOutput = args.includes('--json');
+
+  if (!command || args.includes('--help') || args.includes('-h') || positional.length < 2) {
+    printUsage();
+    process.exit(command ? 2 : 1);
+  }
+
+  const [caseDir, archivePath] = positional;
+  let result;
+
+  try {
+    if (command === 'export') {
+      const idx = args.indexOf('--sources');
+      const sources = idx !== -1 && args[idx + 1] ? args[idx + 1].split(',').map(s => s.trim()).filter(Boolean) : null;
+      result = exportWacz(caseDir, archivePath, { sources });
+    } else if (command === 'import') {
+      result = importWacz(caseDir, archivePath, { overwrite: args.includes('--overwrite') });
+    } else {
+      console.error(`Unknown command: ${command}`);
+      printUsage();
+      process.exit(2);
+    }
+  } catch (err) {
+    result = { success: false, error: 'WACZ_ERROR', message: err.message };
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (!result.success) {
+    console.error(`Error: ${result.message}`);
+  } else if (command === 'export') {
+    console.log(`Exported ${result.sources.length} sources (${result.files} files, ${result.bytes} bytes) to ${result.output}`);
+  } else {
+    console.log(`Imported ${result.imported.length} sources into ${caseDir}`);
+    for (const s of result.skipped) console.log(`  SKIPPED ${s.sourceId}: ${s.reason}`);
+    for (const w of result.warnings) console.log(`  WARNING ${w}`);
+    console.log(`Next: node scripts/verify-source.js --all ${caseDir}`);
+  }
+
+  process.exit(result.success ? 0 : 1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  exportWacz,
+  importWacz,
+  buildZip,
+  readZip,
+  buildWarcRecord,
+  parseWarc
+};
@@ -0,0 +1,279 @@
+/**
+ * file-lock.js - Cross-process lock files with owner metadata
+ *
+ * Shared by leads-lock.js, allocate-sources.js, the merge scripts and
+ * osint-save.js. A lock is a file created with O_EXCL that records its owner:
+ *
+ *   { "pid": 4242, "host": "worker-1", "command": "leads-lock.js claim ...",
+ *     "acquired_at": "2026-01-01T00:00:00.000Z", "token": "4242-..." }
+ *
+ * A lock is broken when its owner is gone:
+ * - owner on this host whose PID no longer exists: broken immediately
+ * - owner on this host that is still running: never broken, however long it
+ *   holds the lock (holders do not refresh it, so age says nothing)
+ * - owner on another host, or unreadable: broken once the lock file is older
+ *   than staleMs (default 30s)
+ *
+ * Breaking is serialized through a short-lived `<lock>.break` file and only
+ * removes the lock if it still holds the owner that was judged stale, so two
+ * waiters cannot both break it and a freshly taken lock is never removed.
+ * releaseLock() only removes a lock this process still owns.
+ *
+ * Sync API (CLI scripts): acquireLock / releaseLock / withLock
+ * Promise API: acquireLockAsync / withLockAsync
+ *
+ * Waiting sleeps (Atomics.wait / setTimeout) with jitter instead of spinning.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_MS = 25;
+const BREAK_STALE_MS = 5000;
+
+class LockTimeoutError extends Error {
+  constructor(lockPath, owner) {
+    const by = owner ? ` (held by pid ${owner.pid} on ${owner.host}: ${owner.command || 'unknown command'})` : '';
+    super(`Could not acquire lock ${lockPath}${by}`);
+    this.name = 'LockTimeoutError';
+    this.lockPath = lockPath;
+    this.owner = owner || null;
+  }
+}
+
+// lockPath -> token of locks held by this process
+const held = new Map();
+
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+function sleepAsync(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function retryDelay() {
+  return RETRY_MS + Math.floor(Math.random() * RETRY_MS);
+}
+
+function currentCommand() {
+  const [script, ...rest] = process.argv.slice(1);
+  return [script ? path.basename(script) : 'node', ...rest].join(' ').slice(0, 200);
+}
+
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Owner recorded in a lock file, or null if there is no lock. Unreadable
+ * content (a lock being written right now) is { unreadable: true }. Bare-PID
+ * locks from older versions of leads-lock.js are read as local owners.
+ */
+function readLockOwner(lockPath) {
+  let text;
+  try {
+    text = fs.readFileSync(lockPath, 'utf-8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  if (/^\s*\d+\s*$/.test(text)) {
+    return { pid: parseInt(text, 10), host: os.hostname(), command: null, acquired_at: null, token: text.trim(), legacy: true };
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { unreadable: true, raw: text };
+  }
+}
+
+function lockAgeMs(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/** Why the current lock may be broken ('dead_owner' | 'expired'), or null. */
+function staleReason(lockPath, owner, staleMs) {
+  if (!owner) return null;
+  if (!owner.unreadable && owner.host === os.hostname()) return isProcessAlive(owner.pid) ? null : 'dead_owner';
+  return lockAgeMs(lockPath) > staleMs ? 'expired' : null;
+}
+
+function sameOwner(a, b) {
+  if (!a || !b) return false;
+  if (a.unreadable || b.unreadable) return a.raw === b.raw;
+  return a.token === b.token && a.pid === b.pid;
+}
+
+/**
+ * Remove `lockPath` if it still holds `observed`. Returns true if removed.
+ */
+function breakLock(lockPath, observed) {
+  const breakPath = `${lockPath}.break`;
+  try {
+    fs.writeFileSync(breakPath, String(process.pid), { flag: 'wx' });
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+    // A breaker that died mid-break must not wedge everyone else
+    if (lockAgeMs(breakPath) > BREAK_STALE_MS) {
+      try { fs.unlinkSync(breakPath); } catch {}
+    }
+    return false;
+  }
+
+  try {
+    if (!sameOwner(readLockOwner(lockPath), observed)) return false;
+    fs.unlinkSync(lockPath);
+    return true;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  } finally {
+    try { fs.unlinkSync(breakPath); } catch {}
+  }
+}
+
+/**
+ * One attempt to take the lock. Returns { acquired, owner } where owner is
+ * the current holder when not acquired.
+ */
+function tryAcquire(lockPath, options) {
+  const token = `${process.pid}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const owner = {
+    pid: process.pid,
+    host: os.hostname(),
+    command: options.command || currentCommand(),
+    acquired_at: new Date().toISOString(),
+    token
+  };
+
+  try {
+    fs.writeFileSync(lockPath, JSON.stringify(owner), { flag: 'wx' });
+    held.set(path.resolve(lockPath), token);
+    return { acquired: true, owner };
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+
+  const current = readLockOwner(lockPath);
+  if (current && staleReason(lockPath, current, options.staleMs ?? DEFAULT_STALE_MS)) {
+    breakLock(lockPath, current);
+    return { acquired: false, owner: current, retryNow: true };
+  }
+  return { acquired: false, owner: current };
+}
+
+/**
+ * Acquire a lock, waiting up to timeoutMs.
+ *
+ * @param {string} lockPath
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=5000]
+ * @param {number} [options.staleMs=30000] - Age after which a remote or unreadable owner's lock expires
+ * @param {string} [options.command] - Recorded in the lock (default: this process's argv)
+ * @returns {boolean} true if acquired
+ */
+function acquireLock(lockPath, options = {}) {
+  const deadline = Date.now() + (options.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+  do {
+    const attempt = tryAcquire(lockPath, options);
+    if (attempt.acquired) return true;
+    if (!attempt.retryNow) sleepSync(retryDelay());
+  } while (Date.now() < deadline);
+  return false;
+}
+
+/** Promise-based acquireLock: resolves true when acquired, false on timeout. */
+async function acquireLockAsync(lockPath, options = {}) {
+  const deadline = Date.now() + (options.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+  do {
+    const attempt = tryAcquire(lockPath, options);
+    if (attempt.acquired) return true;
+    if (!attempt.retryNow) await sleepAsync(retryDelay());
+  } while (Date.now() < deadline);
+  return false;
+}
+
+/**
+ * Release a lock taken by this process. A lock that was broken and re-taken
+ * by another process is left alone. Returns true if the lock file was removed.
+ */
+function releaseLock(lockPath) {
+  const key = path.resolve(lockPath);
+  const token = held.get(key);
+  held.delete(key);
+  if (!token) return false;
+
+  const owner = readLockOwner(lockPath);
+  if (!owner || owner.token !== token) return false;
+  try {
+    fs.unlinkSync(lockPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run fn() while holding the lock. Throws LockTimeoutError if the lock cannot
+ * be acquired.
+ */
+function withLock(lockPath, fn, options = {}) {
+  if (!acquireLock(lockPath, options)) {
+    throw new LockTimeoutError(lockPath, readLockOwner(lockPath));
+  }
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/** Promise-based withLock: awaits fn() while holding the lock. */
+async function withLockAsync(lockPath, fn, options = {}) {
+  if (!(await acquireLockAsync(lockPath, options))) {
+    throw new LockTimeoutError(lockPath, readLockOwner(lockPath));
+  }
+  try {
+    return await fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+// A process that exits while holding a lock (process.exit inside a critical
+// section) releases it rather than leaving it for the dead-owner check.
+process.on('exit', () => {
+  for (const lockPath of [...held.keys()]) releaseLock(lockPath);
+});
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_STALE_MS,
+  LockTimeoutError,
+  acquireLock,
+  acquireLockAsync,
+  releaseLock,
+  withLock,
+  withLockAsync,
+  readLockOwner,
+  isProcessAlive
+};
@@ -0,0 +1,187 @@
+/**
+ * finding-chain.js - Supersession chains between findings
+ *
+ * A finding that replaces another links both ways:
+ *
+ *   F005.md   status: superseded   superseded_by: F009
+ *   F009.md   supersedes: F005
+ *
+ * Following superseded_by from any finding leads to the head of its chain,
+ * the version that is current. A retired finding (status: retired) was
+ * withdrawn without a replacement; when it heads a chain, nothing from that
+ * chain is current. `findings.js supersede`, `retire` and `history` edit and
+ * show chains; assembly (findings.js, build-article-context.js) includes only
+ * current heads, in manifest order; audit-findings.js reports broken links,
+ * cycles and manifest entries that still name superseded or retired findings.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+const { parseFrontmatter } = require('./frontmatter');
+
+// Statuses that keep a chain head out of assembly
+const EXCLUDED_STATUSES = new Set(['stale', 'superseded', 'retired']);
+
+/**
+ * Canonical findings (F###.md) keyed by ID: { id, file, metadata, body }.
+ * Files without parseable frontmatter get empty metadata.
+ */
+function readFindingRecords(findingsDir) {
+  const records = new Map();
+  if (!fs.existsSync(findingsDir)) return records;
+
+  for (const file of fs.readdirSync(findingsDir).filter(ids.isFindingFile).sort(ids.compareIds)) {
+    const { metadata, body } = parseFrontmatter(fs.readFileSync(path.join(findingsDir, file), 'utf-8'));
+    const id = ids.findingIdFromFilename(file);
+    if (!records.has(id)) records.set(id, { id, file, metadata: metadata || {}, body });
+  }
+  return records;
+}
+
+function readManifest(findingsDir) {
+  const manifestPath = path.join(findingsDir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function nextOf(records, id) {
+  const next = records.get(id)?.metadata.superseded_by;
+  return next && records.has(next) ? next : null;
+}
+
+function previousOf(records, id) {
+  const prev = records.get(id)?.metadata.supersedes;
+  return prev && records.has(prev) ? prev : null;
+}
+
+/** A loop of IDs as a closed path starting at its lowest ID. */
+function closeCycle(loop) {
+  const start = loop.indexOf([...loop].sort(ids.compareIds)[0]);
+  const rotated = [...loop.slice(start), ...loop.slice(0, start)];
+  return [...rotated, rotated[0]];
+}
+
+/**
+ * The chain through `id`, oldest first: { ids, head, cycle }. Walks back
+ * through supersedes and forward through superseded_by; stops at missing
+ * findings. `cycle` is the loop, when there is one, as a closed path in
+ * superseded_by order (head is then null).
+ */
+function chainOf(records, id) {
+  const back = [id];
+  for (let prev = previousOf(records, id); prev; prev = previousOf(records, prev)) {
+    if (back.includes(prev)) {
+      return { ids: [...back].reverse(), head: null, cycle: closeCycle(back.slice(back.indexOf(prev)).reverse()) };
+    }
+    back.push(prev);
+  }
+
+  const chain = back.reverse();
+  for (let next = nextOf(records, id); next; next = nextOf(records, next)) {
+    if (chain.includes(next)) return { ids: chain, head: null, cycle: closeCycle(chain.slice(chain.indexOf(next))) };
+    chain.push(next);
+  }
+  return { ids: chain, head: chain[chain.length - 1], cycle: null };
+}
+
+/** Head of the chain through `id` (null in a cycle). */
+function headOf(records, id) {
+  return chainOf(records, id).head;
+}
+
+/** True when `id` heads its chain and its status allows assembly. */
+function isCurrent(records, id) {
+  const record = records.get(id);
+  if (!record || headOf(records, id) !== id) return false;
+  const { status } = record.metadata;
+  // A head still marked superseded lost its successor (broken chain): keep it
+  // rather than silently drop the chain; audit-findings.js reports the link
+  return status === 'superseded' || !EXCLUDED_STATUSES.has(status);
+}
+
+/**
+ * Finding IDs to assemble: manifest assembly_order first (a superseded entry
+ * stands in for the head of its chain), then any other current findings by ID.
+ */
+function assemblyOrder(findingsDir, records = readFindingRecords(findingsDir)) {
+  const manifest = readManifest(findingsDir);
+  const listed = Array.isArray(manifest?.assembly_order) ? manifest.assembly_order : [];
+
+  const order = [];
+  for (const id of [...listed.filter(ids.isFindingId), ...records.keys()]) {
+    const head = records.has(id) ? headOf(records, id) : null;
+    if (head && isCurrent(records, head) && !order.includes(head)) order.push(head);
+  }
+  return order;
+}
+
+/**
+ * Audit supersession links and manifest references.
+ *
+ * @returns {{errors: Array<{id, message}>, cycles: string[][], manifestReferences: Array<{id, where, status, head}>}}
+ */
+function auditChains(records, manifest) {
+  const errors = [];
+  const cycles = [];
+
+  for (const [id, { metadata }] of records) {
+    const { supersedes, superseded_by: supersededBy } = metadata;
+    if (supersedes && ids.isFindingId(supersedes)) {
+      const target = records.get(supersedes);
+      if (!target) errors.push({ id, message: `supersedes ${supersedes}, which does not exist` });
+      else if (target.metadata.superseded_by !== id) {
+        errors.push({ id, message: `supersedes ${supersedes}, but ${supersedes} has superseded_by: ${target.metadata.superseded_by || 'null'}` });
+      }
+    }
+    if (supersededBy && ids.isFindingId(supersededBy)) {
+      const target = records.get(supersededBy);
+      if (!target) errors.push({ id, message: `superseded_by ${supersededBy}, which does not exist (broken chain)` });
+      else if (target.metadata.supersedes !== id) {
+        errors.push({ id, message: `superseded_by ${supersededBy}, but ${supersededBy} has supersedes: ${target.metadata.supersedes || 'null'}` });
+      }
+    }
+  }
+
+  const inCycle = new Set();
+  for (const id of records.keys()) {
+    if (inCycle.has(id)) continue;
+    const { cycle } = chainOf(records, id);
+    if (!cycle) continue;
+    cycle.forEach(c => inCycle.add(c));
+    cycles.push(cycle);
+    errors.push({ id: cycle[0], message: `supersession cycle: ${cycle.join(' → ')}` });
+  }
+
+  const manifestReferences = [];
+  const check = (id, where) => {
+    const record = records.get(id);
+    if (!record || isCurrent(records, id)) return;
+    const { status } = record.metadata;
+    if (status !== 'superseded' && status !== 'retired') return;
+    manifestReferences.push({ id, where, status, head: headOf(records, id) });
+  };
+  (Array.isArray(manifest?.assembly_order) ? manifest.assembly_order : []).forEach(id => check(id, 'assembly_order'));
+  for (const [section, list] of Object.entries(manifest?.sections || {})) {
+    (Array.isArray(list) ? list : []).forEach(id => check(id, `sections.${section}`));
+  }
+
+  return { errors, cycles, manifestReferences };
+}
+
+module.exports = {
+  EXCLUDED_STATUSES,
+  readFindingRecords,
+  readManifest,
+  chainOf,
+  headOf,
+  isCurrent,
+  assemblyOrder,
+  auditChains
+};
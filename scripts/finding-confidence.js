@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * finding-confidence.js - Suggest a finding's confidence from its evidence
+ *
+ * A finding's `confidence` is set by hand. This derives what the evidence
+ * supports, from:
+ *
+ *   - the sources it cites (frontmatter sources plus [S###] citations in the
+ *     body), resolved through sources.json: how many independent domains they
+ *     come from and how many are primary; retired sources (source-impact.js)
+ *     do not count
+ *   - Gate 5 verdicts (semantic-verification.json, compute-verification.json)
+ *     for article claims drawn from the finding: claims citing one of its
+ *     sources whose wording mostly appears in one of its sentences
+ *   - lead results whose claims contradict the finding (lead-result.js)
+ *
+ * Source tiers come from sources.json entries: `"tier": 1|2|3`, or
+ * `"primary": true|false` (tier 1 or 2). Without either, government and
+ * military hosts (.gov, .gov.uk, .mil, ...) count as primary and everything
+ * else as secondary (tier 2).
+ *
+ *   1 primary    filings, court records, official data, the document itself
+ *   2 secondary  established reporting about the primary record
+ *   3 weak       blogs, forums, aggregators, social posts
+ *
+ * Suggested confidence:
+ *   high    2+ independent domains including a primary source, or 3+ domains
+ *   medium  2 independent domains, or a primary source
+ *   low     one secondary domain, only tier 3 sources, or nothing resolvable
+ * then one level lower when a Gate 5 verdict on a drawn claim failed
+ * (UNSOURCED, DISCREPANCY, DATA_NOT_FOUND, RAW_DATA_NOT_IN_SOURCE), and low
+ * when a lead result contradicts the finding.
+ *
+ * findings.js list shows the suggestion beside the declared value;
+ * audit-findings.js --block fails when a current finding declares more.
+ *
+ * Usage:
+ *   node scripts/finding-confidence.js <case_dir> [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+const { readFindingRecords, isCurrent } = require('./finding-chain');
+const { CONFIDENCE_LEVELS, normalizeClaimText, loadFindingSentences, compareClaimsToFindings } = require('./lead-result');
+
+// Lowest first, so a level's index is its rank
+const RANKS = [...CONFIDENCE_LEVELS].reverse();
+
+const VERIFICATION_FILES = ['semantic-verification.json', 'compute-verification.json'];
+const SUPPORTED_VERDICTS = new Set(['SUPPORTED', 'MATCHED']);
+const FAILED_VERDICTS = new Set(['UNSOURCED', 'DISCREPANCY', 'DATA_NOT_FOUND', 'RAW_DATA_NOT_IN_SOURCE']);
+
+// A claim is drawn from a finding sentence when this share of its words appear in it
+const MIN_CLAIM_OVERLAP = 0.6;
+const MIN_CLAIM_TOKENS = 4;
+
+// Second-level labels under a country code that registries sell under
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'org', 'net', 'gov', 'ac', 'edu']);
+
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/** Registrable domain of a URL: news.example.co.uk -> example.co.uk. */
+function registrableDomain(url) {
+  const host = hostname(url);
+  if (!host) return null;
+  const labels = host.split('.');
+  if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) return host;
+  const keep = labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.has(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/** Tier of a sources.json entry (1 primary, 2 secondary, 3 weak). */
+function sourceTier(source) {
+  if ([1, 2, 3].includes(source?.tier)) return source.tier;
+  if (typeof source?.primary === 'boolean') return source.primary ? 1 : 2;
+  const host = hostname(source?.url);
+  return host && /(^|\.)(gov|mil)(\.[a-z]{2})?$/.test(host) ? 1 : 2;
+}
+
+function lowerLevel(level, steps = 1) {
+  return RANKS[Math.max(0, RANKS.indexOf(level) - steps)];
+}
+
+function isOverstated(declared, suggested) {
+  return RANKS.includes(declared) && RANKS.indexOf(declared) > RANKS.indexOf(suggested);
+}
+
+/**
+ * Gate 5 verdicts from both verification files, one per claim and source:
+ * { file, text, normalized, sourceIds, status }.
+ */
+function loadVerdicts(caseDir) {
+  const verdicts = [];
+  for (const file of VERIFICATION_FILES) {
+    const data = readJson(path.join(caseDir, file), null);
+    for (const result of Array.isArray(data?.results) ? data.results : []) {
+      const text = result.claim?.text || result.claim?.context || '';
+      const sourceIds = result.sourceId ? [result.sourceId] : (result.claim?.sourceIds || []);
+      if (!text || !result.status) continue;
+      verdicts.push({ file, text, normalized: normalizeClaimText(text), sourceIds, status: result.status });
+    }
+  }
+  return verdicts;
+}
+
+/** Everything assessFinding reads from the case directory. */
+function loadEvidence(caseDir) {
+  const sourcesData = readJson(path.join(caseDir, 'sources.json'), {});
+  const leadsData = readJson(path.join(caseDir, 'leads.json'), {});
+  const sentences = loadFindingSentences(caseDir);
+  const leads = Array.isArray(leadsData.leads) ? leadsData.leads : [];
+
+  return {
+    sources: new Map((Array.isArray(sourcesData.sources) ? sourcesData.sources : []).map(s => [s.id, s])),
+    verdicts: loadVerdicts(caseDir),
+    sentences,
+    contradictions: compareClaimsToFindings(leads, sentences).contradictions
+  };
+}
+
+function drawnFrom(verdict, findingSentences, findingSources) {
+  if (!verdict.sourceIds.some(id => findingSources.includes(id))) return false;
+  const words = [...new Set(verdict.normalized.split(' ').filter(Boolean))];
+  if (words.length < MIN_CLAIM_TOKENS) return false;
+
+  return findingSentences.some(sentence => {
+    const sentenceWords = new Set(sentence.normalized.split(' '));
+    return words.filter(w => sentenceWords.has(w)).length / words.length >= MIN_CLAIM_OVERLAP;
+  });
+}
+
+/**
+ * Suggested confidence for one finding record (finding-chain.js).
+ *
+ * @returns {{id, declared, suggested, overstated, domains: string[], primarySources: string[], unresolvedSources: string[], verification: {supported, failed: object[]}, contradictions: object[], reasons: string[]}}
+ */
+function assessFinding(record, evidence) {
+  const { metadata, body } = record;
+  const cited = [...new Set([...(Array.isArray(metadata.sources) ? metadata.sources : []), ...ids.extractSourceIds(body || '')])];
+
+  const retiredSources = cited.filter(id => evidence.sources.get(id)?.retired);
+  const resolved = cited.filter(id => !retiredSources.includes(id) && hostname(evidence.sources.get(id)?.url));
+  const unresolvedSources = cited.filter(id => !resolved.includes(id) && !retiredSources.includes(id));
+  const tiers = new Map(resolved.map(id => [id, sourceTier(evidence.sources.get(id))]));
+  const credible = resolved.filter(id => tiers.get(id) < 3);
+  const domains = [...new Set(credible.map(id => registrableDomain(evidence.sources.get(id).url)))].sort();
+  const primarySources = credible.filter(id => tiers.get(id) === 1);
+
+  const reasons = [];
+  let suggested;
+  if (resolved.length === 0) {
+    suggested = 'low';
+    reasons.push(cited.length === 0 ? 'cites no sources' : 'no cited source has a URL in sources.json');
+  } else if (credible.length === 0) {
+    suggested = 'low';
+    reasons.push('only tier 3 sources');
+  } else {
+    if ((domains.length >= 2 && primarySources.length > 0) || domains.length >= 3) suggested = 'high';
+    else if (domains.length >= 2 || primarySources.length > 0) suggested = 'medium';
+    else suggested = 'low';
+    reasons.push(`${domains.length} independent domain(s): ${domains.join(', ')}`);
+    reasons.push(primarySources.length > 0 ? `primary: ${primarySources.join(', ')}` : 'no primary source');
+  }
+  if (retiredSources.length > 0) reasons.push(`retired: ${retiredSources.join(', ')}`);
+  if (unresolvedSources.length > 0) reasons.push(`not in sources.json: ${unresolvedSources.join(', ')}`);
+
+  const findingSentences = evidence.sentences.filter(s => s.finding === record.id);
+  const drawn = evidence.verdicts.filter(v => drawnFrom(v, findingSentences, cited));
+  const supported = drawn.filter(v => SUPPORTED_VERDICTS.has(v.status)).length;
+  const failed = drawn.filter(v => FAILED_VERDICTS.has(v.status));
+  if (failed.length > 0) {
+    suggested = lowerLevel(suggested);
+    reasons.push(`${failed.length} Gate 5 verdict(s) failed: ${[...new Set(failed.map(v => v.status))].join(', ')}`);
+  } else if (supported > 0) {
+    reasons.push(`${supported} Gate 5 verdict(s) supported`);
+  }
+
+  const contradictions = evidence.contradictions.filter(c => c.finding === record.id);
+  if (contradictions.length > 0) {
+    suggested = 'low';
+    reasons.push(`contradicted by lead(s) ${[...new Set(contradictions.map(c => c.leadId))].join(', ')}`);
+  }
+
+  return {
+    id: record.id,
+    declared: metadata.confidence || null,
+    suggested,
+    overstated: isOverstated(metadata.confidence, suggested),
+    domains,
+    primarySources,
+    unresolvedSources,
+    verification: { supported, failed: failed.map(({ file, text, status }) => ({ file, text, status })) },
+    contradictions,
+    reasons
+  };
+}
+
+/**
+ * Assess every canonical finding; `current` marks chain heads that assemble.
+ *
+ * @returns {{findings: object[], overstated: object[]}}
+ */
+function assessFindings(caseDir) {
+  const records = readFindingRecords(path.join(caseDir, 'findings'));
+  const evidence = loadEvidence(caseDir);
+
+  const findings = [...records.values()].map(record => ({
+    ...assessFinding(record, evidence),
+    current: isCurrent(records, record.id)
+  }));
+  return { findings, overstated: findings.filter(f => f.current && f.overstated) };
+}
+
+function formatReport(report) {
+  const lines = ['Finding confidence (declared vs evidence)', ''];
+  for (const f of report.findings) {
+    const flag = f.overstated ? (f.current ? '  OVERSTATED' : '  overstated (not current)') : '';
+    lines.push(`${f.id}  declared ${f.declared || 'none'}, suggested ${f.suggested}${flag}`);
+    f.reasons.forEach(r => lines.push(`    ${r}`));
+  }
+  lines.push('', `${report.overstated.length} current finding(s) declare more confidence than the evidence supports`);
+  return lines.join('\n') + '\n';
+}
+
+function printUsage() {
+  console.log('finding-confidence.js - Suggest finding confidence from evidence');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node scripts/finding-confidence.js <case_dir> [--json]');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const caseDir = args.find(a => !a.startsWith('--'));
+  if (!caseDir) {
+    printUsage();
+    process.exit(2);
+  }
+  if (!fs.existsSync(path.join(caseDir, 'findings'))) {
+    console.error(`findings/ directory not found: ${path.join(caseDir, 'findings')}`);
+    process.exit(2);
+  }
+
+  const report = assessFindings(caseDir);
+  if (args.includes('--json')) console.log(JSON.stringify(report, null, 2));
+  else process.stdout.write(formatReport(report));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  registrableDomain,
+  sourceTier,
+  isOverstated,
+  loadVerdicts,
+  loadEvidence,
+  assessFinding,
+  assessFindings,
+  formatReport
+};
@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+/**
+ * finding-contradictions.js - Find statements on which findings disagree
+ *
+ * Findings are written by different agents, so two of them can state
+ * different figures or dates for the same thing. Every sentence of every
+ * current finding (finding-chain.js) is broken into statements:
+ *
+ *   number     $4.2 million, 4,200 employees, 37%   (unit: currency, %, or the
+ *              noun that follows; "more than", "about", ... make it a bound)
+ *   date       2019-03-05, March 5, 2019, 5 March 2019, March 2019, 2019
+ *   attribute  registered/incorporated in, based/headquartered in, owned by,
+ *              founded by, led by, and "X's CEO was Y" / "the owner of X is Y"
+ *
+ * Two statements from different findings are about the same thing when they
+ * name a common entity (a capitalized name; "Acme" matches "Acme Holdings
+ * LLC") and, for numbers and dates, share at least half of the content words
+ * of their clause ("received ... contracts"). Numbers with the same unit,
+ * and dates, conflict when they cannot both be true after allowing for the
+ * precision they are written with ($4 million vs $4.2 million is no conflict).
+ * Attributes conflict when the names differ.
+ *
+ * A conflict is resolved once a line of reconciliation-log.md names both
+ * findings (e.g. "F012 vs F027: F027 uses the amended filing"). The
+ * reconciliation gate (gates.js) fails on unresolved conflicts and writes
+ * analysis/contradictions.md for review.
+ *
+ * Usage:
+ *   node scripts/finding-contradictions.js <case_dir> [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+const { readFindingRecords, isCurrent } = require('./finding-chain');
+const { loadFindingSentences } = require('./lead-result');
+
+const REPORT_PATH = path.join('analysis', 'contradictions.md');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9, bn: 1e9, trillion: 1e12 };
+const CURRENCIES = { '$': 'USD', '€': 'EUR', '£': 'GBP', USD: 'USD', EUR: 'EUR', GBP: 'GBP' };
+
+// Share of the smaller keyword set two clauses must have in common
+const MIN_KEYWORD_OVERLAP = 0.5;
+// "about $4 million" covers 10% either side
+const APPROXIMATE_MARGIN = 0.1;
+
+const STOPWORDS = new Set(('a an the and or but of in on at to for from by with as into over under than then that this these those ' +
+  'is was are were be been being has had have do did does it its their them his him her they he she we us our which who whom whose there ' +
+  'not no also about after before during since until while when where per more less least most some any each other ' +
+  'such only own same so too very can could would should may might will shall must up out off just than nearly ' +
+  'approximately roughly around almost estimated total totaling totalling according show shows showed said says ' +
+  'records documents filings').split(' '));
+
+// Capitalized words that start sentences without naming anything
+const SENTENCE_STARTERS = new Set(('the a an in on at by for from after before during since according records documents ' +
+  'filings reports data this that these those it its he she they we however although while when between under ' +
+  'both each all some most many several one two three').split(' '));
+
+const CORPORATE_SUFFIXES = new Set(['llc', 'inc', 'corp', 'corporation', 'ltd', 'limited', 'co', 'plc', 'lp', 'llp', 'gmbh', 'sa']);
+
+const NAME_WORD = '[A-Z][A-Za-z0-9&-]*(?:\\.[A-Z][A-Za-z0-9&-]*)*';
+const NAME = `${NAME_WORD}(?:\\s+(?:of\\s+|&\\s+)?${NAME_WORD})*`;
+const ROLE = '(?:chief executive|CEO|chair(?:man|woman)?|president|founder|owner|director|auditor|parent company)';
+
+const ATTRIBUTE_PATTERNS = [
+  { attribute: 'jurisdiction', re: `\\b(?:registered|incorporated)\\s+in\\s+(?:the\\s+)?(${NAME})` },
+  { attribute: 'location', re: `\\b(?:based|headquartered|located)\\s+in\\s+(?:the\\s+)?(${NAME})` },
+  { attribute: 'owner', re: `\\b(?:owned|controlled)\\s+by\\s+(?:the\\s+)?(${NAME})` },
+  { attribute: 'founder', re: `\\bfounded\\s+by\\s+(${NAME})` },
+  { attribute: 'leader', re: `\\b(?:led|run|headed|chaired)\\s+by\\s+(${NAME})` }
+];
+const POSSESSIVE_ROLE = new RegExp(`(${NAME})['’]s\\s+(${ROLE})\\s+(?:is|was)\\s+(${NAME})`, 'g');
+const ROLE_OF = new RegExp(`\\b[Tt]he\\s+(${ROLE})\\s+of\\s+(${NAME})\\s+(?:is|was)\\s+(${NAME})`, 'g');
+
+function words(text) {
+  return String(text).toLowerCase().match(/[a-z][a-z'-]*/g) || [];
+}
+
+function stem(word) {
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+/** Entity tokens for matching: lowercase, no "the" or corporate suffixes. */
+function entityTokens(name) {
+  return words(name.replace(/['’]s\b/g, '')).filter(w => w !== 'the' && !CORPORATE_SUFFIXES.has(w.replace(/\.$/, '')));
+}
+
+/** "Acme" matches "Acme Holdings LLC": one token list starts the other. */
+function sameEntity(a, b) {
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return short.length > 0 && short.every((token, i) => long[i] === token);
+}
+
+function normalizeRole(role) {
+  const lower = role.toLowerCase();
+  if (lower === 'ceo') return 'chief executive';
+  return lower.replace(/^chair(man|woman)$/, 'chair');
+}
+
+/** Capitalized names in a sentence, with their positions. */
+function extractEntities(text) {
+  const entities = [];
+  const re = new RegExp(NAME, 'g');
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    let name = m[0];
+    let start = m.index;
+    if (/^The\s/.test(name)) {
+      name = name.slice(4);
+      start += 4;
+    }
+    const tokens = entityTokens(name);
+    if (tokens.length === 0 || tokens.every(t => MONTHS.includes(t) || MONTHS.some(mo => mo.startsWith(t) && t.length >= 3))) continue;
+    if (start === 0 && tokens.length === 1 && (SENTENCE_STARTERS.has(tokens[0]) || STOPWORDS.has(tokens[0]))) continue;
+    entities.push({ name, tokens, start, end: start + name.length });
+  }
+  return entities;
+}
+
+function monthNumber(name) {
+  const index = MONTHS.findIndex(mo => mo.startsWith(name.toLowerCase().replace(/\.$/, '').slice(0, 3)));
+  return String(index + 1).padStart(2, '0');
+}
+
+/**
+ * Dates in a sentence as partial ISO strings (2019, 2019-03, 2019-03-05).
+ * Returns the dates and the text with them blanked out (same length).
+ */
+function extractDates(text) {
+  const dates = [];
+  let masked = text;
+  const patterns = [
+    [/\b(\d{4})-(\d{2})-(\d{2})\b/g, m => `${m[1]}-${m[2]}-${m[3]}`],
+    [new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'g'), m => `${m[3]}-${monthNumber(m[1])}-${m[2].padStart(2, '0')}`],
+    [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN},?\\s+(\\d{4})\\b`, 'g'), m => `${m[3]}-${monthNumber(m[2])}-${m[1].padStart(2, '0')}`],
+    [new RegExp(`\\b${MONTH_PATTERN},?\\s+(\\d{4})\\b`, 'g'), m => `${m[2]}-${monthNumber(m[1])}`],
+    [/(?<![$€£\d.,])\b(1[89]\d{2}|20\d{2})\b(?![.,]?\d)/g, m => m[1]]
+  ];
+  for (const [re, toValue] of patterns) {
+    let m;
+    while ((m = re.exec(masked)) !== null) {
+      dates.push({ start: m.index, end: m.index + m[0].length, raw: m[0], value: toValue(m) });
+      masked = masked.slice(0, m.index) + ' '.repeat(m[0].length) + masked.slice(m.index + m[0].length);
+    }
+  }
+  return { dates: dates.sort((a, b) => a.start - b.start), masked };
+}
+
+function numberBound(before) {
+  if (/(?:more than|over|at least|above|exceeding|upwards of)\s*$/i.test(before)) return 'min';
+  if (/(?:less than|fewer than|under|up to|below|at most)\s*$/i.test(before)) return 'max';
+  if (/(?:about|approximately|nearly|roughly|around|almost|some|an estimated|estimated)\s*$/i.test(before)) return 'approx';
+  return 'exact';
+}
+
+/**
+ * Figures in a sentence (dates already blanked out): value, unit, bound and
+ * the resolution they are written to ($4.2 million -> 100,000).
+ */
+function extractNumbers(masked) {
+  const numbers = [];
+  const re = /(?<![\w.])(\$|€|£|(?:USD|EUR|GBP)\s?)?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:\s*(thousand|million|billion|bn|trillion)\b)?(\s*(?:%|percent\b|per cent\b))?/g;
+  let m;
+  while ((m = re.exec(masked)) !== null) {
+    const [raw, currency, integer, decimals, scaleWord, percent] = m;
+    const scale = scaleWord ? SCALES[scaleWord.toLowerCase()] : 1;
+
+    let unit = currency ? CURRENCIES[currency.trim()] : percent ? 'percent' : null;
+    if (!unit) {
+      const next = masked.slice(m.index + raw.length).match(/^\s+([a-z][a-z-]+)/);
+      if (!next || STOPWORDS.has(next[1])) continue;
+      unit = stem(next[1]);
+    }
+
+    const digits = integer.replace(/,/g, '');
+    let resolution;
+    if (decimals) resolution = Math.pow(10, -decimals.length) * scale;
+    else if (scaleWord) resolution = scale;
+    else resolution = Math.pow(10, (digits.match(/0*$/)[0].length));
+
+    numbers.push({
+      start: m.index,
+      end: m.index + raw.length,
+      raw: raw.trim(),
+      value: Number(`${digits}${decimals ? `.${decimals}` : ''}`) * scale,
+      unit,
+      bound: numberBound(masked.slice(Math.max(0, m.index - 20), m.index)),
+      resolution
+    });
+  }
+  return numbers;
+}
+
+/** Clause boundaries of a sentence, ignoring commas inside values. */
+function clauseOf(text, spans, position) {
+  let start = 0;
+  let end = text.length;
+  const re = /;\s*|,\s+|\s+(?:and|but|while|whereas|although|which)\s+/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (spans.some(s => m.index >= s.start && m.index < s.end)) continue;
+    if (m.index + m[0].length <= position) start = m.index + m[0].length;
+    else if (m.index >= position) {
+      end = m.index;
+      break;
+    }
+  }
+  return text.slice(start, end);
+}
+
+function clauseKeywords(clause, entities) {
+  const entityWords = new Set(entities.flatMap(e => e.tokens));
+  return new Set(words(clause)
+    .map(w => w.replace(/['’]s$/, ''))
+    .filter(w => !STOPWORDS.has(w) && !entityWords.has(w) && !CORPORATE_SUFFIXES.has(w) && !MONTHS.includes(w) && !SCALES[w] && !['percent', 'cent'].includes(w))
+    .map(stem));
+}
+
+/**
+ * Statements of one finding sentence.
+ *
+ * @returns {Array<{kind: 'number'|'date'|'attribute', raw, value, entities, keywords?, unit?, years?, attribute?, subject?}>}
+ */
+function extractStatements(sentence) {
+  const text = sentence.replace(ids.citationRegex('g'), ' ').replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim();
+  const entities = extractEntities(text);
+  const { dates, masked } = extractDates(text);
+  const numbers = extractNumbers(masked);
+  const spans = [...dates, ...numbers];
+  const statements = [];
+
+  for (const date of dates) {
+    const clause = clauseOf(text, spans, date.start);
+    statements.push({ kind: 'date', raw: date.raw, value: date.value, entities, keywords: clauseKeywords(clause, entities) });
+  }
+
+  for (const number of numbers) {
+    const clause = clauseOf(text, spans, number.start);
+    const years = dates.filter(d => clause.includes(d.raw)).map(d => d.value.slice(0, 4));
+    statements.push({ kind: 'number', ...number, entities, keywords: clauseKeywords(clause, entities), years });
+  }
+
+  const subjectBefore = index => [...entities].reverse().find(e => e.end <= index) || null;
+  for (const { attribute, re } of ATTRIBUTE_PATTERNS) {
+    const pattern = new RegExp(re, 'g');
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      const subject = subjectBefore(m.index);
+      if (subject) statements.push({ kind: 'attribute', attribute, subject, raw: m[1], value: entityTokens(m[1]), entities });
+    }
+  }
+  for (const [re, roleIndex, subjectIndex] of [[POSSESSIVE_ROLE, 2, 1], [ROLE_OF, 1, 2]]) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const subject = { name: m[subjectIndex], tokens: entityTokens(m[subjectIndex]) };
+      statements.push({ kind: 'attribute', attribute: normalizeRole(m[roleIndex]), subject, raw: m[3], value: entityTokens(m[3]), entities });
+    }
+  }
+
+  return statements.map(({ start, end, ...s }) => s);
+}
+
+function sharedEntity(a, b) {
+  if (a.kind === 'attribute') return sameEntity(a.subject.tokens, b.subject.tokens) ? a.subject : null;
+  for (const ea of a.entities) {
+    if (b.entities.some(eb => sameEntity(ea.tokens, eb.tokens))) return ea;
+  }
+  return null;
+}
+
+function sharedKeywords(a, b) {
+  const shared = [...a.keywords].filter(k => b.keywords.has(k));
+  const smaller = Math.min(a.keywords.size, b.keywords.size);
+  return smaller > 0 && shared.length / smaller >= MIN_KEYWORD_OVERLAP ? shared : null;
+}
+
+/** The common subject and what is said about it, or null when unrelated. */
+function alignment(a, b) {
+  if (a.kind !== b.kind) return null;
+  if (a.kind === 'attribute') {
+    return a.attribute === b.attribute && sharedEntity(a, b) ? { subject: a.subject.name, about: a.attribute } : null;
+  }
+  if (a.kind === 'number') {
+    if (a.unit !== b.unit) return null;
+    if (a.years.length > 0 && b.years.length > 0 && !a.years.some(y => b.years.includes(y))) return null;
+  }
+  const entity = sharedEntity(a, b);
+  const keywords = entity && sharedKeywords(a, b);
+  return keywords ? { subject: entity.name, about: keywords.join(' ') } : null;
+}
+
+function numberRange(n) {
+  const half = n.resolution / 2;
+  if (n.bound === 'min') return [n.value - half, Infinity];
+  if (n.bound === 'max') return [-Infinity, n.value + half];
+  if (n.bound === 'approx') return [n.value * (1 - APPROXIMATE_MARGIN) - half, n.value * (1 + APPROXIMATE_MARGIN) + half];
+  return [n.value - half, n.value + half];
+}
+
+/** True when both statements can hold at once. */
+function compatible(a, b) {
+  if (a.kind === 'date') {
+    const length = Math.min(a.value.length, b.value.length);
+    return a.value.slice(0, length) === b.value.slice(0, length);
+  }
+  if (a.kind === 'number') {
+    const [aLow, aHigh] = numberRange(a);
+    const [bLow, bHigh] = numberRange(b);
+    return aLow <= bHigh * (1 + 1e-9) && bLow <= aHigh * (1 + 1e-9);
+  }
+  return sameEntity(a.value, b.value);
+}
+
+/** Finding ID pairs that a reconciliation-log.md line names together. */
+function resolvedPairs(logText) {
+  const pairs = new Set();
+  for (const line of String(logText || '').split('\n')) {
+    const named = [...new Set(line.match(ids.idTokenRegex(ids.PREFIX.finding, 'g')) || [])];
+    for (const a of named) {
+      for (const b of named) if (a !== b) pairs.add(`${a}|${b}`);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Compare the statements of all current findings pairwise.
+ *
+ * @returns {{findingsCompared: number, statements: number, conflicts: object[], unresolved: number}}
+ */
+function findContradictions(caseDir) {
+  const records = readFindingRecords(path.join(caseDir, 'findings'));
+  const current = new Set([...records.keys()].filter(id => isCurrent(records, id)));
+
+  const byFinding = new Map();
+  for (const sentence of loadFindingSentences(caseDir)) {
+    if (!current.has(sentence.finding)) continue;
+    const list = byFinding.get(sentence.finding) || [];
+    for (const statement of extractStatements(sentence.text)) {
+      list.push({ ...statement, finding: sentence.finding, sentence: sentence.text, sources: sentence.sources });
+    }
+    byFinding.set(sentence.finding, list);
+  }
+
+  const logPath = path.join(caseDir, 'reconciliation-log.md');
+  const resolved = resolvedPairs(fs.existsSync(logPath) ? fs.readFileSync(logPath, 'utf-8') : '');
+  const findings = [...byFinding.keys()].sort(ids.compareIds);
+  const conflicts = [];
+  const seen = new Set();
+
+  for (let i = 0; i < findings.length; i++) {
+    for (let j = i + 1; j < findings.length; j++) {
+      for (const a of byFinding.get(findings[i])) {
+        const aligned = byFinding.get(findings[j])
+          .map(b => ({ b, align: alignment(a, b) }))
+          .filter(x => x.align);
+        if (aligned.length === 0 || aligned.some(({ b }) => compatible(a, b))) continue;
+
+        const { b, align } = aligned[0];
+        const key = [a.finding, b.finding, a.kind, a.raw, b.raw].join('|');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const side = s => ({ finding: s.finding, value: s.raw, sentence: s.sentence, sources: s.sources });
+        conflicts.push({
+          kind: a.kind,
+          subject: align.subject,
+          about: align.about,
+          a: side(a),
+          b: side(b),
+          resolved: resolved.has(`${a.finding}|${b.finding}`)
+        });
+      }
+    }
+  }
+
+  return {
+    findingsCompared: findings.length,
+    statements: [...byFinding.values()].reduce((n, list) => n + list.length, 0),
+    conflicts,
+    unresolved: conflicts.filter(c => !c.resolved).length
+  };
+}
+
+function formatMarkdown(report) {
+  const lines = [
+    '# Contradictions Across Findings',
+    '',
+    `${report.statements} statements from ${report.findingsCompared} current findings; ` +
+      `${report.conflicts.length} conflicts, ${report.unresolved} unresolved.`,
+    '',
+    'Generated by `node scripts/finding-contradictions.js`. Resolve a conflict by correcting or superseding a finding,',
+    'or by noting both finding IDs on one line of reconciliation-log.md with the reason they do not conflict.',
+    ''
+  ];
+
+  const section = (title, list) => {
+    lines.push(`## ${title}`, '');
+    if (list.length === 0) lines.push('None.', '');
+    list.forEach((c, i) => {
+      lines.push(`### ${i + 1}. ${c.a.finding} vs ${c.b.finding}: ${c.subject}, ${c.about} (${c.kind})`, '');
+      for (const side of [c.a, c.b]) {
+        const sources = side.sources.length > 0 ? side.sources.join(', ') : 'no citation';
+        lines.push(`- **${side.finding}** ${side.value} (${sources}): ${side.sentence}`);
+      }
+      lines.push('');
+    });
+  };
+  section('Unresolved', report.conflicts.filter(c => !c.resolved));
+  section('Resolved in reconciliation-log.md', report.conflicts.filter(c => c.resolved));
+  return lines.join('\n');
+}
+
+/** Write analysis/contradictions.md (only when its content changes). */
+function writeContradictionsReport(caseDir, report = findContradictions(caseDir)) {
+  const reportPath = path.join(caseDir, REPORT_PATH);
+  const text = formatMarkdown(report);
+  if (!fs.existsSync(reportPath) || fs.readFileSync(reportPath, 'utf-8') !== text) {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, text);
+  }
+  return { report, path: reportPath };
+}
+
+function printUsage() {
+  console.log('finding-contradictions.js - Find statements on which findings disagree');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node scripts/finding-contradictions.js <case_dir> [--json]');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const caseDir = args.find(a => !a.startsWith('--'));
+  if (!caseDir) {
+    printUsage();
+    process.exit(2);
+  }
+  if (!fs.existsSync(path.join(caseDir, 'findings'))) {
+    console.error(`findings/ directory not found: ${path.join(caseDir, 'findings')}`);
+    process.exit(2);
+  }
+
+  const { report, path: reportPath } = writeContradictionsReport(caseDir);
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`${report.conflicts.length} conflicts (${report.unresolved} unresolved) across ${report.findingsCompared} findings`);
+    for (const c of report.conflicts.filter(x => !x.resolved)) {
+      console.log(`  ${c.a.finding} ${c.a.value} vs ${c.b.finding} ${c.b.value}: ${c.subject}, ${c.about}`);
+    }
+    console.log(`Report: ${reportPath}`);
+  }
+  process.exit(report.unresolved > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  REPORT_PATH,
+  extractStatements,
+  compatible,
+  alignment,
+  resolvedPairs,
+  findContradictions,
+  formatMarkdown,
+  writeContradictionsReport
+};
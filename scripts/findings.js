@@ -8,9 +8,16 @@
  *   node scripts/findings.js add <case_dir> <title>
  *   node scripts/findings.js update <case_dir> <finding_id> <field> <value>
  *   node scripts/findings.js assemble <case_dir>  # Combine all findings into one document
+ *   node scripts/findings.js supersede <case_dir> <old_id> <new_id>
+ *   node scripts/findings.js retire <case_dir> <finding_id> --reason <text>
+ *   node scripts/findings.js history <case_dir> <finding_id> [--json]
+ *   node scripts/findings.js query <case_dir> [filters] [--sort <key>] [--desc] [--json]
+ *                                  [--set <field>=<value> ...] [--dry-run]
  *
  * The findings architecture replaces monolithic summary.md with independent
- * finding files that have their own lifecycle.
+ * finding files that have their own lifecycle. A revised finding supersedes
+ * the old one (see finding-chain.js); only the current head of each chain is
+ * assembled.
  */
 
 'use strict';
@@ -18,62 +25,39 @@
 const fs = require('fs');
 const path = require('path');
 const { auditFindings } = require('./audit-findings');
+const ids = require('./ids');
+const frontmatter = require('./frontmatter');
+const chains = require('./finding-chain');
+const { assessFindings } = require('./finding-confidence');
 
 /**
  * Get the next finding ID
  */
 function getNextFindingId(findingsDir) {
-  const files = fs.readdirSync(findingsDir)
+  const existing = fs.readdirSync(findingsDir)
     // Include non-canonical filenames (e.g., F007-something.md) to avoid duplicate IDs.
-    .filter(f => f.match(/^F\d{3}.*\.md$/))
-    .sort();
-
-  if (files.length === 0) return 'F001';
+    .filter(f => f.endsWith('.md'))
+    .map(ids.findingIdFromFilename)
+    .filter(Boolean);
 
-  const lastNum = parseInt(files[files.length - 1].slice(1, 4));
-  return `F${String(lastNum + 1).padStart(3, '0')}`;
+  return ids.nextId(ids.PREFIX.finding, existing);
 }
 
 /**
- * Parse finding frontmatter
+ * Parse finding frontmatter (see frontmatter.js). Fields that fail to parse
+ * are left out of metadata and reported in errors.
  */
 function parseFinding(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (!match) return { metadata: {}, content };
-
-  const frontmatter = match[1];
-  const body = match[2];
-  const metadata = {};
-
-  frontmatter.split('\n').forEach(line => {
-    const [key, ...valueParts] = line.split(':');
-    if (key && valueParts.length > 0) {
-      let value = valueParts.join(':').trim();
-      // Parse arrays
-      if (value.startsWith('[') && value.endsWith(']')) {
-        value = JSON.parse(value);
-      }
-      metadata[key.trim()] = value;
-    }
-  });
-
-  return { metadata, content: body.trim() };
+  const { metadata, body, errors } = frontmatter.parseFrontmatter(content);
+  if (!metadata) return { metadata: {}, content: content.trim(), errors: [] };
+  return { metadata, content: body.trim(), errors };
 }
 
 /**
  * Generate finding frontmatter
  */
 function generateFrontmatter(metadata) {
-  const lines = ['---'];
-  for (const [key, value] of Object.entries(metadata)) {
-    if (Array.isArray(value)) {
-      lines.push(`${key}: ${JSON.stringify(value)}`);
-    } else {
-      lines.push(`${key}: ${value}`);
-    }
-  }
-  lines.push('---');
-  return lines.join('\n');
+  return frontmatter.serializeFinding(metadata, '').trimEnd();
 }
 
 /**
@@ -89,11 +73,11 @@ function listFindings(caseDir) {
   }
 
   const files = fs.readdirSync(findingsDir)
-    .filter(f => f.match(/^F\d{3}\.md$/))
-    .sort();
+    .filter(ids.isFindingFile)
+    .sort(ids.compareIds);
 
   const nonCanonical = fs.readdirSync(findingsDir)
-    .filter(f => f.match(/^F\d{3}.*\.md$/) && !f.match(/^F\d{3}\.md$/))
+    .filter(f => f.endsWith('.md') && ids.findingIdFromFilename(f) && !ids.isFindingFile(f))
     .sort();
   if (nonCanonical.length > 0) {
     console.log('\x1b[33mWARNING:\x1b[0m Non-canonical findings files exist and will be ignored by assembly.');
@@ -103,6 +87,7 @@ function listFindings(caseDir) {
 
   console.log('Findings:\n');
 
+  const suggestions = new Map(assessFindings(caseDir).findings.map(f => [f.id, f]));
   const findings = [];
   for (const file of files) {
     const content = fs.readFileSync(path.join(findingsDir, file), 'utf-8');
@@ -115,11 +100,18 @@ function listFindings(caseDir) {
     const statusIcon = {
       sourced: '\x1b[32m✓\x1b[0m',
       draft: '\x1b[33m○\x1b[0m',
+      needs_review: '\x1b[33m!\x1b[0m',
       stale: '\x1b[31m✗\x1b[0m',
-      superseded: '\x1b[90m→\x1b[0m'
+      superseded: '\x1b[90m→\x1b[0m',
+      retired: '\x1b[90m✗\x1b[0m'
     }[status] || '?';
 
-    console.log(`${statusIcon} ${metadata.id || file.replace('.md', '')} [${status}] (${confidence})`);
+    const id = metadata.id || file.replace('.md', '');
+    const suggestion = suggestions.get(ids.findingIdFromFilename(file));
+    const suggested = suggestion
+      ? `, suggested ${suggestion.suggested}${suggestion.overstated ? ' \x1b[31m↓\x1b[0m' : ''}`
+      : '';
+    console.log(`${statusIcon} ${id} [${status}] (${confidence}${suggested})`);
     console.log(`    Sources: ${sources.length > 0 ? sources.join(', ') : '(none)'}`);
     console.log(`    Updated: ${metadata.updated || 'unknown'}`);
 
@@ -129,7 +121,10 @@ function listFindings(caseDir) {
   console.log(`\nTotal: ${findings.length} findings`);
   console.log(`  Sourced: ${findings.filter(f => f.metadata.status === 'sourced').length}`);
   console.log(`  Draft: ${findings.filter(f => f.metadata.status === 'draft').length}`);
+  console.log(`  Needs review: ${findings.filter(f => f.metadata.status === 'needs_review').length}`);
   console.log(`  Stale: ${findings.filter(f => f.metadata.status === 'stale').length}`);
+  console.log(`  Superseded: ${findings.filter(f => f.metadata.status === 'superseded').length}`);
+  console.log(`  Retired: ${findings.filter(f => f.metadata.status === 'retired').length}`);
 
   return findings;
 }
@@ -161,9 +156,9 @@ function readFindings(caseDir, findingId) {
 
   // Add any findings not in assembly order
   const allFiles = fs.readdirSync(findingsDir)
-    .filter(f => f.match(/^F\d{3}\.md$/))
+    .filter(ids.isFindingFile)
     .map(f => f.replace('.md', ''))
-    .sort();
+    .sort(ids.compareIds);
 
   const orderedFindings = [
     ...assemblyOrder,
@@ -195,18 +190,17 @@ function addFinding(caseDir, title) {
     created: now,
     updated: now,
     sources: [],
-    supersedes: 'null',
-    superseded_by: 'null',
+    supersedes: null,
+    superseded_by: null,
     confidence: 'low',
     related_leads: []
   };
 
-  const content = `${generateFrontmatter(metadata)}
-
+  const content = frontmatter.serializeFinding(metadata, `
 # Finding: ${title}
 
 *Content to be added.*
-`;
+`);
 
   fs.writeFileSync(path.join(findingsDir, `${id}.md`), content);
   console.log(`Created: findings/${id}.md`);
@@ -221,13 +215,335 @@ function addFinding(caseDir, title) {
   return id;
 }
 
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function findingTitle(record) {
+  if (record.metadata.title) return record.metadata.title;
+  const heading = record.body.match(/^#\s+(?:Finding:\s*)?(.+)$/m);
+  return heading ? heading[1].trim() : '';
+}
+
+function updateFindingFields(findingsDir, record, changes) {
+  const filePath = path.join(findingsDir, record.file);
+  fs.writeFileSync(filePath, frontmatter.updateFrontmatter(fs.readFileSync(filePath, 'utf-8'), changes));
+}
+
+/**
+ * Rewrite manifest.json assembly_order and sections through `replace(id)`,
+ * which returns the ID to keep in its place or null to drop it. Duplicates
+ * keep their first position. Returns false when there is no manifest.
+ */
+function updateManifestIds(findingsDir, replace) {
+  const manifest = chains.readManifest(findingsDir);
+  if (!manifest) return false;
+
+  const rewrite = list => [...new Set((Array.isArray(list) ? list : []).map(replace).filter(Boolean))];
+  manifest.assembly_order = rewrite(manifest.assembly_order);
+  for (const section of Object.keys(manifest.sections || {})) {
+    manifest.sections[section] = rewrite(manifest.sections[section]);
+  }
+  fs.writeFileSync(path.join(findingsDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return true;
+}
+
+/**
+ * Replace `oldId` with `newId`: the old finding becomes `superseded` with
+ * superseded_by, the new one gets supersedes, and the new finding takes the
+ * old one's place in manifest.json.
+ *
+ * @returns {object} { success, superseded, by, chain } or { success: false, error }
+ */
+function supersedeFinding(caseDir, oldId, newId) {
+  const findingsDir = path.join(caseDir, 'findings');
+  const records = chains.readFindingRecords(findingsDir);
+  const oldRecord = records.get(oldId);
+  const newRecord = records.get(newId);
+
+  if (oldId === newId) return { success: false, error: 'A finding cannot supersede itself' };
+  if (!oldRecord) return { success: false, error: `Finding ${oldId} not found` };
+  if (!newRecord) return { success: false, error: `Finding ${newId} not found` };
+  if (oldRecord.metadata.superseded_by) {
+    return { success: false, error: `${oldId} is already superseded by ${oldRecord.metadata.superseded_by}` };
+  }
+  if (oldRecord.metadata.status === 'retired') return { success: false, error: `${oldId} is retired` };
+  if (newRecord.metadata.supersedes) {
+    return { success: false, error: `${newId} already supersedes ${newRecord.metadata.supersedes}` };
+  }
+  if (['superseded', 'retired'].includes(newRecord.metadata.status)) {
+    return { success: false, error: `${newId} is ${newRecord.metadata.status} and cannot replace another finding` };
+  }
+  const newChain = chains.chainOf(records, newId).ids;
+  if (newChain.includes(oldId)) {
+    return { success: false, error: `Cycle: ${oldId} is already a later version in ${newChain.join(' → ')}` };
+  }
+
+  const now = today();
+  updateFindingFields(findingsDir, oldRecord, { status: 'superseded', superseded_by: newId, updated: now });
+  updateFindingFields(findingsDir, newRecord, { supersedes: oldId, updated: now });
+  const manifestUpdated = updateManifestIds(findingsDir, id => (id === oldId ? newId : id));
+
+  return {
+    success: true,
+    superseded: oldId,
+    by: newId,
+    chain: chains.chainOf(chains.readFindingRecords(findingsDir), newId).ids,
+    manifest_updated: manifestUpdated
+  };
+}
+
+/**
+ * Withdraw a finding without a replacement. Only the current head of a chain
+ * can be retired; the chain then drops out of manifest.json and assembly.
+ *
+ * @returns {object} { success, retired, chain } or { success: false, error }
+ */
+function retireFinding(caseDir, findingId, reason) {
+  const findingsDir = path.join(caseDir, 'findings');
+  const records = chains.readFindingRecords(findingsDir);
+  const record = records.get(findingId);
+
+  if (!reason || !String(reason).trim()) return { success: false, error: 'A reason is required (--reason <text>)' };
+  if (!record) return { success: false, error: `Finding ${findingId} not found` };
+  if (record.metadata.status === 'retired') return { success: false, error: `${findingId} is already retired` };
+  if (record.metadata.superseded_by) {
+    return { success: false, error: `${findingId} is superseded by ${record.metadata.superseded_by}; retire the current version instead` };
+  }
+
+  const now = today();
+  updateFindingFields(findingsDir, record, { status: 'retired', retired_reason: String(reason).trim(), retired_at: now, updated: now });
+  const chain = chains.chainOf(records, findingId).ids;
+  const manifestUpdated = updateManifestIds(findingsDir, id => (chain.includes(id) ? null : id));
+
+  return { success: true, retired: findingId, chain, manifest_updated: manifestUpdated };
+}
+
+/**
+ * Every version of a finding, oldest first.
+ *
+ * @returns {object} { success, id, head, cycle, chain: [{ id, status, created, updated, title, ... }] }
+ */
+function findingHistory(caseDir, findingId) {
+  const records = chains.readFindingRecords(path.join(caseDir, 'findings'));
+  if (!records.has(findingId)) return { success: false, error: `Finding ${findingId} not found` };
+
+  const { ids: chainIds, head, cycle } = chains.chainOf(records, findingId);
+  const chain = chainIds.map(id => {
+    const record = records.get(id);
+    const m = record.metadata;
+    return {
+      id,
+      status: m.status || null,
+      created: m.created || null,
+      updated: m.updated || null,
+      title: findingTitle(record),
+      supersedes: m.supersedes || null,
+      superseded_by: m.superseded_by || null,
+      retired_reason: m.retired_reason || null,
+      current: chains.isCurrent(records, id)
+    };
+  });
+  return { success: true, id: findingId, head, cycle, chain };
+}
+
+function printHistory(history) {
+  const { chain, head, cycle } = history;
+  console.log(`History of ${history.id}: ${chain.length} version(s)${head ? `, head ${head}` : ''}\n`);
+  for (const entry of chain) {
+    const marker = entry.current ? '*' : ' ';
+    console.log(`${marker} ${entry.id} [${entry.status || 'unknown'}] ${entry.updated || entry.created || ''}  ${entry.title}`);
+    if (entry.superseded_by) console.log(`    superseded by ${entry.superseded_by}`);
+    if (entry.status === 'retired') console.log(`    retired: ${entry.retired_reason || '(no reason)'}`);
+  }
+  if (cycle) console.log(`\n\x1b[31mCycle:\x1b[0m ${cycle.join(' → ')}`);
+  if (!chain.some(e => e.current)) console.log('\nNo current version: this finding is not assembled.');
+}
+
+const QUERY_SORT_KEYS = ['id', 'status', 'confidence', 'created', 'updated', 'title'];
+// Changed only through supersede and retire, which keep chains and the manifest consistent
+const PROTECTED_FIELDS = ['id', 'supersedes', 'superseded_by', 'retired_reason', 'retired_at'];
+const PROTECTED_STATUSES = ['superseded', 'retired'];
+
+function matchesAny(wanted, values) {
+  return !wanted || wanted.length === 0 || wanted.some(w => values.includes(w));
+}
+
+function compareQueryRows(key) {
+  if (key === 'id') return (a, b) => ids.compareIds(a.id, b.id);
+  if (key === 'confidence') {
+    const rank = c => (frontmatter.FINDING_CONFIDENCE.includes(c) ? frontmatter.FINDING_CONFIDENCE.indexOf(c) : Infinity);
+    return (a, b) => rank(a.confidence) - rank(b.confidence) || ids.compareIds(a.id, b.id);
+  }
+  return (a, b) => String(a[key] || '').localeCompare(String(b[key] || '')) || ids.compareIds(a.id, b.id);
+}
+
+/**
+ * Findings matching every given filter; a comma-separated filter value
+ * matches any of its entries.
+ *
+ * filters: { status, confidence, source, lead, section (arrays), since, until
+ * (YYYY-MM-DD, inclusive), dateField ('updated' or 'created'), text }
+ * options: { sort (QUERY_SORT_KEYS), desc }
+ *
+ * @returns {object} { success, findings: [{ id, file, title, status, confidence, created, updated, sources, related_leads, sections, current }] } or { success: false, error }
+ */
+function queryFindings(caseDir, filters = {}, options = {}) {
+  const findingsDir = path.join(caseDir, 'findings');
+  if (!fs.existsSync(findingsDir)) return { success: false, error: `findings/ directory not found: ${findingsDir}` };
+
+  const dateField = filters.dateField || 'updated';
+  if (!['created', 'updated'].includes(dateField)) return { success: false, error: `Date field must be created or updated, got "${dateField}"` };
+  for (const bound of ['since', 'until']) {
+    if (filters[bound] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[bound])) {
+      return { success: false, error: `--${bound} must be a date (YYYY-MM-DD), got "${filters[bound]}"` };
+    }
+  }
+  const sort = options.sort || 'id';
+  if (!QUERY_SORT_KEYS.includes(sort)) return { success: false, error: `Sort key must be one of ${QUERY_SORT_KEYS.join(', ')}` };
+
+  const records = chains.readFindingRecords(findingsDir);
+  const sections = Object.entries(chains.readManifest(findingsDir)?.sections || {});
+  const text = filters.text ? filters.text.toLowerCase() : null;
+
+  const findings = [];
+  for (const record of records.values()) {
+    const m = record.metadata;
+    const row = {
+      id: record.id,
+      file: record.file,
+      title: findingTitle(record),
+      status: m.status || null,
+      confidence: m.confidence || null,
+      created: m.created || null,
+      updated: m.updated || null,
+      sources: [...new Set([...(Array.isArray(m.sources) ? m.sources : []), ...ids.extractSourceIds(record.body)])],
+      related_leads: Array.isArray(m.related_leads) ? m.related_leads : [],
+      sections: sections.filter(([, list]) => Array.isArray(list) && list.includes(record.id)).map(([name]) => name),
+      current: chains.isCurrent(records, record.id)
+    };
+
+    const date = row[dateField] ? String(row[dateField]).slice(0, 10) : null;
+    if (!matchesAny(filters.status, [row.status]) ||
+      !matchesAny(filters.confidence, [row.confidence]) ||
+      !matchesAny(filters.source, row.sources) ||
+      !matchesAny(filters.lead, row.related_leads) ||
+      !matchesAny(filters.section, row.sections)) continue;
+    if ((filters.since || filters.until) && !date) continue;
+    if ((filters.since && date < filters.since) || (filters.until && date > filters.until)) continue;
+    if (text && !`${row.title}\n${record.body}`.toLowerCase().includes(text)) continue;
+    findings.push(row);
+  }
+
+  findings.sort(compareQueryRows(sort));
+  if (options.desc) findings.reverse();
+  return { success: true, findings };
+}
+
+/**
+ * Set frontmatter fields on several findings. Every finding is validated
+ * first and nothing is written unless the change is valid for all of them.
+ * Only errors the change introduces count: a finding with an unrelated,
+ * pre-existing schema error is still updated and listed under `warnings`.
+ * Superseded and retired findings are history, not chain heads: they are
+ * left untouched and listed under `skipped`.
+ *
+ * @returns {object} { success, updated: [ids], skipped: [ids], changes, warnings: [strings] } or { success: false, error }
+ */
+function bulkUpdateFindings(caseDir, findingIds, changes, options = {}) {
+  const findingsDir = path.join(caseDir, 'findings');
+  const records = chains.readFindingRecords(findingsDir);
+
+  for (const field of Object.keys(changes)) {
+    if (PROTECTED_FIELDS.includes(field)) return { success: false, error: `${field} cannot be set here; use supersede or retire` };
+  }
+  if (PROTECTED_STATUSES.includes(changes.status)) {
+    return { success: false, error: `status ${changes.status} cannot be set here; use ${changes.status === 'retired' ? 'retire' : 'supersede'}` };
+  }
+
+  const fields = { ...changes, updated: today() };
+  const problems = [];
+  const warnings = [];
+  const targets = [];
+  const skipped = [];
+  for (const id of findingIds) {
+    const record = records.get(id);
+    if (!record) {
+      problems.push(`${id}: not found`);
+      continue;
+    }
+    if (!chains.isCurrent(records, id)) {
+      skipped.push(id);
+      continue;
+    }
+    targets.push(id);
+    const existing = frontmatter.validateFinding(record.metadata).errors;
+    const { errors } = frontmatter.validateFinding({ ...record.metadata, ...fields });
+    problems.push(...errors.filter(e => !existing.includes(e)).map(e => `${id}: ${e}`));
+    warnings.push(...existing.filter(e => errors.includes(e)).map(e => `${id}: ${e} (already invalid, left as is)`));
+  }
+  if (problems.length > 0) return { success: false, error: `No findings updated:\n  ${problems.join('\n  ')}` };
+
+  if (!options.dryRun) {
+    for (const id of targets) updateFindingFields(findingsDir, records.get(id), fields);
+  }
+  return { success: true, updated: targets, skipped, changes, warnings };
+}
+
+/** `--set field=value`: the value is read as YAML (`[S001, S002]`, `null`, ...). */
+function parseSetArgument(argument) {
+  const eq = String(argument || '').indexOf('=');
+  if (eq <= 0) return { error: `--set expects <field>=<value>, got "${argument}"` };
+  const field = argument.slice(0, eq).trim();
+  try {
+    return { field, value: frontmatter.parseYaml(`value: ${argument.slice(eq + 1)}`).value ?? null };
+  } catch (err) {
+    return { error: `--set ${field}: ${err.message}` };
+  }
+}
+
+const QUERY_LIST_FLAGS = { '--status': 'status', '--confidence': 'confidence', '--source': 'source', '--lead': 'lead', '--section': 'section' };
+const QUERY_VALUE_FLAGS = { '--since': 'since', '--until': 'until', '--date-field': 'dateField', '--text': 'text', '--sort': 'sort' };
+
+function parseQueryArgs(args) {
+  const query = { filters: {}, sort: 'id', desc: false, json: false, dryRun: false, set: {} };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--desc') query.desc = true;
+    else if (arg === '--json') query.json = true;
+    else if (arg === '--dry-run') query.dryRun = true;
+    else if (arg === '--set') {
+      const parsed = parseSetArgument(args[++i]);
+      if (parsed.error) return { error: parsed.error };
+      query.set[parsed.field] = parsed.value;
+    } else if (QUERY_LIST_FLAGS[arg] || QUERY_VALUE_FLAGS[arg]) {
+      const value = args[++i];
+      if (value === undefined) return { error: `${arg} requires a value` };
+      if (QUERY_LIST_FLAGS[arg]) query.filters[QUERY_LIST_FLAGS[arg]] = value.split(',').map(v => v.trim()).filter(Boolean);
+      else if (arg === '--sort') query.sort = value;
+      else query.filters[QUERY_VALUE_FLAGS[arg]] = value;
+    } else {
+      return { error: `Unknown query option: ${arg}` };
+    }
+  }
+  return query;
+}
+
+function printQueryResults(findings) {
+  for (const f of findings) {
+    const date = f.updated || f.created || '';
+    console.log(`${f.id.padEnd(6)} [${f.status || 'unknown'}] (${f.confidence || 'unknown'}) ${date}  ${f.title}`);
+    console.log(`    Sources: ${f.sources.length > 0 ? f.sources.join(', ') : '(none)'}${f.sections.length > 0 ? `  Sections: ${f.sections.join(', ')}` : ''}`);
+  }
+  console.log(`\n${findings.length} finding(s) match`);
+}
+
 /**
  * Assemble all findings into a single document
  */
 function assembleFindings(caseDir, options = {}) {
   const { block = false } = options;
   const findingsDir = path.join(caseDir, 'findings');
-  const manifestPath = path.join(findingsDir, 'manifest.json');
 
   const hygiene = auditFindings(caseDir);
   const hygieneHasErrors =
@@ -249,42 +565,14 @@ function assembleFindings(caseDir, options = {}) {
     }
   }
 
-  let assemblyOrder = [];
-  let sections = {};
-
-  if (fs.existsSync(manifestPath)) {
-    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
-    assemblyOrder = manifest.assembly_order || [];
-    sections = manifest.sections || {};
-  }
-
-  // Get all findings
-  const allFiles = fs.readdirSync(findingsDir)
-    .filter(f => f.match(/^F\d{3}\.md$/))
-    .map(f => f.replace('.md', ''))
-    .sort();
-
-  // Add any not in assembly order
-  const orderedFindings = [
-    ...assemblyOrder,
-    ...allFiles.filter(f => !assemblyOrder.includes(f))
-  ];
-
   const output = [];
   const allSources = new Set();
 
-  for (const id of orderedFindings) {
-    const filePath = path.join(findingsDir, `${id}.md`);
-    if (!fs.existsSync(filePath)) continue;
-
-    const raw = fs.readFileSync(filePath, 'utf-8');
+  // Current chain heads only, in manifest order
+  for (const id of chains.assemblyOrder(findingsDir)) {
+    const raw = fs.readFileSync(path.join(findingsDir, `${id}.md`), 'utf-8');
     const { metadata, content } = parseFinding(raw);
 
-    // Skip stale and superseded findings
-    if (metadata.status === 'stale' || metadata.status === 'superseded') {
-      continue;
-    }
-
     output.push(content);
 
     // Collect sources
@@ -307,11 +595,20 @@ function printUsage() {
   console.log('  node scripts/findings.js read <case_dir> [finding_id]');
   console.log('  node scripts/findings.js add <case_dir> <title>');
   console.log('  node scripts/findings.js assemble <case_dir>');
+  console.log('  node scripts/findings.js supersede <case_dir> <old_id> <new_id>');
+  console.log('  node scripts/findings.js retire <case_dir> <finding_id> --reason <text>');
+  console.log('  node scripts/findings.js history <case_dir> <finding_id> [--json]');
+  console.log('  node scripts/findings.js query <case_dir> [--status s1,s2] [--confidence c] [--source S###] [--lead L###]');
+  console.log('                 [--section name] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--date-field updated|created]');
+  console.log('                 [--text "..."] [--sort id|status|confidence|created|updated|title] [--desc] [--json]');
+  console.log('                 [--set field=value ...] [--dry-run]');
   console.log('');
   console.log('Examples:');
   console.log('  node scripts/findings.js list cases/my-case');
   console.log('  node scripts/findings.js read cases/my-case F001');
   console.log('  node scripts/findings.js add cases/my-case "Key Player Analysis"');
+  console.log('  node scripts/findings.js supersede cases/my-case F004 F011');
+  console.log('  node scripts/findings.js query cases/my-case --source S014 --set status=needs_review');
 }
 
 function main() {
@@ -347,6 +644,81 @@ function main() {
     case 'assemble':
       assembleFindings(caseDir, { block: args.includes('--block') });
       break;
+    case 'supersede': {
+      if (!args[2] || !args[3]) {
+        console.error('Error: old_id and new_id required');
+        process.exit(1);
+      }
+      const result = supersedeFinding(caseDir, args[2], args[3]);
+      if (!result.success) {
+        console.error(`Error: ${result.error}`);
+        process.exit(1);
+      }
+      console.log(`Superseded: ${result.superseded} → ${result.by} (chain: ${result.chain.join(' → ')})`);
+      break;
+    }
+    case 'retire': {
+      if (!args[2]) {
+        console.error('Error: finding_id required');
+        process.exit(1);
+      }
+      const reasonIndex = args.indexOf('--reason');
+      const result = retireFinding(caseDir, args[2], reasonIndex === -1 ? null : args[reasonIndex + 1]);
+      if (!result.success) {
+        console.error(`Error: ${result.error}`);
+        process.exit(1);
+      }
+      console.log(`Retired: ${result.retired}${result.chain.length > 1 ? ` (chain: ${result.chain.join(' → ')})` : ''}`);
+      break;
+    }
+    case 'history': {
+      if (!args[2]) {
+        console.error('Error: finding_id required');
+        process.exit(1);
+      }
+      const result = findingHistory(caseDir, args[2]);
+      if (!result.success) {
+        console.error(`Error: ${result.error}`);
+        process.exit(1);
+      }
+      if (args.includes('--json')) console.log(JSON.stringify(result, null, 2));
+      else printHistory(result);
+      break;
+    }
+    case 'query': {
+      const query = parseQueryArgs(args.slice(2));
+      if (query.error) {
+        console.error(`Error: ${query.error}`);
+        process.exit(1);
+      }
+      const result = queryFindings(caseDir, query.filters, { sort: query.sort, desc: query.desc });
+      if (!result.success) {
+        console.error(`Error: ${result.error}`);
+        process.exit(1);
+      }
+
+      let update = null;
+      if (Object.keys(query.set).length > 0) {
+        update = bulkUpdateFindings(caseDir, result.findings.map(f => f.id), query.set, { dryRun: query.dryRun });
+        if (!update.success) {
+          console.error(`Error: ${update.error}`);
+          process.exit(1);
+        }
+        update.warnings.forEach(w => console.error(`Warning: ${w}`));
+      }
+
+      if (query.json) {
+        console.log(JSON.stringify({ ...result, ...(update ? { updated: update.updated, skipped: update.skipped, changes: update.changes, warnings: update.warnings, dry_run: query.dryRun } : {}) }, null, 2));
+        break;
+      }
+      printQueryResults(result.findings);
+      if (update) {
+        const changes = Object.entries(update.changes).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(', ');
+        console.log(`${query.dryRun ? 'Would update' : 'Updated'} ${update.updated.length} finding(s): ${changes}`);
+        if (update.skipped.length > 0) console.log(`Skipped ${update.skipped.length} superseded/retired finding(s): ${update.skipped.join(', ')}`);
+      }
+      break;
+    }
     default:
       console.error(`Unknown command: ${command}`);
       printUsage();
@@ -359,6 +731,11 @@ module.exports = {
   readFindings,
   addFinding,
   assembleFindings,
+  supersedeFinding,
+  retireFinding,
+  findingHistory,
+  queryFindings,
+  bulkUpdateFindings,
   parseFinding,
   generateFrontmatter,
   getNextFindingId
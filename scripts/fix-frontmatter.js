@@ -1,31 +1,70 @@
 #!/usr/bin/env node
 /**
- * Fix YAML frontmatter in findings files to use proper JSON arrays
+ * Normalize YAML frontmatter in findings files
+ *
+ * Rewrites list fields (sources, related_leads, ...) in the canonical
+ * ["S001", "S002"] form through frontmatter.js. Older files written as
+ * [S001, S002] or as block lists parse the same, so this is cosmetic; files
+ * whose frontmatter does not parse are reported and left untouched.
+ *
+ * Usage:
+ *   node scripts/fix-frontmatter.js <case_dir|findings_dir> [--dry-run]
  */
 
+'use strict';
+
 const fs = require('fs');
 const path = require('path');
+const { parseFrontmatter, updateFrontmatter } = require('./frontmatter');
+
+function fixFindingText(text) {
+  const { metadata, errors } = parseFrontmatter(text);
+  if (!metadata || errors.length > 0) return { text, errors };
 
-const findingsDir = process.argv[2] || 'D:/Personal/AgenticInvestigator/cases/solo-free-climbing-deaths-and-risk-factors/findings';
-const files = fs.readdirSync(findingsDir).filter(f => f.endsWith('.md'));
-
-for (const file of files) {
-  const filePath = path.join(findingsDir, file);
-  let content = fs.readFileSync(filePath, 'utf-8');
-
-  // Fix sources and related_leads arrays - change [S001, S002] to ["S001", "S002"]
-  content = content.replace(/^(sources|related_leads): \[([^\]]*)\]$/gm, (match, key, arrayContent) => {
-    if (!arrayContent.trim()) return match;  // Empty array
-    const items = arrayContent.split(',').map(item => {
-      const trimmed = item.trim();
-      // If already quoted, leave it
-      if (trimmed.startsWith('"')) return trimmed;
-      return '"' + trimmed + '"';
-    });
-    return key + ': [' + items.join(', ') + ']';
-  });
-
-  fs.writeFileSync(filePath, content);
-  console.log('Fixed:', file);
+  const changes = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (Array.isArray(value)) changes[key] = value;
+  }
+  return { text: updateFrontmatter(text, changes), errors: [] };
 }
-console.log('Done!');
+
+function main() {
+  const args = process.argv.slice(2);
+  const target = args.find(a => !a.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+
+  if (!target) {
+    console.log('Usage: node scripts/fix-frontmatter.js <case_dir|findings_dir> [--dry-run]');
+    process.exit(2);
+  }
+
+  const findingsDir = fs.existsSync(path.join(target, 'findings')) ? path.join(target, 'findings') : target;
+  if (!fs.existsSync(findingsDir)) {
+    console.error(`Not found: ${findingsDir}`);
+    process.exit(2);
+  }
+
+  let failed = 0;
+  for (const file of fs.readdirSync(findingsDir).filter(f => f.endsWith('.md')).sort()) {
+    const filePath = path.join(findingsDir, file);
+    const original = fs.readFileSync(filePath, 'utf-8');
+    const { text, errors } = fixFindingText(original);
+
+    if (errors.length > 0) {
+      failed++;
+      console.log(`Skipped: ${file}`);
+      errors.forEach(e => console.log(`  ${e}`));
+    } else if (text !== original) {
+      if (!dryRun) fs.writeFileSync(filePath, text);
+      console.log(`${dryRun ? 'Would fix' : 'Fixed'}: ${file}`);
+    }
+  }
+  console.log('Done!');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { fixFindingText };
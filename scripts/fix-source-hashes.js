@@ -2,11 +2,14 @@
 /**
  * Fix source hash mismatches by recomputing hashes from raw files
  * Usage: node scripts/fix-source-hashes.js cases/<case-id>/
+ *
+ * Cached verification verdicts for sources whose hash changed are invalidated.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { invalidateSources } = require('./claims/verification-cache');
 
 const caseDir = process.argv[2];
 if (!caseDir) {
@@ -25,6 +28,7 @@ function fixSourceHashes() {
   const sources = fs.readdirSync(evidenceDir).filter(d => d.startsWith('S'));
   let fixed = 0;
   let errors = [];
+  const changed = [];
 
   for (const sourceId of sources) {
     const sourceDir = path.join(evidenceDir, sourceId);
@@ -95,10 +99,15 @@ function fixSourceHashes() {
     if (oldHash !== hashWithoutPrefix) {
       console.log(`✓ ${sourceId}: Updated hash (${verificationFile})`);
       fixed++;
+      changed.push(sourceId);
     }
   }
 
   console.log(`\nFixed: ${fixed} sources`);
+  if (changed.length > 0) {
+    const dropped = invalidateSources(caseDir, changed);
+    if (dropped > 0) console.log(`Invalidated ${dropped} cached verification verdict(s)`);
+  }
   if (errors.length > 0) {
     console.log(`\nErrors (${errors.length}):`);
     errors.forEach(e => console.log(`  ${e}`));
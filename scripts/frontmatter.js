@@ -0,0 +1,852 @@
+/**
+ * frontmatter.js - YAML frontmatter for findings (parse, write, validate)
+ *
+ * Every script that reads or writes findings/*.md goes through this module so
+ * that a read-modify-write never corrupts a finding. It parses the YAML that
+ * findings actually use:
+ *
+ *   ---
+ *   id: F012
+ *   title: "Acme's Delaware trust"       # quoted or plain strings
+ *   status: sourced
+ *   created: 2026-01-05                  # dates stay "YYYY-MM-DD" strings
+ *   sources: ["S001", S002]              # flow lists, quoted or not
+ *   related_leads:                       # block lists
+ *     - L004
+ *   supersedes: null
+ *   review:                              # nested mappings
+ *     by: desk
+ *     notes: |
+ *       Block scalars keep their line breaks.
+ *   ---
+ *
+ * Comments, `~`/`null`, booleans and numbers are understood. Anchors, tags and
+ * multi-document streams are not part of the subset and are reported as errors.
+ *
+ * Writing: stringify() emits lists of scalars as JSON-style flow lists (the
+ * format older cases already use) and quotes any string that would otherwise
+ * read back as something else. updateFrontmatter() rewrites only the changed
+ * top-level fields, keeping comments (including a rewritten line's trailing
+ * one) and the layout of everything else.
+ *
+ * validateFinding() checks metadata against FINDING_SCHEMA (id, status and
+ * confidence enums, source/lead ID lists, dates, and supersedes links).
+ *
+ * Usage:
+ *   const fm = require('./frontmatter');
+ *   const { metadata, body, errors } = fm.parseFrontmatter(text);
+ *   fs.writeFileSync(file, fm.updateFrontmatter(text, { status: 'sourced' }));
+ *   const { errors: schemaErrors } = fm.validateFinding(metadata);
+ */
+
+'use strict';
+
+const ids = require('./ids');
+
+const FINDING_STATUSES = ['draft', 'sourced', 'needs_review', 'stale', 'superseded', 'retired'];
+const FINDING_CONFIDENCE = ['high', 'medium', 'low'];
+
+/**
+ * Field rules for finding frontmatter. `type` is one of string, date, enum,
+ * findingId, sourceIds, leadIds; `nullable` allows null.
+ */
+const FINDING_SCHEMA = {
+  id: { type: 'findingId' },
+  title: { type: 'string' },
+  status: { type: 'enum', values: FINDING_STATUSES, recommended: true },
+  confidence: { type: 'enum', values: FINDING_CONFIDENCE, recommended: true },
+  created: { type: 'date' },
+  updated: { type: 'date' },
+  sources: { type: 'sourceIds', recommended: true },
+  related_leads: { type: 'leadIds' },
+  supersedes: { type: 'findingId', nullable: true },
+  superseded_by: { type: 'findingId', nullable: true },
+  retired_reason: { type: 'string' },
+  retired_at: { type: 'date' }
+};
+
+class FrontmatterError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'FrontmatterError';
+    this.line = line || null;
+  }
+}
+
+/**
+ * Split a markdown file into its frontmatter block and body.
+ *
+ * @returns {{hasFrontmatter: boolean, yaml: string, body: string}}
+ */
+function splitFrontmatter(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split('\n');
+  if (lines[0].replace(/\r$/, '').trimEnd() !== '---') {
+    return { hasFrontmatter: false, yaml: '', body: String(text || '') };
+  }
+  for (let i = 1; i < lines.length; i++) {
+    if (lines[i].replace(/\r$/, '').trimEnd() === '---') {
+      return {
+        hasFrontmatter: true,
+        yaml: lines.slice(1, i).join('\n').replace(/\r$/gm, ''),
+        body: lines.slice(i + 1).join('\n')
+      };
+    }
+  }
+  return { hasFrontmatter: false, yaml: '', body: String(text || '') };
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const INT_RE = /^[-+]?(?:0|[1-9]\d*)$/;
+const FLOAT_RE = /^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/;
+
+/** Value of a plain (unquoted) scalar. Dates are kept as strings. */
+function plainValue(text) {
+  if (text === '' || text === '~' || /^(?:null|Null|NULL)$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (INT_RE.test(text)) return parseInt(text, 10);
+  if (FLOAT_RE.test(text) && !DATE_RE.test(text)) return parseFloat(text);
+  return text;
+}
+
+const DOUBLE_ESCAPES = { 0: '\0', a: '\x07', b: '\b', t: '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0' };
+
+/**
+ * Read a quoted scalar starting at text[pos]. Returns { value, end } where
+ * end is the index after the closing quote.
+ */
+function readQuoted(text, pos, line) {
+  const quote = text[pos];
+  let value = '';
+  let i = pos + 1;
+  while (i < text.length) {
+    const ch = text[i];
+    if (quote === "'") {
+      if (ch === "'") {
+        if (text[i + 1] === "'") {
+          value += "'";
+          i += 2;
+          continue;
+        }
+        return { value, end: i + 1 };
+      }
+      value += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"') return { value, end: i + 1 };
+    if (ch !== '\\') {
+      value += ch;
+      i++;
+      continue;
+    }
+    const esc = text[i + 1];
+    if (esc in DOUBLE_ESCAPES) {
+      value += DOUBLE_ESCAPES[esc];
+      i += 2;
+    } else if (esc === 'x' || esc === 'u' || esc === 'U') {
+      const len = { x: 2, u: 4, U: 8 }[esc];
+      const hex = text.slice(i + 2, i + 2 + len);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== len) {
+        throw new FrontmatterError(`Invalid escape \\${esc}${hex}`, line);
+      }
+      value += String.fromCodePoint(parseInt(hex, 16));
+      i += 2 + len;
+    } else {
+      throw new FrontmatterError(`Invalid escape \\${esc || ''}`, line);
+    }
+  }
+  throw new FrontmatterError(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, line);
+}
+
+/** Strip a trailing ` # comment` from a plain value. */
+function stripComment(text) {
+  const m = text.match(/(^|\s)#/);
+  return (m ? text.slice(0, m.index) : text).trim();
+}
+
+function checkUnsupported(text, line) {
+  if (/^[&*!]/.test(text)) {
+    throw new FrontmatterError(`Anchors, aliases and tags are not supported: "${text}"`, line);
+  }
+  if (/^[@`]/.test(text)) {
+    throw new FrontmatterError(`Plain values cannot start with "${text[0]}"; quote the value`, line);
+  }
+}
+
+/** Parse a single-line inline value: quoted, flow collection or plain scalar. */
+function parseInlineValue(text, line) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('"') || trimmed.startsWith("'")) {
+    const { value, end } = readQuoted(trimmed, 0, line);
+    const rest = trimmed.slice(end).trim();
+    if (rest && !rest.startsWith('#')) {
+      throw new FrontmatterError(`Unexpected text after quoted string: "${rest}"`, line);
+    }
+    return value;
+  }
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parser = { text: trimmed, pos: 0, line };
+    const value = parseFlow(parser);
+    skipFlowSpace(parser);
+    const rest = trimmed.slice(parser.pos).trim();
+    if (rest && !rest.startsWith('#')) {
+      throw new FrontmatterError(`Unexpected text after flow collection: "${rest}"`, line);
+    }
+    return value;
+  }
+  const plain = stripComment(trimmed);
+  checkUnsupported(plain, line);
+  return plainValue(plain);
+}
+
+function skipFlowSpace(p) {
+  while (p.pos < p.text.length) {
+    const ch = p.text[p.pos];
+    if (ch === ' ' || ch === '\t' || ch === '\n') {
+      p.pos++;
+    } else if (ch === '#' && (p.pos === 0 || /\s/.test(p.text[p.pos - 1]))) {
+      while (p.pos < p.text.length && p.text[p.pos] !== '\n') p.pos++;
+    } else {
+      break;
+    }
+  }
+}
+
+function parseFlowScalar(p, inMap) {
+  skipFlowSpace(p);
+  const ch = p.text[p.pos];
+  if (ch === '[' || ch === '{') return parseFlow(p);
+  if (ch === '"' || ch === "'") {
+    const { value, end } = readQuoted(p.text, p.pos, p.line);
+    p.pos = end;
+    return value;
+  }
+  const start = p.pos;
+  while (p.pos < p.text.length) {
+    const c = p.text[p.pos];
+    if (c === ',' || c === ']' || c === '}') break;
+    if (inMap && c === ':' && /[\s,\]}]/.test(p.text[p.pos + 1] || ' ')) break;
+    if (c === '#' && /\s/.test(p.text[p.pos - 1] || '')) break;
+    p.pos++;
+  }
+  const raw = p.text.slice(start, p.pos).replace(/\s+/g, ' ').trim();
+  checkUnsupported(raw, p.line);
+  return plainValue(raw);
+}
+
+function parseFlow(p) {
+  const open = p.text[p.pos];
+  const close = open === '[' ? ']' : '}';
+  const result = open === '[' ? [] : {};
+  p.pos++;
+
+  for (;;) {
+    skipFlowSpace(p);
+    if (p.pos >= p.text.length) throw new FrontmatterError(`Unclosed "${open}"`, p.line);
+    if (p.text[p.pos] === close) {
+      p.pos++;
+      return result;
+    }
+
+    if (open === '[') {
+      result.push(parseFlowScalar(p, false));
+    } else {
+      const key = parseFlowScalar(p, true);
+      skipFlowSpace(p);
+      let value = null;
+      if (p.text[p.pos] === ':') {
+        p.pos++;
+        skipFlowSpace(p);
+        value = p.text[p.pos] === ',' || p.text[p.pos] === '}' ? null : parseFlowScalar(p, true);
+      }
+      result[String(key)] = value;
+    }
+
+    skipFlowSpace(p);
+    if (p.text[p.pos] === ',') {
+      p.pos++;
+    } else if (p.text[p.pos] !== close) {
+      throw new FrontmatterError(`Expected "," or "${close}" in flow collection`, p.line);
+    }
+  }
+}
+
+/** True when brackets opened in text (outside quotes) are all closed. */
+function flowBalanced(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      const nl = text.indexOf('\n', i);
+      if (nl === -1) break;
+      i = nl;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+const KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{},:-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?:[ \t]+|$)(.*)$/;
+
+function toLines(yaml) {
+  return yaml.split('\n').map((raw, i) => {
+    const indentMatch = raw.match(/^ */);
+    const text = raw.slice(indentMatch[0].length);
+    if (text.startsWith('\t')) throw new FrontmatterError('Tabs are not allowed for indentation', i + 1);
+    return { raw, indent: indentMatch[0].length, text, line: i + 1 };
+  });
+}
+
+function isBlank(line) {
+  return !line.text.trim() || line.text.trimStart().startsWith('#');
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+class BlockParser {
+  constructor(lines) {
+    this.lines = lines;
+    this.i = 0;
+  }
+
+  /** Index of the next non-blank line from this.i (lines.length if none). */
+  peek() {
+    let j = this.i;
+    while (j < this.lines.length && isBlank(this.lines[j])) j++;
+    return j;
+  }
+
+  parseBlock(indent) {
+    const j = this.peek();
+    if (j >= this.lines.length) return null;
+    return isSequenceItem(this.lines[j].text) ? this.parseSequence(this.lines[j].indent) : this.parseMapping(indent);
+  }
+
+  parseMapping(indent) {
+    const result = {};
+    for (;;) {
+      const j = this.peek();
+      if (j >= this.lines.length) break;
+      const line = this.lines[j];
+      if (line.indent < indent) break;
+      if (line.indent > indent) throw new FrontmatterError('Unexpected indentation', line.line);
+      if (isSequenceItem(line.text)) throw new FrontmatterError('Unexpected list item inside a mapping', line.line);
+
+      this.i = j;
+      const { key, value } = this.parseEntry(line, indent);
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw new FrontmatterError(`Duplicate key "${key}"`, line.line);
+      }
+      result[key] = value;
+    }
+    return result;
+  }
+
+  /** Parse the `key: value` entry at this.i (a mapping line at `indent`). */
+  parseEntry(line, indent) {
+    const m = line.text.match(KEY_RE);
+    if (!m) throw new FrontmatterError(`Expected "key: value", got "${line.text.trim()}"`, line.line);
+    const rawKey = m[1];
+    const key = rawKey.startsWith('"') || rawKey.startsWith("'") ? readQuoted(rawKey, 0, line.line).value : rawKey;
+    this.i++;
+    return { key, value: this.parseValue(m[2], line, indent) };
+  }
+
+  /** Value text after `key:` or `- ` on `line`, plus any lines that belong to it. */
+  parseValue(rest, line, indent) {
+    const value = rest.trim();
+
+    if (!value || value.startsWith('#')) {
+      const j = this.peek();
+      if (j < this.lines.length) {
+        const next = this.lines[j];
+        if (next.indent > indent) return this.parseBlock(next.indent);
+        if (next.indent === indent && isSequenceItem(next.text) && !this.inSequenceAt(indent)) {
+          return this.parseSequence(indent);
+        }
+      }
+      return null;
+    }
+
+    if (/^[|>]/.test(value)) return this.parseBlockScalar(value, line, indent);
+
+    if ((value.startsWith('[') || value.startsWith('{')) && !flowBalanced(value)) {
+      let text = value;
+      while (!flowBalanced(text)) {
+        if (this.i >= this.lines.length) throw new FrontmatterError(`Unclosed "${value[0]}"`, line.line);
+        text += '\n' + this.lines[this.i].raw;
+        this.i++;
+      }
+      return parseInlineValue(text, line.line);
+    }
+
+    // Plain scalars may continue on more-indented lines
+    if (!/^["'[{]/.test(value)) {
+      let text = stripComment(value);
+      for (;;) {
+        const j = this.peek();
+        if (j >= this.lines.length || this.lines[j].indent <= indent || j !== this.i) break;
+        const cont = this.lines[j].text.trim();
+        if (KEY_RE.test(cont) || isSequenceItem(cont)) break;
+        text += ' ' + stripComment(cont);
+        this.i = j + 1;
+      }
+      return parseInlineValue(text, line.line);
+    }
+
+    return parseInlineValue(value, line.line);
+  }
+
+  parseBlockScalar(header, line, indent) {
+    const m = header.match(/^([|>])([+-]?)(\d?)([+-]?)\s*(?:#.*)?$/);
+    if (!m) throw new FrontmatterError(`Invalid block scalar header "${header}"`, line.line);
+    const folded = m[1] === '>';
+    const chomp = m[2] || m[4];
+    let blockIndent = m[3] ? indent + parseInt(m[3], 10) : null;
+
+    const content = [];
+    while (this.i < this.lines.length) {
+      const l = this.lines[this.i];
+      if (!l.text.trim()) {
+        content.push('');
+        this.i++;
+        continue;
+      }
+      if (blockIndent === null) blockIndent = l.indent;
+      if (l.indent < blockIndent || l.indent <= indent) break;
+      content.push(l.raw.slice(blockIndent));
+      this.i++;
+    }
+
+    // Trailing blank lines belong to the next entry unless kept with "+"
+    let trailing = 0;
+    while (content.length && content[content.length - 1] === '') {
+      content.pop();
+      trailing++;
+    }
+    if (chomp !== '+') this.i -= trailing;
+
+    let text = content.join('\n');
+    if (folded) {
+      // Lines join with spaces; blank lines and more-indented lines keep breaks
+      text = '';
+      content.forEach((l, k) => {
+        const prev = content[k - 1];
+        if (k === 0) text = l;
+        else if (l === '') text += '\n';
+        else if (prev === '') text += l;
+        else if (/^\s/.test(l) || /^\s/.test(prev)) text += '\n' + l;
+        else text += ' ' + l;
+      });
+    }
+    if (content.length === 0) return '';
+    if (chomp === '-') return text;
+    if (chomp === '+') return text + '\n'.repeat(trailing + 1);
+    return text + '\n';
+  }
+
+  inSequenceAt(indent) {
+    return (this.sequenceIndents || []).includes(indent);
+  }
+
+  parseSequence(indent) {
+    const result = [];
+    this.sequenceIndents = [...(this.sequenceIndents || []), indent];
+    try {
+      for (;;) {
+        const j = this.peek();
+        if (j >= this.lines.length) break;
+        const line = this.lines[j];
+        if (line.indent < indent || (line.indent === indent && !isSequenceItem(line.text))) break;
+        if (line.indent > indent) throw new FrontmatterError('Unexpected indentation in list', line.line);
+
+        this.i = j;
+        const rest = line.text === '-' ? '' : line.text.slice(2);
+        const offset = line.text.length - rest.trimStart().length;
+        const itemText = rest.trim();
+
+        if (itemText && (KEY_RE.test(itemText) || isSequenceItem(itemText))) {
+          // "- key: value" or "- - item": reparse the rest as a line at its own column
+          this.lines[j] = { ...line, indent: indent + offset, text: rest.trimStart(), raw: ' '.repeat(indent + offset) + rest.trimStart() };
+          result.push(this.parseBlock(indent + offset));
+        } else {
+          this.i = j + 1;
+          result.push(this.parseValue(rest, line, indent));
+        }
+      }
+    } finally {
+      this.sequenceIndents = this.sequenceIndents.slice(0, -1);
+    }
+    return result;
+  }
+}
+
+/**
+ * Parse YAML frontmatter text into an object. Throws FrontmatterError.
+ */
+function parseYaml(yaml) {
+  const parser = new BlockParser(toLines(yaml));
+  const j = parser.peek();
+  if (j >= parser.lines.length) return {};
+  if (parser.lines[j].indent !== 0) throw new FrontmatterError('Unexpected indentation', parser.lines[j].line);
+  const value = parser.parseBlock(0);
+  const k = parser.peek();
+  if (k < parser.lines.length) throw new FrontmatterError('Unexpected content', parser.lines[k].line);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new FrontmatterError('Frontmatter must be a mapping of fields');
+  }
+  return value;
+}
+
+/**
+ * Top-level entries of a YAML block: [{ key, start, end }] as line indexes
+ * (end exclusive, trailing blank and comment lines excluded).
+ */
+function topLevelEntries(yaml) {
+  const lines = yaml.split('\n');
+  const starts = [];
+  lines.forEach((raw, i) => {
+    if (!raw.trim() || raw.startsWith('#') || /^\s/.test(raw) || isSequenceItem(raw)) return;
+    const m = raw.match(KEY_RE);
+    if (m) starts.push({ key: m[1], start: i });
+  });
+
+  return starts.map((entry, n) => {
+    let end = n + 1 < starts.length ? starts[n + 1].start : lines.length;
+    while (end > entry.start + 1 && (!lines[end - 1].trim() || lines[end - 1].startsWith('#'))) end--;
+    let key = entry.key;
+    if (key.startsWith('"') || key.startsWith("'")) {
+      try {
+        key = readQuoted(key, 0).value;
+      } catch {
+        // Leave the raw key
+      }
+    }
+    return { key, start: entry.start, end };
+  });
+}
+
+/**
+ * The ` # comment` ending a top-level entry's first line, with the spacing
+ * before it, or ''.
+ */
+function trailingComment(raw) {
+  const m = raw.match(KEY_RE);
+  if (!m) return '';
+  const value = m[2];
+  let pos = 0;
+  try {
+    if (value.startsWith('"') || value.startsWith("'")) {
+      pos = readQuoted(value, 0).end;
+    } else if (value.startsWith('[') || value.startsWith('{')) {
+      if (!flowBalanced(value)) return '';
+      const parser = { text: value, pos: 0 };
+      parseFlow(parser);
+      pos = parser.pos;
+    }
+  } catch {
+    return '';
+  }
+  const rest = value.slice(pos);
+  const c = rest.match(/(^|\s)#/);
+  if (!c) return '';
+  const comment = rest.slice(c.index).replace(/^\s*/, '');
+  const spacing = rest.slice(0, c.index + c[1].length).match(/\s*$/)[0];
+  return `${spacing || ' '}${comment}`;
+}
+
+/**
+ * Plain string fields whose value has a ` #`: YAML reads the rest as a
+ * comment, which older parsers did not, so a title like `Acme #1 supplier`
+ * loses its tail. Warn so the value gets quoted.
+ */
+function commentedStringWarnings(yaml, metadata) {
+  const lines = yaml.split('\n');
+  const warnings = [];
+  for (const entry of topLevelEntries(yaml)) {
+    if (FINDING_SCHEMA[entry.key]?.type !== 'string' || typeof metadata[entry.key] !== 'string') continue;
+    const value = lines[entry.start].match(KEY_RE)[2];
+    if (!value || /^["'[{|>#]/.test(value) || !/\s#/.test(value)) continue;
+    warnings.push(`Line ${entry.start + 1}: ${entry.key} was cut at " #" (read as a comment); quote the value to keep "${value.trim()}"`);
+  }
+  return warnings;
+}
+
+/**
+ * Parse a finding's frontmatter.
+ *
+ * Errors in one top-level field do not lose the others: each field is parsed
+ * on its own when the whole block fails, and the broken ones are reported.
+ *
+ * @returns {{metadata: object|null, body: string, errors: string[], warnings: string[]}}
+ *   metadata is null when the file has no frontmatter block.
+ */
+function parseFrontmatter(text) {
+  const { hasFrontmatter, yaml, body } = splitFrontmatter(text);
+  if (!hasFrontmatter) {
+    return { metadata: null, body, errors: ['Missing or invalid YAML frontmatter block'], warnings: [] };
+  }
+
+  try {
+    const metadata = parseYaml(yaml);
+    return { metadata, body, errors: [], warnings: commentedStringWarnings(yaml, metadata) };
+  } catch (e) {
+    if (!(e instanceof FrontmatterError)) throw e;
+  }
+
+  const metadata = {};
+  const errors = [];
+  const warnings = [];
+  const lines = yaml.split('\n');
+  const entries = topLevelEntries(yaml);
+
+  const firstEntry = entries.length ? entries[0].start : lines.length;
+  lines.slice(0, firstEntry).forEach((raw, i) => {
+    if (raw.trim() && !raw.trim().startsWith('#')) warnings.push(`Line ${i + 1}: Unparseable frontmatter line: "${raw}"`);
+  });
+
+  for (const entry of entries) {
+    const chunk = lines.slice(entry.start, entry.end).join('\n');
+    try {
+      const parsed = parseYaml(chunk);
+      const [key] = Object.keys(parsed);
+      if (key in metadata) errors.push(`Line ${entry.start + 1}: Duplicate key "${key}"`);
+      else metadata[key] = parsed[key];
+    } catch (e) {
+      if (!(e instanceof FrontmatterError)) throw e;
+      const line = e.line ? entry.start + e.line : entry.start + 1;
+      const message = e.message.replace(/^Line \d+: /, '');
+      errors.push(`Line ${line}: Frontmatter field "${entry.key}" could not be parsed: ${message}`);
+    }
+  }
+
+  warnings.push(...commentedStringWarnings(yaml, metadata));
+  return { metadata, body, errors, warnings };
+}
+
+function isScalar(value) {
+  return value === null || value instanceof Date || typeof value !== 'object';
+}
+
+function formatKey(key) {
+  return /^[A-Za-z0-9_][\w.-]*$/.test(key) && !/^(?:null|true|false|~)$/i.test(key) ? key : JSON.stringify(key);
+}
+
+/** True when a string can be written unquoted and read back unchanged. */
+function isPlainSafe(text) {
+  if (!text || text !== text.trim()) return false;
+  if (/[\n\r\t]/.test(text) || /[\x00-\x1f\x7f]/.test(text)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(text)) return false;
+  if (/:(\s|$)|\s#/.test(text)) return false;
+  return plainValue(text) === text;
+}
+
+function formatScalar(value, inFlow) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new FrontmatterError(`Cannot write non-finite number ${value}`);
+    return String(value);
+  }
+  const text = String(value);
+  if (!inFlow && isPlainSafe(text)) return text;
+  return JSON.stringify(text);
+}
+
+function formatFlowList(list) {
+  return `[${list.map(v => formatScalar(v, true)).join(', ')}]`;
+}
+
+function formatEntry(key, value, indent) {
+  const pad = ' '.repeat(indent);
+  const head = `${pad}${formatKey(key)}:`;
+
+  if (isScalar(value)) return [`${head} ${formatScalar(value)}`];
+  if (Array.isArray(value)) {
+    if (value.every(isScalar)) return [`${head} ${formatFlowList(value)}`];
+    return [head, ...formatSequence(value, indent + 2)];
+  }
+  const keys = Object.keys(value).filter(k => value[k] !== undefined);
+  if (keys.length === 0) return [`${head} {}`];
+  return [head, ...keys.flatMap(k => formatEntry(k, value[k], indent + 2))];
+}
+
+function formatSequence(list, indent) {
+  const pad = ' '.repeat(indent);
+  const out = [];
+  for (const item of list) {
+    if (isScalar(item)) {
+      out.push(`${pad}- ${formatScalar(item)}`);
+    } else if (Array.isArray(item)) {
+      if (item.every(isScalar)) out.push(`${pad}- ${formatFlowList(item)}`);
+      else if (item.length === 0) out.push(`${pad}- []`);
+      else {
+        const nested = formatSequence(item, indent + 2);
+        out.push(`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1));
+      }
+    } else {
+      const keys = Object.keys(item).filter(k => item[k] !== undefined);
+      if (keys.length === 0) {
+        out.push(`${pad}- {}`);
+        continue;
+      }
+      const lines = keys.flatMap(k => formatEntry(k, item[k], indent + 2));
+      out.push(`${pad}- ${lines[0].trimStart()}`, ...lines.slice(1));
+    }
+  }
+  return out;
+}
+
+/**
+ * YAML text for a metadata object (no `---` fences). Fields are written in
+ * object order; undefined values are left out.
+ */
+function stringify(metadata) {
+  return Object.keys(metadata || {})
+    .filter(k => metadata[k] !== undefined)
+    .flatMap(k => formatEntry(k, metadata[k], 0))
+    .join('\n');
+}
+
+/** A complete finding file: frontmatter block followed by the body as given. */
+function serializeFinding(metadata, body) {
+  const yaml = stringify(metadata);
+  return `---\n${yaml}${yaml ? '\n' : ''}---\n${body || ''}`;
+}
+
+/**
+ * Change top-level fields of a file's frontmatter in place. Fields set to
+ * undefined are removed; new fields are appended. A rewritten field keeps the
+ * comment at the end of its line; untouched fields, other comments and the
+ * body are kept byte for byte.
+ *
+ * @param {string} text - Full file text
+ * @param {object} changes - { field: newValue }
+ * @returns {string} Updated file text
+ */
+function updateFrontmatter(text, changes) {
+  const { hasFrontmatter, yaml, body } = splitFrontmatter(text);
+  if (!hasFrontmatter) {
+    const added = Object.fromEntries(Object.entries(changes).filter(([, v]) => v !== undefined));
+    return serializeFinding(added, text.startsWith('\n') ? text : `\n${text}`);
+  }
+
+  const lines = yaml === '' ? [] : yaml.split('\n');
+  const entries = topLevelEntries(yaml);
+  const appended = [];
+
+  // Replace from the bottom so earlier line indexes stay valid
+  const replacements = [];
+  for (const [key, value] of Object.entries(changes)) {
+    const entry = entries.find(e => e.key === key);
+    const newLines = value === undefined ? [] : formatEntry(key, value, 0);
+    if (entry && newLines.length > 0) newLines[0] += trailingComment(lines[entry.start]);
+    if (entry) replacements.push({ start: entry.start, end: entry.end, newLines });
+    else if (value !== undefined) appended.push(...newLines);
+  }
+  replacements.sort((a, b) => b.start - a.start);
+  for (const r of replacements) lines.splice(r.start, r.end - r.start, ...r.newLines);
+
+  let end = lines.length;
+  while (end > 0 && !lines[end - 1].trim()) end--;
+  lines.splice(end, 0, ...appended);
+
+  return `---\n${lines.join('\n')}${lines.length ? '\n' : ''}---\n${body}`;
+}
+
+function checkField(key, value, rule) {
+  if (value === null) return rule.nullable ? null : `${key} must not be null`;
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? null : `${key} must be a string`;
+    case 'date':
+      return typeof value === 'string' && DATE_RE.test(value) && !Number.isNaN(Date.parse(value.slice(0, 10)))
+        ? null
+        : `${key} must be a date (YYYY-MM-DD), got ${JSON.stringify(value)}`;
+    case 'enum':
+      return rule.values.includes(value) ? null : `${key} must be one of ${rule.values.join(', ')}, got ${JSON.stringify(value)}`;
+    case 'findingId':
+      return ids.isFindingId(value) ? null : `${key} must be a finding ID (F###), got ${JSON.stringify(value)}`;
+    case 'sourceIds':
+    case 'leadIds': {
+      const isId = rule.type === 'sourceIds' ? ids.isSourceId : ids.isLeadId;
+      const label = rule.type === 'sourceIds' ? 'source' : 'lead';
+      if (!Array.isArray(value)) return `${key} must be a list of ${label} IDs`;
+      const bad = value.filter(v => !isId(v));
+      return bad.length ? `${key} has invalid ${label} IDs: ${bad.map(String).join(', ')}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate finding metadata against FINDING_SCHEMA.
+ *
+ * Invalid values are errors; missing recommended fields and unknown fields
+ * are warnings. Links between findings are checked one file at a time here:
+ * a finding cannot supersede itself, and `status: superseded` goes together
+ * with `superseded_by`.
+ *
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validateFinding(metadata) {
+  const errors = [];
+  const warnings = [];
+  if (!metadata || typeof metadata !== 'object') return { errors: ['Frontmatter must be a mapping of fields'], warnings };
+
+  for (const [key, rule] of Object.entries(FINDING_SCHEMA)) {
+    if (!(key in metadata)) {
+      if (rule.recommended) warnings.push(`Missing field "${key}"`);
+      continue;
+    }
+    const problem = checkField(key, metadata[key], rule);
+    if (problem) errors.push(problem);
+  }
+  for (const key of Object.keys(metadata)) {
+    if (!(key in FINDING_SCHEMA)) warnings.push(`Unknown field "${key}"`);
+  }
+
+  const { id, status } = metadata;
+  for (const key of ['supersedes', 'superseded_by']) {
+    if (id && metadata[key] === id) errors.push(`${key} points at the finding itself`);
+  }
+  if (status === 'superseded' && !metadata.superseded_by) {
+    errors.push('status is superseded but superseded_by is not set');
+  }
+  if (status === 'retired' && !metadata.retired_reason) {
+    errors.push('status is retired but retired_reason is not set');
+  }
+  if (metadata.superseded_by && ids.isFindingId(metadata.superseded_by) && status !== 'superseded') {
+    errors.push(`superseded_by is ${metadata.superseded_by} but status is ${status || 'unset'} (expected superseded)`);
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  FINDING_STATUSES,
+  FINDING_CONFIDENCE,
+  FINDING_SCHEMA,
+  FrontmatterError,
+  splitFrontmatter,
+  parseYaml,
+  parseFrontmatter,
+  stringify,
+  serializeFinding,
+  updateFrontmatter,
+  validateFinding
+};
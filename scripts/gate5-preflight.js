@@ -7,6 +7,7 @@
  * - Citation integrity (sources.json + evidence integrity via verify-source)
  * - Evidence integrity for cited sources (verify-source --check-article)
  * - Numeric citation hygiene (audit-numerics)
+ * - Verbatim quotes and speaker attribution (audit-quotes)
  *
  * Usage:
  *   node scripts/gate5-preflight.js <case_dir> [--json] [--strict]
@@ -27,6 +28,7 @@ const { auditFindings } = require('./audit-findings');
 const { auditCitations } = require('./audit-citations');
 const { verifyArticleSources } = require('./verify-source');
 const { auditFile } = require('./audit-numerics');
+const { auditQuotes } = require('./audit-quotes');
 
 function printUsage() {
   console.log('gate5-preflight.js - Deterministic Gate 5 preflight checks');
@@ -68,7 +70,10 @@ function main() {
   const numericHardErrors = numerics.details ? numerics.details.filter(d => d.severity === 'error').length : 0;
   const numericsOk = !numerics.error && numericHardErrors === 0;
 
-  const ok = findingsOk && citationsOk && sourcesOk && numericsOk;
+  const quotes = auditQuotes(caseDir);
+  const quotesOk = !quotes.error && (quotes.summary?.errors || 0) === 0;
+
+  const ok = findingsOk && citationsOk && sourcesOk && numericsOk && quotesOk;
   const out = {
     caseDir,
     strict,
@@ -95,6 +100,12 @@ function main() {
       totalNumericSentences: numerics.totalNumericSentences,
       uncitedNumericSentences: numerics.uncitedNumericSentences,
       hardErrors: numericHardErrors
+    },
+    quotes: {
+      ok: quotesOk,
+      error: quotes.error,
+      summary: quotes.summary,
+      issues: quotes.issues
     }
   };
 
@@ -112,6 +123,10 @@ function main() {
     console.log(`Citations audit:   ${citationsOk ? 'PASS' : 'FAIL'} (failed sources: ${citations.failed})`);
     console.log(`Evidence integrity:${sourcesOk ? 'PASS' : 'FAIL'} (failed: ${sources.summary?.failed || 0})`);
     console.log(`Numeric citations: ${numericsOk ? 'PASS' : 'FAIL'} (uncited numeric sentences: ${numerics.uncitedNumericSentences || 0})`);
+    console.log(`Verbatim quotes:   ${quotesOk ? 'PASS' : 'FAIL'} (checked: ${quotes.summary?.checked || 0}, errors: ${quotes.summary?.errors || 0})`);
+    for (const issue of (quotes.issues || []).filter(i => i.severity === 'error').slice(0, 10)) {
+      console.log(`  - ${issue.file}:${issue.line} ${issue.type}: ${issue.message}`);
+    }
     console.log('='.repeat(70));
   }
 
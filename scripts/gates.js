@@ -20,8 +20,13 @@ const { auditFindings } = require('./audit-findings');
 const { auditCitations } = require('./audit-citations');
 const { verifyArticleSources } = require('./verify-source');
 const { auditFile: auditNumericsFile } = require('./audit-numerics');
+const { auditQuotes } = require('./audit-quotes');
 const { auditArticleOutline } = require('./audit-article-outline');
 const { auditLeads } = require('./audit-leads');
+const { dependencyReport } = require('./lead-deps');
+const { computeSaturation } = require('./lead-saturation');
+const { writeContradictionsReport } = require('./finding-contradictions');
+const ids = require('./ids');
 const { auditRiskMicromort } = require('./audit-risk-micromort');
 
 function safeReadText(filePath) {
@@ -130,10 +135,21 @@ function deriveCuriosityGate(caseDir) {
 
   const leads = Array.isArray(parsed.value?.leads) ? parsed.value.leads : [];
   const pending = leads.filter(l => l && l.status === 'pending');
+
+  // No pending leads is not enough: the investigation must also have converged
+  const saturation = computeSaturation(caseDir, parsed.value);
+
+  // Pending leads behind dead-end blockers need a decision, not a blind follow
+  const deps = dependencyReport(leads);
   return {
-    ok: pending.length === 0,
+    ok: pending.length === 0 && saturation.ok,
     pending: pending.length,
-    pendingIds: pending.slice(0, 25).map(l => l.id).filter(Boolean)
+    saturation,
+    pendingIds: pending.slice(0, 25).map(l => l.id).filter(Boolean),
+    blocked: deps.blocked.length,
+    stranded: deps.stranded,
+    dependencyCycles: deps.cycles,
+    missingBlockers: deps.missing
   };
 }
 
@@ -158,16 +174,30 @@ function deriveReconciliationGate(caseDir) {
   // Fail closed: if reconciliation log is older than any primary input, reconciliation is stale.
   const stale = inputsLatest > logMtime;
 
-  // Lead hygiene: investigated lead results with numeric claims must have valid sources.
+  // Lead hygiene: investigated lead results with numeric claims must have valid sources,
+  // and no finding may state a structured claim a lead refuted or could not verify.
   const leadHygiene = auditLeads(caseDir);
   const leadHygieneOk = !!leadHygiene.ok;
+  const summary = leadHygiene.summary || {};
+
+  // Findings that disagree with each other on a figure, date or attribute
+  const contradictions = exists(findingsDir) ? writeContradictionsReport(caseDir) : null;
+  const contradictionsOk = !contradictions || contradictions.report.unresolved === 0;
 
   return {
-    ok: !stale && leadHygieneOk,
+    ok: !stale && leadHygieneOk && contradictionsOk,
     stale,
     logMtimeMs: logMtime,
     inputsLatestMtimeMs: inputsLatest,
-    leadHygiene: leadHygieneOk ? { ok: true } : leadHygiene
+    leadHygiene: leadHygieneOk ? { ok: true } : leadHygiene,
+    leadClaims: {
+      compared: summary.claimsCompared || 0,
+      contradictions: summary.claimContradictions || 0,
+      citationMismatches: leadHygiene.warnings || []
+    },
+    contradictions: contradictions
+      ? { total: contradictions.report.conflicts.length, unresolved: contradictions.report.unresolved, report: contradictions.path }
+      : null
   };
 }
 
@@ -181,7 +211,7 @@ function deriveArticleGate(caseDir) {
   const pdfOk = exists(pdfPath) && (fileStat(pdfPath)?.size || 0) > 0;
 
   const text = articleOk ? (safeReadText(articlePath) || '') : '';
-  const hasCitations = /\[S\d{3}\]/.test(text);
+  const hasCitations = ids.hasCitation(text);
 
   return {
     ok: articleOk && pdfOk && hasCitations && outline.ok && micromort.ok,
@@ -217,7 +247,10 @@ function deriveGate5Preflight(caseDir, options) {
     : 0;
   const numericsOk = !numerics.error && numericHardErrors === 0;
 
-  const ok = findingsOk && citationsOk && sourcesOk && numericsOk;
+  const quotes = auditQuotes(caseDir);
+  const quotesOk = !quotes.error && (quotes.summary?.errors || 0) === 0;
+
+  const ok = findingsOk && citationsOk && sourcesOk && numericsOk && quotesOk;
   return {
     ok,
     strict,
@@ -231,7 +264,8 @@ function deriveGate5Preflight(caseDir, options) {
       totalNumericSentences: numerics.totalNumericSentences,
       uncitedNumericSentences: numerics.uncitedNumericSentences,
       hardErrors: numericHardErrors
-    }
+    },
+    quotes: { ok: quotesOk, error: quotes.error, summary: quotes.summary }
   };
 }
 
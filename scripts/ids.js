@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * ids.js - Shared source/lead/finding ID helpers
+ *
+ * Case IDs are a one-letter prefix plus a zero-padded number:
+ *   S001, S042, S2017   (sources / evidence folders)
+ *   L001, L1234         (leads)
+ *   F001, F1000         (findings)
+ *
+ * Numbers are padded to at least 3 digits but are NOT limited to 3 digits.
+ * Every script that parses, sorts or mints IDs should go through this module
+ * instead of hand-rolling `S\d{3}` patterns, which silently drop or truncate
+ * IDs past 999 (e.g. `[S2017]` read as `S201`).
+ *
+ * Usage:
+ *   const ids = require('./ids');
+ *   ids.isSourceId('S2017');                 // true
+ *   ids.extractSourceIds('See [S2017](u).'); // ['S2017']
+ *   ids.formatId('L', 7);                    // 'L007'
+ *   ids.nextId('F', ['F998', 'F999']);       // 'F1000'
+ */
+
+'use strict';
+
+const MIN_WIDTH = 3;
+
+const PREFIX = {
+  source: 'S',
+  lead: 'L',
+  finding: 'F'
+};
+
+/** Regex source (no anchors, no groups) for an ID body with the given prefix. */
+function idPatternSource(prefix) {
+  return `${prefix}\\d{${MIN_WIDTH},}`;
+}
+
+function makeIdTest(prefix) {
+  const re = new RegExp(`^${idPatternSource(prefix)}$`);
+  return value => typeof value === 'string' && re.test(value);
+}
+
+const isSourceId = makeIdTest(PREFIX.source);
+const isLeadId = makeIdTest(PREFIX.lead);
+const isFindingId = makeIdTest(PREFIX.finding);
+
+/**
+ * Numeric part of an ID ('S2017' -> 2017). Returns NaN for anything that is
+ * not a well-formed ID.
+ */
+function parseIdNumber(id) {
+  const m = typeof id === 'string' ? id.trim().match(/^[A-Z](\d+)$/) : null;
+  return m ? parseInt(m[1], 10) : NaN;
+}
+
+/** Canonical ID string for a prefix and number (formatId('S', 7) -> 'S007'). */
+function formatId(prefix, num) {
+  return `${prefix}${String(num).padStart(MIN_WIDTH, '0')}`;
+}
+
+/** Numeric comparator for IDs: S999 < S1000 (plain string sort gets this wrong). */
+function compareIds(a, b) {
+  const na = parseIdNumber(a);
+  const nb = parseIdNumber(b);
+  if (Number.isNaN(na) || Number.isNaN(nb) || na === nb) return String(a).localeCompare(String(b));
+  return na - nb;
+}
+
+/** Highest numeric ID among `ids` that carry `prefix` (0 if none). */
+function maxIdNumber(prefix, ids) {
+  let max = 0;
+  for (const id of ids || []) {
+    if (typeof id !== 'string' || !id.startsWith(prefix)) continue;
+    const n = parseIdNumber(id);
+    if (!Number.isNaN(n) && n > max) max = n;
+  }
+  return max;
+}
+
+/** Next free ID after the highest existing one. */
+function nextId(prefix, ids) {
+  return formatId(prefix, maxIdNumber(prefix, ids) + 1);
+}
+
+/**
+ * Inline citation regex: `[S###]` with an optional `(url)` suffix.
+ * Group 1 = source ID, group 2 = URL (if present). A fresh RegExp is returned
+ * each call so `lastIndex` state is never shared between callers.
+ */
+function citationRegex(flags = 'g') {
+  return new RegExp(`\\[(${idPatternSource(PREFIX.source)})\\](?:\\(([^)]+)\\))?`, flags);
+}
+
+/** Bare citation regex (`[S###]` only, no URL). Group 1 = source ID. */
+function bareCitationRegex(flags = 'g') {
+  return new RegExp(`\\[(${idPatternSource(PREFIX.source)})\\]`, flags);
+}
+
+/** Word-boundary regex for bare IDs of a prefix in prose (e.g. `L012`). */
+function idTokenRegex(prefix, flags = 'g') {
+  return new RegExp(`\\b(${idPatternSource(prefix)})\\b`, flags);
+}
+
+/** Unique source IDs cited inline in `text`, in first-appearance order. */
+function extractSourceIds(text) {
+  const seen = new Set();
+  const re = citationRegex('g');
+  let m;
+  while ((m = re.exec(text || '')) !== null) seen.add(m[1]);
+  return [...seen];
+}
+
+/** True if `text` contains at least one inline source citation. */
+function hasCitation(text) {
+  return citationRegex('').test(text || '');
+}
+
+/** `F012.md` -> true; `F012-draft.md` -> false. */
+function isFindingFile(fileName) {
+  return new RegExp(`^${idPatternSource(PREFIX.finding)}\\.md$`).test(fileName);
+}
+
+/** Leading finding ID of a filename (`F012-old.md` -> 'F012'), or null. */
+function findingIdFromFilename(fileName) {
+  const m = String(fileName).match(new RegExp(`^(${idPatternSource(PREFIX.finding)})`));
+  return m ? m[1] : null;
+}
+
+module.exports = {
+  MIN_WIDTH,
+  PREFIX,
+  idPatternSource,
+  isSourceId,
+  isLeadId,
+  isFindingId,
+  parseIdNumber,
+  formatId,
+  compareIds,
+  maxIdNumber,
+  nextId,
+  citationRegex,
+  bareCitationRegex,
+  idTokenRegex,
+  extractSourceIds,
+  hasCitation,
+  isFindingFile,
+  findingIdFromFilename
+};
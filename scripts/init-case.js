@@ -21,6 +21,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { serializeFinding } = require('./frontmatter');
 
 // 35 frameworks from reference/frameworks.md
 const FRAMEWORKS = [
@@ -162,18 +163,17 @@ function createFindingsManifest() {
 
 function createInitialFinding(topic) {
   const now = new Date().toISOString().split('T')[0];
-  return `---
-id: F001
-status: draft
-created: ${now}
-updated: ${now}
-sources: []
-supersedes: null
-superseded_by: null
-confidence: low
-related_leads: []
----
-
+  return serializeFinding({
+    id: 'F001',
+    status: 'draft',
+    created: now,
+    updated: now,
+    sources: [],
+    supersedes: null,
+    superseded_by: null,
+    confidence: 'low',
+    related_leads: []
+  }, `
 # Finding: Investigation Background
 
 ## Topic
@@ -184,7 +184,7 @@ ${topic}
 
 ## Key Questions
 *Questions to be answered will be identified during the PLAN phase.*
-`;
+`);
 }
 
 function createRemovedPointsMd() {
@@ -0,0 +1,191 @@
+/**
+ * lead-budget.js - Per-lead time and capture budgets
+ *
+ * A lead may spend a limited amount of wall-clock time and source captures
+ * before it is deferred to future_research.md instead of consuming the
+ * investigation:
+ *
+ *   minutes   time the lead has been claimed (claimLead / batchClaim set
+ *             claimed_at; release, update and stale cleanup fold the elapsed
+ *             time into budget_usage.minutes)
+ *   captures  source IDs allocated to the lead (allocate-sources.js allocate
+ *             --lead); commit refunds the unused part, release all of it.
+ *             An allocation larger than the remaining captures is refused
+ *
+ * Budgets are opt-in: limits come from the lead's own `budget`, else the
+ * case-level `budget` in leads.json. A limit that is not set, or is null, is
+ * unlimited, so leads without a budget are never deferred:
+ *
+ *   "budget": { "minutes": 45, "captures": 12 }
+ *
+ * Usage is kept on the lead:
+ *
+ *   "budget_usage": { "minutes": 37.5, "captures": 9 }
+ *
+ * When a limit is exceeded the lead is set to `deferred` with a partial result
+ * (whatever it had so far) and an entry in future_research.md. Enforcement runs
+ * in `leads-lock.js enforce-budgets`, on every capture allocation and in
+ * check-continue.js, which reports the deferrals in its signal.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resultText } = require('./lead-result');
+
+const DEFAULT_BUDGET = { minutes: null, captures: null };
+const LIMITS = ['minutes', 'captures'];
+
+const FUTURE_RESEARCH_FILE = 'future_research.md';
+const FUTURE_RESEARCH_PLACEHOLDER = '*No leads deferred yet.*';
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function validLimit(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+/**
+ * Effective limits for a lead: lead.budget over leadsData.budget, per limit;
+ * unset limits are unlimited (DEFAULT_BUDGET).
+ */
+function resolveBudget(lead, leadsData) {
+  const budget = { ...DEFAULT_BUDGET };
+  for (const source of [leadsData?.budget, lead?.budget]) {
+    if (!source || typeof source !== 'object') continue;
+    for (const key of LIMITS) {
+      if (key in source && validLimit(source[key])) budget[key] = source[key];
+    }
+  }
+  return budget;
+}
+
+/** Minutes of the current claim, or 0 when the lead is not claimed. */
+function openClaimMinutes(lead, now = Date.now()) {
+  if (!lead?.claimed_at) return 0;
+  const start = new Date(lead.claimed_at).getTime();
+  return Number.isFinite(start) ? Math.max(0, (now - start) / 60000) : 0;
+}
+
+/** Time and captures used so far, including the open claim. */
+function usageOf(lead, now = Date.now()) {
+  const usage = lead?.budget_usage || {};
+  return {
+    minutes: round((usage.minutes || 0) + openClaimMinutes(lead, now)),
+    captures: usage.captures || 0
+  };
+}
+
+/**
+ * Fold the open claim's elapsed time into budget_usage.minutes. Call before
+ * clearing claimed_at.
+ */
+function closeClaim(lead, now = Date.now()) {
+  const elapsed = openClaimMinutes(lead, now);
+  if (elapsed === 0) return;
+  lead.budget_usage = { ...lead.budget_usage, minutes: round((lead.budget_usage?.minutes || 0) + elapsed) };
+}
+
+/** Add `delta` captures (negative to refund) to a lead's usage. */
+function addCaptures(lead, delta) {
+  const captures = Math.max(0, (lead.budget_usage?.captures || 0) + delta);
+  lead.budget_usage = { ...lead.budget_usage, captures };
+}
+
+/**
+ * Budget check for one lead. `remaining` is null for an unlimited limit;
+ * a limit is exceeded only once usage goes past it.
+ *
+ * @returns {{lead_id: string, budget: object, used: object, remaining: object, exceeded: string[], over: boolean}}
+ */
+function checkBudget(lead, leadsData, now = Date.now()) {
+  const budget = resolveBudget(lead, leadsData);
+  const used = usageOf(lead, now);
+  const remaining = {};
+  for (const key of LIMITS) {
+    remaining[key] = budget[key] === null ? null : round(Math.max(0, budget[key] - used[key]));
+  }
+  const exceeded = LIMITS.filter(key => budget[key] !== null && used[key] > budget[key]);
+  return { lead_id: lead.id, budget, used, remaining, exceeded, over: exceeded.length > 0 };
+}
+
+/** Pending leads that have exceeded a limit, in leads.json order. */
+function findOverruns(leadsData, now = Date.now()) {
+  return (leadsData?.leads || [])
+    .filter(l => l && l.status === 'pending')
+    .map(l => checkBudget(l, leadsData, now))
+    .filter(c => c.over);
+}
+
+function describeOverrun(check) {
+  return check.exceeded.map(key => `${key} ${check.used[key]}/${check.budget[key]}`).join(', ');
+}
+
+/**
+ * Defer an over-budget lead in place: status `deferred`, claim closed, partial
+ * result recorded. The lead keeps its sources.
+ */
+function deferLead(lead, check, now = Date.now()) {
+  closeClaim(lead, now);
+  delete lead.claimed_by;
+  delete lead.claimed_at;
+
+  const partial = lead.result ? `Partial: ${resultText(lead.result)}` : 'No result recorded before deferral';
+  lead.status = 'deferred';
+  lead.result = `Deferred (budget exceeded: ${describeOverrun(check)}). ${partial}`;
+  lead.deferred = {
+    at: new Date(now).toISOString(),
+    exceeded: check.exceeded,
+    used: usageOf(lead, now),
+    budget: check.budget
+  };
+  return lead;
+}
+
+/** Markdown entry for a deferred lead in future_research.md. */
+function futureResearchEntry(lead) {
+  const lines = [
+    `## ${lead.id}: ${lead.lead}`,
+    '',
+    `- **Deferred:** ${lead.deferred.at} (budget exceeded: ${describeOverrun(lead.deferred)})`,
+    `- **Priority:** ${lead.priority || 'MEDIUM'} | **Depth:** ${lead.depth || 0} | **From:** ${lead.from || 'n/a'}`,
+    `- **Partial result:** ${lead.result || 'none'}`
+  ];
+  if (Array.isArray(lead.sources) && lead.sources.length > 0) {
+    lines.push(`- **Sources so far:** ${lead.sources.join(', ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Append entries for deferred leads to future_research.md (created if
+ * missing; the "No leads deferred yet" placeholder is dropped).
+ */
+function appendFutureResearch(casePath, leads) {
+  if (leads.length === 0) return;
+  const filePath = path.join(casePath, FUTURE_RESEARCH_FILE);
+  let text = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf-8')
+    : '# Future Research\n\nLeads beyond max_depth or deferred for later investigation.\n';
+  text = text.replace(`${FUTURE_RESEARCH_PLACEHOLDER}\n`, '').replace(FUTURE_RESEARCH_PLACEHOLDER, '');
+  if (!text.endsWith('\n')) text += '\n';
+  fs.writeFileSync(filePath, text + '\n' + leads.map(futureResearchEntry).join('\n'));
+}
+
+module.exports = {
+  DEFAULT_BUDGET,
+  FUTURE_RESEARCH_FILE,
+  resolveBudget,
+  usageOf,
+  closeClaim,
+  addCaptures,
+  checkBudget,
+  findOverruns,
+  describeOverrun,
+  deferLead,
+  futureResearchEntry,
+  appendFutureResearch
+};
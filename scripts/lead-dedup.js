@@ -0,0 +1,208 @@
+/**
+ * lead-dedup.js - Near-duplicate detection for leads
+ *
+ * Parallel follow agents phrase the same lead differently ("Verify who owns
+ * Acme Holdings" / "Determine the owner of Acme Holdings"). Leads are reduced
+ * to a set of normalized content tokens (lowercased, punctuation and
+ * boilerplate lead verbs dropped, plural "s" stripped) and compared with
+ * Jaccard similarity. Every existing lead is a candidate, including
+ * investigated and dead_end ones, so a lead that already failed is not
+ * re-opened under a new ID.
+ *
+ * Used by leads-lock.js (add-child) and merge-batch-leads.js, which merge a
+ * near-duplicate into the existing lead instead of allocating a new ID: the
+ * proposal is recorded under the existing lead's `duplicates` with a
+ * `duplicate_of` link to it, and the caller gets back `duplicate_of`.
+ *
+ * `leads-lock.js duplicates` reports suspected clusters in an existing leads.json.
+ *
+ * Threshold: `dedup_threshold` in leads.json, else LEAD_DEDUP_THRESHOLD, else 0.7.
+ */
+
+'use strict';
+
+const ids = require('./ids');
+
+const DEFAULT_THRESHOLD = 0.7;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'has', 'have', 'how',
+  'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'there', 'this', 'to',
+  'was', 'were', 'what', 'when', 'where', 'which', 'who', 'whom', 'whose', 'why', 'with', 'any', 'all',
+  // Boilerplate lead verbs: they say how to investigate, not what
+  'check', 'confirm', 'determine', 'establish', 'examine', 'explore', 'find', 'follow', 'identify',
+  'investigate', 'look', 'out', 'research', 'review', 'search', 'see', 'trace', 'track', 'up', 'verify',
+  'whether', 'obtain', 'get', 'pull', 'lead'
+]);
+
+const PRIORITY_RANK = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+/** Normalized content tokens of a lead's text. */
+function leadTokens(text) {
+  const tokens = String(text || '')
+    .toLowerCase()
+    .replace(/[’']s\b/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(t => t && !STOPWORDS.has(t))
+    .map(stem);
+  return new Set(tokens);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const t of a) {
+    if (b.has(t)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/** Similarity of two lead texts in [0, 1]. Identical text (after trimming) is 1. */
+function leadSimilarity(a, b) {
+  if (String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase()) return 1;
+  return jaccard(leadTokens(a), leadTokens(b));
+}
+
+function resolveThreshold(data, override) {
+  const candidates = [override, data?.dedup_threshold, process.env.LEAD_DEDUP_THRESHOLD];
+  for (const c of candidates) {
+    const n = typeof c === 'string' ? parseFloat(c) : c;
+    if (typeof n === 'number' && n > 0 && n <= 1) return n;
+  }
+  return DEFAULT_THRESHOLD;
+}
+
+/**
+ * Best existing lead that `text` duplicates, or null.
+ *
+ * @param {string} text - Proposed lead text
+ * @param {object[]} leads - Existing leads (all statuses)
+ * @param {object} [options]
+ * @param {number} [options.threshold]
+ * @returns {{lead: object, similarity: number}|null}
+ */
+function findDuplicate(text, leads, options = {}) {
+  const threshold = options.threshold || DEFAULT_THRESHOLD;
+  const tokens = leadTokens(text);
+  const exact = String(text || '').trim().toLowerCase();
+  let best = null;
+
+  for (const lead of leads || []) {
+    const similarity = String(lead.lead || '').trim().toLowerCase() === exact
+      ? 1
+      : jaccard(tokens, leadTokens(lead.lead));
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { lead, similarity };
+    }
+  }
+  if (best) best.similarity = Math.round(best.similarity * 1000) / 1000;
+  return best;
+}
+
+/**
+ * Fold a proposed lead into the existing one it duplicates. The proposal is
+ * kept under `duplicates` for provenance; a pending lead takes the higher of
+ * the two priorities.
+ *
+ * @returns {{lead: string, from: string|null, priority: string|null, duplicate_of: string, similarity: number, merged_at: string}}
+ *   The proposal record stored on the existing lead
+ */
+function mergeIntoExisting(existing, proposed, similarity) {
+  if (!Array.isArray(existing.duplicates)) existing.duplicates = [];
+  const record = {
+    lead: proposed.lead,
+    from: proposed.from || proposed.parent || null,
+    priority: proposed.priority || null,
+    duplicate_of: existing.id,
+    similarity,
+    merged_at: new Date().toISOString()
+  };
+  existing.duplicates.push(record);
+
+  const proposedRank = PRIORITY_RANK[proposed.priority];
+  const existingRank = PRIORITY_RANK[existing.priority] ?? 3;
+  if (existing.status === 'pending' && proposedRank !== undefined && proposedRank < existingRank) {
+    existing.priority = proposed.priority;
+  }
+  return record;
+}
+
+/**
+ * Suspected duplicate clusters in a set of leads (connected components of
+ * the "similarity >= threshold" graph). The canonical lead of a cluster is
+ * the one with a result if any, else the lowest ID.
+ */
+function findDuplicateClusters(leads, options = {}) {
+  const threshold = options.threshold || DEFAULT_THRESHOLD;
+  const list = (leads || []).filter(l => l && l.id);
+  const tokens = list.map(l => leadTokens(l.lead));
+
+  // Inverted index: only leads sharing a token can reach the threshold
+  const index = new Map();
+  tokens.forEach((set, i) => {
+    for (const t of set) {
+      if (!index.has(t)) index.set(t, []);
+      index.get(t).push(i);
+    }
+  });
+
+  const parent = list.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const pairs = [];
+
+  for (let i = 0; i < list.length; i++) {
+    const candidates = new Set();
+    for (const t of tokens[i]) {
+      for (const j of index.get(t)) {
+        if (j > i) candidates.add(j);
+      }
+    }
+    for (const j of candidates) {
+      const similarity = jaccard(tokens[i], tokens[j]);
+      if (similarity >= threshold) {
+        pairs.push({ a: list[i].id, b: list[j].id, similarity: Math.round(similarity * 1000) / 1000 });
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  list.forEach((lead, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(lead);
+  });
+
+  const clusters = [];
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    members.sort((a, b) => ids.compareIds(a.id, b.id));
+    const canonical = members.find(l => l.status !== 'pending') || members[0];
+    const memberIds = new Set(members.map(l => l.id));
+    clusters.push({
+      canonical: canonical.id,
+      ids: members.map(l => l.id),
+      leads: members.map(l => ({ id: l.id, status: l.status, priority: l.priority, lead: l.lead })),
+      pairs: pairs.filter(p => memberIds.has(p.a))
+    });
+  }
+  clusters.sort((a, b) => b.ids.length - a.ids.length || ids.compareIds(a.canonical, b.canonical));
+  return clusters;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  leadTokens,
+  leadSimilarity,
+  resolveThreshold,
+  findDuplicate,
+  mergeIntoExisting,
+  findDuplicateClusters
+};
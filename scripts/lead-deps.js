@@ -0,0 +1,160 @@
+/**
+ * lead-deps.js - Lead dependencies (`blocked_by`)
+ *
+ * A lead can name other leads that must resolve before it can be pursued
+ * (check a filing's exhibits only after the filing itself is found):
+ *
+ *   { "id": "L014", "lead": "Review exhibits to the 2023 complaint", "blocked_by": ["L012"], ... }
+ *
+ * A lead is schedulable once every blocker is investigated or dead_end.
+ * batch-select, claim and check-continue.js skip the rest. Dependencies are
+ * edited with `leads-lock.js add-dep` / `remove-dep`, which reject edits that
+ * would create a cycle.
+ *
+ * A pending lead whose blocker ended as a dead end is "stranded": it can be
+ * scheduled, but the prerequisite it was waiting for never materialized. A
+ * lead whose blocker was deferred over its budget (lead-budget.js) is
+ * stranded too, and stays blocked until that blocker is resumed. The
+ * curiosity gate (gates.js) lists stranded leads, cycles and missing blockers
+ * so they get an explicit decision instead of a blind follow.
+ */
+
+'use strict';
+
+const ids = require('./ids');
+
+const RESOLVED_STATUSES = new Set(['investigated', 'dead_end']);
+
+/** IDs a lead is blocked by (empty when none). */
+function blockersOf(lead) {
+  return Array.isArray(lead?.blocked_by) ? lead.blocked_by.filter(Boolean) : [];
+}
+
+function indexLeads(leads) {
+  return new Map((leads || []).filter(l => l && l.id).map(l => [l.id, l]));
+}
+
+/** Blockers of `lead` that are not yet resolved (missing blockers included). */
+function unresolvedBlockers(lead, byId) {
+  return blockersOf(lead).filter(id => !RESOLVED_STATUSES.has(byId.get(id)?.status));
+}
+
+/** True when every blocker of `lead` is resolved (RESOLVED_STATUSES). */
+function isUnblocked(lead, byId) {
+  return unresolvedBlockers(lead, byId).length === 0;
+}
+
+/**
+ * Dependency path from `fromId` to `toId` following blocked_by edges, or null.
+ * Adding "toId blocked_by fromId" creates a cycle exactly when such a path exists.
+ */
+function findPath(byId, fromId, toId) {
+  const stack = [[fromId]];
+  const seen = new Set();
+  while (stack.length) {
+    const pathSoFar = stack.pop();
+    const current = pathSoFar[pathSoFar.length - 1];
+    if (current === toId) return pathSoFar;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    for (const next of blockersOf(byId.get(current))) {
+      stack.push([...pathSoFar, next]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether `leadId` may be made to depend on `blockerId`.
+ *
+ * @returns {{ok: true}|{ok: false, error: string, cycle?: string[]}}
+ */
+function validateDependency(leads, leadId, blockerId) {
+  const byId = indexLeads(leads);
+  if (!byId.has(leadId)) return { ok: false, error: `Lead ${leadId} not found` };
+  if (!byId.has(blockerId)) return { ok: false, error: `Blocker lead ${blockerId} not found` };
+  if (leadId === blockerId) return { ok: false, error: 'cycle', cycle: [leadId, leadId] };
+
+  const back = findPath(byId, blockerId, leadId);
+  if (back) return { ok: false, error: 'cycle', cycle: [leadId, ...back] };
+  return { ok: true };
+}
+
+/** Dependency cycles already present (e.g. from hand edits), each as [a, b, ..., a]. */
+function findCycles(leads) {
+  const byId = indexLeads(leads);
+  const state = new Map(); // id -> 1 visiting, 2 done
+  const cycles = [];
+
+  const visit = (id, stack) => {
+    state.set(id, 1);
+    stack.push(id);
+    for (const next of blockersOf(byId.get(id))) {
+      if (!byId.has(next)) continue;
+      if (state.get(next) === 1) {
+        cycles.push([...stack.slice(stack.indexOf(next)), next]);
+      } else if (!state.has(next)) {
+        visit(next, stack);
+      }
+    }
+    stack.pop();
+    state.set(id, 2);
+  };
+
+  for (const id of [...byId.keys()].sort(ids.compareIds)) {
+    if (!state.has(id)) visit(id, []);
+  }
+  return cycles;
+}
+
+/**
+ * Dependency status of pending leads.
+ *
+ * @returns {{blocked: object[], stranded: object[], missing: object[], cycles: string[][]}}
+ *   blocked  - pending leads waiting on unresolved blockers ({ id, waiting_on })
+ *   stranded - pending leads with a dead_end or deferred blocker
+ *              ({ id, dead_end_blockers } and/or { deferred_blockers })
+ *   missing  - pending leads naming blockers that do not exist ({ id, missing })
+ *   cycles   - dependency cycles; their leads can never be scheduled
+ */
+function dependencyReport(leads) {
+  const byId = indexLeads(leads);
+  const report = { blocked: [], stranded: [], missing: [], cycles: findCycles(leads) };
+
+  for (const lead of byId.values()) {
+    if (lead.status !== 'pending') continue;
+    const blockers = blockersOf(lead);
+    if (blockers.length === 0) continue;
+
+    const waiting = unresolvedBlockers(lead, byId);
+    if (waiting.length) report.blocked.push({ id: lead.id, waiting_on: waiting });
+
+    const missing = blockers.filter(id => !byId.has(id));
+    if (missing.length) report.missing.push({ id: lead.id, missing });
+
+    const deadEnds = blockers.filter(id => byId.get(id)?.status === 'dead_end');
+    const deferred = blockers.filter(id => byId.get(id)?.status === 'deferred');
+    if (deadEnds.length || deferred.length) {
+      const entry = { id: lead.id };
+      if (deadEnds.length) entry.dead_end_blockers = deadEnds;
+      if (deferred.length) entry.deferred_blockers = deferred;
+      report.stranded.push(entry);
+    }
+  }
+
+  for (const key of ['blocked', 'stranded', 'missing']) {
+    report[key].sort((a, b) => ids.compareIds(a.id, b.id));
+  }
+  return report;
+}
+
+module.exports = {
+  RESOLVED_STATUSES,
+  blockersOf,
+  indexLeads,
+  unresolvedBlockers,
+  isUnblocked,
+  validateDependency,
+  findCycles,
+  dependencyReport
+};
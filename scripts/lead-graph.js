@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+/**
+ * lead-graph.js - Export the investigation graph (Mermaid, DOT, GraphML, HTML)
+ *
+ * Renders the shape of an investigation from leads.json, sources.json and
+ * findings/F###.md:
+ *
+ *   origin -> lead      root lead and the framework/question it came from (`from`)
+ *   lead -> lead        parent -> child (the lead tree)
+ *   lead -> lead        blocker -> blocked lead (`blocked_by`, dashed)
+ *   lead -> source      sources recorded on the lead (`sources`)
+ *   lead -> finding     findings that list the lead in `related_leads`
+ *
+ * Lead nodes are filled by status (pending / investigated / dead_end /
+ * deferred) and outlined by priority (HIGH / MEDIUM / LOW).
+ *
+ * Usage:
+ *   node scripts/lead-graph.js <case_dir> [--format mermaid|dot|graphml|html] [--output <file>]
+ *                                         [--no-sources] [--no-findings]
+ *
+ * The Mermaid form can also be embedded in the article context bundle:
+ *   node scripts/build-article-context.js <case_dir> --lead-graph
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+const { parseFinding } = require('./findings');
+const { blockersOf } = require('./lead-deps');
+
+const FORMATS = ['mermaid', 'dot', 'graphml', 'html'];
+
+const STATUS_FILL = {
+  pending: '#fff3cd',
+  investigated: '#d4edda',
+  dead_end: '#e2e3e5',
+  deferred: '#d1ecf1'
+};
+const UNKNOWN_STATUS_FILL = '#f8d7da';
+
+const PRIORITY_STROKE = {
+  HIGH: { color: '#c9302c', width: 3 },
+  MEDIUM: { color: '#ec971f', width: 2 },
+  LOW: { color: '#5bc0de', width: 1 }
+};
+const DEFAULT_STROKE = { color: '#6c757d', width: 1 };
+
+const KIND_FILL = {
+  origin: '#ffffff',
+  source: '#e7f1ff',
+  finding: '#ede7f6'
+};
+
+const LABEL_MAX = 60;
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function truncate(text, max = LABEL_MAX) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 3)}...` : s;
+}
+
+function statusKey(status) {
+  return STATUS_FILL[status] ? status : 'other';
+}
+
+/**
+ * Build the graph model.
+ *
+ * @param {string} caseDir
+ * @param {object} [options]
+ * @param {boolean} [options.sources=true] - Include lead -> source edges
+ * @param {boolean} [options.findings=true] - Include lead -> finding edges
+ * @returns {{nodes: object[], edges: object[]}}
+ *   nodes: { id, kind: lead|origin|source|finding, label, status?, priority?, depth?, url? }
+ *   edges: { from, to, kind: origin|parent|blocks|source|finding }
+ */
+function buildGraph(caseDir, options = {}) {
+  const includeSources = options.sources !== false;
+  const includeFindings = options.findings !== false;
+
+  const leadsData = readJson(path.join(caseDir, 'leads.json')) || {};
+  const leads = (Array.isArray(leadsData.leads) ? leadsData.leads : []).filter(l => l && l.id);
+  const leadIds = new Set(leads.map(l => l.id));
+
+  const sourcesData = readJson(path.join(caseDir, 'sources.json')) || {};
+  const sourcesById = new Map((Array.isArray(sourcesData.sources) ? sourcesData.sources : []).map(s => [s.id, s]));
+
+  const nodes = [];
+  const edges = [];
+  const nodeIds = new Set();
+  const addNode = (node) => {
+    if (nodeIds.has(node.id)) return;
+    nodeIds.add(node.id);
+    nodes.push(node);
+  };
+
+  const origins = new Map();
+  for (const lead of [...leads].sort((a, b) => ids.compareIds(a.id, b.id))) {
+    addNode({
+      id: lead.id,
+      kind: 'lead',
+      label: truncate(lead.lead),
+      status: lead.status || null,
+      priority: lead.priority || null,
+      depth: lead.depth || 0
+    });
+
+    if (lead.parent && leadIds.has(lead.parent)) {
+      edges.push({ from: lead.parent, to: lead.id, kind: 'parent' });
+    } else if (lead.from && !leadIds.has(lead.from)) {
+      if (!origins.has(lead.from)) origins.set(lead.from, `O${origins.size + 1}`);
+      edges.push({ from: origins.get(lead.from), to: lead.id, kind: 'origin' });
+    }
+
+    for (const blocker of blockersOf(lead)) {
+      if (leadIds.has(blocker)) edges.push({ from: blocker, to: lead.id, kind: 'blocks' });
+    }
+
+    if (includeSources) {
+      for (const sourceId of Array.isArray(lead.sources) ? lead.sources : []) {
+        const source = sourcesById.get(sourceId);
+        addNode({ id: sourceId, kind: 'source', label: truncate(source?.title || sourceId, 40), url: source?.url || null });
+        edges.push({ from: lead.id, to: sourceId, kind: 'source' });
+      }
+    }
+  }
+
+  for (const [from, id] of origins) {
+    addNode({ id, kind: 'origin', label: truncate(path.basename(from).replace(/\.md$/, '')) });
+  }
+
+  if (includeFindings) {
+    const findingsDir = path.join(caseDir, 'findings');
+    const files = fs.existsSync(findingsDir) ? fs.readdirSync(findingsDir).filter(ids.isFindingFile).sort() : [];
+    for (const file of files) {
+      const { metadata } = parseFinding(fs.readFileSync(path.join(findingsDir, file), 'utf-8'));
+      const related = (Array.isArray(metadata.related_leads) ? metadata.related_leads : []).filter(id => leadIds.has(id));
+      if (related.length === 0) continue;
+      const findingId = ids.findingIdFromFilename(file);
+      addNode({ id: findingId, kind: 'finding', label: truncate(metadata.title || findingId, 40), status: metadata.status || null });
+      for (const leadId of related) edges.push({ from: leadId, to: findingId, kind: 'finding' });
+    }
+  }
+
+  return { nodes, edges };
+}
+
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/[<>]/g, ' ');
+}
+
+function toMermaid(graph) {
+  const lines = ['flowchart LR'];
+
+  for (const n of graph.nodes) {
+    const label = mermaidLabel(n.kind === 'lead' || n.kind === 'finding' || n.kind === 'source' ? `${n.id}: ${n.label}` : n.label);
+    if (n.kind === 'source') lines.push(`  ${n.id}[("${label}")]`);
+    else if (n.kind === 'finding') lines.push(`  ${n.id}[["${label}"]]`);
+    else if (n.kind === 'origin') lines.push(`  ${n.id}(["${label}"])`);
+    else lines.push(`  ${n.id}["${label}"]`);
+  }
+
+  const arrows = { parent: '-->', origin: '-->', blocks: '-. blocks .->', source: '-->', finding: '==>' };
+  for (const e of graph.edges) {
+    lines.push(`  ${e.from} ${arrows[e.kind]} ${e.to}`);
+  }
+
+  for (const [status, fill] of Object.entries(STATUS_FILL)) {
+    lines.push(`  classDef ${status} fill:${fill}`);
+  }
+  lines.push(`  classDef other fill:${UNKNOWN_STATUS_FILL}`);
+  for (const [priority, stroke] of Object.entries(PRIORITY_STROKE)) {
+    lines.push(`  classDef ${priority.toLowerCase()} stroke:${stroke.color},stroke-width:${stroke.width}px`);
+  }
+  for (const [kind, fill] of Object.entries(KIND_FILL)) {
+    lines.push(`  classDef ${kind}Node fill:${fill},stroke:#6c757d`);
+  }
+
+  const classMembers = new Map();
+  const addClass = (cls, id) => {
+    if (!classMembers.has(cls)) classMembers.set(cls, []);
+    classMembers.get(cls).push(id);
+  };
+  for (const n of graph.nodes) {
+    if (n.kind !== 'lead') {
+      addClass(`${n.kind}Node`, n.id);
+      continue;
+    }
+    addClass(statusKey(n.status), n.id);
+    if (PRIORITY_STROKE[n.priority]) addClass(n.priority.toLowerCase(), n.id);
+  }
+  for (const [cls, members] of classMembers) {
+    lines.push(`  class ${members.join(',')} ${cls}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function toDot(graph) {
+  const lines = [
+    'digraph investigation {',
+    '  rankdir=LR;',
+    '  node [style=filled, fontname="Helvetica", fontsize=10];',
+    '  edge [color="#6c757d"];'
+  ];
+
+  for (const n of graph.nodes) {
+    const attrs = [];
+    if (n.kind === 'lead') {
+      const stroke = PRIORITY_STROKE[n.priority] || DEFAULT_STROKE;
+      attrs.push(`label=${dotString(`${n.id}\n${n.label}`)}`, 'shape=box');
+      attrs.push(`fillcolor=${dotString(STATUS_FILL[n.status] || UNKNOWN_STATUS_FILL)}`);
+      attrs.push(`color=${dotString(stroke.color)}`, `penwidth=${stroke.width}`);
+    } else {
+      const shape = { origin: 'ellipse', source: 'cylinder', finding: 'note' }[n.kind];
+      attrs.push(`label=${dotString(n.kind === 'origin' ? n.label : `${n.id}\n${n.label}`)}`, `shape=${shape}`);
+      attrs.push(`fillcolor=${dotString(KIND_FILL[n.kind])}`);
+      if (n.url) attrs.push(`URL=${dotString(n.url)}`);
+    }
+    lines.push(`  ${dotString(n.id)} [${attrs.join(', ')}];`);
+  }
+
+  const edgeAttrs = {
+    parent: '',
+    origin: ' [style=dotted]',
+    blocks: ' [style=dashed, label="blocks"]',
+    source: ' [arrowhead=open]',
+    finding: ' [penwidth=2]'
+  };
+  for (const e of graph.edges) {
+    lines.push(`  ${dotString(e.from)} -> ${dotString(e.to)}${edgeAttrs[e.kind]};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function xmlEscape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const GRAPHML_NODE_KEYS = ['kind', 'label', 'status', 'priority', 'depth', 'url', 'fill', 'stroke'];
+
+function toGraphML(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  for (const key of GRAPHML_NODE_KEYS) {
+    const type = key === 'depth' ? 'int' : 'string';
+    lines.push(`  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`);
+  }
+  lines.push('  <key id="edge_kind" for="edge" attr.name="kind" attr.type="string"/>');
+  lines.push('  <graph id="investigation" edgedefault="directed">');
+
+  for (const n of graph.nodes) {
+    const data = {
+      kind: n.kind,
+      label: n.label,
+      status: n.status,
+      priority: n.priority,
+      depth: n.kind === 'lead' ? n.depth : null,
+      url: n.url,
+      fill: n.kind === 'lead' ? (STATUS_FILL[n.status] || UNKNOWN_STATUS_FILL) : KIND_FILL[n.kind],
+      stroke: n.kind === 'lead' ? (PRIORITY_STROKE[n.priority] || DEFAULT_STROKE).color : null
+    };
+    lines.push(`    <node id="${xmlEscape(n.id)}">`);
+    for (const key of GRAPHML_NODE_KEYS) {
+      if (data[key] === null || data[key] === undefined) continue;
+      lines.push(`      <data key="${key}">${xmlEscape(data[key])}</data>`);
+    }
+    lines.push('    </node>');
+  }
+
+  graph.edges.forEach((e, i) => {
+    lines.push(`    <edge id="e${i + 1}" source="${xmlEscape(e.from)}" target="${xmlEscape(e.to)}">`);
+    lines.push(`      <data key="edge_kind">${e.kind}</data>`);
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>');
+  lines.push('</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+/** Standalone HTML page; the Mermaid source is rendered client-side. */
+function toHtml(graph, options = {}) {
+  const title = options.title || 'Investigation graph';
+  const leadCount = graph.nodes.filter(n => n.kind === 'lead').length;
+  const legend = [
+    ...Object.entries(STATUS_FILL).map(([status, fill]) => `<span class="swatch" style="background:${fill}"></span>${status}`),
+    ...Object.entries(PRIORITY_STROKE).map(([priority, s]) => `<span class="swatch" style="border:${s.width + 1}px solid ${s.color}"></span>${priority}`)
+  ].join(' &nbsp; ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${xmlEscape(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; margin: 1.5rem; }
+  .legend { font-size: 0.85rem; margin-bottom: 1rem; }
+  .swatch { display: inline-block; width: 0.9rem; height: 0.9rem; margin-right: 0.3rem; vertical-align: middle; box-sizing: border-box; }
+</style>
+</head>
+<body>
+<h1>${xmlEscape(title)}</h1>
+<p class="legend">${leadCount} leads, ${graph.edges.length} edges &nbsp;|&nbsp; ${legend}</p>
+<pre class="mermaid">
+${xmlEscape(toMermaid(graph))}</pre>
+<script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
+<script>mermaid.initialize({ startOnLoad: true, maxTextSize: 1000000, securityLevel: 'strict' });</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a case's graph in one of FORMATS.
+ */
+function renderGraph(caseDir, format = 'mermaid', options = {}) {
+  const graph = buildGraph(caseDir, options);
+  switch (format) {
+    case 'mermaid': return toMermaid(graph);
+    case 'dot': return toDot(graph);
+    case 'graphml': return toGraphML(graph);
+    case 'html': return toHtml(graph, { title: `Investigation graph: ${path.basename(path.resolve(caseDir))}` });
+    default: throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+function printUsage() {
+  console.log('lead-graph.js - Export the lead tree and lead/source/finding edges');
+  console.log('');
+  console.log('Usage:');
+  console.log(`  node scripts/lead-graph.js <case_dir> [--format ${FORMATS.join('|')}] [--output <file>] [--no-sources] [--no-findings]`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const caseDir = args.find((a, i) => !a.startsWith('--') && !['--format', '--output'].includes(args[i - 1]));
+
+  if (!caseDir) {
+    printUsage();
+    process.exit(2);
+  }
+  if (!fs.existsSync(caseDir)) {
+    console.error(`Case directory not found: ${caseDir}`);
+    process.exit(2);
+  }
+
+  const formatIdx = args.indexOf('--format');
+  const format = formatIdx !== -1 ? args[formatIdx + 1] : 'mermaid';
+  if (!FORMATS.includes(format)) {
+    console.error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+    process.exit(2);
+  }
+
+  const output = renderGraph(caseDir, format, {
+    sources: !args.includes('--no-sources'),
+    findings: !args.includes('--no-findings')
+  });
+
+  const outIdx = args.indexOf('--output');
+  if (outIdx !== -1 && args[outIdx + 1]) {
+    const resolved = path.isAbsolute(args[outIdx + 1]) ? args[outIdx + 1] : path.join(process.cwd(), args[outIdx + 1]);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    fs.writeFileSync(resolved, output);
+    console.log(`Wrote: ${resolved}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  FORMATS,
+  buildGraph,
+  toMermaid,
+  toDot,
+  toGraphML,
+  toHtml,
+  renderGraph
+};
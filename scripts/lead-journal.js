@@ -0,0 +1,242 @@
+/**
+ * lead-journal.js - Append-only event journal for leads.json
+ *
+ * Every leads.json write goes through leads-lock.js commitLeads (also used by
+ * merge-batch-leads.js, merge-batch-results.js and merge-question-batches.js),
+ * which appends one event per changed lead to leads.events.jsonl:
+ *
+ *   { "id": "v12-L003", "ts": "...", "version": 12, "op": "update", "lead_id": "L003",
+ *     "actor": "pid_4242@host", "claim_id": "pid_4242_1700000000000",
+ *     "before": { ...lead... } | null, "after": { ...lead... } | null }
+ *
+ * `version` is the leads.json version the write produced; `before: null` is a
+ * newly added lead. A write that changes top-level fields other than `leads`
+ * and `version` (budget, scoring, saturation, max_depth, ...) also records a
+ * `v12-settings` event whose `before`/`after` hold all of those fields. The
+ * first write to a case without a journal records a `snapshot` event holding
+ * the whole leads.json as it was, so the journal can always be replayed from
+ * a known state.
+ *
+ * The actor is LEADS_ACTOR when set (e.g. an agent name), else pid@host.
+ *
+ * Used by `leads-lock.js history | rebuild | undo`.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const JOURNAL_FILE = 'leads.events.jsonl';
+
+function journalPath(casePath) {
+  return path.join(casePath, JOURNAL_FILE);
+}
+
+function currentActor() {
+  return process.env.LEADS_ACTOR || `pid_${process.pid}@${os.hostname()}`;
+}
+
+/** Deep copy of leads.json data, taken before a mutation. */
+function cloneLeads(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/** Top-level leads.json fields other than `leads` and `version`. */
+function settingsOf(data) {
+  const { leads, version, ...settings } = data || {};
+  return settings;
+}
+
+function appendLines(casePath, events) {
+  if (events.length === 0) return;
+  fs.appendFileSync(journalPath(casePath), events.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+/**
+ * Journal the whole of leads.json as a replay starting point.
+ *
+ * @param {string} casePath
+ * @param {object} data - leads.json data
+ * @param {string} [reason] - e.g. 'rebuild'
+ */
+function recordSnapshot(casePath, data, reason) {
+  const event = {
+    id: `v${data.version || 0}-snapshot`,
+    ts: new Date().toISOString(),
+    version: data.version || 0,
+    op: 'snapshot',
+    actor: currentActor(),
+    data
+  };
+  if (reason) event.reason = reason;
+  appendLines(casePath, [event]);
+  return event;
+}
+
+/**
+ * Journal a committed write: one event per lead that differs between
+ * `before` and `after` (full leads.json data).
+ *
+ * @param {string} casePath
+ * @param {object} before - leads.json data before the operation (cloneLeads)
+ * @param {object} after - leads.json data as written (after the version bump)
+ * @param {object} meta - { op, claim_id?, undoes? }
+ * @returns {object[]} Events appended (excluding any initial snapshot)
+ */
+function recordWrite(casePath, before, after, meta) {
+  const ts = new Date().toISOString();
+  const actor = currentActor();
+
+  if (!fs.existsSync(journalPath(casePath))) {
+    recordSnapshot(casePath, before);
+  }
+
+  const beforeById = new Map((before.leads || []).map(l => [l.id, l]));
+  const afterById = new Map((after.leads || []).map(l => [l.id, l]));
+  const changedIds = [...afterById.keys(), ...[...beforeById.keys()].filter(id => !afterById.has(id))];
+
+  const events = [];
+  const prevSettings = settingsOf(before);
+  const nextSettings = settingsOf(after);
+  if (JSON.stringify(prevSettings) !== JSON.stringify(nextSettings)) {
+    events.push({
+      id: `v${after.version}-settings`,
+      ts,
+      version: after.version,
+      op: meta.op,
+      actor,
+      before: prevSettings,
+      after: nextSettings
+    });
+  }
+
+  for (const leadId of changedIds) {
+    const prev = beforeById.get(leadId) || null;
+    const next = afterById.get(leadId) || null;
+    if (JSON.stringify(prev) === JSON.stringify(next)) continue;
+
+    const event = {
+      id: `v${after.version}-${leadId}`,
+      ts,
+      version: after.version,
+      op: meta.op,
+      lead_id: leadId,
+      actor,
+      claim_id: meta.claim_id || next?.claimed_by || prev?.claimed_by || null,
+      before: prev,
+      after: next
+    };
+    if (meta.undoes) event.undoes = meta.undoes;
+    events.push(event);
+  }
+
+  appendLines(casePath, events);
+  return events;
+}
+
+/**
+ * All journal events in order. A torn last line (crash mid-append) is
+ * skipped and counted in `malformed`.
+ */
+function readEvents(casePath) {
+  const file = journalPath(casePath);
+  if (!fs.existsSync(file)) return { events: [], malformed: 0 };
+
+  const events = [];
+  let malformed = 0;
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      malformed++;
+    }
+  }
+  return { events, malformed };
+}
+
+/** Events that touched `leadId`, oldest first. */
+function leadHistory(casePath, leadId) {
+  return readEvents(casePath).events.filter(e => e.lead_id === leadId);
+}
+
+/**
+ * Replay the journal: start from the last snapshot and apply every later
+ * lead and settings event's `after` state.
+ *
+ * @returns {{ok: boolean, error?: string, data?: object, events_applied?: number, malformed?: number}}
+ */
+function replayJournal(casePath) {
+  const { events, malformed } = readEvents(casePath);
+  let start = -1;
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (events[i].op === 'snapshot') {
+      start = i;
+      break;
+    }
+  }
+  if (start === -1) {
+    return { ok: false, error: `No snapshot in ${JOURNAL_FILE}` };
+  }
+
+  const data = cloneLeads(events[start].data);
+  if (!Array.isArray(data.leads)) data.leads = [];
+  let applied = 0;
+
+  for (const event of events.slice(start + 1)) {
+    if (event.id === `v${event.version}-settings`) {
+      for (const key of Object.keys(settingsOf(data))) delete data[key];
+      Object.assign(data, event.after);
+      data.version = Math.max(data.version || 0, event.version || 0);
+      applied++;
+      continue;
+    }
+    if (!event.lead_id) continue;
+    const idx = data.leads.findIndex(l => l.id === event.lead_id);
+    if (event.after === null) {
+      if (idx !== -1) data.leads.splice(idx, 1);
+    } else if (idx === -1) {
+      data.leads.push(event.after);
+    } else {
+      data.leads[idx] = event.after;
+    }
+    data.version = Math.max(data.version || 0, event.version || 0);
+    applied++;
+  }
+
+  return { ok: true, data, events_applied: applied, malformed };
+}
+
+/**
+ * The last `count` events for a lead that have not been undone (undo events
+ * themselves are never undone), and the lead state to restore: the `before`
+ * of the oldest of them.
+ */
+function planUndo(casePath, leadId, count = 1) {
+  if (!Number.isInteger(count) || count < 1) {
+    return { ok: false, error: `Undo count must be a positive integer, got ${count}` };
+  }
+  const history = leadHistory(casePath, leadId);
+  const undone = new Set(history.flatMap(e => e.undoes || []));
+  const candidates = history.filter(e => e.op !== 'undo' && e.op !== 'snapshot' && !undone.has(e.id));
+  if (candidates.length === 0) {
+    return { ok: false, error: `No events to undo for ${leadId}` };
+  }
+  const selected = candidates.slice(-count);
+  return { ok: true, events: selected, restore: selected[0].before };
+}
+
+module.exports = {
+  JOURNAL_FILE,
+  journalPath,
+  cloneLeads,
+  settingsOf,
+  recordSnapshot,
+  recordWrite,
+  readEvents,
+  leadHistory,
+  replayJournal,
+  planUndo
+};
@@ -0,0 +1,246 @@
+/**
+ * lead-result.js - Structured lead results
+ *
+ * A lead's `result` is either free text (older cases) or a structured object:
+ *
+ *   {
+ *     "conclusion": "Acme's registered owner is a Delaware trust",
+ *     "claims": [
+ *       { "text": "Acme Holdings LLC was registered in Delaware in 2019", "sources": ["S012"] },
+ *       { "text": "Acme received $4.2 million in county contracts", "sources": ["S014"], "verdict": "refuted" }
+ *     ],
+ *     "confidence": "medium",
+ *     "open_questions": ["Who are the trust's beneficiaries?"],
+ *     "suggested_leads": [{ "lead": "Pull the trust filing", "priority": "HIGH" }]
+ *   }
+ *
+ * Each claim is one atomic statement. `verdict` is confirmed (default),
+ * refuted or unverified; confirmed claims must cite at least one source.
+ * `leads-lock.js update` validates structured results and adds claim sources
+ * to the lead's `sources`.
+ *
+ * Structured claims are compared exactly against findings (compareClaimsToFindings):
+ * after normalization (case, punctuation, citation markers) a finding sentence
+ * that contains the claim text
+ *   - contradicts it when the lead refuted or could not verify the claim
+ *   - cites it differently when the claim was confirmed but the sentence cites
+ *     none of the claim's sources
+ * audit-leads.js (and so the reconciliation gate) and check-summary-claims.js
+ * use these in place of keyword heuristics.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+const { parseFrontmatter } = require('./frontmatter');
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const CLAIM_VERDICTS = ['confirmed', 'refuted', 'unverified'];
+const PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+const RESULT_FIELDS = ['conclusion', 'claims', 'confidence', 'open_questions', 'suggested_leads'];
+
+// Shorter claims match too much prose to compare exactly
+const MIN_CLAIM_TOKENS = 4;
+
+function isStructuredResult(result) {
+  return !!result && typeof result === 'object' && !Array.isArray(result);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function claimVerdict(claim) {
+  return claim.verdict || 'confirmed';
+}
+
+/**
+ * Validate a lead result. Strings (and null) are always valid; objects must
+ * follow the structured schema above.
+ *
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateResult(result) {
+  if (result === null || result === undefined || typeof result === 'string') {
+    return { ok: true, errors: [] };
+  }
+  if (!isStructuredResult(result)) {
+    return { ok: false, errors: ['result must be a string or an object'] };
+  }
+
+  const errors = [];
+  for (const key of Object.keys(result)) {
+    if (!RESULT_FIELDS.includes(key)) errors.push(`Unknown field "${key}"`);
+  }
+
+  if (!isNonEmptyString(result.conclusion)) {
+    errors.push('conclusion must be a non-empty string');
+  }
+  if (!CONFIDENCE_LEVELS.includes(result.confidence)) {
+    errors.push(`confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+
+  if (result.claims !== undefined && !Array.isArray(result.claims)) {
+    errors.push('claims must be an array');
+  }
+  (Array.isArray(result.claims) ? result.claims : []).forEach((claim, i) => {
+    const at = `claims[${i}]`;
+    if (!claim || typeof claim !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(claim.text)) errors.push(`${at}.text must be a non-empty string`);
+    if (claim.verdict !== undefined && !CLAIM_VERDICTS.includes(claim.verdict)) {
+      errors.push(`${at}.verdict must be one of ${CLAIM_VERDICTS.join(', ')}`);
+    }
+    if (!Array.isArray(claim.sources)) {
+      errors.push(`${at}.sources must be an array of source IDs`);
+      return;
+    }
+    const invalid = claim.sources.filter(id => typeof id !== 'string' || !ids.isSourceId(id));
+    if (invalid.length > 0) errors.push(`${at}.sources has invalid IDs: ${invalid.map(String).join(', ')}`);
+    if (claimVerdict(claim) === 'confirmed' && claim.sources.length === 0) {
+      errors.push(`${at} is confirmed but cites no sources`);
+    }
+  });
+
+  if (result.open_questions !== undefined &&
+      (!Array.isArray(result.open_questions) || !result.open_questions.every(isNonEmptyString))) {
+    errors.push('open_questions must be an array of strings');
+  }
+
+  if (result.suggested_leads !== undefined && !Array.isArray(result.suggested_leads)) {
+    errors.push('suggested_leads must be an array');
+  }
+  (Array.isArray(result.suggested_leads) ? result.suggested_leads : []).forEach((s, i) => {
+    if (isNonEmptyString(s)) return;
+    if (!s || typeof s !== 'object' || !isNonEmptyString(s.lead)) {
+      errors.push(`suggested_leads[${i}] must be a string or { lead, priority }`);
+    } else if (s.priority !== undefined && !PRIORITIES.includes(s.priority)) {
+      errors.push(`suggested_leads[${i}].priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+  });
+
+  return { ok: errors.length === 0, errors };
+}
+
+/** Claims of a structured result (empty for free-text results). */
+function resultClaims(result) {
+  return isStructuredResult(result) && Array.isArray(result.claims) ? result.claims : [];
+}
+
+/** Source IDs cited by a structured result's claims, in first-appearance order. */
+function resultSources(result) {
+  return [...new Set(resultClaims(result).flatMap(c => (Array.isArray(c.sources) ? c.sources : [])))];
+}
+
+/** Plain-text form of a result: the string itself, or conclusion plus claims. */
+function resultText(result) {
+  if (!result) return '';
+  if (!isStructuredResult(result)) return String(result);
+  return [result.conclusion, ...resultClaims(result).map(c => c.text)].filter(Boolean).join(' ');
+}
+
+/** Lowercase, drop citation markers and punctuation, keep figures intact. */
+function normalizeClaimText(text) {
+  return String(text || '')
+    .replace(ids.citationRegex('g'), ' ')
+    .toLowerCase()
+    .replace(/[“”"‘’']/g, '')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/[^a-z0-9$%.\s-]/g, ' ')
+    .replace(/\.(?!\d)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Sentences of current findings (superseded findings skipped), with the
+ * sources each sentence cites.
+ *
+ * @returns {Array<{finding: string, text: string, normalized: string, sources: string[]}>}
+ */
+function loadFindingSentences(caseDir) {
+  const findingsDir = path.join(caseDir, 'findings');
+  if (!fs.existsSync(findingsDir)) return [];
+
+  const sentences = [];
+  for (const file of fs.readdirSync(findingsDir).filter(ids.isFindingFile).sort(ids.compareIds)) {
+    const text = fs.readFileSync(path.join(findingsDir, file), 'utf-8');
+    const { metadata, body } = parseFrontmatter(text);
+    if (metadata?.status === 'superseded') continue;
+    const finding = metadata?.id || ids.findingIdFromFilename(file);
+
+    for (const line of (metadata ? body : text).trim().split('\n')) {
+      if (!line.trim() || line.startsWith('#')) continue;
+      for (const sentence of line.split(/(?<=[.!?])\s+(?=[A-Z(])/)) {
+        sentences.push({
+          finding,
+          text: sentence.trim(),
+          normalized: normalizeClaimText(sentence),
+          sources: ids.extractSourceIds(sentence)
+        });
+      }
+    }
+  }
+  return sentences;
+}
+
+/**
+ * Compare the structured claims of investigated and dead_end leads against
+ * finding sentences.
+ *
+ * @param {object[]} leads - leads.json leads
+ * @param {object[]} sentences - loadFindingSentences()
+ * @returns {{contradictions: object[], citationMismatches: object[], claimsCompared: number}}
+ */
+function compareClaimsToFindings(leads, sentences) {
+  const report = { contradictions: [], citationMismatches: [], claimsCompared: 0 };
+
+  for (const lead of leads || []) {
+    if (!lead || (lead.status !== 'investigated' && lead.status !== 'dead_end')) continue;
+
+    for (const claim of resultClaims(lead.result)) {
+      const normalized = normalizeClaimText(claim.text);
+      if (normalized.split(' ').length < MIN_CLAIM_TOKENS) continue;
+      report.claimsCompared++;
+
+      const verdict = claimVerdict(claim);
+      const claimSources = Array.isArray(claim.sources) ? claim.sources : [];
+      for (const sentence of sentences) {
+        if (!sentence.normalized.includes(normalized)) continue;
+        const entry = {
+          leadId: lead.id,
+          claim: claim.text,
+          verdict,
+          claimSources,
+          finding: sentence.finding,
+          sentence: sentence.text,
+          sentenceSources: sentence.sources
+        };
+        if (verdict !== 'confirmed') {
+          report.contradictions.push(entry);
+        } else if (sentence.sources.length > 0 && !sentence.sources.some(id => claimSources.includes(id))) {
+          report.citationMismatches.push(entry);
+        }
+      }
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  CLAIM_VERDICTS,
+  isStructuredResult,
+  validateResult,
+  resultClaims,
+  resultSources,
+  resultText,
+  normalizeClaimText,
+  loadFindingSentences,
+  compareClaimsToFindings
+};
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * lead-saturation.js - Has following leads stopped paying off?
+ *
+ * "No pending leads" alone is easy to reach by marking leads dead_end. This
+ * measures whether the investigation has actually converged, in rounds:
+ *
+ *   - git basis: each data-repo (cases/.git) commit that changed leads.json,
+ *     plus uncommitted changes; a lead belongs to the round it first appeared in
+ *   - depth basis (no git history): round N is the leads at depth N
+ *
+ * Per round: new leads (the convergence curve), and how many resolved child
+ * leads turned up a source no earlier lead had (new-source rate). Per depth:
+ * the share of resolved leads that are dead ends.
+ *
+ * score = min(lead saturation, source saturation) over the last `window` rounds
+ *   lead saturation   = 1 - new leads in the window / all leads
+ *   source saturation = 1 - new-source rate of resolved children in the window
+ *
+ * The curiosity gate (gates.js) requires, besides no pending leads, at least
+ * `min_rounds` rounds, score >= `threshold` and an overall dead-end share no
+ * higher than `max_dead_end_share`. Configure in leads.json (threshold 0 turns
+ * the requirement off):
+ *
+ *   "saturation": { "threshold": 0.7, "window": 1, "min_rounds": 2, "max_dead_end_share": 0.6 }
+ *
+ * Usage:
+ *   node scripts/lead-saturation.js <case_dir> [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ids = require('./ids');
+
+const DEFAULT_SATURATION = {
+  threshold: 0.7,
+  window: 1,
+  min_rounds: 2,
+  max_dead_end_share: 0.6
+};
+
+// Leads no longer open; deferred ones (lead-budget.js) count as resolved, not dead ends
+const RESOLVED = new Set(['investigated', 'dead_end', 'deferred']);
+const MAX_COMMITS = 500;
+const GIT_TIMEOUT_MS = 30000;
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function resolveConfig(leadsData) {
+  const config = { ...DEFAULT_SATURATION };
+  for (const [key, value] of Object.entries(leadsData?.saturation || {})) {
+    if (key in DEFAULT_SATURATION && typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+      config[key] = value;
+    }
+  }
+  config.window = Math.max(1, Math.floor(config.window));
+  return config;
+}
+
+function git(cwd, args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: GIT_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 });
+}
+
+/**
+ * Lead ID sets of leads.json as committed in the data repo, oldest first:
+ * [{ commit, date, ids }]. Empty when the case is not in a git repo or
+ * leads.json was never committed.
+ */
+function gitLeadHistory(caseDir) {
+  let root;
+  try {
+    root = git(caseDir, ['rev-parse', '--show-toplevel']).trim();
+  } catch {
+    return [];
+  }
+  const rel = path.relative(root, path.join(fs.realpathSync(caseDir), 'leads.json')).split(path.sep).join('/');
+
+  let log;
+  try {
+    log = git(root, ['log', `--max-count=${MAX_COMMITS}`, '--format=%H%x09%cI', '--', rel]);
+  } catch {
+    return [];
+  }
+
+  const history = [];
+  for (const line of log.trim().split('\n').filter(Boolean).reverse()) {
+    const [commit, date] = line.split('\t');
+    try {
+      const data = JSON.parse(git(root, ['show', `${commit}:${rel}`]));
+      history.push({ commit: commit.slice(0, 8), date, ids: (data.leads || []).map(l => l.id).filter(Boolean) });
+    } catch {
+      // Deleted or unparsable at this commit
+    }
+  }
+  return history;
+}
+
+/**
+ * Assign every current lead to a round. Returns { basis, rounds: [{label}], roundOf: Map }.
+ */
+function assignRounds(caseDir, leads) {
+  const history = gitLeadHistory(caseDir);
+  const roundOf = new Map();
+
+  if (history.length > 0) {
+    const rounds = [];
+    for (const snapshot of history) {
+      const fresh = snapshot.ids.filter(id => !roundOf.has(id));
+      if (fresh.length === 0) continue;
+      fresh.forEach(id => roundOf.set(id, rounds.length));
+      rounds.push({ label: `${snapshot.commit} ${snapshot.date.slice(0, 10)}` });
+    }
+    const uncommitted = leads.filter(l => !roundOf.has(l.id));
+    if (uncommitted.length > 0) {
+      uncommitted.forEach(l => roundOf.set(l.id, rounds.length));
+      rounds.push({ label: 'uncommitted' });
+    }
+    return { basis: 'git', rounds, roundOf };
+  }
+
+  const maxDepth = leads.reduce((m, l) => Math.max(m, l.depth || 0), 0);
+  leads.forEach(l => roundOf.set(l.id, l.depth || 0));
+  const rounds = leads.length === 0 ? [] : Array.from({ length: maxDepth + 1 }, (_, d) => ({ label: `depth ${d}` }));
+  return { basis: 'depth', rounds, roundOf };
+}
+
+/**
+ * Saturation metrics for a case.
+ *
+ * @param {string} caseDir
+ * @param {object} [leadsData] - leads.json (read from caseDir when omitted)
+ * @returns {object} { basis, config, curve, deadEndByDepth, deadEndShare, newSourceRate, score, ok, reasons }
+ */
+function computeSaturation(caseDir, leadsData) {
+  if (!leadsData) {
+    const leadsPath = path.join(caseDir, 'leads.json');
+    leadsData = fs.existsSync(leadsPath) ? JSON.parse(fs.readFileSync(leadsPath, 'utf-8')) : { leads: [] };
+  }
+  const leads = (leadsData.leads || []).filter(l => l && l.id);
+  const config = resolveConfig(leadsData);
+  const { basis, rounds, roundOf } = assignRounds(caseDir, leads);
+
+  // The lead that first listed each source (earliest round, then lowest ID)
+  const ordered = [...leads].sort((a, b) => (roundOf.get(a.id) - roundOf.get(b.id)) || ids.compareIds(a.id, b.id));
+  const firstListedBy = new Map();
+  for (const lead of ordered) {
+    for (const sourceId of Array.isArray(lead.sources) ? lead.sources : []) {
+      if (!firstListedBy.has(sourceId)) firstListedBy.set(sourceId, lead.id);
+    }
+  }
+  const foundNewSource = lead => (lead.sources || []).some(id => firstListedBy.get(id) === lead.id);
+
+  let cumulative = 0;
+  const curve = rounds.map((r, i) => {
+    const members = leads.filter(l => roundOf.get(l.id) === i);
+    const children = members.filter(l => l.parent && RESOLVED.has(l.status));
+    const productive = children.filter(foundNewSource).length;
+    cumulative += members.length;
+    return {
+      round: i + 1,
+      label: r.label,
+      new_leads: members.length,
+      total_leads: cumulative,
+      resolved_children: children.length,
+      children_with_new_sources: productive,
+      new_source_rate: children.length ? round3(productive / children.length) : null
+    };
+  });
+
+  const deadEndByDepth = {};
+  for (const lead of leads.filter(l => RESOLVED.has(l.status))) {
+    const depth = lead.depth || 0;
+    const entry = deadEndByDepth[depth] || (deadEndByDepth[depth] = { resolved: 0, dead_end: 0, share: 0 });
+    entry.resolved++;
+    if (lead.status === 'dead_end') entry.dead_end++;
+  }
+  let resolved = 0;
+  let deadEnds = 0;
+  for (const entry of Object.values(deadEndByDepth)) {
+    entry.share = round3(entry.dead_end / entry.resolved);
+    resolved += entry.resolved;
+    deadEnds += entry.dead_end;
+  }
+  const deadEndShare = resolved ? round3(deadEnds / resolved) : 0;
+
+  const recent = curve.slice(-config.window);
+  const recentLeads = recent.reduce((n, r) => n + r.new_leads, 0);
+  const recentChildren = recent.reduce((n, r) => n + r.resolved_children, 0);
+  const recentProductive = recent.reduce((n, r) => n + r.children_with_new_sources, 0);
+  const newSourceRate = recentChildren ? round3(recentProductive / recentChildren) : 0;
+  const leadSaturation = leads.length ? 1 - recentLeads / leads.length : 0;
+  const score = round3(Math.min(leadSaturation, 1 - newSourceRate));
+
+  const reasons = [];
+  if (config.threshold > 0) {
+    if (curve.length < config.min_rounds) {
+      reasons.push(`only ${curve.length} round(s) of leads (need ${config.min_rounds})`);
+    }
+    if (score < config.threshold) {
+      reasons.push(`saturation ${score} below threshold ${config.threshold}`);
+    }
+    if (deadEndShare > config.max_dead_end_share) {
+      reasons.push(`dead-end share ${deadEndShare} above ${config.max_dead_end_share}`);
+    }
+  }
+
+  return {
+    basis,
+    config,
+    curve,
+    deadEndByDepth,
+    deadEndShare,
+    newSourceRate,
+    leadSaturation: round3(leadSaturation),
+    score,
+    ok: reasons.length === 0,
+    reasons
+  };
+}
+
+/** Text report with the convergence curve as a bar chart. */
+function formatReport(report) {
+  const lines = [];
+  const widest = Math.max(1, ...report.curve.map(r => r.new_leads));
+  const labelWidth = Math.max(5, ...report.curve.map(r => r.label.length));
+  lines.push(`Convergence curve (${report.basis} basis): new leads per round`);
+  for (const r of report.curve) {
+    const bar = '#'.repeat(Math.max(1, Math.round((r.new_leads / widest) * 40)));
+    const rate = r.new_source_rate === null ? '' : `  new-source rate ${r.new_source_rate}`;
+    lines.push(`  ${String(r.round).padStart(3)} ${r.label.padEnd(labelWidth)} ${bar} ${r.new_leads} (total ${r.total_leads})${rate}`);
+  }
+  lines.push('');
+  lines.push('Dead-end share by depth:');
+  for (const [depth, e] of Object.entries(report.deadEndByDepth)) {
+    lines.push(`  depth ${depth}: ${e.dead_end}/${e.resolved} (${e.share})`);
+  }
+  lines.push('');
+  lines.push(`Lead saturation: ${report.leadSaturation}  New-source rate (last ${report.config.window} round(s)): ${report.newSourceRate}`);
+  lines.push(`Saturation score: ${report.score} (threshold ${report.config.threshold})  Dead-end share: ${report.deadEndShare} (max ${report.config.max_dead_end_share})`);
+  lines.push(`Status: ${report.ok ? 'SATURATED' : `NOT SATURATED - ${report.reasons.join('; ')}`}`);
+  return lines.join('\n') + '\n';
+}
+
+function printUsage() {
+  console.log('lead-saturation.js - Lead saturation analytics for the curiosity gate');
+  console.log('');
+  console.log('Usage: node scripts/lead-saturation.js <case_dir> [--json]');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const caseDir = args.find(a => !a.startsWith('--'));
+  if (!caseDir) {
+    printUsage();
+    process.exit(2);
+  }
+  if (!fs.existsSync(caseDir)) {
+    console.error(`Case directory not found: ${caseDir}`);
+    process.exit(2);
+  }
+
+  const report = computeSaturation(caseDir);
+  if (args.includes('--json')) console.log(JSON.stringify(report, null, 2));
+  else process.stdout.write(formatReport(report));
+  process.exit(report.ok ? 0 : 1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  DEFAULT_SATURATION,
+  resolveConfig,
+  gitLeadHistory,
+  computeSaturation,
+  formatReport
+};
@@ -0,0 +1,203 @@
+/**
+ * lead-scoring.js - Score pending leads for scheduling
+ *
+ * batch-select (leads-lock.js) and check-continue.js pick the top-scoring
+ * unclaimed leads. Each factor is normalized to [0, 1] and the score is the
+ * weighted sum:
+ *
+ *   priority         HIGH 1, MEDIUM 0.5, LOW 0
+ *   depth            1 at depth 0, falling to 0 at max_depth
+ *   parent_findings  findings that reference the lead or its parent (3+ = 1)
+ *   source_scarcity  1 / (1 + captured sources whose title/URL share the lead's topic)
+ *   age              oldest pending lead 1, newest 0 (created_at, else ID order)
+ *   framework        per-framework weight of the question framework the lead
+ *                    (or its root ancestor) came from, default 0.5
+ *
+ * Per-case configuration lives in leads.json:
+ *
+ *   "scoring": {
+ *     "weights": { "priority": 3, "source_scarcity": 2 },
+ *     "framework_weights": { "01": 1.0, "follow-the-silence": 0.8 }
+ *   }
+ *
+ * Omitted weights fall back to DEFAULT_WEIGHTS.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+const { leadTokens } = require('./lead-dedup');
+const { parseFinding } = require('./findings');
+
+const DEFAULT_WEIGHTS = {
+  priority: 3,
+  depth: 1,
+  parent_findings: 1.5,
+  source_scarcity: 1,
+  age: 0.5,
+  framework: 0.5
+};
+
+const PRIORITY_VALUE = { HIGH: 1, MEDIUM: 0.5, LOW: 0 };
+const DEFAULT_FRAMEWORK_WEIGHT = 0.5;
+const FINDINGS_SATURATION = 3;
+
+// Topic overlap needed for a source to count as "about" a lead
+const SOURCE_MIN_SHARED_TOKENS = 2;
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function resolveConfig(leadsData) {
+  const scoring = leadsData?.scoring || {};
+  const weights = { ...DEFAULT_WEIGHTS };
+  for (const [key, value] of Object.entries(scoring.weights || {})) {
+    if (key in DEFAULT_WEIGHTS && typeof value === 'number' && Number.isFinite(value)) weights[key] = value;
+  }
+  return {
+    weights,
+    frameworkWeights: scoring.framework_weights || {},
+    maxDepth: typeof leadsData?.max_depth === 'number' ? leadsData.max_depth : 3
+  };
+}
+
+/**
+ * Case-level inputs for scoring: lead references in findings and the token
+ * sets of captured sources. Loaded once per selection.
+ */
+function loadScoringContext(casePath) {
+  const findingRefs = new Map();
+  const findingsDir = path.join(casePath, 'findings');
+  if (fs.existsSync(findingsDir)) {
+    for (const file of fs.readdirSync(findingsDir).filter(ids.isFindingFile)) {
+      const { metadata, content } = parseFinding(fs.readFileSync(path.join(findingsDir, file), 'utf-8'));
+      const refs = new Set(Array.isArray(metadata.related_leads) ? metadata.related_leads : []);
+      for (const m of content.matchAll(ids.idTokenRegex(ids.PREFIX.lead))) refs.add(m[1]);
+      findingRefs.set(ids.findingIdFromFilename(file), refs);
+    }
+  }
+
+  let sources = [];
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(casePath, 'sources.json'), 'utf-8'));
+    sources = Array.isArray(data.sources) ? data.sources : [];
+  } catch {
+    // No sources yet: every lead is maximally scarce
+  }
+  const sourceTokens = sources.map(s => leadTokens(`${s.title || ''} ${String(s.url || '').replace(/[/._-]+/g, ' ')}`));
+
+  return { findingRefs, sourceTokens };
+}
+
+function frameworkOf(lead, byId) {
+  let node = lead;
+  const seen = new Set();
+  while (node && node.parent && byId.has(node.parent) && !seen.has(node.id)) {
+    seen.add(node.id);
+    node = byId.get(node.parent);
+  }
+  const from = String(node?.from || '');
+  const m = from.match(/(?:^|[\/\s])Q?(\d{2})(?:-([a-z0-9-]+))?(?:\.md)?\b/i);
+  if (!m) return null;
+  return { num: m[1], slug: m[2] ? m[2].toLowerCase() : null };
+}
+
+function ageOrder(leads) {
+  const sorted = [...leads].sort((a, b) => {
+    const ta = a.created_at ? Date.parse(a.created_at) : NaN;
+    const tb = b.created_at ? Date.parse(b.created_at) : NaN;
+    if (!Number.isNaN(ta) && !Number.isNaN(tb) && ta !== tb) return ta - tb;
+    return ids.compareIds(a.id, b.id);
+  });
+  const rank = new Map();
+  sorted.forEach((l, i) => rank.set(l.id, sorted.length > 1 ? 1 - i / (sorted.length - 1) : 1));
+  return rank;
+}
+
+/**
+ * Score candidate leads.
+ *
+ * @param {object[]} candidates - Leads to rank (typically pending + unclaimed)
+ * @param {object} leadsData - Full leads.json (for parents, max_depth, scoring config)
+ * @param {object} context - loadScoringContext() output
+ * @returns {object[]} [{ lead, score, factors: { name: { value, weight, contribution, detail } } }] best first
+ */
+function scoreLeads(candidates, leadsData, context) {
+  const config = resolveConfig(leadsData);
+  const byId = new Map((leadsData?.leads || []).map(l => [l.id, l]));
+  const age = ageOrder(candidates);
+
+  const scored = candidates.map(lead => {
+    const factors = {};
+    const add = (name, value, detail) => {
+      const weight = config.weights[name];
+      factors[name] = { value: round(value), weight, contribution: round(value * weight), detail };
+    };
+
+    add('priority', PRIORITY_VALUE[lead.priority] ?? 0.25, lead.priority || 'unset');
+
+    const depth = lead.depth || 0;
+    add('depth', config.maxDepth > 0 ? Math.max(0, 1 - depth / config.maxDepth) : 1, `depth ${depth}/${config.maxDepth}`);
+
+    const refIds = [lead.id, lead.parent].filter(Boolean);
+    const citing = [...context.findingRefs.entries()]
+      .filter(([, refs]) => refIds.some(id => refs.has(id)))
+      .map(([fid]) => fid);
+    add('parent_findings', Math.min(1, citing.length / FINDINGS_SATURATION),
+      citing.length ? `${citing.length} finding(s): ${citing.join(', ')}` : 'no findings reference it');
+
+    const tokens = leadTokens(lead.lead);
+    const needed = Math.min(SOURCE_MIN_SHARED_TOKENS, tokens.size);
+    const related = needed === 0 ? 0 : context.sourceTokens.filter(st => {
+      let shared = 0;
+      for (const t of tokens) {
+        if (st.has(t)) shared++;
+      }
+      return shared >= needed;
+    }).length;
+    add('source_scarcity', 1 / (1 + related), `${related} related source(s)`);
+
+    add('age', age.get(lead.id) ?? 0, lead.created_at || `ID order ${lead.id}`);
+
+    const fw = frameworkOf(lead, byId);
+    let fwWeight = DEFAULT_FRAMEWORK_WEIGHT;
+    if (fw) {
+      const configured = config.frameworkWeights[fw.num] ?? (fw.slug ? config.frameworkWeights[fw.slug] : undefined);
+      if (typeof configured === 'number') fwWeight = Math.max(0, Math.min(1, configured));
+    }
+    add('framework', fwWeight, fw ? `framework ${fw.num}${fw.slug ? `-${fw.slug}` : ''}` : 'no framework origin');
+
+    const score = round(Object.values(factors).reduce((sum, f) => sum + f.contribution, 0));
+    return { lead, score, factors };
+  });
+
+  scored.sort((a, b) => b.score - a.score || ids.compareIds(a.lead.id, b.lead.id));
+  return scored;
+}
+
+/** Explain entries ({ id, lead, selected, score, factors }) for scored leads. */
+function explainScores(ranked, selectedCount) {
+  return ranked.map((r, i) => ({ id: r.lead.id, lead: r.lead.lead, selected: i < selectedCount, score: r.score, factors: r.factors }));
+}
+
+/** Text breakdown of an explain entry: a header line, then one line per factor. */
+function formatExplanation(entry) {
+  const mark = entry.selected ? '*' : ' ';
+  const lines = [`${mark} ${entry.id} score ${entry.score}: ${String(entry.lead || '').slice(0, 80)}`];
+  for (const [name, f] of Object.entries(entry.factors)) {
+    lines.push(`    ${name.padEnd(16)} ${String(f.value).padStart(5)} x ${String(f.weight).padEnd(4)} = ${String(f.contribution).padStart(6)}  (${f.detail})`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  resolveConfig,
+  loadScoringContext,
+  scoreLeads,
+  explainScores,
+  formatExplanation
+};
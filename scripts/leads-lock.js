@@ -3,72 +3,45 @@
  * leads-lock.js - Optimistic locking for parallel lead processing
  *
  * Provides atomic operations on leads.json with version tracking and claim management.
+ * Writes hold leads.json.lock (file-lock.js: owner metadata, dead-owner recovery).
  *
  * Commands:
  *   claim <case-path> <lead-id>                  - Claim a lead for processing
  *   release <case-path> <lead-id>                - Release a claimed lead
  *   update <case-path> <lead-id> <status> <result> [sources] - Update lead status
- *   add-child <case-path> <parent-id> <child-json> - Add child lead
- *   batch-select <case-path> <count>             - Select N leads for parallel processing
+ *                                                  (result: text, or structured JSON - see lead-result.js)
+ *   progress <case-path> <lead-id> <partial-result> [sources] - Record partial progress on a pending lead
+ *   add-child <case-path> <parent-id> <child-json> [--no-dedup] - Add child lead
+ *                                                  (near-duplicates merge into the existing lead)
+ *   batch-select <case-path> <count> [--explain] - Select the N top-scoring unblocked leads (see lead-scoring.js)
+ *   add-dep <case-path> <lead-id> <blocker-id>   - Block a lead until another resolves (rejects cycles)
+ *   remove-dep <case-path> <lead-id> <blocker-id> - Remove a dependency
  *   cleanup-stale <case-path>                    - Release claims older than 30 minutes
+ *   enforce-budgets <case-path> [--dry-run]      - Defer leads over their time/capture budget (see lead-budget.js)
+ *   duplicates <case-path> [threshold]           - List suspected duplicate lead clusters
+ *   history <case-path> <lead-id>                - Journal events for a lead
+ *   rebuild <case-path> [--dry-run] [--force]    - Rebuild leads.json from leads.events.jsonl
+ *   undo <case-path> <lead-id> [count]           - Undo the last N events for a lead
+ *
+ * Every write is journaled to leads.events.jsonl (see lead-journal.js).
  *
  * Usage: node scripts/leads-lock.js <command> [args...]
  */
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('./ids');
+const leadDedup = require('./lead-dedup');
+const leadScoring = require('./lead-scoring');
+const leadDeps = require('./lead-deps');
+const leadJournal = require('./lead-journal');
+const leadBudget = require('./lead-budget');
+const leadResult = require('./lead-result');
+const { acquireLock, releaseLock } = require('./file-lock');
 
 // Stale claim threshold (30 minutes)
 const STALE_THRESHOLD_MS = 30 * 60 * 1000;
 
-// Simple file lock using .lock file
-const LOCK_TIMEOUT_MS = 5000;
-const LOCK_RETRY_MS = 50;
-
-/**
- * Acquire file lock with timeout
- *
- * Note: Uses synchronous busy-wait for retry delays because this module
- * provides sync APIs for use in CLI tools. The 50ms retry interval keeps
- * CPU impact minimal while maintaining simplicity. For high-contention
- * scenarios, consider using async locking libraries instead.
- */
-function acquireLock(lockPath) {
-  const deadline = Date.now() + LOCK_TIMEOUT_MS;
-  while (Date.now() < deadline) {
-    try {
-      fs.writeFileSync(lockPath, process.pid.toString(), { flag: 'wx' });
-      return true;
-    } catch (e) {
-      if (e.code === 'EEXIST') {
-        // Check if lock is stale (>30s old)
-        try {
-          const stat = fs.statSync(lockPath);
-          if (Date.now() - stat.mtimeMs > 30000) {
-            fs.unlinkSync(lockPath);
-            continue;
-          }
-        } catch {}
-        // Wait and retry (sync busy-wait - see function comment)
-        const waitUntil = Date.now() + LOCK_RETRY_MS;
-        while (Date.now() < waitUntil) {}
-        continue;
-      }
-      throw e;
-    }
-  }
-  return false;
-}
-
-/**
- * Release file lock
- */
-function releaseLock(lockPath) {
-  try {
-    fs.unlinkSync(lockPath);
-  } catch {}
-}
-
 /**
  * Read leads.json with locking awareness
  */
@@ -99,6 +72,16 @@ function writeLeads(casePath, data) {
   return data.version;
 }
 
+/**
+ * Write leads.json and journal the per-lead changes since `before`
+ * (see lead-journal.js). Callers hold the lock.
+ */
+function commitLeads(casePath, before, data, meta) {
+  const version = writeLeads(casePath, data);
+  leadJournal.recordWrite(casePath, before, data, meta);
+  return version;
+}
+
 /**
  * Check if a claim is stale (>30 minutes old)
  */
@@ -126,6 +109,7 @@ function claimLead(casePath, leadId) {
 
   try {
     const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
     const lead = data.leads.find(l => l.id === leadId);
 
     if (!lead) {
@@ -136,22 +120,36 @@ function claimLead(casePath, leadId) {
       return { success: false, error: `Lead ${leadId} is not pending (status: ${lead.status})` };
     }
 
+    const waiting = leadDeps.unresolvedBlockers(lead, leadDeps.indexLeads(data.leads));
+    if (waiting.length > 0) {
+      return { success: false, error: `Lead ${leadId} is blocked by ${waiting.join(', ')}` };
+    }
+
     // Check if already claimed and not stale
     if (lead.claimed_by && !isClaimStale(lead)) {
       return { success: false, error: `Lead ${leadId} already claimed by ${lead.claimed_by}` };
     }
 
+    const budget = leadBudget.checkBudget(lead, data);
+    if (budget.over) {
+      return { success: false, error: `Lead ${leadId} is over budget (${leadBudget.describeOverrun(budget)})`, budget: budget };
+    }
+
+    // A stale claim's time still counts against the budget
+    leadBudget.closeClaim(lead);
+
     // Claim the lead
     const claimId = generateClaimId();
     lead.claimed_by = claimId;
     lead.claimed_at = new Date().toISOString();
 
-    const version = writeLeads(casePath, data);
+    const version = commitLeads(casePath, before, data, { op: 'claim', claim_id: claimId });
 
     return {
       success: true,
       lead: lead,
       claim_id: claimId,
+      budget: leadBudget.checkBudget(lead, data),
       version: version
     };
   } finally {
@@ -170,9 +168,11 @@ function batchClaim(casePath, leadIds) {
 
   try {
     const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
     const claimId = generateClaimId();
     const claimedLeads = [];
     const errors = [];
+    const byId = leadDeps.indexLeads(data.leads);
 
     // Validate all leads first
     for (const leadId of leadIds) {
@@ -189,6 +189,16 @@ function batchClaim(casePath, leadIds) {
         errors.push(`${leadId}: already claimed`);
         continue;
       }
+      const waiting = leadDeps.unresolvedBlockers(lead, byId);
+      if (waiting.length > 0) {
+        errors.push(`${leadId}: blocked by ${waiting.join(', ')}`);
+        continue;
+      }
+      const budget = leadBudget.checkBudget(lead, data);
+      if (budget.over) {
+        errors.push(`${leadId}: over budget (${leadBudget.describeOverrun(budget)})`);
+        continue;
+      }
     }
 
     // If any errors, fail entirely (atomic)
@@ -200,12 +210,13 @@ function batchClaim(casePath, leadIds) {
     const now = new Date().toISOString();
     for (const leadId of leadIds) {
       const lead = data.leads.find(l => l.id === leadId);
+      leadBudget.closeClaim(lead);
       lead.claimed_by = claimId;
       lead.claimed_at = now;
       claimedLeads.push(lead);
     }
 
-    const version = writeLeads(casePath, data);
+    const version = commitLeads(casePath, before, data, { op: 'batch-claim', claim_id: claimId });
 
     return {
       success: true,
@@ -229,16 +240,18 @@ function releaseLead(casePath, leadId) {
 
   try {
     const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
     const lead = data.leads.find(l => l.id === leadId);
 
     if (!lead) {
       return { success: false, error: `Lead ${leadId} not found` };
     }
 
+    leadBudget.closeClaim(lead);
     delete lead.claimed_by;
     delete lead.claimed_at;
 
-    const version = writeLeads(casePath, data);
+    const version = commitLeads(casePath, before, data, { op: 'release' });
     return { success: true, version: version };
   } finally {
     releaseLock(lockPath);
@@ -247,8 +260,16 @@ function releaseLead(casePath, leadId) {
 
 /**
  * Update a lead's status and result
+ *
+ * `result` is free text or a structured result (lead-result.js). Structured
+ * results are validated and their claim sources added to `sources`.
  */
 function updateLead(casePath, leadId, status, result, sources = []) {
+  const validation = leadResult.validateResult(result);
+  if (!validation.ok) {
+    return { success: false, error: 'invalid_result', errors: validation.errors };
+  }
+
   const lockPath = path.join(casePath, 'leads.json.lock');
   if (!acquireLock(lockPath)) {
     return { success: false, error: 'Could not acquire lock' };
@@ -256,6 +277,7 @@ function updateLead(casePath, leadId, status, result, sources = []) {
 
   try {
     const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
     const lead = data.leads.find(l => l.id === leadId);
 
     if (!lead) {
@@ -264,23 +286,61 @@ function updateLead(casePath, leadId, status, result, sources = []) {
 
     lead.status = status;
     lead.result = result;
-    lead.sources = sources;
+    lead.sources = [...new Set([...sources, ...leadResult.resultSources(result)])];
 
     // Clear claim after update
+    leadBudget.closeClaim(lead);
     delete lead.claimed_by;
     delete lead.claimed_at;
 
-    const version = writeLeads(casePath, data);
+    const version = commitLeads(casePath, before, data, { op: 'update' });
     return { success: true, lead: lead, version: version };
   } finally {
     releaseLock(lockPath);
   }
 }
 
+/**
+ * Record partial progress on a pending lead without closing it: the result so
+ * far and sources captured so far (merged). A lead deferred for running over
+ * its budget keeps this as its partial result.
+ */
+function recordProgress(casePath, leadId, partialResult, sources = []) {
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
+
+  try {
+    const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
+    const lead = data.leads.find(l => l.id === leadId);
+
+    if (!lead) {
+      return { success: false, error: `Lead ${leadId} not found` };
+    }
+    if (lead.status !== 'pending') {
+      return { success: false, error: `Lead ${leadId} is not pending (status: ${lead.status})` };
+    }
+
+    lead.result = partialResult;
+    lead.sources = [...new Set([...(lead.sources || []), ...sources])];
+
+    const version = commitLeads(casePath, before, data, { op: 'progress' });
+    return { success: true, lead: lead, budget: leadBudget.checkBudget(lead, data), version: version };
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
 /**
  * Add a child lead (generated while investigating parent)
+ *
+ * A child that is a near-duplicate of any existing lead (any status) is merged
+ * into that lead instead: no new ID, and the result carries `duplicate_of`.
+ * Pass { dedup: false } to always add.
  */
-function addChildLead(casePath, parentId, childData) {
+function addChildLead(casePath, parentId, childData, options = {}) {
   const lockPath = path.join(casePath, 'leads.json.lock');
   if (!acquireLock(lockPath)) {
     return { success: false, error: 'Could not acquire lock' };
@@ -288,12 +348,30 @@ function addChildLead(casePath, parentId, childData) {
 
   try {
     const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
     const parent = data.leads.find(l => l.id === parentId);
 
     if (!parent) {
       return { success: false, error: `Parent lead ${parentId} not found` };
     }
 
+    if (options.dedup !== false) {
+      const threshold = leadDedup.resolveThreshold(data, options.threshold);
+      const match = leadDedup.findDuplicate(childData.lead, data.leads, { threshold });
+      if (match) {
+        const record = leadDedup.mergeIntoExisting(match.lead, { ...childData, from: parentId }, match.similarity);
+        const version = commitLeads(casePath, before, data, { op: 'add-child' });
+        return {
+          success: true,
+          merged: true,
+          duplicate_of: record.duplicate_of,
+          similarity: match.similarity,
+          lead: match.lead,
+          version: version
+        };
+      }
+    }
+
     const newDepth = (parent.depth || 0) + 1;
 
     // Check if exceeds max_depth
@@ -308,11 +386,13 @@ function addChildLead(casePath, parentId, childData) {
     }
 
     // Generate new lead ID
-    const maxId = data.leads.reduce((max, l) => {
-      const num = parseInt(l.id.replace('L', ''), 10);
-      return num > max ? num : max;
-    }, 0);
-    const newId = `L${String(maxId + 1).padStart(3, '0')}`;
+    const newId = ids.nextId(ids.PREFIX.lead, data.leads.map(l => l.id));
+
+    const blockedBy = leadDeps.blockersOf(childData);
+    const unknown = blockedBy.filter(id => !data.leads.some(l => l.id === id));
+    if (unknown.length > 0) {
+      return { success: false, error: `Blocker lead(s) not found: ${unknown.join(', ')}` };
+    }
 
     const newLead = {
       id: newId,
@@ -323,11 +403,18 @@ function addChildLead(casePath, parentId, childData) {
       parent: parentId,
       status: 'pending',
       result: null,
-      sources: []
+      sources: [],
+      created_at: new Date().toISOString()
     };
+    if (blockedBy.length > 0) {
+      newLead.blocked_by = [...new Set(blockedBy)];
+    }
+    if (childData.budget) {
+      newLead.budget = childData.budget;
+    }
 
     data.leads.push(newLead);
-    const version = writeLeads(casePath, data);
+    const version = commitLeads(casePath, before, data, { op: 'add-child' });
     return { success: true, lead: newLead, version: version };
   } finally {
     releaseLock(lockPath);
@@ -335,35 +422,107 @@ function addChildLead(casePath, parentId, childData) {
 }
 
 /**
- * Select a batch of leads for parallel processing
+ * Make `leadId` wait for `blockerId` (see lead-deps.js). Rejects unknown IDs
+ * and edits that would create a dependency cycle; the error carries the cycle.
+ */
+function addDependency(casePath, leadId, blockerId) {
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
+
+  try {
+    const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
+    const check = leadDeps.validateDependency(data.leads, leadId, blockerId);
+    if (!check.ok) {
+      return check.cycle
+        ? { success: false, error: 'cycle', cycle: check.cycle, message: `Dependency cycle: ${check.cycle.join(' -> ')}` }
+        : { success: false, error: check.error };
+    }
+
+    const lead = data.leads.find(l => l.id === leadId);
+    const blockers = leadDeps.blockersOf(lead);
+    if (blockers.includes(blockerId)) {
+      return { success: true, unchanged: true, lead: lead, version: data.version };
+    }
+    lead.blocked_by = [...blockers, blockerId];
+
+    const version = commitLeads(casePath, before, data, { op: 'add-dep' });
+    return { success: true, lead: lead, version: version };
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * Remove `blockerId` from a lead's blocked_by
+ */
+function removeDependency(casePath, leadId, blockerId) {
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
+
+  try {
+    const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
+    const lead = data.leads.find(l => l.id === leadId);
+
+    if (!lead) {
+      return { success: false, error: `Lead ${leadId} not found` };
+    }
+
+    const blockers = leadDeps.blockersOf(lead);
+    if (!blockers.includes(blockerId)) {
+      return { success: false, error: `Lead ${leadId} is not blocked by ${blockerId}` };
+    }
+
+    const remaining = blockers.filter(id => id !== blockerId);
+    if (remaining.length > 0) lead.blocked_by = remaining;
+    else delete lead.blocked_by;
+
+    const version = commitLeads(casePath, before, data, { op: 'remove-dep' });
+    return { success: true, lead: lead, version: version };
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * Select a batch of leads for parallel processing: the top-scoring pending,
+ * unclaimed, unblocked leads still within budget (weights from leads.json `scoring`, see lead-scoring.js).
+ * With { explain: true } the per-factor breakdown of every candidate is
+ * returned under `explain`.
  */
-function batchSelect(casePath, count) {
+function batchSelect(casePath, count, options = {}) {
   const data = readLeads(casePath);
-  const priorityOrder = { 'HIGH': 0, 'MEDIUM': 1, 'LOW': 2 };
 
-  // Filter to pending, unclaimed leads
+  // Filter to pending, unclaimed leads whose blockers have resolved
+  const byId = leadDeps.indexLeads(data.leads);
   const available = data.leads.filter(l => {
     if (l.status !== 'pending') return false;
     if (l.claimed_by && !isClaimStale(l)) return false;
+    if (!leadDeps.isUnblocked(l, byId)) return false;
+    if (leadBudget.checkBudget(l, data).over) return false;
     return true;
   });
 
-  // Sort by priority (HIGH first), then depth (shallower first)
-  available.sort((a, b) => {
-    const aPriority = priorityOrder[a.priority] ?? 3;
-    const bPriority = priorityOrder[b.priority] ?? 3;
-    if (aPriority !== bPriority) return aPriority - bPriority;
-    return (a.depth || 0) - (b.depth || 0);
-  });
-
-  const selected = available.slice(0, count);
+  const ranked = leadScoring.scoreLeads(available, data, leadScoring.loadScoringContext(casePath));
+  const selected = ranked.slice(0, count);
 
-  return {
+  const result = {
     success: true,
-    leads: selected,
+    leads: selected.map(r => r.lead),
+    scores: selected.map(r => ({ id: r.lead.id, score: r.score })),
     available_count: available.length,
+    blocked_count: data.leads.filter(l => l.status === 'pending' && !leadDeps.isUnblocked(l, byId)).length,
     total_pending: data.leads.filter(l => l.status === 'pending').length
   };
+  if (options.explain) {
+    result.explain = leadScoring.explainScores(ranked, count);
+  }
+  return result;
 }
 
 /**
@@ -377,10 +536,12 @@ function cleanupStale(casePath) {
 
   try {
     const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
     let cleaned = 0;
 
     data.leads.forEach(lead => {
       if (lead.claimed_by && isClaimStale(lead)) {
+        leadBudget.closeClaim(lead);
         delete lead.claimed_by;
         delete lead.claimed_at;
         cleaned++;
@@ -388,7 +549,7 @@ function cleanupStale(casePath) {
     });
 
     if (cleaned > 0) {
-      const version = writeLeads(casePath, data);
+      const version = commitLeads(casePath, before, data, { op: 'cleanup-stale' });
       return { success: true, cleaned: cleaned, version: version };
     }
 
@@ -398,6 +559,95 @@ function cleanupStale(casePath) {
   }
 }
 
+/**
+ * Defer every pending lead that is over budget (see lead-budget.js) and add
+ * it to future_research.md. Callers hold the lock; returns the checks of the
+ * deferred leads.
+ */
+function deferOverBudget(casePath, data) {
+  const now = Date.now();
+  const overruns = leadBudget.findOverruns(data, now);
+  const deferred = overruns.map(check => leadBudget.deferLead(data.leads.find(l => l.id === check.lead_id), check, now));
+  leadBudget.appendFutureResearch(casePath, deferred);
+  return overruns;
+}
+
+/**
+ * Defer pending leads that have used up their time or capture budget.
+ * With { dryRun: true } only reports them.
+ */
+function enforceBudgets(casePath, options = {}) {
+  if (options.dryRun) {
+    return { success: true, dry_run: true, overruns: leadBudget.findOverruns(readLeads(casePath)) };
+  }
+
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
+
+  try {
+    const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
+    const deferred = deferOverBudget(casePath, data);
+    if (deferred.length === 0) {
+      return { success: true, deferred: [] };
+    }
+    const version = commitLeads(casePath, before, data, { op: 'defer' });
+    return { success: true, deferred: deferred, version: version };
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * Charge `count` source captures to a lead (negative refunds), as done by
+ * allocate-sources.js for allocations made with --lead. A charge larger than
+ * the remaining capture budget is refused and nothing is written
+ * (budget_exhausted when none remain, else budget_exceeded). A pending lead
+ * found over budget (e.g. the budget was lowered) is deferred.
+ */
+function chargeCaptures(casePath, leadId, count) {
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
+
+  try {
+    const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
+    const lead = data.leads.find(l => l.id === leadId);
+
+    if (!lead) {
+      return { success: false, error: `Lead ${leadId} not found` };
+    }
+
+    const remaining = leadBudget.checkBudget(lead, data).remaining.captures;
+    if (count > 0 && remaining !== null && count > remaining) {
+      return {
+        success: false,
+        error: remaining === 0 ? 'budget_exhausted' : 'budget_exceeded',
+        lead_id: leadId,
+        requested: count,
+        remaining: remaining
+      };
+    }
+
+    leadBudget.addCaptures(lead, count);
+    const budget = leadBudget.checkBudget(lead, data);
+    const deferred = lead.status === 'pending' && budget.over;
+    if (deferred) {
+      leadBudget.deferLead(lead, budget);
+      leadBudget.appendFutureResearch(casePath, [lead]);
+    }
+
+    const version = commitLeads(casePath, before, data, { op: deferred ? 'defer' : 'charge' });
+    return { success: true, lead_id: leadId, budget: budget, deferred: deferred, version: version };
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
 /**
  * Get current leads statistics
  */
@@ -408,16 +658,21 @@ function getStats(casePath) {
     pending: 0,
     investigated: 0,
     dead_end: 0,
+    deferred: 0,
     claimed: 0,
     stale_claims: 0,
+    blocked: 0,
     by_priority: { HIGH: 0, MEDIUM: 0, LOW: 0 },
     by_depth: {}
   };
 
+  const byId = leadDeps.indexLeads(data.leads);
   data.leads.forEach(lead => {
     if (lead.status === 'pending') stats.pending++;
+    if (lead.status === 'pending' && !leadDeps.isUnblocked(lead, byId)) stats.blocked++;
     else if (lead.status === 'investigated') stats.investigated++;
     else if (lead.status === 'dead_end') stats.dead_end++;
+    else if (lead.status === 'deferred') stats.deferred++;
 
     if (lead.claimed_by) {
       if (isClaimStale(lead)) stats.stale_claims++;
@@ -435,6 +690,134 @@ function getStats(casePath) {
   return { success: true, stats: stats, version: data.version };
 }
 
+/**
+ * Suspected duplicate clusters in leads.json (read-only report)
+ */
+function findDuplicates(casePath, threshold) {
+  const data = readLeads(casePath);
+  const resolved = leadDedup.resolveThreshold(data, threshold);
+  const clusters = leadDedup.findDuplicateClusters(data.leads, { threshold: resolved });
+  return {
+    success: true,
+    threshold: resolved,
+    total_leads: data.leads.length,
+    duplicate_leads: clusters.reduce((n, c) => n + c.ids.length - 1, 0),
+    clusters: clusters
+  };
+}
+
+/**
+ * Journal events for one lead, oldest first
+ */
+function getHistory(casePath, leadId) {
+  const events = leadJournal.leadHistory(casePath, leadId);
+  return { success: true, lead_id: leadId, count: events.length, events: events };
+}
+
+/**
+ * Rebuild leads.json by replaying the journal. The current file is kept as
+ * leads.json.bak; the rebuilt state is journaled as a new snapshot.
+ *
+ * Top-level fields (budget, scoring, ...) are usually set by editing
+ * leads.json by hand, which the journal does not see, so those in the current
+ * file are kept; the journal only fills in the ones it lacks.
+ *
+ * Refuses when leads.json has a newer version than the journal (a write that
+ * bypassed commitLeads would be lost) unless options.force is set.
+ */
+function rebuildLeads(casePath, options = {}) {
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
+
+  try {
+    const replay = leadJournal.replayJournal(casePath);
+    if (!replay.ok) {
+      return { success: false, error: replay.error };
+    }
+
+    const current = readLeads(casePath);
+    if (fs.existsSync(path.join(casePath, 'leads.json'))) {
+      Object.assign(replay.data, leadJournal.settingsOf(current));
+    }
+    const journalVersion = replay.data.version;
+    const result = {
+      success: true,
+      events_applied: replay.events_applied,
+      malformed_events: replay.malformed,
+      lead_count: replay.data.leads.length,
+      journal_version: journalVersion,
+      current_version: current.version,
+      unjournaled_writes: current.version > journalVersion
+    };
+    if (options.dryRun) {
+      return { ...result, dry_run: true, data: replay.data };
+    }
+    if (result.unjournaled_writes && !options.force) {
+      return {
+        ...result,
+        success: false,
+        error: `leads.json (v${current.version}) has writes the journal (v${journalVersion}) does not; rebuilding would drop them. Use --force to rebuild anyway`
+      };
+    }
+
+    const leadsPath = path.join(casePath, 'leads.json');
+    if (fs.existsSync(leadsPath)) {
+      fs.copyFileSync(leadsPath, `${leadsPath}.bak`);
+    }
+    const data = replay.data;
+    data.version = Math.max(current.version, journalVersion);
+    const version = writeLeads(casePath, data);
+    leadJournal.recordSnapshot(casePath, data, 'rebuild');
+    return { ...result, version: version };
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * Undo the last `count` journaled events for a lead (skipping events already
+ * undone): the lead is restored to its state before the oldest of them, or
+ * removed if that event created it. The undo is itself journaled.
+ */
+function undoLead(casePath, leadId, count = 1) {
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
+
+  try {
+    const plan = leadJournal.planUndo(casePath, leadId, count);
+    if (!plan.ok) {
+      return { success: false, error: plan.error };
+    }
+
+    const data = readLeads(casePath);
+    const before = leadJournal.cloneLeads(data);
+    const idx = data.leads.findIndex(l => l.id === leadId);
+    if (plan.restore === null) {
+      if (idx !== -1) data.leads.splice(idx, 1);
+    } else if (idx === -1) {
+      data.leads.push(plan.restore);
+    } else {
+      data.leads[idx] = plan.restore;
+    }
+
+    const undone = plan.events.map(e => e.id);
+    const version = commitLeads(casePath, before, data, { op: 'undo', undoes: undone });
+    return {
+      success: true,
+      undone: undone,
+      removed: plan.restore === null,
+      lead: plan.restore,
+      version: version
+    };
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
 // CLI
 function main() {
   const args = process.argv.slice(2);
@@ -448,12 +831,33 @@ Commands:
   batch-claim <case-path> <lead-id>...     Claim multiple leads atomically
   release <case-path> <lead-id>            Release a claimed lead
   update <case-path> <lead-id> <status> <result> [sources-json]
-                                           Update lead status and result
-  add-child <case-path> <parent-id> <child-json>
-                                           Add child lead from parent
-  batch-select <case-path> <count>         Select N leads for parallel processing
+                                           Update lead status and result. A result starting
+                                           with "{" is a structured result (conclusion, claims,
+                                           confidence, open_questions, suggested_leads) and is
+                                           validated
+  progress <case-path> <lead-id> <partial-result> [sources-json]
+                                           Record partial progress on a pending lead
+  add-child <case-path> <parent-id> <child-json> [--no-dedup]
+                                           Add child lead from parent (near-duplicates
+                                           are merged into the existing lead)
+  batch-select <case-path> <count> [--explain]
+                                           Select the N top-scoring unblocked leads; --explain
+                                           adds the per-factor breakdown (text on stderr)
+  add-dep <case-path> <lead-id> <blocker-id>
+                                           Block a lead until another is investigated or
+                                           dead_end (rejects dependency cycles)
+  remove-dep <case-path> <lead-id> <blocker-id>
+                                           Remove a dependency
   cleanup-stale <case-path>                Release claims older than 30 minutes
+  enforce-budgets <case-path> [--dry-run]  Defer leads over their time/capture budget
+                                           to future_research.md
   stats <case-path>                        Get leads statistics
+  duplicates <case-path> [threshold]       List suspected duplicate lead clusters
+  history <case-path> <lead-id>            Journal events (before/after) for a lead
+  rebuild <case-path> [--dry-run] [--force]
+                                           Rebuild leads.json from leads.events.jsonl
+                                           (--force: even over unjournaled writes)
+  undo <case-path> <lead-id> [count]       Undo the last N events for a lead (default 1)
 `);
     process.exit(1);
   }
@@ -491,7 +895,24 @@ Commands:
         process.exit(1);
       }
       const sources = args[5] ? JSON.parse(args[5]) : [];
-      result = updateLead(args[1], args[2], args[3], args[4], sources);
+      let leadResultArg = args[4];
+      if (leadResultArg.trim().startsWith('{')) {
+        try {
+          leadResultArg = JSON.parse(leadResultArg);
+        } catch (e) {
+          result = { success: false, error: 'invalid_result', errors: [`Structured result is not valid JSON: ${e.message}`] };
+          break;
+        }
+      }
+      result = updateLead(args[1], args[2], args[3], leadResultArg, sources);
+      break;
+
+    case 'progress':
+      if (args.length < 4) {
+        console.error('Usage: progress <case-path> <lead-id> <partial-result> [sources-json]');
+        process.exit(1);
+      }
+      result = recordProgress(args[1], args[2], args[3], args[4] ? JSON.parse(args[4]) : []);
       break;
 
     case 'add-child':
@@ -500,7 +921,7 @@ Commands:
         process.exit(1);
       }
       const childData = JSON.parse(args[3]);
-      result = addChildLead(args[1], args[2], childData);
+      result = addChildLead(args[1], args[2], childData, { dedup: !args.includes('--no-dedup') });
       break;
 
     case 'batch-select':
@@ -508,7 +929,26 @@ Commands:
         console.error('Usage: batch-select <case-path> <count>');
         process.exit(1);
       }
-      result = batchSelect(args[1], parseInt(args[2], 10));
+      result = batchSelect(args[1], parseInt(args[2], 10), { explain: args.includes('--explain') });
+      if (result.explain) {
+        result.explain.forEach(entry => console.error(leadScoring.formatExplanation(entry)));
+      }
+      break;
+
+    case 'add-dep':
+      if (args.length < 4) {
+        console.error('Usage: add-dep <case-path> <lead-id> <blocker-id>');
+        process.exit(1);
+      }
+      result = addDependency(args[1], args[2], args[3]);
+      break;
+
+    case 'remove-dep':
+      if (args.length < 4) {
+        console.error('Usage: remove-dep <case-path> <lead-id> <blocker-id>');
+        process.exit(1);
+      }
+      result = removeDependency(args[1], args[2], args[3]);
       break;
 
     case 'cleanup-stale':
@@ -519,6 +959,14 @@ Commands:
       result = cleanupStale(args[1]);
       break;
 
+    case 'enforce-budgets':
+      if (args.length < 2) {
+        console.error('Usage: enforce-budgets <case-path> [--dry-run]');
+        process.exit(1);
+      }
+      result = enforceBudgets(args[1], { dryRun: args.includes('--dry-run') });
+      break;
+
     case 'stats':
       if (args.length < 2) {
         console.error('Usage: stats <case-path>');
@@ -527,6 +975,42 @@ Commands:
       result = getStats(args[1]);
       break;
 
+    case 'duplicates':
+      if (args.length < 2) {
+        console.error('Usage: duplicates <case-path> [threshold]');
+        process.exit(1);
+      }
+      result = findDuplicates(args[1], args[2]);
+      break;
+
+    case 'history':
+      if (args.length < 3) {
+        console.error('Usage: history <case-path> <lead-id>');
+        process.exit(1);
+      }
+      result = getHistory(args[1], args[2]);
+      break;
+
+    case 'rebuild':
+      if (args.length < 2) {
+        console.error('Usage: rebuild <case-path> [--dry-run] [--force]');
+        process.exit(1);
+      }
+      result = rebuildLeads(args[1], { dryRun: args.includes('--dry-run'), force: args.includes('--force') });
+      break;
+
+    case 'undo':
+      if (args.length < 3) {
+        console.error('Usage: undo <case-path> <lead-id> [count]');
+        process.exit(1);
+      }
+      if (args[3] !== undefined && !/^[1-9]\d*$/.test(args[3])) {
+        console.error(`Undo count must be a positive integer, got "${args[3]}"`);
+        process.exit(1);
+      }
+      result = undoLead(args[1], args[2], args[3] === undefined ? 1 : Number(args[3]));
+      break;
+
     default:
       console.error(`Unknown command: ${command}`);
       process.exit(1);
@@ -540,14 +1024,24 @@ Commands:
 module.exports = {
   readLeads,
   writeLeads,
+  commitLeads,
   claimLead,
   batchClaim,
   releaseLead,
   updateLead,
+  recordProgress,
   addChildLead,
+  addDependency,
+  removeDependency,
   batchSelect,
   cleanupStale,
+  enforceBudgets,
+  chargeCaptures,
   getStats,
+  findDuplicates,
+  getHistory,
+  rebuildLeads,
+  undoLead,
   isClaimStale,
   acquireLock,
   releaseLock
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * llm-providers.js - Pluggable LLM backends for unattended verification
+ *
+ * Every provider exposes the same interface:
+ *
+ *   const provider = createProvider('openai', { model: 'my-model' });
+ *   const text = await provider.complete(prompt);
+ *
+ * Providers:
+ *   openai     OpenAI-compatible   POST {baseUrl}/chat/completions
+ *   anthropic  Anthropic-style     POST {baseUrl}/v1/messages
+ *   mock       Deterministic local mock server (OpenAI-compatible wire format)
+ *
+ * HTTP failures throw LlmHttpError with `retryable` set for 429/5xx and
+ * network errors, and `retryAfterMs` taken from a Retry-After header, so
+ * callers can implement backoff without knowing the provider.
+ *
+ * The mock server answers verification prompts deterministically: a claim is
+ * "supported" when every key number/entity of the claim appears in the source
+ * text of the prompt. Computation prompts are answered with
+ * source_data_found: false. It is meant for tests and dry runs, never for
+ * publication.
+ *
+ * Environment variables (flags take precedence):
+ *   LLM_PROVIDER                  openai | anthropic | mock
+ *   LLM_BASE_URL                  Endpoint base URL
+ *   LLM_API_KEY                   API key (falls back to OPENAI_API_KEY / ANTHROPIC_API_KEY)
+ *   LLM_MODEL                     Model name (required for openai/anthropic)
+ *   LLM_MOCK_URL                  Base URL of a running mock server
+ *
+ * Usage:
+ *   node scripts/llm-providers.js mock-server [--port 8787]
+ */
+
+'use strict';
+
+const http = require('http');
+const { extractKeyTerms, extractNumbers } = require('./claims/passage-index');
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_TOKENS = 1024;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const DEFAULTS = {
+  openai: { baseUrl: 'https://api.openai.com/v1', keyEnv: 'OPENAI_API_KEY' },
+  anthropic: { baseUrl: 'https://api.anthropic.com', keyEnv: 'ANTHROPIC_API_KEY' },
+  mock: { baseUrl: 'http://127.0.0.1:8787/v1', keyEnv: null }
+};
+
+class LlmHttpError extends Error {
+  constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LlmHttpError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function postJson(url, headers, body, options) {
+  const fetchImpl = options.fetchImpl || fetch;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  let res;
+  try {
+    res = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    const message = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message;
+    throw new LlmHttpError(message, { retryable: true });
+  }
+
+  const text = await res.text();
+  if (!res.ok) {
+    throw new LlmHttpError(`HTTP ${res.status}: ${text.slice(0, 300)}`, {
+      status: res.status,
+      retryable: res.status === 429 || res.status >= 500,
+      retryAfterMs: parseRetryAfter(res.headers.get('retry-after'))
+    });
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new LlmHttpError(`Invalid JSON from ${url}: ${err.message}`, { status: res.status, retryable: true });
+  }
+}
+
+function openaiClient(name, config) {
+  return {
+    name,
+    model: config.model,
+    async complete(prompt, opts = {}) {
+      const messages = [];
+      if (opts.system) messages.push({ role: 'system', content: opts.system });
+      messages.push({ role: 'user', content: prompt });
+      const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+      const data = await postJson(`${config.baseUrl}/chat/completions`, headers, {
+        model: config.model,
+        messages,
+        temperature: 0,
+        max_tokens: config.maxTokens
+      }, config);
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new LlmHttpError('Response has no choices[0].message.content', { retryable: false });
+      }
+      return content;
+    }
+  };
+}
+
+function anthropicClient(config) {
+  return {
+    name: 'anthropic',
+    model: config.model,
+    async complete(prompt, opts = {}) {
+      const body = {
+        model: config.model,
+        max_tokens: config.maxTokens,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }]
+      };
+      if (opts.system) body.system = opts.system;
+      const headers = { 'anthropic-version': ANTHROPIC_VERSION };
+      if (config.apiKey) headers['x-api-key'] = config.apiKey;
+      const data = await postJson(`${config.baseUrl}/v1/messages`, headers, body, config);
+      const blocks = Array.isArray(data?.content) ? data.content.filter(b => b.type === 'text') : [];
+      if (blocks.length === 0) {
+        throw new LlmHttpError('Response has no text content blocks', { retryable: false });
+      }
+      return blocks.map(b => b.text).join('');
+    }
+  };
+}
+
+/**
+ * Create a provider by name.
+ * @param {string} name - openai | anthropic | mock
+ * @param {object} [options] - { baseUrl, apiKey, model, maxTokens, timeoutMs, fetchImpl }
+ * @returns {{ name, model, complete(prompt, opts) }}
+ */
+function createProvider(name, options = {}) {
+  const defaults = DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider "${name}" (expected: ${Object.keys(DEFAULTS).join(', ')})`);
+  }
+
+  const envBase = name === 'mock' ? process.env.LLM_MOCK_URL : process.env.LLM_BASE_URL;
+  const config = {
+    baseUrl: (options.baseUrl || envBase || defaults.baseUrl).replace(/\/+$/, ''),
+    apiKey: options.apiKey || process.env.LLM_API_KEY || (defaults.keyEnv && process.env[defaults.keyEnv]) || null,
+    model: options.model || process.env.LLM_MODEL || (name === 'mock' ? 'mock' : null),
+    maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+    timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+    fetchImpl: options.fetchImpl
+  };
+
+  if (!config.model) {
+    throw new Error(`Provider "${name}" needs a model (--model or LLM_MODEL)`);
+  }
+  if (name !== 'mock' && !config.apiKey && !options.baseUrl && !process.env.LLM_BASE_URL) {
+    throw new Error(`Provider "${name}" needs an API key (LLM_API_KEY or ${defaults.keyEnv})`);
+  }
+
+  return name === 'anthropic' ? anthropicClient(config) : openaiClient(name, config);
+}
+
+/**
+ * Deterministic answer for a verification or computation prompt.
+ */
+function mockRespond(prompt) {
+  const text = String(prompt || '');
+
+  if (/computational fact-checker/i.test(text)) {
+    return JSON.stringify({
+      source_data_found: false,
+      computed_value: null,
+      matches: false,
+      explanation: 'Mock provider does not compute values',
+      confidence: 0
+    });
+  }
+
+  const claim = (text.match(/CLAIM: "([\s\S]*?)"\n/) || [])[1] || '';
+  const sourceMatch = text.match(/SOURCE (?:CONTENT|EXCERPTS[^\n]*):\n([\s\S]*?)\n\nInstructions:/);
+  const source = sourceMatch ? sourceMatch[1] : '';
+  const { numbers, entities } = extractKeyTerms(claim);
+  const sourceNumbers = extractNumbers(source);
+  const lower = source.toLowerCase();
+  const missing = [
+    ...numbers.filter(n => !sourceNumbers.has(n)),
+    ...entities.filter(e => !lower.includes(e.toLowerCase()))
+  ];
+  const hasTerms = numbers.length + entities.length > 0;
+  const supported = Boolean(source) && hasTerms && missing.length === 0;
+
+  let quote = null;
+  if (supported) {
+    const anchor = numbers[0] || entities[0];
+    quote = source.split(/(?<=[.!?])\s+|\n+/).find(s => s.toLowerCase().includes(anchor.toLowerCase())) || null;
+  }
+
+  return JSON.stringify({
+    supported,
+    confidence: supported ? 0.6 : 0.4,
+    supporting_quote: quote ? quote.trim() : null,
+    reason: supported
+      ? 'Mock: all key terms of the claim appear in the source'
+      : hasTerms ? `Mock: missing key terms: ${missing.join(', ')}` : 'Mock: claim has no key terms to match'
+  });
+}
+
+/**
+ * Start a deterministic mock LLM server on 127.0.0.1.
+ * Serves both /v1/chat/completions and /v1/messages.
+ * @param {object} [options] - { port, failFirst } (failFirst: answer the first n requests with 429)
+ * @returns {Promise<{ server, url, requests }>} - url is the OpenAI-style base (…/v1)
+ */
+function startMockServer(options = {}) {
+  let failuresLeft = options.failFirst || 0;
+  const state = { requests: 0 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      state.requests++;
+      if (req.method !== 'POST' || !['/v1/messages', '/v1/chat/completions'].includes(req.url)) {
+        res.writeHead(404).end();
+        return;
+      }
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+        res.end(JSON.stringify({ error: { message: 'mock rate limit' } }));
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        res.writeHead(400).end();
+        return;
+      }
+      const messages = Array.isArray(payload.messages) ? payload.messages : [];
+      const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+      const answer = mockRespond(prompt);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (req.url === '/v1/messages') {
+        res.end(JSON.stringify({ type: 'message', role: 'assistant', content: [{ type: 'text', text: answer }] }));
+      } else {
+        res.end(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: answer } }] }));
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/v1`;
+      resolve({ server, url, get requests() { return state.requests; } });
+    });
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args[0] !== 'mock-server') {
+    console.log('Usage: node scripts/llm-providers.js mock-server [--port 8787]');
+    process.exit(2);
+  }
+  const portIdx = args.indexOf('--port');
+  const port = portIdx >= 0 ? parseInt(args[portIdx + 1], 10) : 8787;
+  const { url } = await startMockServer({ port });
+  console.log(`Mock LLM server listening on ${url}`);
+  console.log(`Use: --provider mock --base-url ${url}  (or LLM_MOCK_URL=${url})`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  LlmHttpError,
+  createProvider,
+  startMockServer,
+  mockRespond,
+  PROVIDERS: Object.keys(DEFAULTS)
+};
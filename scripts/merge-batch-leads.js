@@ -2,11 +2,24 @@
 /**
  * merge-batch-leads.js - Merge leads from batch*_results.json files into leads.json
  *
- * Usage: node scripts/merge-batch-leads.js <case-path>
+ * Near-duplicates of any existing lead (including investigated and dead_end
+ * ones, and leads added earlier in the same run) are merged into that lead
+ * instead of getting a new ID; see lead-dedup.js. The proposal is recorded on
+ * that lead with `duplicate_of` and returned under `duplicates`. Added and
+ * merged leads are journaled to leads.events.jsonl (lead-journal.js). The
+ * merge holds leads.json.lock so it cannot interleave with leads-lock.js
+ * writes.
+ *
+ * Usage: node scripts/merge-batch-leads.js <case-path> [--no-dedup]
  */
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('./ids');
+const leadDedup = require('./lead-dedup');
+const leadJournal = require('./lead-journal');
+const { commitLeads } = require('./leads-lock');
+const { withLock, LockTimeoutError } = require('./file-lock');
 
 function readJsonFile(filePath, defaultValue = null) {
   if (!fs.existsSync(filePath)) {
@@ -23,24 +36,35 @@ function readJsonFile(filePath, defaultValue = null) {
 function main() {
   const args = process.argv.slice(2);
   if (args.length < 1) {
-    console.log('Usage: node scripts/merge-batch-leads.js <case-path>');
+    console.log('Usage: node scripts/merge-batch-leads.js <case-path> [--no-dedup]');
     process.exit(1);
   }
 
   const casePath = args[0];
+  const dedup = !args.includes('--no-dedup');
+
+  try {
+    return withLock(path.join(casePath, 'leads.json.lock'), () => mergeLeads(casePath, dedup));
+  } catch (e) {
+    if (!(e instanceof LockTimeoutError)) throw e;
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+function mergeLeads(casePath, dedup) {
   const leadsPath = path.join(casePath, 'leads.json');
 
   // Read existing leads
   const leads = readJsonFile(leadsPath, { max_depth: 3, leads: [], version: 1 });
+  const before = leadJournal.cloneLeads(leads);
   const existingLeadTexts = new Set(leads.leads.map(l => l.lead));
+  const threshold = leadDedup.resolveThreshold(leads);
 
   // Find highest existing lead number
-  let maxLeadNum = leads.leads.reduce((max, l) => {
-    const num = parseInt(l.id.replace('L', ''), 10);
-    return num > max ? num : max;
-  }, 0);
+  let maxLeadNum = ids.maxIdNumber(ids.PREFIX.lead, leads.leads.map(l => l.id));
 
-  console.log(`Existing leads: ${leads.leads.length} (max ID: L${String(maxLeadNum).padStart(3, '0')})`);
+  console.log(`Existing leads: ${leads.leads.length} (max ID: ${ids.formatId(ids.PREFIX.lead, maxLeadNum)})`);
 
   // Find all batch result files
   const batchFiles = [];
@@ -68,6 +92,8 @@ function main() {
 
   let totalAdded = 0;
   let totalSkipped = 0;
+  let totalMerged = 0;
+  const duplicates = [];
 
   // Process each batch file
   for (const batchFile of batchFiles) {
@@ -80,18 +106,29 @@ function main() {
     const batchLeads = batchData.leads_added;
     let added = 0;
     let skipped = 0;
+    let merged = 0;
 
     for (const lead of batchLeads) {
-      // Check for duplicate by lead text
+      // Exact text already present (e.g. the batch file was merged before)
       if (existingLeadTexts.has(lead.lead)) {
         skipped++;
         continue;
       }
 
+      const match = dedup ? leadDedup.findDuplicate(lead.lead, leads.leads, { threshold }) : null;
+      if (match) {
+        const record = leadDedup.mergeIntoExisting(match.lead, lead, match.similarity);
+        duplicates.push(record);
+        existingLeadTexts.add(lead.lead);
+        console.log(`    duplicate_of ${record.duplicate_of} (similarity ${match.similarity}): ${String(lead.lead).slice(0, 80)}`);
+        merged++;
+        continue;
+      }
+
       // Assign new sequential ID
       maxLeadNum++;
       const newLead = {
-        id: `L${String(maxLeadNum).padStart(3, '0')}`,
+        id: ids.formatId(ids.PREFIX.lead, maxLeadNum),
         lead: lead.lead,
         from: lead.from,
         priority: lead.priority || 'MEDIUM',
@@ -99,7 +136,8 @@ function main() {
         parent: lead.parent || null,
         status: lead.status || 'pending',
         result: lead.result || null,
-        sources: lead.sources || []
+        sources: lead.sources || [],
+        created_at: lead.created_at || new Date().toISOString()
       };
 
       leads.leads.push(newLead);
@@ -107,20 +145,26 @@ function main() {
       added++;
     }
 
-    console.log(`  ${path.basename(batchFile)}: +${added} leads (${skipped} duplicates)`);
+    console.log(`  ${path.basename(batchFile)}: +${added} leads (${skipped} duplicates, ${merged} merged as near-duplicates)`);
     totalAdded += added;
     totalSkipped += skipped;
+    totalMerged += merged;
   }
 
-  // Update version and save
-  leads.version = (leads.version || 0) + 1;
-  fs.writeFileSync(leadsPath, JSON.stringify(leads, null, 2));
+  // Nothing new: leave leads.json, its version and the journal alone
+  if (totalAdded + totalMerged > 0) {
+    commitLeads(casePath, before, leads, { op: 'merge-batch' });
+  }
 
-  console.log(`\nTotal: ${totalAdded} leads added, ${totalSkipped} duplicates skipped`);
+  console.log(`\nTotal: ${totalAdded} leads added, ${totalSkipped} duplicates skipped, ${totalMerged} near-duplicates merged`);
   console.log(`New lead count: ${leads.leads.length}`);
-  console.log(`New max ID: L${String(maxLeadNum).padStart(3, '0')}`);
+  console.log(`New max ID: ${ids.formatId(ids.PREFIX.lead, maxLeadNum)}`);
+
+  return { success: true, added: totalAdded, skipped: totalSkipped, merged: totalMerged, duplicates, total: leads.leads.length };
+}
 
-  return { success: true, added: totalAdded, skipped: totalSkipped, total: leads.leads.length };
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = { mergeLeads };
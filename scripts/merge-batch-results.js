@@ -7,11 +7,20 @@
  * - leads-batch-{id}.json new leads → leads.json
  * - sources-batch-{id}.json entries → sources.json
  *
+ * leads.json, sources.json and state.json are each updated under their .lock
+ * file (file-lock.js), shared with leads-lock.js and allocate-sources.js.
+ *
  * Usage: node scripts/merge-batch-results.js <case-path> <batch-id>
  */
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('./ids');
+const { acquireLock, releaseLock } = require('./file-lock');
+const leadResult = require('./lead-result');
+const leadJournal = require('./lead-journal');
+const { commitLeads } = require('./leads-lock');
+const { serializeFinding } = require('./frontmatter');
 
 /**
  * Read JSON file safely
@@ -27,13 +36,11 @@ function readJsonFile(filePath, defaultValue = {}) {
  * Get the next finding ID
  */
 function getNextFindingId(findingsDir) {
-  const files = fs.readdirSync(findingsDir)
-    .filter(f => f.match(/^F\d{3}\.md$/))
-    .sort();
+  const existing = fs.readdirSync(findingsDir)
+    .filter(ids.isFindingFile)
+    .map(f => f.replace('.md', ''));
 
-  if (files.length === 0) return 'F001';
-  const lastNum = parseInt(files[files.length - 1].slice(1, 4));
-  return `F${String(lastNum + 1).padStart(3, '0')}`;
+  return ids.nextId(ids.PREFIX.finding, existing);
 }
 
 /**
@@ -60,22 +67,21 @@ function mergeFindings(casePath, batchId, fragments) {
         const id = getNextFindingId(findingsDir);
         const title = fragment.lead_title || `Lead ${fragment.lead_id} Result`;
 
-        const content = `---
-id: ${id}
-status: draft
-created: ${now}
-updated: ${now}
-sources: ${JSON.stringify(fragment.sources || [])}
-supersedes: null
-superseded_by: null
-confidence: medium
-related_leads: ["${fragment.lead_id}"]
----
-
+        const content = serializeFinding({
+          id,
+          status: 'draft',
+          created: now,
+          updated: now,
+          sources: fragment.sources || [],
+          supersedes: null,
+          superseded_by: null,
+          confidence: 'medium',
+          related_leads: fragment.lead_id ? [fragment.lead_id] : []
+        }, `
 # Finding: ${title}
 
 ${fragment.content}
-`;
+`);
 
         fs.writeFileSync(path.join(findingsDir, `${id}.md`), content);
         manifest.assembly_order.push(id);
@@ -92,105 +98,146 @@ ${fragment.content}
  * Merge new leads into leads.json
  */
 function mergeNewLeads(casePath, newLeads, leadIdStart) {
-  const leadsPath = path.join(casePath, 'leads.json');
-  const leads = readJsonFile(leadsPath, { max_depth: 3, leads: [], version: 1 });
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
 
-  let nextId = leadIdStart;
-  const addedLeads = [];
+  try {
+    const leadsPath = path.join(casePath, 'leads.json');
+    const leads = readJsonFile(leadsPath, { max_depth: 3, leads: [], version: 1 });
+    const before = leadJournal.cloneLeads(leads);
 
-  newLeads.forEach(newLead => {
-    // Assign ID if not already assigned
-    if (!newLead.id) {
-      newLead.id = `L${String(nextId++).padStart(3, '0')}`;
-    }
+    let nextId = leadIdStart;
+    const addedLeads = [];
 
-    // Check if lead already exists (by content match)
-    const exists = leads.leads.some(l =>
-      l.lead === newLead.lead && l.parent === newLead.parent
-    );
+    newLeads.forEach(newLead => {
+      // Assign ID if not already assigned
+      if (!newLead.id) {
+        newLead.id = ids.formatId(ids.PREFIX.lead, nextId++);
+      }
 
-    if (!exists) {
-      leads.leads.push(newLead);
-      addedLeads.push(newLead.id);
-    }
-  });
+      // Check if lead already exists (by content match)
+      const exists = leads.leads.some(l =>
+        l.lead === newLead.lead && l.parent === newLead.parent
+      );
 
-  // Increment version
-  leads.version = (leads.version || 0) + 1;
+      if (!exists) {
+        leads.leads.push(newLead);
+        addedLeads.push(newLead.id);
+      }
+    });
 
-  fs.writeFileSync(leadsPath, JSON.stringify(leads, null, 2));
-  return { success: true, added: addedLeads, next_id: nextId };
+    commitLeads(casePath, before, leads, { op: 'merge-results' });
+    return { success: true, added: addedLeads, next_id: nextId };
+  } finally {
+    releaseLock(lockPath);
+  }
 }
 
 /**
  * Update lead status in leads.json
+ *
+ * Updates whose structured result fails validation (lead-result.js) are
+ * skipped and reported under `rejected`.
  */
 function updateLeadStatus(casePath, updates) {
-  const leadsPath = path.join(casePath, 'leads.json');
-  const leads = readJsonFile(leadsPath, { max_depth: 3, leads: [], version: 1 });
-
-  updates.forEach(update => {
-    const lead = leads.leads.find(l => l.id === update.id);
-    if (lead) {
-      lead.status = update.status;
-      lead.result = update.result;
-      lead.sources = update.sources || [];
-      // Clear claim info
-      delete lead.claimed_by;
-      delete lead.claimed_at;
-    }
-  });
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
 
-  // Increment version
-  leads.version = (leads.version || 0) + 1;
+  try {
+    const leadsPath = path.join(casePath, 'leads.json');
+    const leads = readJsonFile(leadsPath, { max_depth: 3, leads: [], version: 1 });
+    const before = leadJournal.cloneLeads(leads);
+
+    const rejected = [];
+    updates.forEach(update => {
+      const validation = leadResult.validateResult(update.result);
+      if (!validation.ok) {
+        rejected.push({ id: update.id, errors: validation.errors });
+        return;
+      }
+      const lead = leads.leads.find(l => l.id === update.id);
+      if (lead) {
+        lead.status = update.status;
+        lead.result = update.result;
+        lead.sources = [...new Set([...(update.sources || []), ...leadResult.resultSources(update.result)])];
+        // Clear claim info
+        delete lead.claimed_by;
+        delete lead.claimed_at;
+      }
+    });
 
-  fs.writeFileSync(leadsPath, JSON.stringify(leads, null, 2));
-  return { success: true, updated: updates.length };
+    commitLeads(casePath, before, leads, { op: 'update' });
+    return { success: rejected.length === 0, updated: updates.length - rejected.length, rejected };
+  } finally {
+    releaseLock(lockPath);
+  }
 }
 
 /**
  * Merge new sources into sources.json
  */
 function mergeSources(casePath, newSources) {
-  const sourcesPath = path.join(casePath, 'sources.json');
-  const sources = readJsonFile(sourcesPath, { sources: [] });
+  const lockPath = path.join(casePath, 'sources.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
 
-  const addedSources = [];
+  try {
+    const sourcesPath = path.join(casePath, 'sources.json');
+    const sources = readJsonFile(sourcesPath, { sources: [] });
 
-  newSources.forEach(source => {
-    // Check if source already exists
-    const exists = sources.sources.some(s => s.id === source.id);
-    if (!exists) {
-      sources.sources.push(source);
-      addedSources.push(source.id);
-    }
-  });
+    const addedSources = [];
 
-  fs.writeFileSync(sourcesPath, JSON.stringify(sources, null, 2));
-  return { success: true, added: addedSources };
+    newSources.forEach(source => {
+      // Check if source already exists
+      const exists = sources.sources.some(s => s.id === source.id);
+      if (!exists) {
+        sources.sources.push(source);
+        addedSources.push(source.id);
+      }
+    });
+
+    fs.writeFileSync(sourcesPath, JSON.stringify(sources, null, 2));
+    return { success: true, added: addedSources };
+  } finally {
+    releaseLock(lockPath);
+  }
 }
 
 /**
  * Update state.json with batch results
  */
 function updateState(casePath, batchId, results) {
-  const statePath = path.join(casePath, 'state.json');
-  const state = readJsonFile(statePath);
-
-  // Update next_source if needed
-  if (results.highest_source_used && results.highest_source_used >= state.next_source) {
-    state.next_source = results.highest_source_used + 1;
+  const lockPath = path.join(casePath, 'state.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
   }
 
-  // Clear source allocation for this batch
-  if (state.source_allocations && state.source_allocations[batchId]) {
-    state.source_allocations[batchId].status = 'committed';
-    state.source_allocations[batchId].committed_at = new Date().toISOString();
-    delete state.source_allocations[batchId];
-  }
+  try {
+    const statePath = path.join(casePath, 'state.json');
+    const state = readJsonFile(statePath);
+
+    // Update next_source if needed
+    if (results.highest_source_used && results.highest_source_used >= state.next_source) {
+      state.next_source = results.highest_source_used + 1;
+    }
 
-  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
-  return { success: true };
+    // Clear source allocation for this batch
+    if (state.source_allocations && state.source_allocations[batchId]) {
+      state.source_allocations[batchId].status = 'committed';
+      state.source_allocations[batchId].committed_at = new Date().toISOString();
+      delete state.source_allocations[batchId];
+    }
+
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    return { success: true };
+  } finally {
+    releaseLock(lockPath);
+  }
 }
 
 /**
@@ -317,6 +364,9 @@ Results JSON format:
   "highest_source_used": 5,
   "lead_id_start": 10
 }
+
+A lead update's "result" may be free text or a structured result
+(conclusion, claims, confidence, ...; see lead-result.js).
 `);
     process.exit(1);
   }
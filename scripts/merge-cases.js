@@ -15,6 +15,8 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const ids = require('./ids');
+const { parseFrontmatter, updateFrontmatter } = require('./frontmatter');
 
 const CASES_DIR = path.join(__dirname, '..', 'cases');
 
@@ -204,7 +206,8 @@ async function mergeCases(sourceCases, topic) {
   // Initialize mapping
   const mapping = {
     sources: {},
-    leads: {}
+    leads: {},
+    findings: {}
   };
 
   // Merge sources
@@ -219,7 +222,7 @@ async function mergeCases(sourceCases, topic) {
 
     for (const source of sources) {
       const oldId = source.id || source.source_id;
-      const newId = `S${String(nextSourceId).padStart(3, '0')}`;
+      const newId = ids.formatId(ids.PREFIX.source, nextSourceId);
       mapping.sources[slug][oldId] = newId;
 
       // Copy evidence folder
@@ -272,7 +275,7 @@ async function mergeCases(sourceCases, topic) {
     // First pass: create ID mapping
     for (const lead of leads) {
       const oldId = lead.id;
-      const newId = `L${String(nextLeadId).padStart(3, '0')}`;
+      const newId = ids.formatId(ids.PREFIX.lead, nextLeadId);
       mapping.leads[slug][oldId] = newId;
       nextLeadId++;
     }
@@ -319,23 +322,16 @@ async function mergeCases(sourceCases, topic) {
 
   // Helper to update citations in text
   function updateCitations(text, slug) {
-    // Update [S###] references
-    text = text.replace(/\[S(\d{3})\]/g, (match, num) => {
-      const oldId = `S${num}`;
+    // Update [S###] and [S###](url) references in a single pass so a
+    // remapped ID is never remapped a second time.
+    text = text.replace(ids.citationRegex('g'), (match, oldId, url) => {
       const newId = mapping.sources[slug]?.[oldId];
-      return newId ? `[${newId}]` : match;
-    });
-
-    // Update [S###](url) references
-    text = text.replace(/\[S(\d{3})\]\(([^)]+)\)/g, (match, num, url) => {
-      const oldId = `S${num}`;
-      const newId = mapping.sources[slug]?.[oldId];
-      return newId ? `[${newId}](${url})` : match;
+      if (!newId) return match;
+      return url ? `[${newId}](${url})` : `[${newId}]`;
     });
 
     // Update L### references
-    text = text.replace(/\bL(\d{3})\b/g, (match, num) => {
-      const oldId = `L${num}`;
+    text = text.replace(ids.idTokenRegex(ids.PREFIX.lead, 'g'), (match, oldId) => {
       const newId = mapping.leads[slug]?.[oldId];
       return newId || match;
     });
@@ -354,28 +350,44 @@ async function mergeCases(sourceCases, topic) {
   let newFindingNum = 1;
   const manifest = { version: 1, assembly_order: [], sections: {} };
 
-  for (const { slug, path: casePath, state } of casePaths) {
+  // First pass: number findings across all cases so supersedes links can be remapped
+  const findingFilesBySlug = {};
+  for (const { slug, path: casePath } of casePaths) {
+    const findingsDir = path.join(casePath, 'findings');
+    mapping.findings[slug] = {};
+    findingFilesBySlug[slug] = fs.existsSync(findingsDir)
+      ? fs.readdirSync(findingsDir).filter(ids.isFindingFile).sort(ids.compareIds)
+      : [];
+    for (const file of findingFilesBySlug[slug]) {
+      mapping.findings[slug][ids.findingIdFromFilename(file)] = ids.formatId(ids.PREFIX.finding, newFindingNum++);
+    }
+  }
+
+  for (const { slug, path: casePath } of casePaths) {
     const findingsDir = path.join(casePath, 'findings');
-    if (fs.existsSync(findingsDir)) {
-      const findingFiles = fs.readdirSync(findingsDir)
-        .filter(f => f.match(/^F\d{3}\.md$/))
-        .sort();
-
-      for (const file of findingFiles) {
-        const oldContent = readFile(path.join(findingsDir, file));
-        if (oldContent) {
-          const newId = `F${String(newFindingNum++).padStart(3, '0')}`;
-          // Update citations in content
-          const updatedContent = updateCitations(oldContent, slug)
-            // Update the id in frontmatter
-            .replace(/^id: F\d{3}/m, `id: ${newId}`)
-            // Add origin note
-            .replace(/^(---\n)/, `$1# Origin: ${slug}\n`);
-
-          fs.writeFileSync(path.join(newFindingsDir, `${newId}.md`), updatedContent);
-          manifest.assembly_order.push(newId);
+    for (const file of findingFilesBySlug[slug]) {
+      const oldContent = readFile(path.join(findingsDir, file));
+      if (!oldContent) continue;
+
+      const newId = mapping.findings[slug][ids.findingIdFromFilename(file)];
+      const { metadata } = parseFrontmatter(oldContent);
+      const remap = (table, list) => (Array.isArray(list) ? list.map(id => table[id] || id) : list);
+      const changes = { id: newId };
+      if (metadata) {
+        if ('sources' in metadata) changes.sources = remap(mapping.sources[slug], metadata.sources);
+        if ('related_leads' in metadata) changes.related_leads = remap(mapping.leads[slug], metadata.related_leads);
+        for (const key of ['supersedes', 'superseded_by']) {
+          if (metadata[key]) changes[key] = mapping.findings[slug][metadata[key]] || metadata[key];
         }
       }
+
+      // Update citations in content, then the frontmatter fields
+      const updatedContent = updateFrontmatter(updateCitations(oldContent, slug), changes)
+        // Add origin note
+        .replace(/^(---\n)/, `$1# Origin: ${slug}\n`);
+
+      fs.writeFileSync(path.join(newFindingsDir, `${newId}.md`), updatedContent);
+      manifest.assembly_order.push(newId);
     }
   }
 
@@ -9,11 +9,19 @@
  * - Updates state.json next_source to highest used + 1
  * - Cleans up temp files
  *
+ * leads.json, sources.json and state.json are each updated under their .lock
+ * file (file-lock.js), shared with leads-lock.js and allocate-sources.js.
+ *
  * Usage: node scripts/merge-question-batches.js <case-path>
  */
 
 const fs = require('fs');
 const path = require('path');
+const ids = require('./ids');
+const { acquireLock, releaseLock } = require('./file-lock');
+const leadJournal = require('./lead-journal');
+const { commitLeads } = require('./leads-lock');
+const { serializeFinding } = require('./frontmatter');
 
 // Batch configuration
 const BATCHES = [
@@ -54,12 +62,11 @@ function ensureTempDir(casePath) {
  * Get the next finding ID
  */
 function getNextFindingId(findingsDir) {
-  const files = fs.readdirSync(findingsDir)
-    .filter(f => f.match(/^F\d{3}\.md$/))
-    .sort();
+  const existing = fs.readdirSync(findingsDir)
+    .filter(ids.isFindingFile)
+    .map(f => f.replace('.md', ''));
 
-  if (files.length === 0) return 1;
-  return parseInt(files[files.length - 1].slice(1, 4)) + 1;
+  return ids.maxIdNumber(ids.PREFIX.finding, existing) + 1;
 }
 
 /**
@@ -96,23 +103,22 @@ function mergeFindingsBatches(casePath) {
       const batchContent = fs.readFileSync(fileToUse, 'utf-8').trim();
       if (batchContent) {
         // Create a finding for this batch
-        const id = `F${String(nextId++).padStart(3, '0')}`;
-        const content = `---
-id: ${id}
-status: draft
-created: ${now}
-updated: ${now}
-sources: []
-supersedes: null
-superseded_by: null
-confidence: medium
-related_leads: []
----
-
+        const id = ids.formatId(ids.PREFIX.finding, nextId++);
+        const content = serializeFinding({
+          id,
+          status: 'draft',
+          created: now,
+          updated: now,
+          sources: [],
+          supersedes: null,
+          superseded_by: null,
+          confidence: 'medium',
+          related_leads: []
+        }, `
 # Finding: Batch ${batchNum} Discoveries
 
 ${batchContent}
-`;
+`);
         fs.writeFileSync(path.join(findingsDir, `${id}.md`), content);
         manifest.assembly_order.push(id);
         mergedBatches.push(batchNum);
@@ -128,134 +134,151 @@ ${batchContent}
  * Merge leads from batch files into leads.json
  */
 function mergeLeadsBatches(casePath) {
-  const leadsPath = path.join(casePath, 'leads.json');
-  const tempDir = path.join(casePath, 'temp');
-
-  // Read existing leads
-  const leads = readJsonFile(leadsPath, { max_depth: 3, leads: [], version: 1 });
-
-  // Find highest existing lead ID
-  let maxLeadNum = leads.leads.reduce((max, l) => {
-    const num = parseInt(l.id.replace('L', ''), 10);
-    return num > max ? num : max;
-  }, 0);
-
-  const mergedBatches = [];
-  let totalNewLeads = 0;
+  const lockPath = path.join(casePath, 'leads.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
 
-  // Process batches in order (1-5)
-  for (let batchNum = 1; batchNum <= 5; batchNum++) {
-    const batchFile = path.join(tempDir, `leads-batch-${batchNum}.json`);
-    if (fs.existsSync(batchFile)) {
-      const batchData = readJsonFile(batchFile, { leads: [] });
-      const batchLeads = batchData.leads || [];
-
-      // Assign new IDs to batch leads and add to main leads
-      batchLeads.forEach(lead => {
-        // Check if this lead already exists (by content match)
-        const exists = leads.leads.some(l =>
-          l.lead === lead.lead && l.from === lead.from
-        );
-
-        if (!exists) {
-          maxLeadNum++;
-          lead.id = `L${String(maxLeadNum).padStart(3, '0')}`;
-          leads.leads.push(lead);
-          totalNewLeads++;
-        }
-      });
+  try {
+    const leadsPath = path.join(casePath, 'leads.json');
+    const tempDir = path.join(casePath, 'temp');
+
+    // Read existing leads
+    const leads = readJsonFile(leadsPath, { max_depth: 3, leads: [], version: 1 });
+    const before = leadJournal.cloneLeads(leads);
+
+    // Find highest existing lead ID
+    let maxLeadNum = ids.maxIdNumber(ids.PREFIX.lead, leads.leads.map(l => l.id));
+
+    const mergedBatches = [];
+    let totalNewLeads = 0;
+
+    // Process batches in order (1-5)
+    for (let batchNum = 1; batchNum <= 5; batchNum++) {
+      const batchFile = path.join(tempDir, `leads-batch-${batchNum}.json`);
+      if (fs.existsSync(batchFile)) {
+        const batchData = readJsonFile(batchFile, { leads: [] });
+        const batchLeads = batchData.leads || [];
+
+        // Assign new IDs to batch leads and add to main leads
+        batchLeads.forEach(lead => {
+          // Check if this lead already exists (by content match)
+          const exists = leads.leads.some(l =>
+            l.lead === lead.lead && l.from === lead.from
+          );
+
+          if (!exists) {
+            maxLeadNum++;
+            lead.id = ids.formatId(ids.PREFIX.lead, maxLeadNum);
+            leads.leads.push(lead);
+            totalNewLeads++;
+          }
+        });
 
-      mergedBatches.push(batchNum);
+        mergedBatches.push(batchNum);
+      }
     }
-  }
-
-  // Update version
-  leads.version = (leads.version || 0) + 1;
 
-  fs.writeFileSync(leadsPath, JSON.stringify(leads, null, 2));
-  return { merged: mergedBatches, new_leads: totalNewLeads, max_id: maxLeadNum };
+    commitLeads(casePath, before, leads, { op: 'merge-questions' });
+    return { merged: mergedBatches, new_leads: totalNewLeads, max_id: maxLeadNum };
+  } finally {
+    releaseLock(lockPath);
+  }
 }
 
 /**
  * Merge sources from batch files into sources.json
  */
 function mergeSourcesBatches(casePath) {
-  const sourcesPath = path.join(casePath, 'sources.json');
-  const tempDir = path.join(casePath, 'temp');
-
-  // Read existing sources
-  const sources = readJsonFile(sourcesPath, { sources: [] });
-
-  const mergedBatches = [];
-  let totalNewSources = 0;
-  let maxSourceNum = 0;
-
-  // Find highest existing source ID
-  sources.sources.forEach(s => {
-    const num = parseInt(s.id.replace('S', ''), 10);
-    if (num > maxSourceNum) maxSourceNum = num;
-  });
+  const lockPath = path.join(casePath, 'sources.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
+  }
 
-  // Process batches in order (1-5)
-  for (let batchNum = 1; batchNum <= 5; batchNum++) {
-    const batchFile = path.join(tempDir, `sources-batch-${batchNum}.json`);
-    if (fs.existsSync(batchFile)) {
-      const batchData = readJsonFile(batchFile, { sources: [] });
-      const batchSources = batchData.sources || [];
-
-      // Check for batch metadata with highest_used
-      if (batchData._batch_metadata && batchData._batch_metadata.highest_used) {
-        if (batchData._batch_metadata.highest_used > maxSourceNum) {
-          maxSourceNum = batchData._batch_metadata.highest_used;
+  try {
+    const sourcesPath = path.join(casePath, 'sources.json');
+    const tempDir = path.join(casePath, 'temp');
+
+    // Read existing sources
+    const sources = readJsonFile(sourcesPath, { sources: [] });
+
+    const mergedBatches = [];
+    let totalNewSources = 0;
+    // Find highest existing source ID
+    let maxSourceNum = ids.maxIdNumber(ids.PREFIX.source, sources.sources.map(s => s.id));
+
+    // Process batches in order (1-5)
+    for (let batchNum = 1; batchNum <= 5; batchNum++) {
+      const batchFile = path.join(tempDir, `sources-batch-${batchNum}.json`);
+      if (fs.existsSync(batchFile)) {
+        const batchData = readJsonFile(batchFile, { sources: [] });
+        const batchSources = batchData.sources || [];
+
+        // Check for batch metadata with highest_used
+        if (batchData._batch_metadata && batchData._batch_metadata.highest_used) {
+          if (batchData._batch_metadata.highest_used > maxSourceNum) {
+            maxSourceNum = batchData._batch_metadata.highest_used;
+          }
         }
-      }
 
-      // Add batch sources (they should already have unique IDs from allocation)
-      batchSources.forEach(source => {
-        const exists = sources.sources.some(s => s.id === source.id);
-        if (!exists) {
-          sources.sources.push(source);
-          totalNewSources++;
-          const num = parseInt(source.id.replace('S', ''), 10);
-          if (num > maxSourceNum) maxSourceNum = num;
-        }
-      });
+        // Add batch sources (they should already have unique IDs from allocation)
+        batchSources.forEach(source => {
+          const exists = sources.sources.some(s => s.id === source.id);
+          if (!exists) {
+            sources.sources.push(source);
+            totalNewSources++;
+            const num = ids.parseIdNumber(source.id);
+            if (num > maxSourceNum) maxSourceNum = num;
+          }
+        });
 
-      mergedBatches.push(batchNum);
+        mergedBatches.push(batchNum);
+      }
     }
-  }
 
-  fs.writeFileSync(sourcesPath, JSON.stringify(sources, null, 2));
-  return { merged: mergedBatches, new_sources: totalNewSources, max_id: maxSourceNum };
+    fs.writeFileSync(sourcesPath, JSON.stringify(sources, null, 2));
+    return { merged: mergedBatches, new_sources: totalNewSources, max_id: maxSourceNum };
+  } finally {
+    releaseLock(lockPath);
+  }
 }
 
 /**
  * Update state.json with merge results
  */
 function updateState(casePath, maxSourceId) {
-  const statePath = path.join(casePath, 'state.json');
-  const state = readJsonFile(statePath);
-
-  if (!state) {
-    return { success: false, error: 'state.json not found' };
+  const lockPath = path.join(casePath, 'state.json.lock');
+  if (!acquireLock(lockPath)) {
+    return { success: false, error: 'Could not acquire lock' };
   }
 
-  // Update next_source to highest used + 1
-  if (maxSourceId >= state.next_source) {
-    state.next_source = maxSourceId + 1;
-  }
+  try {
+    const statePath = path.join(casePath, 'state.json');
+    const state = readJsonFile(statePath);
 
-  // Clear any source allocations for question batches
-  if (state.source_allocations) {
-    Object.keys(state.source_allocations).forEach(key => {
-      if (key.startsWith('question_batch_')) {
-        delete state.source_allocations[key];
-      }
-    });
-  }
+    if (!state) {
+      return { success: false, error: 'state.json not found' };
+    }
+
+    // Update next_source to highest used + 1
+    if (maxSourceId >= state.next_source) {
+      state.next_source = maxSourceId + 1;
+    }
+
+    // Clear any source allocations for question batches
+    if (state.source_allocations) {
+      Object.keys(state.source_allocations).forEach(key => {
+        if (key.startsWith('question_batch_')) {
+          delete state.source_allocations[key];
+        }
+      });
+    }
 
-  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
-  return { success: true, next_source: state.next_source };
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    return { success: true, next_source: state.next_source };
+  } finally {
+    releaseLock(lockPath);
+  }
 }
 
 /**
@@ -30,10 +30,14 @@
  *   - content.md (markdown for reading)
  *   - raw.html (original HTML for verification)
  *   - links.json (extracted links)
- *   - metadata.json (with verification block and capture signature)
+ *   - metadata.json (with verification block, capture signature and, when the
+ *     page declares one, published_at/modified_at from JSON-LD or meta tags)
  *
  * Verification: The SHA256 of raw.html should match metadata.sha256 from osint_get.
  * This proves the content was actually fetched, not fabricated.
+ *
+ * Saves hold <case_dir>/evidence.lock (file-lock.js), so parallel captures
+ * cannot both pass the duplicate-URL check or interleave writes to one folder.
  */
 
 'use strict';
@@ -42,10 +46,13 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const logger = require('./logger').create('osint-save');
+const { withLockAsync, LockTimeoutError } = require('./file-lock');
 
 // Capture signature generation for evidence verification
 const CAPTURE_SALT = 'osint-capture-2026';
 const RECEIPT_KEY_ENV = 'EVIDENCE_RECEIPT_KEY';
+// Large raw_html writes can keep the evidence lock for a while
+const EVIDENCE_LOCK_TIMEOUT_MS = 30000;
 
 function getReceiptKey() {
   const key = process.env[RECEIPT_KEY_ENV];
@@ -135,6 +142,107 @@ function checkDuplicateUrl(caseDir, url) {
   }
 }
 
+// Meta tags carrying a publication / modification date, most specific first
+const PUBLISHED_META = [
+  'article:published_time', 'og:published_time', 'datepublished', 'citation_publication_date',
+  'citation_date', 'dc.date.issued', 'dcterms.issued', 'dc.date', 'dcterms.date', 'date',
+  'pubdate', 'publishdate', 'publish-date', 'parsely-pub-date', 'sailthru.date'
+];
+const MODIFIED_META = ['article:modified_time', 'og:updated_time', 'datemodified', 'dcterms.modified', 'last-modified'];
+
+/**
+ * Normalize a declared date to YYYY-MM-DD. Day precision is enough for
+ * temporal checks and avoids timezone noise around midnight.
+ */
+function normalizeDeclaredDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  const iso = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const compact = trimmed.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+  if (!/\b(?:19|20)\d{2}\b/.test(trimmed)) return null;
+  // Read zone-less dates as UTC so the day does not depend on the machine's zone
+  const zoned = /(?:\b(?:GMT|UTC|UT|Z|[ECMP][SD]T)|[+-]\d{2}:?\d{2})(?:\s*\([^)]*\))?$/i.test(trimmed);
+  const parsed = new Date(zoned ? trimmed : `${trimmed} UTC`);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().slice(0, 10);
+}
+
+function jsonLdDates(html) {
+  const dates = { published: null, modified: null };
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!dates.published) dates.published = normalizeDeclaredDate(node.datePublished || node.dateCreated);
+    if (!dates.modified) dates.modified = normalizeDeclaredDate(node.dateModified);
+    if (node['@graph']) visit(node['@graph']);
+    if (node.mainEntity) visit(node.mainEntity);
+  };
+  while ((m = re.exec(html)) !== null) {
+    try {
+      visit(JSON.parse(m[1].trim()));
+    } catch (e) {
+      logger.debug(`Skipping unparseable JSON-LD block: ${e.message}`);
+    }
+  }
+  return dates;
+}
+
+function metaDates(html) {
+  const found = {};
+  const tagRe = /<meta\b[^>]*>/gi;
+  let m;
+  while ((m = tagRe.exec(html)) !== null) {
+    const tag = m[0];
+    const name = (tag.match(/\b(?:property|name|itemprop|http-equiv)\s*=\s*["']([^"']+)["']/i) || [])[1];
+    const content = (tag.match(/\bcontent\s*=\s*["']([^"']*)["']/i) || [])[1];
+    if (!name || !content) continue;
+    const key = name.toLowerCase();
+    if (!(key in found)) found[key] = normalizeDeclaredDate(content);
+  }
+  const pick = (keys) => {
+    for (const key of keys) {
+      if (found[key]) return { date: found[key], source: `meta:${key}` };
+    }
+    return null;
+  };
+  const published = pick(PUBLISHED_META);
+  const modified = pick(MODIFIED_META);
+  if (!published) {
+    const time = html.match(/<time\b[^>]*\bpubdate\b[^>]*\bdatetime\s*=\s*["']([^"']+)["']|<time\b[^>]*\bdatetime\s*=\s*["']([^"']+)["'][^>]*\bpubdate\b/i);
+    const date = time ? normalizeDeclaredDate(time[1] || time[2]) : null;
+    if (date) return { published: { date, source: 'time[pubdate]' }, modified };
+  }
+  return { published, modified };
+}
+
+/**
+ * Publication date declared by a captured page. JSON-LD (datePublished /
+ * dateModified) wins over meta tags; meta tags win over <time pubdate>.
+ *
+ * @param {string} html - raw.html content
+ * @returns {{published_at: string|null, modified_at: string|null, published_at_source: string|null}}
+ */
+function extractPublicationDate(html) {
+  const none = { published_at: null, modified_at: null, published_at_source: null };
+  if (!html || typeof html !== 'string') return none;
+
+  const ld = jsonLdDates(html);
+  const meta = metaDates(html);
+  const published = ld.published ? { date: ld.published, source: 'json-ld' } : meta.published;
+  return {
+    published_at: published ? published.date : null,
+    modified_at: ld.modified || (meta.modified ? meta.modified.date : null),
+    published_at_source: published ? published.source : null
+  };
+}
+
 function hashBuffer(buffer) {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 }
@@ -189,7 +297,28 @@ async function readStdin() {
   });
 }
 
+/**
+ * Write one source's evidence folder under caseDir/evidence.lock.
+ * options.lockTimeoutMs overrides EVIDENCE_LOCK_TIMEOUT_MS.
+ */
 async function saveEvidence(sourceId, caseDir, osintData, options = {}) {
+  fs.mkdirSync(caseDir, { recursive: true });
+  try {
+    return await withLockAsync(
+      path.join(caseDir, 'evidence.lock'),
+      () => writeEvidence(sourceId, caseDir, osintData, options),
+      { timeoutMs: options.lockTimeoutMs ?? EVIDENCE_LOCK_TIMEOUT_MS }
+    );
+  } catch (e) {
+    if (!(e instanceof LockTimeoutError)) throw e;
+    logger.error(e.message);
+    return { success: false, sourceId, error: 'LOCK_TIMEOUT', message: e.message };
+  }
+}
+
+async function writeEvidence(sourceId, caseDir, osintData, options = {}) {
+  // options.evidenceDir overrides the target folder (used by recapture-sources.js
+  // to write versioned sub-captures next to the original evidence).
   const { warnDuplicates = true, blockDuplicates = false } = options;
   const op = logger.operation('saveEvidence', { sourceId, url: osintData.url?.substring(0, 50) });
   const startTime = Date.now();
@@ -216,7 +345,7 @@ async function saveEvidence(sourceId, caseDir, osintData, options = {}) {
     }
   }
 
-  const evidenceDir = path.join(caseDir, 'evidence', sourceId);
+  const evidenceDir = options.evidenceDir || path.join(caseDir, 'evidence', sourceId);
   fs.mkdirSync(evidenceDir, { recursive: true });
 
   const files = {};
@@ -300,6 +429,7 @@ async function saveEvidence(sourceId, caseDir, osintData, options = {}) {
     title: osintData.title || osintData.metadata?.title || '',
     description: osintData.description || osintData.metadata?.description || '',
     captured_at: capturedAt,
+    ...extractPublicationDate(osintData.raw_html),
     capture_duration_ms: Date.now() - startTime,
     capture_method: 'osint_get',
     files: files,
@@ -484,7 +614,7 @@ async function main() {
 }
 
 // Export for programmatic use
-module.exports = { saveEvidence, normalizeUrl, checkDuplicateUrl };
+module.exports = { saveEvidence, normalizeUrl, checkDuplicateUrl, extractPublicationDate };
 
 if (require.main === module) {
   main().catch(err => {
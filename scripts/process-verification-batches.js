@@ -5,65 +5,388 @@
  * Reads verification batch files and processes them with an LLM,
  * outputting response files for verify-article.js --merge-batches
  *
+ * Without --provider the script works as before: it prints stats, can export
+ * prompts for manual processing, and creates template response files.
+ *
+ * With --provider the batches run unattended through llm-providers.js:
+ * - prompts run --parallel at a time, optionally capped at --rate-limit
+ *   requests per minute
+ * - retryable failures (429, 5xx, network, timeouts) back off exponentially,
+ *   honouring Retry-After
+ * - every answer is written to the response file as soon as it arrives, so an
+ *   interrupted run resumes where it stopped; template entries
+ *   ("NOT YET PROCESSED") and "Prompt needs processing" placeholders are
+ *   treated as missing and re-run
+ * - prompts that still fail are left out of the response file (merge reports
+ *   them as NO_RESPONSE) and listed in verification-progress.json
+ *
  * Usage:
  *   node scripts/process-verification-batches.js <case-dir> [options]
+ *   node scripts/process-verification-batches.js <case-dir> --compute <prompts.json> --provider <name> [--out <file>]
  *
  * Options:
- *   --batch <n>     Process only batch n (default: all)
- *   --dry-run       Show prompts without processing
- *   --parallel <n>  Process n prompts in parallel (default: 5)
+ *   --batch <n>         Process only batch n (default: all)
+ *   --dry-run           Show prompts without processing
+ *   --output-prompts    Export prompts for manual processing
+ *   --provider <name>   openai | anthropic | mock (default: LLM_PROVIDER; manual mode if unset)
+ *   --model <name>      Model name (default: LLM_MODEL)
+ *   --base-url <url>    Endpoint base URL (default: provider default / LLM_BASE_URL)
+ *   --parallel <n>      Process n prompts in parallel (default: 5)
+ *   --retries <n>       Retries per prompt on retryable errors (default: 3)
+ *   --rate-limit <n>    Max requests per minute (default: unlimited)
+ *   --timeout <ms>      Per-request timeout (default: 120000)
+ *   --compute <file>    Run compute-verify.js --generate-prompts output instead of batches
+ *   --out <file>        Response file for --compute (default: <case-dir>/compute-responses.json)
  *
- * Note: This script outputs prompts for manual LLM processing.
- * For automated processing, use the MCP tools directly.
+ * Exit codes:
+ *   0 - Done (all prompts answered, or manual mode)
+ *   1 - Some prompts still failed after retries, or no batch files
+ *   2 - Usage error
  */
 
+'use strict';
+
 const fs = require('fs');
 const path = require('path');
+const { createProvider, PROVIDERS } = require('./llm-providers');
+const logger = require('./logger').create('verify-batches');
 
-function main() {
-  const args = process.argv.slice(2);
+const DEFAULT_PARALLEL = 5;
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+const PLACEHOLDER_MARKERS = ['NOT YET PROCESSED', 'Prompt needs processing'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Find verification-batch-N.json files, ordered by N.
+ */
+function findBatchFiles(caseDir, batchNum = null) {
+  if (!fs.existsSync(caseDir)) return [];
+  return fs.readdirSync(caseDir)
+    .map(f => ({ f, m: f.match(/^verification-batch-(\d+)\.json$/) }))
+    .filter(({ m }) => m && (batchNum === null || parseInt(m[1], 10) === batchNum))
+    .map(({ f, m }) => ({ num: parseInt(m[1], 10), path: path.join(caseDir, f) }))
+    .sort((a, b) => a.num - b.num);
+}
+
+/**
+ * Response file for a batch. Uses whichever name mergeBatchResponses would
+ * read first, so resumed runs append to the file that will be merged.
+ */
+function responseFilePath(caseDir, num) {
+  const legacy = path.join(caseDir, `verification-responses-batch${num}.json`);
+  return fs.existsSync(legacy) ? legacy : path.join(caseDir, `verification-responses-batch-${num}.json`);
+}
+
+function isPlaceholderResponse(response) {
+  if (response === undefined || response === null) return true;
+  const text = typeof response === 'string' ? response : JSON.stringify(response);
+  return text.trim() === '' || PLACEHOLDER_MARKERS.some(m => text.includes(m));
+}
+
+/**
+ * Load answered responses from a response file as Map(index -> response).
+ * Placeholders are dropped so they get re-run.
+ */
+function loadResponses(filePath) {
+  const answered = new Map();
+  if (!fs.existsSync(filePath)) return answered;
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const entries = Array.isArray(content) ? content : (content.responses || []);
+  for (const r of entries) {
+    if (!isPlaceholderResponse(r.response)) answered.set(r.index, r.response);
+  }
+  return answered;
+}
+
+function writeResponses(filePath, answered) {
+  const entries = [...answered.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, response]) => ({
+      index,
+      response: typeof response === 'string' ? response : JSON.stringify(response)
+    }));
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Spaces request starts at least 60000 / perMinute ms apart.
+ */
+function createRateLimiter(perMinute) {
+  if (!perMinute || perMinute <= 0) return async () => {};
+  const interval = 60000 / perMinute;
+  let next = 0;
+  return async () => {
+    const now = Date.now();
+    const slot = Math.max(now, next);
+    next = slot + interval;
+    if (slot > now) await sleep(slot - now);
+  };
+}
+
+async function completeWithRetry(provider, prompt, options) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const baseMs = options.retryBaseMs ?? RETRY_BASE_MS;
+  for (let attempt = 0; ; attempt++) {
+    await options.acquire();
+    try {
+      return await provider.complete(prompt);
+    } catch (err) {
+      if (!err.retryable || attempt >= retries) throw err;
+      const delay = err.retryAfterMs ?? baseMs * 2 ** attempt;
+      logger.warn(`Retry ${attempt + 1}/${retries} after ${delay}ms: ${err.message}`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Run prompts through a provider with bounded concurrency.
+ * @param {Array<{index, prompt}>} prompts
+ * @param {object} provider - from llm-providers.createProvider
+ * @param {object} [options] - { parallel, retries, rateLimit, retryBaseMs, onResult(index, response) }
+ * @returns {Promise<{ completed: number[], failed: Array<{index, error}> }>}
+ */
+async function runPrompts(prompts, provider, options = {}) {
+  const parallel = Math.max(1, options.parallel || DEFAULT_PARALLEL);
+  const runOptions = { ...options, acquire: createRateLimiter(options.rateLimit) };
+  const queue = [...prompts];
+  const completed = [];
+  const failed = [];
+
+  async function worker() {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      try {
+        const response = await completeWithRetry(provider, item.prompt, runOptions);
+        completed.push(item.index);
+        if (options.onResult) options.onResult(item.index, response);
+      } catch (err) {
+        failed.push({ index: item.index, error: err.message });
+        logger.error(`Prompt ${item.index} failed: ${err.message}`);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(parallel, prompts.length) }, worker));
+  return { completed: completed.sort((a, b) => a - b), failed: failed.sort((a, b) => a.index - b.index) };
+}
+
+/**
+ * Run one prompt set into a response file, skipping prompts already answered.
+ */
+async function runPromptFile(prompts, responsePath, provider, options = {}) {
+  const answered = loadResponses(responsePath);
+  const pending = prompts.filter(p => !answered.has(p.index));
+
+  const run = await runPrompts(pending, provider, {
+    ...options,
+    onResult: (index, response) => {
+      answered.set(index, response);
+      writeResponses(responsePath, answered);
+    }
+  });
+
+  return {
+    file: path.basename(responsePath),
+    total: prompts.length,
+    skipped: prompts.length - pending.length,
+    completed: run.completed.length,
+    failed: run.failed
+  };
+}
+
+/**
+ * Run all (or one) verification batches of a case through a provider.
+ * @param {string} caseDir
+ * @param {object} provider
+ * @param {object} [options] - { batch, parallel, retries, rateLimit, retryBaseMs }
+ */
+async function processBatches(caseDir, provider, options = {}) {
+  const batchFiles = findBatchFiles(caseDir, options.batch ?? null);
+  const op = logger.operation('processBatches', { caseDir, provider: provider.name, batches: batchFiles.length });
+  const progressPath = path.join(caseDir, 'verification-progress.json');
+  const progress = fs.existsSync(progressPath)
+    ? JSON.parse(fs.readFileSync(progressPath, 'utf-8'))
+    : { batches: {} };
+
+  const results = [];
+  for (const batch of batchFiles) {
+    const data = JSON.parse(fs.readFileSync(batch.path, 'utf-8'));
+    const result = await runPromptFile(data.prompts, responseFilePath(caseDir, batch.num), provider, options);
+    results.push({ batch: batch.num, ...result });
+
+    progress.provider = provider.name;
+    progress.model = provider.model;
+    progress.updated_at = new Date().toISOString();
+    progress.batches[batch.num] = {
+      file: result.file,
+      total: result.total,
+      answered: result.total - result.failed.length,
+      failed: result.failed
+    };
+    fs.writeFileSync(progressPath, JSON.stringify(progress, null, 2));
+  }
+
+  const totalBatches = batchFiles.length ? Math.max(...findBatchFiles(caseDir).map(b => b.num)) : 0;
+  const failed = results.reduce((n, r) => n + r.failed.length, 0);
+  op.success({ batches: results.length, failed });
+  return { batches: results, totalBatches, failed };
+}
+
+function parseArgs(args) {
+  const options = {
+    caseDir: args[0],
+    batch: null,
+    dryRun: false,
+    outputPrompts: false,
+    provider: process.env.LLM_PROVIDER || null,
+    model: null,
+    baseUrl: null,
+    parallel: DEFAULT_PARALLEL,
+    retries: DEFAULT_RETRIES,
+    rateLimit: null,
+    timeoutMs: null,
+    compute: null,
+    out: null
+  };
 
-  if (args.length < 1) {
-    console.log(`
+  for (let i = 1; i < args.length; i++) {
+    const next = args[i + 1];
+    if (args[i] === '--batch' && next) options.batch = parseInt(args[++i], 10);
+    else if (args[i] === '--dry-run') options.dryRun = true;
+    else if (args[i] === '--output-prompts') options.outputPrompts = true;
+    else if (args[i] === '--provider' && next) options.provider = args[++i];
+    else if (args[i] === '--model' && next) options.model = args[++i];
+    else if (args[i] === '--base-url' && next) options.baseUrl = args[++i];
+    else if (args[i] === '--parallel' && next) options.parallel = parseInt(args[++i], 10);
+    else if (args[i] === '--retries' && next) options.retries = parseInt(args[++i], 10);
+    else if (args[i] === '--rate-limit' && next) options.rateLimit = parseFloat(args[++i]);
+    else if (args[i] === '--timeout' && next) options.timeoutMs = parseInt(args[++i], 10);
+    else if (args[i] === '--compute' && next) options.compute = args[++i];
+    else if (args[i] === '--out' && next) options.out = args[++i];
+  }
+  return options;
+}
+
+function printUsage() {
+  console.log(`
 Usage: node scripts/process-verification-batches.js <case-dir> [options]
 
 Options:
-  --batch <n>     Process only batch n (default: all)
-  --dry-run       Show stats without processing
-  --output-prompts  Output all prompts for manual processing
+  --batch <n>         Process only batch n (default: all)
+  --dry-run           Show stats without processing
+  --output-prompts    Output all prompts for manual processing
+  --provider <name>   ${PROVIDERS.join(' | ')} (runs batches unattended)
+  --model <name>      Model name (default: LLM_MODEL)
+  --base-url <url>    Endpoint base URL
+  --parallel <n>      Concurrent requests (default: ${DEFAULT_PARALLEL})
+  --retries <n>       Retries on 429/5xx/network errors (default: ${DEFAULT_RETRIES})
+  --rate-limit <n>    Max requests per minute
+  --timeout <ms>      Per-request timeout
+  --compute <file>    Run compute-verify.js --generate-prompts output
+  --out <file>        Response file for --compute
 
-Example:
+Examples:
   node scripts/process-verification-batches.js cases/ice-in-minnesota/
+  node scripts/process-verification-batches.js cases/ice-in-minnesota/ --provider openai --model <model> --parallel 8
 `);
-    process.exit(1);
+}
+
+function writeManualTemplates(caseDir, batchFiles) {
+  for (const batch of batchFiles) {
+    const data = JSON.parse(fs.readFileSync(batch.path, 'utf-8'));
+    const responsePath = path.join(caseDir, `verification-responses-batch-${batch.num}.json`);
+
+    if (!fs.existsSync(responsePath)) {
+      // Create template
+      const template = data.prompts.map(p => ({
+        index: p.index,
+        response: JSON.stringify({
+          supported: false,
+          confidence: 0,
+          supporting_quote: null,
+          reason: "NOT YET PROCESSED"
+        })
+      }));
+
+      fs.writeFileSync(responsePath, JSON.stringify(template, null, 2));
+      console.log(`  → Created template: ${responsePath}`);
+    }
   }
 
-  const caseDir = args[0];
-  let batchNum = null;
-  let dryRun = false;
-  let outputPrompts = false;
+  console.log(`
+To process verification:
 
-  for (let i = 1; i < args.length; i++) {
-    if (args[i] === '--batch' && args[i + 1]) {
-      batchNum = parseInt(args[++i], 10);
-    } else if (args[i] === '--dry-run') {
-      dryRun = true;
-    } else if (args[i] === '--output-prompts') {
-      outputPrompts = true;
+1. For each batch, use an LLM to process the prompts:
+   - Load verification-batch-{N}.json
+   - For each prompt, get LLM response in JSON format
+   - Save to verification-responses-batch-{N}.json
+   (or re-run this script with --provider to do this unattended)
+
+2. Response format for each prompt:
+   {
+     "index": <prompt index>,
+     "response": "<JSON string with supported, confidence, supporting_quote, reason>"
+   }
+
+3. After all batches processed, run:
+   node scripts/claims/verify-article.js ${caseDir} --merge-batches ${batchFiles.length}
+`);
+}
+
+function printRunSummary(results) {
+  for (const r of results) {
+    const label = r.batch !== undefined ? `Batch ${r.batch}` : r.file;
+    console.log(`  ${label}: ${r.completed} answered, ${r.skipped} already done, ${r.failed.length} failed → ${r.file}`);
+    for (const f of r.failed) console.log(`    prompt ${f.index}: ${f.error}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1 || args[0].startsWith('--')) {
+    printUsage();
+    process.exit(2);
+  }
+
+  const options = parseArgs(args);
+  const caseDir = options.caseDir;
+
+  let provider = null;
+  if (options.provider && !options.dryRun) {
+    try {
+      provider = createProvider(options.provider, {
+        model: options.model,
+        baseUrl: options.baseUrl,
+        timeoutMs: options.timeoutMs
+      });
+    } catch (err) {
+      console.error(err.message);
+      process.exit(2);
     }
   }
 
-  // Find batch files
-  const batchFiles = [];
-  for (let n = 1; n <= 10; n++) {
-    const batchPath = path.join(caseDir, `verification-batch-${n}.json`);
-    if (fs.existsSync(batchPath)) {
-      if (batchNum === null || batchNum === n) {
-        batchFiles.push({ num: n, path: batchPath });
-      }
+  // Mode: computational verification prompts
+  if (options.compute) {
+    if (!provider) {
+      console.error('--compute requires --provider');
+      process.exit(2);
     }
+    const data = JSON.parse(fs.readFileSync(options.compute, 'utf-8'));
+    const outPath = options.out || path.join(caseDir, 'compute-responses.json');
+    const result = await runPromptFile(data.prompts || [], outPath, provider, options);
+    printRunSummary([result]);
+    console.log(`\nThen run: node scripts/claims/compute-verify.js ${caseDir} --responses ${outPath}`);
+    process.exit(result.failed.length > 0 ? 1 : 0);
   }
 
+  const batchFiles = findBatchFiles(caseDir, options.batch);
+
   if (batchFiles.length === 0) {
     console.error('No batch files found. Run verify-article.js --generate-batches first.');
     process.exit(1);
@@ -76,7 +399,7 @@ Example:
     const data = JSON.parse(fs.readFileSync(batch.path, 'utf-8'));
     console.log(`  Batch ${batch.num}: ${data.prompts.length} prompts`);
 
-    if (outputPrompts) {
+    if (options.outputPrompts) {
       // Output prompts for manual processing
       const outputPath = path.join(caseDir, `verification-prompts-batch-${batch.num}.txt`);
       const lines = [];
@@ -104,50 +427,40 @@ Example:
     }
   }
 
-  if (dryRun) {
+  if (options.dryRun) {
     console.log('\nDry run complete. Use --output-prompts to export prompts.');
     return;
   }
 
-  // Create template response files
-  for (const batch of batchFiles) {
-    const data = JSON.parse(fs.readFileSync(batch.path, 'utf-8'));
-    const responsePath = path.join(caseDir, `verification-responses-batch-${batch.num}.json`);
-
-    if (!fs.existsSync(responsePath)) {
-      // Create template
-      const template = data.prompts.map(p => ({
-        index: p.index,
-        response: JSON.stringify({
-          supported: false,
-          confidence: 0,
-          supporting_quote: null,
-          reason: "NOT YET PROCESSED"
-        })
-      }));
-
-      fs.writeFileSync(responsePath, JSON.stringify(template, null, 2));
-      console.log(`  → Created template: ${responsePath}`);
-    }
+  if (!provider) {
+    writeManualTemplates(caseDir, batchFiles);
+    return;
   }
 
-  console.log(`
-To process verification:
-
-1. For each batch, use an LLM to process the prompts:
-   - Load verification-batch-{N}.json
-   - For each prompt, get LLM response in JSON format
-   - Save to verification-responses-batch-{N}.json
+  console.log(`\nRunning with provider ${provider.name} (${provider.model}), parallel ${options.parallel}`);
+  const run = await processBatches(caseDir, provider, options);
+  printRunSummary(run.batches);
 
-2. Response format for each prompt:
-   {
-     "index": <prompt index>,
-     "response": "<JSON string with supported, confidence, supporting_quote, reason>"
-   }
+  if (run.failed > 0) {
+    console.log(`\n${run.failed} prompt(s) failed. Re-run the same command to retry only those.`);
+    process.exit(1);
+  }
+  console.log(`\nThen run: node scripts/claims/verify-article.js ${caseDir} --merge-batches ${run.totalBatches}`);
+}
 
-3. After all batches processed, run:
-   node scripts/claims/verify-article.js ${caseDir} --merge-batches ${batchFiles.length}
-`);
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
 }
 
-main();
+module.exports = {
+  findBatchFiles,
+  responseFilePath,
+  isPlaceholderResponse,
+  loadResponses,
+  runPrompts,
+  runPromptFile,
+  processBatches
+};
@@ -0,0 +1,570 @@
+#!/usr/bin/env node
+/**
+ * recapture-sources.js - Detect evidence drift by re-capturing source URLs
+ *
+ * Takes a fresh snapshot of each source URL into a versioned sub-capture next
+ * to the original evidence, diffs it against the original, and records the
+ * result in sources.json:
+ *
+ *   evidence/S001/                      original capture (untouched)
+ *   evidence/S001/recaptures/v1/        fresh capture (osint-save.js format)
+ *     recapture.json                    status, HTTP status, diff stats
+ *     content.diff                      line diff of the compared text
+ *
+ * sources.json entry fields written:
+ *   drift_status      "unchanged" | "changed" | "removed"
+ *   drift_checked_at  ISO timestamp of the recapture
+ *   latest_recapture  "recaptures/vN" (relative to the evidence folder)
+ *
+ * Before diffing, both sides drop page chrome (nav, footer, aside, forms,
+ * ad/related/share blocks), boilerplate lines ("Advertisement", "Read more")
+ * and volatile tokens (clock times, timestamps, "5 minutes ago"), so a
+ * rotating sidebar does not count as drift. A source is `changed` only when
+ * at least DRIFT_THRESHOLD of the compared lines differ (--threshold), or when
+ * a passage a cached verdict relied on (supporting quote, compute raw_data) is
+ * gone. Smaller differences are still written to content.diff.
+ *
+ * Cached verification verdicts (verification-cache.json) are invalidated only
+ * where their cited passage is gone; a removed source invalidates all of its
+ * verdicts.
+ *
+ * A source is `removed` when the URL now answers 404/410. Network failures,
+ * other HTTP errors and a recapture that could not be saved (evidence.lock
+ * timeout) are recorded in recapture.json as `error` and leave sources.json
+ * and cached verdicts alone, so a flaky run never marks evidence as drifted.
+ *
+ * When both captures have raw.html the comparison uses text extracted from
+ * the HTML on both sides (a local fetch cannot reproduce osint_get's markdown);
+ * otherwise content.md is compared directly. Pass --from <osint.json> to
+ * recapture from a fresh osint_get response instead of fetching.
+ *
+ * Usage:
+ *   node scripts/recapture-sources.js <case_dir> --all [--block] [--json]
+ *   node scripts/recapture-sources.js <case_dir> S001 S014 [--timeout 30000]
+ *   node scripts/recapture-sources.js <case_dir> S001 --from osint-output.json
+ *   node scripts/recapture-sources.js <case_dir> --all --threshold 0.1
+ *
+ * Exit codes:
+ *   0 - Done (no drift, or drift without --block)
+ *   1 - --block and at least one source changed/removed
+ *   2 - Usage error
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger').create('recapture');
+const { saveEvidence } = require('./osint-save');
+const ids = require('./ids');
+const { withLock } = require('./file-lock');
+const { invalidateEntries, invalidateSources } = require('./claims/verification-cache');
+const { rawDataNotInSource } = require('./claims/compute-verify');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const REMOVED_HTTP_STATUSES = [404, 410];
+const RECAPTURES_DIR = 'recaptures';
+const MAX_DIFF_CELLS = 4000000;
+const DIFF_CONTEXT = 3;
+// Share of compared lines (added + removed over both sides) at which a
+// recapture counts as changed without any cited passage being affected
+const DRIFT_THRESHOLD = 0.05;
+
+// Page chrome that rotates independently of the article body
+const CHROME_ELEMENTS = /<(nav|footer|aside|form|iframe)\b[\s\S]*?<\/\1>/gi;
+const CHROME_BLOCKS = /<(div|section|ul)\b[^>]*\b(?:class|id)=["'][^"']*\b(?:ads?|advert\w*|sponsor\w*|promo\w*|related\w*|recommend\w*|newsletter|share|social|cookie\w*)\b[^"']*["'][^>]*>[\s\S]*?<\/\1>/gi;
+const BOILERPLATE_LINE = /^(?:advertisement|sponsored(?: content)?|related(?: articles| stories| content)?|more stories|read more|recommended(?: for you)?|share(?: this(?: article| story)?)?|skip to (?:main )?content|(?:subscribe|sign up)\b.*|.*\bcookies?\b.*)$/i;
+const VOLATILE_TOKENS = [
+  [/\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+  [/\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?m\.?)?(?:\s+[A-Z]{2,4}\b)?/gi, '<time>'],
+  [/\b\d+\s+(?:second|minute|hour|day|week)s?\s+ago\b/gi, '<ago>']
+];
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function sha256(buffer) {
+  return `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+/**
+ * Crude but deterministic HTML -> text: drops scripts/styles, turns block
+ * elements into line breaks, strips tags and decodes common entities.
+ */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|header|footer|li|ul|ol|tr|table|h[1-6]|blockquote|pre|main|nav|aside)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(parseInt(n, 10)))
+    .split('\n')
+    .map(l => l.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function extractTitle(html) {
+  const m = String(html || '').match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return m ? htmlToText(m[1]) : '';
+}
+
+/**
+ * Normalize text for passage matching: drop markdown link targets and
+ * formatting characters, collapse whitespace, lower-case.
+ */
+function normalizePassage(text) {
+  return String(text || '')
+    .replace(/\]\([^)]*\)/g, ']')
+    .replace(/[*_#>`[\]|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/** True if `passage` still appears (formatting-insensitively) in `text`. */
+function passageStillPresent(text, passage) {
+  const needle = normalizePassage(passage);
+  if (!needle) return true;
+  return normalizePassage(text).includes(needle);
+}
+
+/**
+ * Line diff as [{ op: ' ' | '-' | '+', line }]. Common prefix/suffix are
+ * trimmed first; the middle uses an LCS table, falling back to a
+ * delete-all/insert-all block when it would be too large to tabulate.
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = a.slice(0, start).map(line => ({ op: ' ', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    ops.push(...midA.map(line => ({ op: '-', line })), ...midB.map(line => ({ op: '+', line })));
+  } else {
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { ops.push({ op: ' ', line: midA[i] }); i++; j++; }
+      else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) { ops.push({ op: '-', line: midA[i] }); i++; }
+      else { ops.push({ op: '+', line: midB[j] }); j++; }
+    }
+    while (i < n) ops.push({ op: '-', line: midA[i++] });
+    while (j < m) ops.push({ op: '+', line: midB[j++] });
+  }
+
+  ops.push(...a.slice(endA).map(line => ({ op: ' ', line })));
+  return ops;
+}
+
+/** Render diff ops as a unified diff with DIFF_CONTEXT lines of context. */
+function formatUnifiedDiff(ops, fromLabel, toLabel) {
+  const changed = ops.map((o, i) => (o.op !== ' ' ? i : -1)).filter(i => i !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks.
+  const hunks = [];
+  for (const idx of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && idx - last.end <= DIFF_CONTEXT * 2) last.end = idx;
+    else hunks.push({ start: idx, end: idx });
+  }
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const h of hunks) {
+    const from = Math.max(0, h.start - DIFF_CONTEXT);
+    const to = Math.min(ops.length - 1, h.end + DIFF_CONTEXT);
+    let aLine = 1;
+    let bLine = 1;
+    for (let i = 0; i < from; i++) {
+      if (ops[i].op !== '+') aLine++;
+      if (ops[i].op !== '-') bLine++;
+    }
+    const slice = ops.slice(from, to + 1);
+    const aCount = slice.filter(o => o.op !== '+').length;
+    const bCount = slice.filter(o => o.op !== '-').length;
+    out.push(`@@ -${aLine},${aCount} +${bLine},${bCount} @@`);
+    for (const o of slice) out.push(`${o.op}${o.line}`);
+  }
+  return out.join('\n') + '\n';
+}
+
+function nextVersionDir(evidenceDir) {
+  const base = path.join(evidenceDir, RECAPTURES_DIR);
+  const versions = fs.existsSync(base)
+    ? fs.readdirSync(base).map(d => (d.match(/^v(\d+)$/) || [])[1]).filter(Boolean).map(Number)
+    : [];
+  const version = `v${(versions.length ? Math.max(...versions) : 0) + 1}`;
+  return { version, dir: path.join(base, version) };
+}
+
+/**
+ * Latest recapture for a source, or null if it was never recaptured.
+ * Returns { version, dir, status, text, record }.
+ */
+function loadLatestRecapture(caseDir, sourceId) {
+  const base = path.join(caseDir, 'evidence', sourceId, RECAPTURES_DIR);
+  if (!fs.existsSync(base)) return null;
+
+  const versions = fs.readdirSync(base)
+    .map(d => ({ d, n: parseInt((d.match(/^v(\d+)$/) || [])[1], 10) }))
+    .filter(v => Number.isFinite(v.n))
+    .sort((x, y) => y.n - x.n);
+
+  for (const { d } of versions) {
+    const dir = path.join(base, d);
+    const record = readJson(path.join(dir, 'recapture.json'), null);
+    if (!record || record.status === 'error') continue;
+    const contentPath = path.join(dir, 'content.md');
+    const text = fs.existsSync(contentPath) ? fs.readFileSync(contentPath, 'utf-8') : '';
+    return { version: d, dir, status: record.status, text, record };
+  }
+  return null;
+}
+
+/**
+ * Text lines worth diffing: boilerplate lines dropped, volatile tokens
+ * replaced by placeholders.
+ */
+function driftLines(text) {
+  return String(text || '').split('\n')
+    .map(line => VOLATILE_TOKENS.reduce((l, [re, placeholder]) => l.replace(re, placeholder), line.trim()))
+    .filter(line => line && !BOILERPLATE_LINE.test(line));
+}
+
+function comparisonText(dir) {
+  const rawPath = path.join(dir, 'raw.html');
+  const contentPath = path.join(dir, 'content.md');
+  const html = fs.existsSync(rawPath) ? fs.readFileSync(rawPath, 'utf-8') : null;
+  return {
+    html: html === null ? null : driftLines(htmlToText(html.replace(CHROME_ELEMENTS, '').replace(CHROME_BLOCKS, ''))),
+    content: fs.existsSync(contentPath) ? driftLines(fs.readFileSync(contentPath, 'utf-8')) : null
+  };
+}
+
+/**
+ * True if a cached verdict relied on text that `text` no longer contains:
+ * a semantic supporting_quote, or compute raw_data values. Unparseable
+ * responses count as affected.
+ */
+function verdictAffected(entry, text) {
+  let response;
+  try {
+    response = JSON.parse(entry.response);
+  } catch {
+    return true;
+  }
+  if (entry.kind === 'compute') return rawDataNotInSource(response.raw_data, text).length > 0;
+  return Boolean(response.supporting_quote) && !passageStillPresent(text, response.supporting_quote);
+}
+
+async function fetchSnapshot(url, options) {
+  const fetchImpl = options.fetchImpl || fetch;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  try {
+    const res = await fetchImpl(url, {
+      redirect: 'follow',
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; evidence-recapture/1.0)' }
+    });
+    const body = Buffer.from(await res.arrayBuffer());
+    return {
+      httpStatus: res.status,
+      contentType: (res.headers.get('content-type') || '').toLowerCase(),
+      finalUrl: res.url || url,
+      body
+    };
+  } catch (err) {
+    return { httpStatus: null, error: err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message };
+  }
+}
+
+function updateSourcesEntry(caseDir, sourceId, fields) {
+  const sourcesPath = path.join(caseDir, 'sources.json');
+  return withLock(`${sourcesPath}.lock`, () => {
+    const data = readJson(sourcesPath, null);
+    if (!data || !Array.isArray(data.sources)) return false;
+    const entry = data.sources.find(s => s.id === sourceId);
+    if (!entry) return false;
+    Object.assign(entry, fields);
+    fs.writeFileSync(sourcesPath, JSON.stringify(data, null, 2));
+    return true;
+  });
+}
+
+/**
+ * Re-capture one source into evidence/<id>/recaptures/vN and classify drift.
+ *
+ * @param {string} caseDir
+ * @param {string} sourceId
+ * @param {object} [options] - { osintData, fetchImpl, timeoutMs, threshold, lockTimeoutMs }
+ * @returns {Promise<object>} recapture record (also written to recapture.json)
+ */
+async function recaptureSource(caseDir, sourceId, options = {}) {
+  const op = logger.operation('recaptureSource', { sourceId });
+  const evidenceDir = path.join(caseDir, 'evidence', sourceId);
+  const metadata = readJson(path.join(evidenceDir, 'metadata.json'), null);
+
+  if (!metadata) {
+    op.fail(new Error('metadata.json missing'));
+    return { source_id: sourceId, status: 'error', error: 'metadata.json missing or invalid' };
+  }
+  const url = metadata.url;
+  if (!options.osintData && !/^https?:\/\//i.test(url || '')) {
+    op.fail(new Error('no http(s) url'));
+    return { source_id: sourceId, status: 'error', error: `metadata.url is not an http(s) URL: ${url || '(empty)'}` };
+  }
+
+  const { version, dir } = nextVersionDir(evidenceDir);
+  const checkedAt = new Date().toISOString();
+  const record = {
+    source_id: sourceId,
+    version,
+    url,
+    checked_at: checkedAt,
+    original_captured_at: metadata.captured_at || null,
+    http_status: null,
+    status: null,
+    basis: null,
+    diff_file: null,
+    lines_added: 0,
+    lines_removed: 0,
+    change_ratio: 0,
+    verdicts_invalidated: 0
+  };
+
+  let osintData = options.osintData || null;
+  let binary = null;
+  let liveText = null;
+
+  if (!osintData) {
+    const snap = await fetchSnapshot(url, options);
+    record.http_status = snap.httpStatus;
+
+    if (snap.error || (snap.httpStatus && !REMOVED_HTTP_STATUSES.includes(snap.httpStatus) && (snap.httpStatus < 200 || snap.httpStatus >= 300))) {
+      record.status = 'error';
+      record.error = snap.error || `HTTP ${snap.httpStatus}`;
+    } else if (REMOVED_HTTP_STATUSES.includes(snap.httpStatus)) {
+      record.status = 'removed';
+    } else if (/html|text\/plain/.test(snap.contentType) || !snap.contentType) {
+      const html = snap.body.toString('utf-8');
+      osintData = {
+        url,
+        title: extractTitle(html) || metadata.title || '',
+        raw_html: html,
+        markdown: htmlToText(html),
+        provenance: { source: 'recapture-sources', method: 'fetch', final_url: snap.finalUrl }
+      };
+    } else {
+      binary = snap;
+    }
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const saved = osintData
+    ? await saveEvidence(sourceId, caseDir, osintData, { warnDuplicates: false, evidenceDir: dir, lockTimeoutMs: options.lockTimeoutMs })
+    : null;
+
+  if (saved && !saved.success) {
+    // A half-written capture would diff as "everything removed"
+    record.status = 'error';
+    record.error = `Saving the recapture failed: ${saved.message || saved.error}`;
+  } else if (osintData) {
+    const before = comparisonText(evidenceDir);
+    const after = comparisonText(dir);
+    const useHtml = before.html !== null && after.html !== null;
+    const a = (useHtml ? before.html : before.content) || [];
+    const b = (useHtml ? after.html : after.content) || [];
+    record.basis = useHtml ? 'raw_html_text' : 'content_md';
+
+    const ops = diffLines(a, b);
+    record.lines_added = ops.filter(o => o.op === '+').length;
+    record.lines_removed = ops.filter(o => o.op === '-').length;
+    const differing = record.lines_added + record.lines_removed;
+    record.change_ratio = differing === 0 ? 0 : Number((differing / (a.length + b.length)).toFixed(4));
+    const threshold = options.threshold === undefined ? DRIFT_THRESHOLD : options.threshold;
+    record.status = differing > 0 && record.change_ratio >= threshold ? 'changed' : 'unchanged';
+    if (differing > 0) liveText = b.join('\n');
+
+    if (differing > 0) {
+      const label = useHtml ? 'raw.html (text)' : 'content.md';
+      fs.writeFileSync(path.join(dir, 'content.diff'),
+        formatUnifiedDiff(ops, `${sourceId}/${label}`, `${sourceId}/${RECAPTURES_DIR}/${version}/${label}`));
+      record.diff_file = 'content.diff';
+    }
+  } else if (binary) {
+    const docRef = metadata.files && metadata.files.document;
+    const docPath = docRef && (typeof docRef === 'string' ? docRef : docRef.path);
+    const fileName = docPath ? path.basename(docPath) : 'document.bin';
+    fs.writeFileSync(path.join(dir, fileName), binary.body);
+    const originalPath = docPath ? path.join(evidenceDir, docPath) : null;
+    const originalHash = originalPath && fs.existsSync(originalPath) ? sha256(fs.readFileSync(originalPath)) : null;
+    record.basis = 'document_hash';
+    record.document = { path: fileName, hash: sha256(binary.body), original_hash: originalHash };
+    record.status = originalHash === record.document.hash ? 'unchanged' : 'changed';
+  }
+
+  // Only verdicts whose cited passage is gone need redoing; a different
+  // binary or a removed page takes every verdict's evidence with it
+  if (record.status === 'removed' || (record.basis === 'document_hash' && record.status === 'changed')) {
+    record.verdicts_invalidated = invalidateSources(caseDir, [sourceId]);
+  } else if (liveText !== null) {
+    record.verdicts_invalidated = invalidateEntries(caseDir,
+      entry => entry.sourceId === sourceId && verdictAffected(entry, liveText));
+    if (record.verdicts_invalidated > 0) record.status = 'changed';
+  }
+
+  fs.writeFileSync(path.join(dir, 'recapture.json'), JSON.stringify(record, null, 2));
+
+  if (record.status !== 'error') {
+    updateSourcesEntry(caseDir, sourceId, {
+      drift_status: record.status,
+      drift_checked_at: checkedAt,
+      latest_recapture: `${RECAPTURES_DIR}/${version}`
+    });
+    op.success({ status: record.status, added: record.lines_added, removed: record.lines_removed });
+  } else {
+    logger.warn(`Recapture of ${sourceId} failed: ${record.error}`);
+    op.fail(new Error(record.error));
+  }
+
+  return record;
+}
+
+async function recaptureSources(caseDir, sourceIds, options = {}) {
+  const results = [];
+  for (const sourceId of sourceIds) {
+    results.push(await recaptureSource(caseDir, sourceId, options));
+  }
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    caseDir,
+    checkedAt: new Date().toISOString(),
+    results,
+    summary: {
+      total: results.length,
+      unchanged: count('unchanged'),
+      changed: count('changed'),
+      removed: count('removed'),
+      errors: count('error')
+    }
+  };
+}
+
+function printUsage() {
+  console.log('recapture-sources.js - Re-capture sources and detect evidence drift');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node scripts/recapture-sources.js <case_dir> --all [--block] [--json]');
+  console.log('  node scripts/recapture-sources.js <case_dir> S001 S014 [--timeout 30000]');
+  console.log('  node scripts/recapture-sources.js <case_dir> S001 --from osint-output.json');
+  console.log('  node scripts/recapture-sources.js <case_dir> --all --threshold 0.1');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const valueFlags = ['--from', '--timeout', '--threshold'];
+  const positional = args.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(args[i - 1]));
+  const caseDir = positional[0];
+  const jsonOutput = args.includes('--json');
+  const blockMode = args.includes('--block');
+  const flagValue = name => (args.indexOf(name) !== -1 ? args[args.indexOf(name) + 1] : null);
+
+  if (!caseDir || (!args.includes('--all') && positional.length < 2)) {
+    printUsage();
+    process.exit(2);
+  }
+
+  let sourceIds = positional.slice(1);
+  if (args.includes('--all')) {
+    const evidenceDir = path.join(caseDir, 'evidence');
+    sourceIds = fs.existsSync(evidenceDir) ? fs.readdirSync(evidenceDir).filter(ids.isSourceId).sort(ids.compareIds) : [];
+  }
+  const invalid = sourceIds.filter(id => !ids.isSourceId(id));
+  if (invalid.length > 0) {
+    console.error(`Invalid source ID(s): ${invalid.join(', ')}`);
+    process.exit(2);
+  }
+
+  const options = {};
+  if (flagValue('--timeout')) options.timeoutMs = parseInt(flagValue('--timeout'), 10);
+  if (flagValue('--threshold')) options.threshold = parseFloat(flagValue('--threshold'));
+  if (flagValue('--from')) {
+    if (sourceIds.length !== 1) {
+      console.error('--from requires exactly one source ID');
+      process.exit(2);
+    }
+    options.osintData = JSON.parse(fs.readFileSync(flagValue('--from'), 'utf-8'));
+  }
+
+  const report = await recaptureSources(caseDir, sourceIds, options);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log('='.repeat(70));
+    console.log('EVIDENCE DRIFT REPORT');
+    console.log('='.repeat(70));
+    for (const r of report.results) {
+      const detail = r.status === 'changed' && r.basis !== 'document_hash'
+        ? ` (+${r.lines_added}/-${r.lines_removed} lines, ${r.version}/${r.diff_file}, ${r.verdicts_invalidated} cached verdict(s) invalidated)`
+        : r.status === 'error' ? ` (${r.error})` : '';
+      console.log(`  ${r.source_id}: ${String(r.status).toUpperCase()}${detail}`);
+    }
+    const s = report.summary;
+    console.log(`\nTotal: ${s.total} | unchanged: ${s.unchanged} | changed: ${s.changed} | removed: ${s.removed} | errors: ${s.errors}`);
+    console.log('='.repeat(70));
+  }
+
+  if (blockMode && (report.summary.changed > 0 || report.summary.removed > 0)) process.exit(1);
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DRIFT_THRESHOLD,
+  recaptureSource,
+  recaptureSources,
+  loadLatestRecapture,
+  passageStillPresent,
+  htmlToText,
+  diffLines,
+  formatUnifiedDiff
+};
@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 /**
  * Extract failed verification prompts for reprocessing
+ *
+ * Superseded by process-verification-batches.js --provider, which re-runs
+ * "Prompt needs processing" placeholders automatically on resume.
  */
 
 const fs = require('fs');
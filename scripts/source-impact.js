@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+/**
+ * source-impact.js - Everything that depends on a source, and retiring it
+ *
+ * Lists what cites a source:
+ *   - findings (frontmatter sources or [S###] in the body)
+ *   - leads (sources, structured result claim sources, or citations in the result)
+ *   - question files (questions/*.md)
+ *   - claims.json entries (sourceId, sourceIds or sources)
+ *   - article sentences (articles/*.md); a sentence that also cites another
+ *     live source does not depend on this one alone
+ *
+ * With --retire (and a --reason) the source is withdrawn:
+ *   - sources.json entry: retired: true, retired_reason, retired_at
+ *   - current findings that cite it: status needs_review (findings.js query)
+ *   - article sentences that rely on it alone move to removed-points.md with
+ *     the reason (lines and bullets left empty are dropped); sentences that
+ *     also cite other sources keep those and lose this citation
+ *   - cached verification verdicts for it are dropped
+ *   - the gates that depend on what changed are reset in state.json
+ *     (DEPENDENT_GATES)
+ *
+ * Usage:
+ *   node scripts/source-impact.js <case_dir> <source_id> [--json]
+ *   node scripts/source-impact.js <case_dir> <source_id> --retire --reason <text> [--dry-run] [--json]
+ *
+ * Exit codes:
+ *   0 - Done
+ *   1 - Retirement failed
+ *   2 - Usage error
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ids = require('./ids');
+const chains = require('./finding-chain');
+const { resultClaims, resultText } = require('./lead-result');
+const { bulkUpdateFindings } = require('./findings');
+const { invalidateSources } = require('./claims/verification-cache');
+const { withLock } = require('./file-lock');
+
+// Gates to re-derive when each kind of dependent changes
+const DEPENDENT_GATES = {
+  findings: ['reconciliation'],
+  leads: ['curiosity', 'reconciliation'],
+  questions: ['questions'],
+  claims: ['sources'],
+  article: ['article', 'sources', 'integrity', 'legal', 'balance', 'completeness', 'significance']
+};
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function listMarkdown(dir) {
+  return fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort() : [];
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// "- [S014](url) Title": a source list entry, not a statement
+const SOURCE_LIST_LINE = new RegExp(`^\\s*(?:[-*]|\\d+\\.)?\\s*\\[${ids.idPatternSource(ids.PREFIX.source)}\\]`);
+
+function isSourceListLine(line) {
+  return SOURCE_LIST_LINE.test(line);
+}
+
+// Sentence boundary: whitespace after . ! or ? and any citations that follow
+// it ("rose 40%. [S012] The board..."), before a capital or "("
+const SENTENCE_BREAK = new RegExp(`(?<=[.!?](?:\\s*\\[${ids.idPatternSource(ids.PREFIX.source)}\\](?:\\([^)\\s]*\\))?)*)\\s+(?=[A-Z(])`);
+
+// A list or quote marker, and a line left with nothing but one
+const LIST_MARKER = /^\s*(?:[-*+>]|\d+\.)\s+/;
+const EMPTY_LINE = /^\s*(?:[-*+>]|\d+\.)?\s*$/;
+
+/**
+ * Sentences of the case's articles that cite `sourceId`, with the other
+ * live sources they cite.
+ */
+function articleSentences(caseDir, sourceId, retired) {
+  const articlesDir = path.join(caseDir, 'articles');
+  const sentences = [];
+  for (const file of listMarkdown(articlesDir)) {
+    const lines = fs.readFileSync(path.join(articlesDir, file), 'utf-8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim() || line.trimStart().startsWith('#') || isSourceListLine(line)) return;
+      for (const sentence of line.replace(LIST_MARKER, '').split(SENTENCE_BREAK)) {
+        const cited = ids.extractSourceIds(sentence);
+        if (!cited.includes(sourceId)) continue;
+        const others = cited.filter(id => id !== sourceId && !retired.has(id));
+        sentences.push({ file: path.join('articles', file), line: index + 1, text: sentence.trim(), otherSources: others, sole: others.length === 0 });
+      }
+    });
+  }
+  return sentences;
+}
+
+/**
+ * Everything that depends on a source.
+ *
+ * @returns {{sourceId, source: object|null, findings: object[], leads: object[], questions: object[], claims: object[], sentences: object[]}}
+ */
+function sourceImpact(caseDir, sourceId) {
+  const sourcesData = readJson(path.join(caseDir, 'sources.json'), {});
+  const sources = Array.isArray(sourcesData.sources) ? sourcesData.sources : [];
+  const retired = new Set(sources.filter(s => s.retired).map(s => s.id));
+  retired.add(sourceId);
+
+  const records = chains.readFindingRecords(path.join(caseDir, 'findings'));
+  const findings = [];
+  for (const record of records.values()) {
+    const listed = Array.isArray(record.metadata.sources) && record.metadata.sources.includes(sourceId);
+    const cited = ids.extractSourceIds(record.body).includes(sourceId);
+    if (!listed && !cited) continue;
+    findings.push({ id: record.id, status: record.metadata.status || null, current: chains.isCurrent(records, record.id), listed, cited });
+  }
+
+  const leadsData = readJson(path.join(caseDir, 'leads.json'), {});
+  const leads = [];
+  for (const lead of Array.isArray(leadsData.leads) ? leadsData.leads : []) {
+    const listed = Array.isArray(lead.sources) && lead.sources.includes(sourceId);
+    const claims = resultClaims(lead.result).filter(c => Array.isArray(c.sources) && c.sources.includes(sourceId)).map(c => c.text);
+    const cited = ids.extractSourceIds(resultText(lead.result)).includes(sourceId);
+    if (!listed && claims.length === 0 && !cited) continue;
+    leads.push({ id: lead.id, status: lead.status || null, lead: lead.lead || null, claims });
+  }
+
+  const questionsDir = path.join(caseDir, 'questions');
+  const questions = [];
+  for (const file of listMarkdown(questionsDir)) {
+    const lines = fs.readFileSync(path.join(questionsDir, file), 'utf-8').split('\n');
+    const hits = lines.map((line, i) => (ids.extractSourceIds(line).includes(sourceId) ? i + 1 : null)).filter(Boolean);
+    if (hits.length > 0) questions.push({ file: path.join('questions', file), lines: hits });
+  }
+
+  const claimsData = readJson(path.join(caseDir, 'claims.json'), {});
+  const claims = [];
+  (Array.isArray(claimsData.claims) ? claimsData.claims : []).forEach((claim, index) => {
+    const refs = [claim.sourceId, ...(claim.sourceIds || []), ...(claim.sources || []), ...ids.extractSourceIds(claim.text || '')];
+    if (refs.includes(sourceId)) claims.push({ index, id: claim.id || null, text: claim.text || claim.claim || '' });
+  });
+
+  return {
+    sourceId,
+    source: sources.find(s => s.id === sourceId) || null,
+    findings,
+    leads,
+    questions,
+    claims,
+    sentences: articleSentences(caseDir, sourceId, retired)
+  };
+}
+
+/** Gates that depend on something in an impact report. */
+function dependentGates(impact) {
+  const gates = new Set();
+  if (impact.findings.length > 0) DEPENDENT_GATES.findings.forEach(g => gates.add(g));
+  if (impact.leads.length > 0) DEPENDENT_GATES.leads.forEach(g => gates.add(g));
+  if (impact.questions.length > 0) DEPENDENT_GATES.questions.forEach(g => gates.add(g));
+  if (impact.claims.length > 0) DEPENDENT_GATES.claims.forEach(g => gates.add(g));
+  if (impact.sentences.length > 0) DEPENDENT_GATES.article.forEach(g => gates.add(g));
+  return [...gates];
+}
+
+function removeCitation(sentence, sourceId) {
+  const citation = ids.citationRegex('g');
+  return sentence.replace(citation, (match, id) => (id === sourceId ? '' : match)).replace(/\s+([.,;:!?])/g, '$1').replace(/ {2,}/g, ' ');
+}
+
+function appendRemovedPoints(caseDir, sourceId, reason, removed) {
+  const filePath = path.join(caseDir, 'removed-points.md');
+  let text = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf-8')
+    : '# Removed Points\n\nPoints removed during verification due to unverifiable sources.\n\n---\n';
+  text = text.replace(/\n *\*No points removed yet\.\*\n?/, '\n');
+
+  const entry = [
+    `## ${sourceId} retired (${today()})`,
+    '',
+    `Reason: ${reason}`,
+    '',
+    ...removed.map(s => `- ${s.file}:${s.line}: ${s.text}`)
+  ];
+  fs.writeFileSync(filePath, `${text.trimEnd()}\n\n${entry.join('\n')}\n`);
+}
+
+/**
+ * Retire a source and cascade to everything that depends on it.
+ *
+ * @returns {object} { success, impact, findingsMarked, removedSentences, trimmedSentences, gatesReset, cacheEntriesRemoved, warnings } or { success: false, error }
+ */
+function retireSource(caseDir, sourceId, reason, options = {}) {
+  if (!ids.isSourceId(sourceId)) return { success: false, error: `Invalid source ID "${sourceId}"` };
+  if (!reason || !String(reason).trim()) return { success: false, error: 'A reason is required (--reason <text>)' };
+  reason = String(reason).trim();
+
+  const sourcesPath = path.join(caseDir, 'sources.json');
+  const sourcesData = readJson(sourcesPath, null);
+  const entry = Array.isArray(sourcesData?.sources) ? sourcesData.sources.find(s => s.id === sourceId) : null;
+  if (!entry) return { success: false, error: `Source ${sourceId} not found in sources.json` };
+  if (entry.retired) return { success: false, error: `${sourceId} is already retired` };
+
+  const impact = sourceImpact(caseDir, sourceId);
+  const toMark = impact.findings.filter(f => f.current && f.status !== 'needs_review').map(f => f.id);
+  // Validate every finding before anything is written
+  const check = bulkUpdateFindings(caseDir, toMark, { status: 'needs_review' }, { dryRun: true });
+  if (!check.success) return { success: false, error: check.error };
+
+  const removed = impact.sentences.filter(s => s.sole);
+  const trimmed = impact.sentences.filter(s => !s.sole);
+  const result = {
+    success: true,
+    dryRun: !!options.dryRun,
+    impact,
+    findingsMarked: toMark,
+    removedSentences: removed,
+    trimmedSentences: trimmed,
+    gatesReset: [],
+    cacheEntriesRemoved: 0,
+    warnings: check.warnings
+  };
+
+  const statePath = path.join(caseDir, 'state.json');
+  const gates = dependentGates(impact);
+  if (options.dryRun) {
+    const state = readJson(statePath, null);
+    result.gatesReset = gates.filter(g => state?.gates?.[g] === true);
+    return result;
+  }
+
+  withLock(path.join(caseDir, 'sources.json.lock'), () => {
+    const current = readJson(sourcesPath, sourcesData);
+    for (const source of current.sources) {
+      if (source.id === sourceId) Object.assign(source, { retired: true, retired_reason: reason, retired_at: today() });
+    }
+    fs.writeFileSync(sourcesPath, JSON.stringify(current, null, 2));
+  });
+
+  bulkUpdateFindings(caseDir, toMark, { status: 'needs_review' });
+
+  for (const file of [...new Set(impact.sentences.map(s => s.file))]) {
+    const filePath = path.join(caseDir, file);
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+    const emptied = new Set();
+    for (const s of impact.sentences.filter(x => x.file === file)) {
+      const replacement = s.sole ? '' : removeCitation(s.text, sourceId);
+      const line = lines[s.line - 1];
+      const indent = line.match(/^\s*/)[0];
+      lines[s.line - 1] = indent + line.replace(s.text, replacement).replace(/ {2,}/g, ' ').trim();
+      if (EMPTY_LINE.test(lines[s.line - 1])) emptied.add(s.line - 1);
+    }
+    // Drop lines (and bare bullets) left empty, and the blank line after a removed paragraph
+    for (const index of [...emptied].sort((a, b) => b - a)) {
+      const blankAround = index > 0 && !lines[index - 1].trim() && (index + 1 >= lines.length || !lines[index + 1].trim());
+      lines.splice(index, blankAround && index + 1 < lines.length ? 2 : 1);
+    }
+    fs.writeFileSync(filePath, lines.join('\n'));
+  }
+  if (removed.length > 0) appendRemovedPoints(caseDir, sourceId, reason, removed);
+
+  result.cacheEntriesRemoved = invalidateSources(caseDir, [sourceId]);
+
+  if (fs.existsSync(statePath)) {
+    withLock(path.join(caseDir, 'state.json.lock'), () => {
+      const state = readJson(statePath, null);
+      if (!state?.gates) return;
+      result.gatesReset = gates.filter(g => state.gates[g] === true);
+      result.gatesReset.forEach(g => { state.gates[g] = false; });
+      if (result.gatesReset.length > 0) fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    });
+  }
+
+  return result;
+}
+
+function printImpact(impact) {
+  const s = impact.source;
+  console.log(`Impact of ${impact.sourceId}${s ? `: ${s.title || s.url || ''}` : ' (not in sources.json)'}${s?.retired ? ' [retired]' : ''}\n`);
+
+  console.log(`Findings (${impact.findings.length}):`);
+  impact.findings.forEach(f => console.log(`  ${f.id} [${f.status || 'unknown'}]${f.current ? '' : ' (not current)'}`));
+  console.log(`Leads (${impact.leads.length}):`);
+  impact.leads.forEach(l => console.log(`  ${l.id} [${l.status || 'unknown'}] ${l.lead || ''}${l.claims.length > 0 ? ` (${l.claims.length} claim(s))` : ''}`));
+  console.log(`Question files (${impact.questions.length}):`);
+  impact.questions.forEach(q => console.log(`  ${q.file}: line ${q.lines.join(', ')}`));
+  console.log(`claims.json entries (${impact.claims.length}):`);
+  impact.claims.forEach(c => console.log(`  ${c.id || `#${c.index}`}: ${c.text.slice(0, 100)}`));
+  console.log(`Article sentences (${impact.sentences.length}):`);
+  impact.sentences.forEach(x => console.log(`  ${x.file}:${x.line}${x.sole ? '' : ` (also ${x.otherSources.join(', ')})`}: ${x.text}`));
+  console.log(`\nGates that depend on it: ${dependentGates(impact).join(', ') || '(none)'}`);
+}
+
+function printUsage() {
+  console.log('source-impact.js - Everything that depends on a source, and retiring it');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node scripts/source-impact.js <case_dir> <source_id> [--json]');
+  console.log('  node scripts/source-impact.js <case_dir> <source_id> --retire --reason <text> [--dry-run] [--json]');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const reasonIndex = args.indexOf('--reason');
+  const positional = args.filter((a, i) => !a.startsWith('--') && (reasonIndex === -1 || i !== reasonIndex + 1));
+  const [caseDir, sourceId] = positional;
+  const jsonOutput = args.includes('--json');
+
+  if (!caseDir || !sourceId) {
+    printUsage();
+    process.exit(2);
+  }
+  if (!fs.existsSync(caseDir)) {
+    console.error(`Case directory not found: ${caseDir}`);
+    process.exit(2);
+  }
+
+  if (!args.includes('--retire')) {
+    const impact = sourceImpact(caseDir, sourceId);
+    if (jsonOutput) console.log(JSON.stringify({ ...impact, gates: dependentGates(impact) }, null, 2));
+    else printImpact(impact);
+    process.exit(0);
+  }
+
+  const result = retireSource(caseDir, sourceId, reasonIndex === -1 ? null : args[reasonIndex + 1], { dryRun: args.includes('--dry-run') });
+  if (!result.success) {
+    console.error(`Error: ${result.error}`);
+    process.exit(1);
+  }
+  result.warnings.forEach(w => console.error(`Warning: ${w}`));
+  if (jsonOutput) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printImpact(result.impact);
+    const say = text => console.log(result.dryRun ? `Would have ${text}` : text[0].toUpperCase() + text.slice(1));
+    console.log('');
+    say(`retired ${sourceId} in sources.json`);
+    say(`marked needs_review: ${result.findingsMarked.join(', ') || '(none)'}`);
+    say(`moved ${result.removedSentences.length} sentence(s) to removed-points.md, dropped the citation from ${result.trimmedSentences.length} other(s)`);
+    say(`reset gates: ${result.gatesReset.join(', ') || '(none)'}`);
+  }
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  DEPENDENT_GATES,
+  sourceImpact,
+  dependentGates,
+  retireSource
+};
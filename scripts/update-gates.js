@@ -85,6 +85,29 @@ function main() {
     for (const [k, v] of Object.entries(derived.gates)) {
       console.log(`${k.padEnd(13)} ${v ? 'PASS' : 'FAIL'}`);
     }
+    const curiosity = derived.details.curiosity || {};
+    for (const s of curiosity.stranded || []) {
+      if (s.dead_end_blockers) console.log(`  stranded lead ${s.id}: blocker ${s.dead_end_blockers.join(', ')} is a dead end`);
+      if (s.deferred_blockers) console.log(`  stranded lead ${s.id}: blocker ${s.deferred_blockers.join(', ')} is deferred`);
+    }
+    for (const c of curiosity.dependencyCycles || []) {
+      console.log(`  dependency cycle: ${c.join(' -> ')}`);
+    }
+    const saturation = curiosity.saturation;
+    if (saturation) {
+      console.log(`  lead saturation ${saturation.score} (threshold ${saturation.config.threshold}, ${saturation.basis} basis)${saturation.ok ? '' : `: ${saturation.reasons.join('; ')}`}`);
+    }
+    const leadClaims = derived.details.reconciliation?.leadClaims;
+    if (leadClaims && leadClaims.contradictions > 0) {
+      console.log(`  ${leadClaims.contradictions} finding sentence(s) state claims leads refuted or could not verify (node scripts/audit-leads.js ${caseDir})`);
+    }
+    for (const w of leadClaims?.citationMismatches || []) {
+      console.log(`  ${w.id}: ${w.message}`);
+    }
+    const contradictions = derived.details.reconciliation?.contradictions;
+    if (contradictions && contradictions.unresolved > 0) {
+      console.log(`  ${contradictions.unresolved} unresolved contradiction(s) between findings (${contradictions.report})`);
+    }
     console.log('='.repeat(70));
   }
 
@@ -24,6 +24,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { normalizeUrl } = require('./osint-save');
+const ids = require('./ids');
 
 const RECEIPT_KEY_ENV = 'EVIDENCE_RECEIPT_KEY';
 
@@ -612,9 +613,7 @@ function extractCitedSources(articlePath) {
   }
 
   const content = fs.readFileSync(articlePath, 'utf-8');
-  const citations = content.match(/\[S\d{3}\]/g) || [];
-  const unique = [...new Set(citations)].map(c => c.slice(1, -1));
-  return unique;
+  return ids.extractSourceIds(content);
 }
 
 function verifyAllSources(caseDir, options = {}) {
@@ -625,8 +624,8 @@ function verifyAllSources(caseDir, options = {}) {
   }
 
   const sources = fs.readdirSync(evidenceDir)
-    .filter(d => d.match(/^S\d{3}$/))
-    .sort();
+    .filter(ids.isSourceId)
+    .sort(ids.compareIds);
 
   const results = sources.map(sourceId => verifySource(sourceId, caseDir, options));
 
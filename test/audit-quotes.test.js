@@ -0,0 +1,99 @@
+/**
+ * Tests for audit-quotes.js
+ *
+ * Tests verbatim matching tolerances (smart quotes, ellipses, bracketed
+ * insertions), covering-citation lookup and speaker attribution checks.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { auditQuotes, coveringCitations, extractQuotes } = require('../scripts/audit-quotes');
+const { tempCase } = require('./helpers');
+
+function writeCase(t, article, sources) {
+  const caseDir = tempCase(t, 'audit-quotes');
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'), article);
+  for (const [id, content] of Object.entries(sources)) {
+    fs.mkdirSync(path.join(caseDir, 'evidence', id), { recursive: true });
+    fs.writeFileSync(path.join(caseDir, 'evidence', id, 'content.md'), content);
+  }
+  return caseDir;
+}
+
+const INTERVIEW = [
+  'Director Jane Smith spoke at the hearing on Tuesday. “We have never seen',
+  'numbers like this in the agency’s history,” Smith told the committee.',
+  'She added that the agency would review all of its procedures before the end of the year.'
+].join('\n');
+
+test('quotes matching the source modulo typography pass', async (t) => {
+  const caseDir = writeCase(t, [
+    '# Hearing',
+    '',
+    '"We have never seen numbers like this in the agency\'s history," Smith said Tuesday [S001].',
+    '',
+    'Smith said the agency "would review ... procedures before the end of the year." [S001]',
+    '',
+    '"[The agency] would review all of its procedures," according to Jane Smith [S001].',
+    '',
+    'Officials called it a "bad outcome" in private.'
+  ].join('\n'), { S001: INTERVIEW });
+
+  const res = auditQuotes(caseDir);
+  assert.equal(res.summary.quotes, 4);
+  assert.equal(res.summary.skippedShort, 1);
+  assert.equal(res.summary.verified, 3);
+  assert.equal(res.summary.errors, 0);
+  assert.equal(res.quotes[0].speaker, 'Smith');
+  assert.equal(res.quotes[2].speaker, 'Jane Smith');
+});
+
+test('altered, uncited and misattributed quotes are errors', async (t) => {
+  const caseDir = writeCase(t, [
+    '"We have never seen numbers like this in our history," Smith said [S001].',
+    '',
+    '"We have never seen numbers like this in the agency\'s history," Williams said [S001].',
+    '',
+    '"This quote carries no citation at all."',
+    '',
+    '"Evidence for this quote was never captured," she said [S009].',
+    '',
+    '## Sources',
+    '',
+    '"Quotes in the sources list are ignored entirely" [S001]'
+  ].join('\n'), { S001: INTERVIEW });
+
+  const res = auditQuotes(caseDir);
+  assert.deepEqual(res.issues.map(i => [i.line, i.type, i.severity]), [
+    [1, 'quote_not_found', 'error'],
+    [3, 'speaker_not_in_source', 'error'],
+    [5, 'no_citation', 'error'],
+    [7, 'source_missing', 'error']
+  ]);
+  assert.equal(res.summary.verified, 0);
+});
+
+test('speaker named only far from the quote is a warning', async (t) => {
+  const filler = 'Unrelated background paragraph about procurement. '.repeat(40);
+  const caseDir = writeCase(t,
+    '"The budget was cut by a large margin," Jones said [S002].\n',
+    { S002: `Bob Jones is quoted later.\n\n${filler}\n\nThe budget was cut by a large margin this year.` });
+
+  const res = auditQuotes(caseDir);
+  assert.equal(res.summary.errors, 0);
+  assert.equal(res.summary.warnings, 1);
+  assert.equal(res.issues[0].type, 'speaker_not_near_quote');
+});
+
+test('covering citation is the cluster after the quote, else before it', () => {
+  const text = 'Per [S004], she said "we are done here now" [S001][S002] and later [S003].';
+  const [quote] = extractQuotes(text);
+  assert.deepEqual(coveringCitations(text, quote), ['S001', 'S002']);
+
+  const before = 'Per [S004], [S005] she said "we are done here now".';
+  assert.deepEqual(coveringCitations(before, extractQuotes(before)[0]), ['S005', 'S004']);
+});
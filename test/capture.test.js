@@ -10,15 +10,15 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const path = require('node:path');
-const os = require('node:os');
+const { tempCase } = require('./helpers');
 
 const ROOT = path.resolve(__dirname, '..');
 
 /**
  * Create a temporary test environment
  */
-function createTestEnv() {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-test-'));
+function createTestEnv(t) {
+  const tempDir = tempCase(t, 'capture');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
@@ -81,24 +81,21 @@ test('safeFilename handles empty input', async (t) => {
 });
 
 test('looksLikeCaseDir detects state.json', async (t) => {
-  const { tempDir, caseDir } = createTestEnv();
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  const { tempDir, caseDir } = createTestEnv(t);
 
   assert.equal(looksLikeCaseDir(caseDir), true);
   assert.equal(looksLikeCaseDir(tempDir), false);
 });
 
 test('looksLikeCaseDir detects sources.md', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-test-'));
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  const tempDir = tempCase(t, 'sources');
 
   fs.writeFileSync(path.join(tempDir, 'sources.md'), '# Sources');
   assert.equal(looksLikeCaseDir(tempDir), true);
 });
 
 test('.active file resolution works', async (t) => {
-  const { tempDir, casesDir, caseDir } = createTestEnv();
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  const { tempDir, casesDir, caseDir } = createTestEnv(t);
 
   // Create .active file pointing to test-case
   fs.writeFileSync(path.join(casesDir, '.active'), 'test-case');
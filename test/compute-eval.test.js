@@ -0,0 +1,85 @@
+/**
+ * Tests for claims/compute-eval.js
+ *
+ * Tests the sandboxed expression evaluator and offline confirmation of
+ * numerical claims in compute-verify.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { evaluate, toVariables } = require('../scripts/claims/compute-eval');
+const { prepareVerification, processVerificationResponses } = require('../scripts/claims/compute-verify');
+const { saveEvidence } = require('../scripts/osint-save');
+const { tempCase } = require('./helpers');
+
+test('evaluate covers percent change, CAGR, sums and unit conversion', () => {
+  assert.equal(evaluate('pct_change(a, b)', { a: 1000, b: 1470 }), 47);
+  assert.equal(Math.round(evaluate('cagr(100, 200, 5)') * 100) / 100, 14.87);
+  assert.equal(evaluate('sum(1, 2, 3) / 3'), 2);
+  assert.equal(evaluate('ratio(1, 4) * 100'), 25);
+  assert.equal(Math.round(evaluate('convert(10, "mi", "km")') * 1000) / 1000, 16.093);
+  assert.equal(evaluate('4.5 * million'), 4500000);
+  assert.equal(evaluate('-2^2'), -4);
+  assert.deepEqual({ ...toVariables({ v2020: '1,000', '2024': 5, note: 'n/a' }) }, { v2020: 1000 });
+});
+
+test('evaluate rejects anything outside the expression language', () => {
+  for (const expr of ['constructor', 'this', 'a.constructor', 'f["sum"](1)', 'process', '1; 2', 'x => 1', '`1`', "'a'", 'eval(1)', '1/0']) {
+    assert.throws(() => evaluate(expr, { a: 1 }), { name: 'ComputeEvalError' }, expr);
+  }
+});
+
+test('processVerificationResponses confirms and refutes claims offline', async (t) => {
+  const caseDir = tempCase(t, 'compute-eval');
+
+  await saveEvidence('S001', caseDir, {
+    url: 'https://example.com/staffing',
+    markdown: 'Staff numbers were 1,000 in 2020 and 1,470 in 2024.'
+  }, { warnDuplicates: false });
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'), [
+    'Staffing grew 47% between 2020 and 2024 [S001].',
+    '',
+    'Staffing grew 62% over the same period [S001].'
+  ].join('\n'));
+
+  const prepared = prepareVerification(caseDir, { noCache: true });
+  const byLine = line => prepared.prompts.filter(p => p.line === line && p.claim_type === 'percentage');
+  const respond = (expression, rawData) => JSON.stringify({
+    source_data_found: true,
+    raw_data: rawData,
+    verification_expression: expression,
+    computed_value: 999,
+    explanation: 'LLM arithmetic is ignored'
+  });
+
+  const responses = [
+    ...byLine(1).map(p => ({ index: p.index, response: respond('pct_change(v2020, v2024)', { v2020: 1000, v2024: 1470 }) })),
+    ...byLine(3).map(p => ({ index: p.index, response: respond('pct_change(v2020, v2024)', { v2020: 1000, v2024: 1470 }) }))
+  ];
+  const results = processVerificationResponses(prepared, responses);
+  const status = line => results.results.find(r => r.claim.line === line && r.claim.type === 'percentage');
+
+  assert.equal(status(1).status, 'MATCHED');
+  assert.equal(status(1).computed_value, 47);
+  assert.equal(status(1).computed_locally, true);
+  assert.equal(status(3).status, 'DISCREPANCY');
+
+  const fabricated = processVerificationResponses(prepared, byLine(1).map(p => ({
+    index: p.index,
+    response: respond('pct_change(a, b)', { a: 1000, b: 1500 })
+  })));
+  const item = fabricated.results.find(r => r.claim.line === 1 && r.claim.type === 'percentage');
+  assert.equal(item.status, 'RAW_DATA_NOT_IN_SOURCE');
+  assert.match(item.reason, /b=1500/);
+
+  const broken = processVerificationResponses(prepared, byLine(1).map(p => ({
+    index: p.index,
+    response: respond('require("fs")', { a: 1000 })
+  })));
+  assert.equal(broken.summary.evalErrors, 1);
+  assert.ok(broken.summary.errors >= 1);
+});
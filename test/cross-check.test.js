@@ -0,0 +1,85 @@
+/**
+ * Tests for claims/cross-check.js and cross-check-plugins/
+ *
+ * Runs the built-in plugins and a drop-in plugin against the local fixture
+ * case in test/fixtures/cross-check.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  loadPlugins,
+  detectCrossCheckClaims,
+  loadCaseEvidence,
+  verifyCrossCheckClaims
+} = require('../scripts/claims/cross-check');
+const { tempCase } = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'cross-check');
+
+function runFixture(plugins) {
+  const sources = JSON.parse(fs.readFileSync(path.join(FIXTURE, 'sources.json'), 'utf-8'));
+  const claims = detectCrossCheckClaims(path.join(FIXTURE, 'articles', 'full.md'), sources, plugins);
+  const results = verifyCrossCheckClaims(claims, loadCaseEvidence(FIXTURE, sources), plugins);
+  return Object.fromEntries(results.map(r => [r.plugin, r]));
+}
+
+test('built-in plugins compare claims against captured authoritative evidence', () => {
+  const byType = runFixture(loadPlugins({ caseDir: FIXTURE }));
+
+  assert.equal(byType.best_places_to_work.status, 'mismatch');
+  assert.equal(byType.best_places_to_work.actual.score, '62.7');
+  assert.deepEqual(byType.best_places_to_work.evidence, ['S002']);
+
+  assert.equal(byType.executive_orders.status, 'verified');
+  assert.equal(byType.legislation.status, 'verified');
+  assert.equal(byType.court_cases.status, 'no_evidence');
+});
+
+test('drop-in plugins are loaded from the case directory and can override built-ins', (t) => {
+  const plugins = loadPlugins({ caseDir: FIXTURE });
+  assert.ok(plugins.has('water_reports'));
+  const byType = runFixture(plugins);
+  assert.equal(byType.water_reports.status, 'mismatch');
+  assert.deepEqual(byType.water_reports.discrepancies, ['boil_notices: claimed 12, source 9']);
+
+  const dir = tempCase(t, 'cross-check-plugins');
+  fs.writeFileSync(path.join(dir, 'courts.js'), `module.exports = {
+    type: 'court_cases',
+    patterns: [/v\\.\\s+[A-Z]/],
+    domains: [],
+    verify: (claim, evidence, h) => h.result('unconfirmed', { note: 'custom' })
+  };`);
+  const overridden = runFixture(loadPlugins({ caseDir: FIXTURE, dirs: [dir] }));
+  assert.equal(overridden.court_cases.note, 'custom');
+
+  fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = { type: "broken" };');
+  assert.throws(() => loadPlugins({ dirs: [dir] }), /Invalid cross-check plugin .*broken\.js/);
+});
+
+test('bare citations are detected and take their URL from sources.json', (t) => {
+  const dir = tempCase(t, 'cross-check-bare');
+  const articlePath = path.join(dir, 'full.md');
+  fs.writeFileSync(articlePath, [
+    'Executive Order 14159 was signed on January 20, 2025 [S003].',
+    '',
+    'ICE scored 58/100 in the 2024 Best Places to Work rankings [S1002](https://example.com/bp).'
+  ].join('\n'));
+  const sources = JSON.parse(fs.readFileSync(path.join(FIXTURE, 'sources.json'), 'utf-8'));
+
+  const claims = detectCrossCheckClaims(articlePath, sources, loadPlugins());
+  assert.deepEqual(claims.map(c => [c.line, c.sourceId, c.sourceType, c.citationUrl]), [
+    [1, 'S003', 'executive_orders', sources.sources.find(s => s.id === 'S003').url],
+    [3, 'S1002', 'best_places_to_work', 'https://example.com/bp']
+  ]);
+});
+
+test('legislation patterns do not treat evidence IDs as Senate bills', () => {
+  const { legislation } = Object.fromEntries(loadPlugins());
+  const line = 'Arrests rose sharply last year [S012](https://example.com/a).';
+  assert.equal(legislation.patterns.some(p => p.test(line)), false);
+  assert.equal(legislation.patterns.some(p => p.test('The bill, S. 1234, passed in 2023.')), true);
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for evidence-wacz.js
+ *
+ * Tests that evidence exported to WACZ re-imports byte-for-byte and still verifies.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const { saveEvidence } = require('../scripts/osint-save');
+const { verifyAllSources } = require('../scripts/verify-source');
+const { exportWacz, importWacz, readZip, parseWarc } = require('../scripts/evidence-wacz');
+const { tempCase } = require('./helpers');
+
+function createTempCase(root, name) {
+  const caseDir = path.join(root, name);
+  fs.mkdirSync(path.join(caseDir, 'evidence'), { recursive: true });
+  fs.writeFileSync(path.join(caseDir, 'sources.json'), JSON.stringify({ sources: [] }, null, 2));
+  fs.writeFileSync(path.join(caseDir, 'state.json'), JSON.stringify({ next_source: 1 }, null, 2));
+  return caseDir;
+}
+
+test('WACZ export/import round-trips osint-save evidence with receipts', async (t) => {
+  const root = tempCase(t, 'wacz');
+  const prevKey = process.env.EVIDENCE_RECEIPT_KEY;
+  process.env.EVIDENCE_RECEIPT_KEY = 'test-key';
+  t.after(() => {
+    if (prevKey === undefined) delete process.env.EVIDENCE_RECEIPT_KEY;
+    else process.env.EVIDENCE_RECEIPT_KEY = prevKey;
+  });
+
+  const src = createTempCase(root, 'src');
+  const rawHtml = '<html><head><title>Report</title></head><body><a href="https://example.com/a">a</a> Budget rose 12%.</body></html>';
+  await saveEvidence('S1001', src, {
+    url: 'https://example.com/report',
+    title: 'Report',
+    raw_html: rawHtml,
+    markdown: '# Report\n\nBudget rose 12%.',
+    links: ['https://example.com/a'],
+    metadata: { sha256: crypto.createHash('sha256').update(rawHtml).digest('hex') }
+  }, { warnDuplicates: false });
+  fs.writeFileSync(path.join(src, 'sources.json'), JSON.stringify({
+    sources: [{ id: 'S1001', url: 'https://example.com/report', title: 'Report', type: 'web' }]
+  }, null, 2));
+  assert.equal(verifyAllSources(src).summary.invalid, 0);
+
+  const waczPath = path.join(root, 'out.wacz');
+  const exported = exportWacz(src, waczPath);
+  assert.equal(exported.success, true);
+
+  const zip = readZip(fs.readFileSync(waczPath));
+  assert.ok(zip.has('datapackage.json'));
+  assert.ok(zip.has('indexes/index.cdxj'));
+  const page = parseWarc(zip.get('archive/data.warc'))
+    .find(r => r.headers['warc-target-uri'] === 'https://example.com/report');
+  assert.equal(page.headers['warc-evidence-path'], 'raw.html');
+
+  const dest = createTempCase(root, 'dest');
+  const imported = importWacz(dest, waczPath);
+  assert.equal(imported.success, true);
+  assert.deepEqual(imported.imported.map(i => i.sourceId), ['S1001']);
+
+  for (const f of fs.readdirSync(path.join(src, 'evidence', 'S1001'))) {
+    assert.deepEqual(
+      fs.readFileSync(path.join(dest, 'evidence', 'S1001', f)),
+      fs.readFileSync(path.join(src, 'evidence', 'S1001', f)),
+      f
+    );
+  }
+
+  const verified = verifyAllSources(dest);
+  assert.equal(verified.summary.total, 1);
+  assert.equal(verified.summary.invalid, 0);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dest, 'sources.json'), 'utf-8')).sources[0].id, 'S1001');
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dest, 'state.json'), 'utf-8')).next_source, 1002);
+
+  const again = importWacz(dest, waczPath);
+  assert.equal(again.imported.length, 0);
+  assert.equal(again.skipped[0].sourceId, 'S1001');
+
+  // New entries are inserted in ID order; existing entries keep their order
+  const mixed = createTempCase(root, 'mixed');
+  fs.writeFileSync(path.join(mixed, 'sources.json'), JSON.stringify({
+    sources: [{ id: 'S0900' }, { id: 'S2000' }, { id: 'S0005' }]
+  }, null, 2));
+  assert.equal(importWacz(mixed, waczPath).success, true);
+  assert.deepEqual(
+    JSON.parse(fs.readFileSync(path.join(mixed, 'sources.json'), 'utf-8')).sources.map(s => s.id),
+    ['S0900', 'S1001', 'S2000', 'S0005']
+  );
+  assert.ok(!fs.existsSync(path.join(mixed, 'sources.json.lock')));
+});
+
+test('WACZ import rejects tampered archives', (t) => {
+  const root = tempCase(t, 'wacz');
+
+  const src = createTempCase(root, 'src');
+  const dir = path.join(src, 'evidence', 'S001');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'content.md'), 'Original text');
+
+  const waczPath = path.join(root, 'out.wacz');
+  exportWacz(src, waczPath);
+  const buf = fs.readFileSync(waczPath);
+  const idx = buf.indexOf('Original text');
+  buf.write('Modified text', idx);
+  fs.writeFileSync(waczPath, buf);
+
+  assert.throws(() => importWacz(createTempCase(root, 'dest'), waczPath), /CRC mismatch/);
+});
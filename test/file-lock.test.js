@@ -0,0 +1,126 @@
+/**
+ * Tests for file-lock.js
+ *
+ * Tests owner metadata, dead-owner and stale-lock recovery, the promise API,
+ * and a multi-process stress run through leads-lock.js with no lost updates.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { spawn, spawnSync } = require('node:child_process');
+
+const {
+  acquireLock,
+  acquireLockAsync,
+  releaseLock,
+  withLock,
+  readLockOwner,
+  LockTimeoutError
+} = require('../scripts/file-lock');
+const { readEvents } = require('../scripts/lead-journal');
+const { tempCase } = require('./helpers');
+
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('lock records its owner and is only released by that owner', (t) => {
+  const lockPath = path.join(tempCase(t, 'file-lock'), 'leads.json.lock');
+
+  assert.equal(acquireLock(lockPath, { command: 'leads-lock.js claim L001' }), true);
+  const owner = readLockOwner(lockPath);
+  assert.equal(owner.pid, process.pid);
+  assert.equal(owner.host, os.hostname());
+  assert.equal(owner.command, 'leads-lock.js claim L001');
+  assert.ok(Date.parse(owner.acquired_at));
+
+  // Held by a live owner: a second acquire times out
+  const start = Date.now();
+  assert.equal(acquireLock(lockPath, { timeoutMs: 150 }), false);
+  assert.ok(Date.now() - start >= 150);
+  assert.throws(() => withLock(lockPath, () => 1, { timeoutMs: 50 }), LockTimeoutError);
+
+  // The lock was broken and re-taken elsewhere: release must leave it alone
+  fs.writeFileSync(lockPath, JSON.stringify({ ...owner, token: 'someone-else' }));
+  assert.equal(releaseLock(lockPath), false);
+  assert.ok(fs.existsSync(lockPath));
+});
+
+test('locks of dead owners are broken at once, live local ones never, remote ones once expired', (t) => {
+  const dir = tempCase(t, 'file-lock');
+  const lockPath = path.join(dir, 'state.json.lock');
+
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: deadPid(), host: os.hostname(), command: 'crashed', acquired_at: new Date().toISOString(), token: 'x' }));
+  assert.equal(acquireLock(lockPath, { timeoutMs: 100 }), true);
+  assert.equal(readLockOwner(lockPath).pid, process.pid);
+  assert.equal(releaseLock(lockPath), true);
+
+  // Bare-PID lock files from older versions
+  fs.writeFileSync(lockPath, String(deadPid()));
+  assert.equal(acquireLock(lockPath, { timeoutMs: 100 }), true);
+  releaseLock(lockPath);
+
+  // A live owner on this host keeps its lock however old it is
+  const old = new Date(Date.now() - 60000);
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), command: 'long merge', token: 'z' }));
+  fs.utimesSync(lockPath, old, old);
+  assert.equal(acquireLock(lockPath, { timeoutMs: 100 }), false);
+  assert.equal(readLockOwner(lockPath).token, 'z');
+  fs.unlinkSync(lockPath);
+
+  // A remote owner cannot be checked: wait for staleMs
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: 1, host: 'other-host', token: 'y' }));
+  assert.equal(acquireLock(lockPath, { timeoutMs: 100 }), false);
+  fs.utimesSync(lockPath, old, old);
+  assert.equal(acquireLock(lockPath, { timeoutMs: 100 }), true);
+  releaseLock(lockPath);
+  assert.equal(fs.existsSync(`${lockPath}.break`), false);
+});
+
+test('promise API waits for the holder to release', async (t) => {
+  const lockPath = path.join(tempCase(t, 'file-lock'), 'sources.json.lock');
+  assert.equal(acquireLock(lockPath), true);
+  setTimeout(() => releaseLock(lockPath), 100);
+
+  const start = Date.now();
+  assert.equal(await acquireLockAsync(lockPath, { timeoutMs: 2000 }), true);
+  assert.ok(Date.now() - start >= 90);
+  releaseLock(lockPath);
+  assert.equal(await acquireLockAsync(lockPath, { timeoutMs: 50 }), true);
+  releaseLock(lockPath);
+});
+
+test('concurrent processes adding leads lose no updates', async (t) => {
+  const caseDir = tempCase(t, 'file-lock');
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify({
+    version: 1,
+    max_depth: 3,
+    leads: [{ id: 'L001', lead: 'Root', from: null, priority: 'HIGH', depth: 0, parent: null, status: 'investigated', result: 'ok', sources: [] }]
+  }));
+
+  const WORKERS = 6;
+  const ADDS = 10;
+  const leadsLock = path.join(__dirname, '..', 'scripts', 'leads-lock.js');
+  const worker = `
+    const { addChildLead } = require(${JSON.stringify(leadsLock)});
+    for (let i = 0; i < ${ADDS}; i++) {
+      const r = addChildLead(process.argv[1], 'L001', { lead: 'worker ' + process.argv[2] + ' item ' + i }, { dedup: false });
+      if (!r.success) { console.error(JSON.stringify(r)); process.exit(1); }
+    }`;
+
+  const codes = await Promise.all(Array.from({ length: WORKERS }, (_, w) => new Promise((resolve) => {
+    const child = spawn(process.execPath, ['-e', worker, caseDir, String(w)], { stdio: ['ignore', 'ignore', 'inherit'] });
+    child.on('exit', resolve);
+  })));
+  assert.deepEqual(codes, Array(WORKERS).fill(0));
+
+  const data = JSON.parse(fs.readFileSync(path.join(caseDir, 'leads.json'), 'utf-8'));
+  assert.equal(data.leads.length, 1 + WORKERS * ADDS);
+  assert.equal(new Set(data.leads.map(l => l.id)).size, data.leads.length);
+  assert.equal(data.version, 1 + WORKERS * ADDS);
+  assert.equal(readEvents(caseDir).events.filter(e => e.op === 'add-child').length, WORKERS * ADDS);
+  assert.equal(fs.existsSync(path.join(caseDir, 'leads.json.lock')), false);
+});
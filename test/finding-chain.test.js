@@ -0,0 +1,137 @@
+/**
+ * Tests for finding-chain.js
+ *
+ * Tests the findings.js supersede, retire and history commands, assembly of
+ * chain heads only, and the chain and manifest checks in audit-findings.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { supersedeFinding, retireFinding, findingHistory, parseFinding } = require('../scripts/findings');
+const { chainOf, readFindingRecords, assemblyOrder } = require('../scripts/finding-chain');
+const { auditFindings } = require('../scripts/audit-findings');
+const { tempCase, writeJson, writeFindings } = require('./helpers');
+
+const FINDINGS_JS = path.join(__dirname, '..', 'scripts', 'findings.js');
+
+function finding(id, title, extra = '') {
+  return `---\nid: ${id}\nstatus: draft\nconfidence: medium\nsources: []\nsupersedes: null\nsuperseded_by: null\n${extra}---\n\n# Finding: ${title}\n\n${title} body.\n`;
+}
+
+function superseded(id, by, supersedes = 'null') {
+  return finding(id, id === 'F002' ? 'Old claim' : id)
+    .replace('status: draft', 'status: superseded')
+    .replace('superseded_by: null', `superseded_by: ${by}`)
+    .replace('supersedes: null', `supersedes: ${supersedes}`);
+}
+
+function writeCase(t, files, manifest) {
+  const caseDir = writeFindings(tempCase(t, 'finding-chain'), files);
+  return writeJson(caseDir, 'findings/manifest.json', manifest);
+}
+
+function readMeta(caseDir, id) {
+  return parseFinding(fs.readFileSync(path.join(caseDir, 'findings', `${id}.md`), 'utf-8')).metadata;
+}
+
+function readManifest(caseDir) {
+  return JSON.parse(fs.readFileSync(path.join(caseDir, 'findings', 'manifest.json'), 'utf-8'));
+}
+
+test('supersede links both findings, updates the manifest and assembles only the head', (t) => {
+  const caseDir = writeCase(t, {
+    F001: finding('F001', 'Background'),
+    F002: finding('F002', 'Contract count'),
+    F003: finding('F003', 'Contract count revised'),
+    F004: finding('F004', 'Contract count final')
+  }, { version: 1, assembly_order: ['F001', 'F002', 'F003', 'F004'], sections: { money: ['F002'], people: ['F001'] } });
+
+  const first = supersedeFinding(caseDir, 'F002', 'F003');
+  assert.equal(first.success, true);
+  assert.equal(readMeta(caseDir, 'F002').status, 'superseded');
+  assert.equal(readMeta(caseDir, 'F002').superseded_by, 'F003');
+  assert.equal(readMeta(caseDir, 'F003').supersedes, 'F002');
+  assert.deepEqual(readManifest(caseDir).assembly_order, ['F001', 'F003', 'F004']);
+  assert.deepEqual(readManifest(caseDir).sections.money, ['F003']);
+
+  assert.deepEqual(supersedeFinding(caseDir, 'F003', 'F004').chain, ['F002', 'F003', 'F004']);
+  assert.deepEqual(readManifest(caseDir).assembly_order, ['F001', 'F004']);
+
+  assert.match(supersedeFinding(caseDir, 'F002', 'F001').error, /already superseded by F003/);
+  assert.match(supersedeFinding(caseDir, 'F001', 'F004').error, /F004 already supersedes F003/);
+  assert.match(supersedeFinding(caseDir, 'F004', 'F002').error, /F002 is superseded/);
+
+  const assembled = spawnSync(process.execPath, [FINDINGS_JS, 'assemble', caseDir], { encoding: 'utf-8' });
+  assert.equal(assembled.status, 0, assembled.stderr);
+  assert.equal(assembled.stderr, '');
+  assert.match(assembled.stdout, /Background body[\s\S]*Contract count final body/);
+  assert.doesNotMatch(assembled.stdout, /Contract count body|Contract count revised body/);
+
+  const history = spawnSync(process.execPath, [FINDINGS_JS, 'history', caseDir, 'F002'], { encoding: 'utf-8' });
+  assert.match(history.stdout, /History of F002: 3 version\(s\), head F004/);
+  assert.match(history.stdout, / {2}F002 \[superseded\] \S+ {2}Contract count\n {4}superseded by F003\n/);
+  assert.match(history.stdout, /\* F004 \[draft\] \S+ {2}Contract count final/);
+  assert.equal(auditFindings(caseDir).summary.errors, 0);
+});
+
+test('retire needs a reason and takes the whole chain out of the manifest', (t) => {
+  const caseDir = writeCase(t, {
+    F001: finding('F001', 'Background'),
+    F002: superseded('F002', 'F003'),
+    F003: finding('F003', 'Revised claim').replace('supersedes: null', 'supersedes: F002')
+  }, { version: 1, assembly_order: ['F001', 'F003'], sections: { main: ['F001', 'F003'] } });
+
+  assert.match(retireFinding(caseDir, 'F003', '').error, /reason is required/);
+  assert.match(retireFinding(caseDir, 'F002', 'wrong').error, /superseded by F003; retire the current version/);
+
+  const cli = spawnSync(process.execPath, [FINDINGS_JS, 'retire', caseDir, 'F003', '--reason', 'Source S004 retracted'], { encoding: 'utf-8' });
+  assert.equal(cli.status, 0, cli.stderr);
+  assert.match(cli.stdout, /Retired: F003 \(chain: F002 → F003\)/);
+
+  const meta = readMeta(caseDir, 'F003');
+  assert.equal(meta.status, 'retired');
+  assert.equal(meta.retired_reason, 'Source S004 retracted');
+  assert.deepEqual(readManifest(caseDir), { version: 1, assembly_order: ['F001'], sections: { main: ['F001'] } });
+  assert.deepEqual(assemblyOrder(path.join(caseDir, 'findings')), ['F001']);
+
+  const history = findingHistory(caseDir, 'F002');
+  assert.deepEqual(history.chain.map(e => [e.id, e.status, e.current]), [['F002', 'superseded', false], ['F003', 'retired', false]]);
+  assert.equal(auditFindings(caseDir).summary.errors, 0);
+});
+
+test('audit-findings reports broken and cyclic chains and stale manifest entries', (t) => {
+  const caseDir = writeCase(t, {
+    F001: superseded('F001', 'F009'),
+    F002: superseded('F002', 'F003', 'F003'),
+    F003: superseded('F003', 'F002', 'F002'),
+    F004: superseded('F004', 'F005'),
+    F005: finding('F005', 'F005').replace('supersedes: null', 'supersedes: F004'),
+    F006: finding('F006', 'F006').replace('supersedes: null', 'supersedes: F005')
+  }, { version: 1, assembly_order: ['F001', 'F004', 'F005', 'F006'], sections: { a: ['F004'] } });
+
+  const records = readFindingRecords(path.join(caseDir, 'findings'));
+  assert.deepEqual(chainOf(records, 'F002').cycle, ['F002', 'F003', 'F002']);
+  // The broken chain's last version is still assembled, the cycle is not
+  assert.deepEqual(assemblyOrder(path.join(caseDir, 'findings')), ['F001', 'F005', 'F006']);
+
+  const result = auditFindings(caseDir);
+  assert.deepEqual(result.chains.cycles, [['F002', 'F003', 'F002']]);
+  assert.deepEqual(result.chains.errors.map(e => `${e.id}: ${e.message}`), [
+    'F001: superseded_by F009, which does not exist (broken chain)',
+    'F006: supersedes F005, but F005 has superseded_by: null',
+    'F002: supersession cycle: F002 → F003 → F002'
+  ]);
+  assert.deepEqual(result.details.find(d => d.file === 'manifest.json').errors, [
+    'assembly_order lists superseded finding F004 (current version: F005)',
+    'sections.a lists superseded finding F004 (current version: F005)'
+  ]);
+
+  const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'audit-findings.js'), caseDir, '--block'], { encoding: 'utf-8' });
+  assert.equal(cli.status, 1);
+  assert.match(cli.stdout, /Supersession chains: 3 errors \(1 cycles\), 2 stale manifest references/);
+  assert.match(cli.stdout, /ERROR: Chain: superseded_by F009, which does not exist \(broken chain\)/);
+});
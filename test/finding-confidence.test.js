@@ -0,0 +1,137 @@
+/**
+ * Tests for finding-confidence.js
+ *
+ * Tests the suggested confidence derived from source domains, tiers, Gate 5
+ * verdicts and contradicting lead results, and how findings.js list and
+ * audit-findings.js --block report it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { registrableDomain, sourceTier, assessFindings } = require('../scripts/finding-confidence');
+const { auditFindings } = require('../scripts/audit-findings');
+const { tempCase, writeJson, writeFindings } = require('./helpers');
+
+const SCRIPTS = path.join(__dirname, '..', 'scripts');
+
+const SOURCES = [
+  { id: 'S001', url: 'https://www.sec.gov/cgi-bin/browse-edgar?company=acme', title: 'EDGAR filing', captured: true },
+  { id: 'S002', url: 'https://www.nytimes.com/2026/01/acme.html', title: 'Acme report', captured: true },
+  { id: 'S003', url: 'https://dealbook.nytimes.com/acme', title: 'Acme follow-up', captured: true },
+  { id: 'S004', url: 'https://acme-watch.blogspot.com/post', title: 'Blog', captured: true, tier: 3 },
+  { id: 'S005', url: 'https://www.example.co.uk/acme', title: 'UK report', captured: true },
+  { id: 'S006', url: 'https://county.example.org/contracts.pdf', title: 'County contracts', captured: true, primary: true }
+];
+
+function finding(id, confidence, sources, body) {
+  return `---\nid: ${id}\nstatus: sourced\nconfidence: ${confidence}\nsources: ${JSON.stringify(sources)}\n---\n\n# Finding: ${id}\n\n${body}\n`;
+}
+
+function writeCase(t, findings, extra = {}) {
+  const caseDir = writeFindings(tempCase(t, 'finding-confidence'), findings);
+  writeJson(caseDir, 'sources.json', { sources: SOURCES });
+  for (const [file, data] of Object.entries(extra)) writeJson(caseDir, file, data);
+  return caseDir;
+}
+
+test('domains and tiers', () => {
+  assert.equal(registrableDomain('https://dealbook.nytimes.com/x'), 'nytimes.com');
+  assert.equal(registrableDomain('https://news.example.co.uk/x'), 'example.co.uk');
+  assert.equal(registrableDomain('not a url'), null);
+  assert.equal(sourceTier(SOURCES[0]), 1);
+  assert.equal(sourceTier(SOURCES[1]), 2);
+  assert.equal(sourceTier(SOURCES[3]), 3);
+  assert.equal(sourceTier(SOURCES[5]), 1);
+  assert.equal(sourceTier({ url: 'https://www.gov.uk/x', primary: false }), 2);
+});
+
+test('suggests confidence from sources, Gate 5 verdicts and lead results', (t) => {
+  const caseDir = writeCase(t, {
+    F001: finding('F001', 'high', ['S001', 'S002'], 'Acme filed its annual report late [S001][S002].'),
+    F002: finding('F002', 'high', ['S002'], 'Acme hired a new auditor in March [S002][S003].'),
+    F003: finding('F003', 'low', ['S004'], 'Acme staff complained online [S004].'),
+    F004: finding('F004', 'medium', ['S002', 'S005'], 'Acme paid $4.2 million to a London consultancy in 2025 [S005].'),
+    F005: finding('F005', 'high', ['S002', 'S006'], 'Acme received county contracts worth $9 million in 2024 [S006].'),
+    F006: finding('F006', 'medium', ['S002', 'S009'], 'Acme changed its name [S002][S009].')
+  }, {
+    'semantic-verification.json': {
+      status: 'HAS_UNSOURCED',
+      results: [
+        { claim: { text: 'Acme paid $4.2 million to a London consultancy.' }, sourceId: 'S005', status: 'UNSOURCED' },
+        { claim: { text: 'Acme filed its annual report late.' }, sourceId: 'S001', status: 'SUPPORTED' },
+        // Different wording, same source: not drawn from F001
+        { claim: { text: 'The company moved its headquarters to Ohio.' }, sourceId: 'S001', status: 'UNSOURCED' }
+      ]
+    },
+    'leads.json': {
+      leads: [{
+        id: 'L001',
+        status: 'investigated',
+        result: {
+          conclusion: 'County records show smaller contracts',
+          claims: [{ text: 'Acme received county contracts worth $9 million', sources: ['S006'], verdict: 'refuted' }]
+        }
+      }]
+    }
+  });
+
+  const report = assessFindings(caseDir);
+  const byId = Object.fromEntries(report.findings.map(f => [f.id, f]));
+
+  assert.equal(byId.F001.suggested, 'high');
+  assert.deepEqual(byId.F001.domains, ['nytimes.com', 'sec.gov']);
+  assert.deepEqual(byId.F001.verification, { supported: 1, failed: [] });
+
+  assert.equal(byId.F002.suggested, 'low');
+  assert.deepEqual(byId.F002.reasons, ['1 independent domain(s): nytimes.com', 'no primary source']);
+
+  assert.equal(byId.F003.suggested, 'low');
+  assert.equal(byId.F003.overstated, false);
+
+  // Two secondary domains (medium), one level down for the failed verdict
+  assert.equal(byId.F004.suggested, 'low');
+  assert.match(byId.F004.reasons.join('\n'), /1 Gate 5 verdict\(s\) failed: UNSOURCED/);
+
+  assert.equal(byId.F005.suggested, 'low');
+  assert.match(byId.F005.reasons.join('\n'), /contradicted by lead\(s\) L001/);
+
+  assert.equal(byId.F006.suggested, 'low');
+  assert.match(byId.F006.reasons.join('\n'), /not in sources.json: S009/);
+
+  assert.deepEqual(report.overstated.map(f => [f.id, f.declared, f.suggested]), [
+    ['F002', 'high', 'low'],
+    ['F004', 'medium', 'low'],
+    ['F005', 'high', 'low'],
+    ['F006', 'medium', 'low']
+  ]);
+});
+
+test('findings.js list shows the suggestion and audit-findings --block fails on overstated confidence', (t) => {
+  const caseDir = writeCase(t, {
+    F001: finding('F001', 'medium', ['S001'], 'Acme filed late [S001].'),
+    F002: finding('F002', 'high', ['S002'], 'Acme hired an auditor [S002].')
+  });
+
+  const list = spawnSync(process.execPath, [path.join(SCRIPTS, 'findings.js'), 'list', caseDir], { encoding: 'utf-8' });
+  assert.equal(list.status, 0, list.stderr);
+  assert.match(list.stdout, /F001 \[sourced\] \(medium, suggested medium\)/);
+  assert.match(list.stdout, /F002 \[sourced\] \(high, suggested low \S*↓/);
+
+  const result = auditFindings(caseDir);
+  assert.equal(result.summary.errors, 0);
+  assert.equal(result.details.find(d => d.id === 'F002').suggestedConfidence, 'low');
+  assert.deepEqual(result.confidence.overstated.map(o => o.id), ['F002']);
+
+  const audit = (args) => spawnSync(process.execPath, [path.join(SCRIPTS, 'audit-findings.js'), caseDir, ...args], { encoding: 'utf-8' });
+  assert.equal(audit([]).status, 0);
+  const blocked = audit(['--block']);
+  assert.equal(blocked.status, 1);
+  assert.match(blocked.stdout, /F002: declared high, evidence supports low/);
+
+  fs.writeFileSync(path.join(caseDir, 'findings', 'F002.md'), finding('F002', 'low', ['S002'], 'Acme hired an auditor [S002].'));
+  assert.equal(audit(['--block']).status, 0);
+});
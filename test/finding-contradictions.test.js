@@ -0,0 +1,86 @@
+/**
+ * Tests for finding-contradictions.js
+ *
+ * Tests statement extraction (figures, dates, entity attributes), alignment
+ * and precision-aware comparison across findings, resolution through
+ * reconciliation-log.md, and the reconciliation gate report.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { extractStatements, findContradictions } = require('../scripts/finding-contradictions');
+const { deriveReconciliationGate } = require('../scripts/gates');
+const { tempCase, writeJson, writeFindings } = require('./helpers');
+
+function finding(id, body, extra = '') {
+  return `---\nid: ${id}\nstatus: sourced\nconfidence: medium\nsources: []\n${extra}---\n\n# Finding: ${id}\n\n${body}\n`;
+}
+
+function writeCase(t, findings) {
+  const caseDir = writeFindings(tempCase(t, 'finding-contradictions'), findings);
+  writeJson(caseDir, 'leads.json', { leads: [] });
+  return writeJson(caseDir, 'sources.json', { sources: [] });
+}
+
+test('extracts figures, dates and attributes', () => {
+  const statements = extractStatements(
+    'Records show Acme Holdings LLC received more than $4.2 million in county contracts on March 5, 2024, and paid 37% of it to Beta Corp [S001].'
+  );
+  assert.deepEqual(statements.map(s => [s.kind, s.raw, s.value]), [
+    ['date', 'March 5, 2024', '2024-03-05'],
+    ['number', '$4.2 million', 4200000],
+    ['number', '37%', 37]
+  ]);
+  const money = statements[1];
+  assert.equal(money.unit, 'USD');
+  assert.equal(money.bound, 'min');
+  assert.equal(money.resolution, 100000);
+  assert.deepEqual([...money.keywords], ['received', 'county', 'contract']);
+  assert.deepEqual(money.entities.map(e => e.name), ['Acme Holdings LLC', 'Beta Corp']);
+
+  assert.deepEqual(["Acme's CEO was Jane Doe.", 'Acme is headquartered in Reno.']
+    .flatMap(extractStatements)
+    .map(s => [s.subject.name, s.attribute, s.raw]), [
+    ['Acme', 'chief executive', 'Jane Doe'],
+    ['Acme', 'location', 'Reno']
+  ]);
+});
+
+test('reports conflicting findings and the reconciliation gate fails until they are resolved', (t) => {
+  const caseDir = writeCase(t, {
+    F001: finding('F001', 'Acme received $4.2 million in county contracts in 2024 [S001]. Acme Holdings LLC was registered in Delaware in 2019 [S001].'),
+    F002: finding('F002', 'Records show Acme received $9 million in county contracts in 2024 [S002]. Acme was registered in Nevada in March 2020 [S003].'),
+    F003: finding('F003', 'Acme received about $4 million in county contracts in 2024 [S004].', 'supersedes: F004\n'),
+    F004: finding('F004', 'Acme received $1 billion in county contracts in 2024 [S005].', 'superseded_by: F003\n').replace('status: sourced', 'status: superseded'),
+    F005: finding('F005', 'Acme paid $1 million in fees in 2023 [S005].')
+  });
+
+  const report = findContradictions(caseDir);
+  assert.equal(report.findingsCompared, 4);
+  assert.deepEqual(report.conflicts.map(c => [c.a.finding, c.b.finding, c.kind, c.a.value, c.b.value, c.subject, c.about]), [
+    ['F001', 'F002', 'number', '$4.2 million', '$9 million', 'Acme', 'received county contract'],
+    ['F001', 'F002', 'date', '2019', 'March 2020', 'Acme Holdings LLC', 'registered'],
+    ['F001', 'F002', 'attribute', 'Delaware', 'Nevada', 'Acme Holdings LLC', 'jurisdiction'],
+    ['F002', 'F003', 'number', '$9 million', '$4 million', 'Acme', 'received county contract']
+  ]);
+  assert.deepEqual(report.conflicts[0].b.sources, ['S002']);
+  assert.equal(report.unresolved, 4);
+
+  fs.writeFileSync(path.join(caseDir, 'reconciliation-log.md'), '# Reconciliation\n\n- F001 vs F002: F002 uses the amended county filing\n');
+  let gate = deriveReconciliationGate(caseDir);
+  assert.equal(gate.ok, false);
+  assert.deepEqual(gate.contradictions, { total: 4, unresolved: 1, report: path.join(caseDir, 'analysis', 'contradictions.md') });
+
+  const markdown = fs.readFileSync(gate.contradictions.report, 'utf-8');
+  assert.match(markdown, /4 conflicts, 1 unresolved/);
+  assert.match(markdown, /## Unresolved\n\n### 1\. F002 vs F003: Acme, received county contract \(number\)\n\n- \*\*F002\*\* \$9 million \(S002\): Records show Acme received/);
+  assert.match(markdown, /## Resolved in reconciliation-log\.md\n\n### 1\. F001 vs F002/);
+
+  fs.appendFileSync(path.join(caseDir, 'reconciliation-log.md'), '- F002 and F003: F003 predates the audited 2024 accounts\n');
+  gate = deriveReconciliationGate(caseDir);
+  assert.equal(gate.contradictions.unresolved, 0);
+  assert.equal(gate.ok, true);
+});
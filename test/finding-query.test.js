@@ -0,0 +1,134 @@
+/**
+ * Tests for findings.js query
+ *
+ * Tests the status/confidence/source/lead/section/date/text filters, sorting,
+ * JSON output and validated bulk updates of matching findings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { queryFindings, bulkUpdateFindings, parseFinding } = require('../scripts/findings');
+const { tempCase, writeJson, writeFindings } = require('./helpers');
+
+const FINDINGS_JS = path.join(__dirname, '..', 'scripts', 'findings.js');
+
+function finding(id, { status = 'sourced', confidence = 'medium', updated, sources = [], leads = [], body }) {
+  return `---\nid: ${id}\nstatus: ${status}\nconfidence: ${confidence}\ncreated: 2026-01-01\nupdated: ${updated}\n` +
+    `sources: ${JSON.stringify(sources)}\nrelated_leads: ${JSON.stringify(leads)}\n---\n\n${body}\n`;
+}
+
+function writeCase(t) {
+  const caseDir = writeFindings(tempCase(t, 'finding-query'), {
+    F001: finding('F001', { confidence: 'high', updated: '2026-01-10', sources: ['S001'], leads: ['L001'], body: '# Finding: Ownership\n\nAcme is owned by a Delaware trust [S001].' }),
+    F002: finding('F002', { status: 'draft', confidence: 'low', updated: '2026-02-03', leads: ['L002'], body: '# Finding: County contracts\n\nAcme received county contracts [S014].' }),
+    F003: finding('F003', { updated: '2026-01-20', sources: ['S014', 'S002'], leads: ['L001'], body: '# Finding: Lobbying\n\nAcme lobbied the county board [S002].' }),
+    F004: finding('F004', { status: 'stale', confidence: 'low', updated: '2025-12-30', sources: ['S003'], body: '# Finding: Early filings\n\nOld filings [S003].' })
+  });
+  return writeJson(caseDir, 'findings/manifest.json', {
+    version: 1,
+    assembly_order: ['F001', 'F002', 'F003'],
+    sections: { ownership: ['F001'], money: ['F002', 'F003'] }
+  });
+}
+
+const idsOf = result => result.findings.map(f => f.id);
+
+test('filters combine and sort', (t) => {
+  const caseDir = writeCase(t);
+
+  // Frontmatter sources and body citations both count
+  assert.deepEqual(idsOf(queryFindings(caseDir, { source: ['S014'] })), ['F002', 'F003']);
+  assert.deepEqual(idsOf(queryFindings(caseDir, { status: ['sourced', 'stale'] })), ['F001', 'F003', 'F004']);
+  assert.deepEqual(idsOf(queryFindings(caseDir, { lead: ['L001'], confidence: ['medium'] })), ['F003']);
+  assert.deepEqual(idsOf(queryFindings(caseDir, { section: ['money'] })), ['F002', 'F003']);
+  assert.deepEqual(idsOf(queryFindings(caseDir, { since: '2026-01-10', until: '2026-01-31' })), ['F001', 'F003']);
+  assert.deepEqual(idsOf(queryFindings(caseDir, { since: '2026-01-02', dateField: 'created' })), []);
+  assert.deepEqual(idsOf(queryFindings(caseDir, { text: 'COUNTY' })), ['F002', 'F003']);
+  assert.deepEqual(idsOf(queryFindings(caseDir, {}, { sort: 'confidence' })), ['F001', 'F003', 'F002', 'F004']);
+  assert.deepEqual(idsOf(queryFindings(caseDir, {}, { sort: 'updated', desc: true })), ['F002', 'F003', 'F001', 'F004']);
+
+  const row = queryFindings(caseDir, { section: ['ownership'] }).findings[0];
+  assert.deepEqual(row, {
+    id: 'F001',
+    file: 'F001.md',
+    title: 'Ownership',
+    status: 'sourced',
+    confidence: 'high',
+    created: '2026-01-01',
+    updated: '2026-01-10',
+    sources: ['S001'],
+    related_leads: ['L001'],
+    sections: ['ownership'],
+    current: true
+  });
+
+  assert.match(queryFindings(caseDir, { since: 'January' }).error, /--since must be a date/);
+  assert.match(queryFindings(caseDir, {}, { sort: 'size' }).error, /Sort key must be one of/);
+});
+
+test('bulk update marks matching findings and validates before writing', (t) => {
+  const caseDir = writeCase(t);
+  const readMeta = id => parseFinding(fs.readFileSync(path.join(caseDir, 'findings', `${id}.md`), 'utf-8')).metadata;
+
+  const dry = spawnSync(process.execPath, [FINDINGS_JS, 'query', caseDir, '--source', 'S014', '--set', 'status=needs_review', '--dry-run'], { encoding: 'utf-8' });
+  assert.equal(dry.status, 0, dry.stderr);
+  assert.match(dry.stdout, /2 finding\(s\) match\nWould update 2 finding\(s\): status="needs_review"/);
+  assert.equal(readMeta('F002').status, 'draft');
+
+  const cli = spawnSync(process.execPath, [FINDINGS_JS, 'query', caseDir, '--source', 'S014', '--set', 'status=needs_review', '--json'], { encoding: 'utf-8' });
+  assert.equal(cli.status, 0, cli.stderr);
+  assert.deepEqual(JSON.parse(cli.stdout).updated, ['F002', 'F003']);
+  assert.equal(readMeta('F002').status, 'needs_review');
+  assert.equal(readMeta('F003').status, 'needs_review');
+  assert.equal(readMeta('F003').updated, new Date().toISOString().split('T')[0]);
+  assert.equal(readMeta('F001').status, 'sourced');
+
+  const list = spawnSync(process.execPath, [FINDINGS_JS, 'list', caseDir], { encoding: 'utf-8' });
+  assert.match(list.stdout, /Needs review: 2/);
+
+  // An unrelated, pre-existing schema error does not block the update
+  fs.writeFileSync(path.join(caseDir, 'findings', 'F003.md'),
+    fs.readFileSync(path.join(caseDir, 'findings', 'F003.md'), 'utf-8').replace('related_leads: ["L001"]', 'related_leads: ["L1"]'));
+  const legacy = bulkUpdateFindings(caseDir, ['F001', 'F003'], { confidence: 'low' });
+  assert.equal(legacy.success, true);
+  assert.deepEqual(legacy.warnings, ['F003: related_leads has invalid lead IDs: L1 (already invalid, left as is)']);
+  assert.equal(readMeta('F003').confidence, 'low');
+  assert.deepEqual(readMeta('F003').related_leads, ['L1']);
+
+  // A change that is invalid for one finding stops the whole update
+  const invalid = bulkUpdateFindings(caseDir, ['F001', 'F003'], { related_leads: ['L2'] });
+  assert.equal(invalid.success, false);
+  assert.match(invalid.error, /F001: related_leads has invalid lead IDs: L2\n  F003: related_leads has invalid lead IDs: L2/);
+  assert.deepEqual(readMeta('F001').related_leads, ['L001']);
+
+  assert.match(bulkUpdateFindings(caseDir, ['F001'], { confidence: 'certain' }).error, /F001: confidence must be one of high, medium, low/);
+  assert.match(bulkUpdateFindings(caseDir, ['F001'], { status: 'retired' }).error, /use retire/);
+  assert.match(bulkUpdateFindings(caseDir, ['F001'], { superseded_by: 'F002' }).error, /superseded_by cannot be set here/);
+
+  const bad = spawnSync(process.execPath, [FINDINGS_JS, 'query', caseDir, '--colour', 'red'], { encoding: 'utf-8' });
+  assert.equal(bad.status, 1);
+  assert.match(bad.stderr, /Unknown query option: --colour/);
+});
+
+test('bulk updates skip superseded findings', (t) => {
+  const caseDir = writeCase(t);
+  const file = id => path.join(caseDir, 'findings', `${id}.md`);
+  fs.writeFileSync(file('F003'), fs.readFileSync(file('F003'), 'utf-8').replace('related_leads:', 'supersedes: F005\nrelated_leads:'));
+  fs.writeFileSync(file('F005'), '---\nid: F005\nstatus: superseded\nconfidence: medium\ncreated: 2026-01-01\nupdated: 2026-01-05\n' +
+    'sources: ["S014"]\nsuperseded_by: F003\n---\n\n# Finding: Lobbying (draft)\n\nAcme met the board [S014].\n');
+
+  const run = spawnSync(process.execPath, [FINDINGS_JS, 'query', caseDir, '--source', 'S014', '--set', 'status=needs_review'], { encoding: 'utf-8' });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Updated 2 finding\(s\): status="needs_review"/);
+  assert.match(run.stdout, /Skipped 1 superseded\/retired finding\(s\): F005/);
+
+  const meta = id => parseFinding(fs.readFileSync(file(id), 'utf-8')).metadata;
+  assert.equal(meta('F002').status, 'needs_review');
+  assert.equal(meta('F003').status, 'needs_review');
+  assert.equal(meta('F005').status, 'superseded');
+  assert.equal(meta('F005').updated, '2026-01-05');
+});
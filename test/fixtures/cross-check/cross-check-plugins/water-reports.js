@@ -0,0 +1,26 @@
+/**
+ * water-reports.js - Fixture drop-in plugin for county water reports
+ */
+
+'use strict';
+
+module.exports = {
+  type: 'water_reports',
+  patterns: [/water report/i],
+  domains: ['water.example.gov'],
+  extractors: {
+    boil_notices: /(\d+)\s+boil notices/i
+  },
+  verify(claim, evidence, h) {
+    const claimed = { boil_notices: claim.claim.boil_notices };
+    if (evidence.length === 0) return h.result('no_evidence', { claimed });
+    const actual = { boil_notices: h.firstMatch(evidence[0].content, /notices issued:\s*(\d+)/i) };
+    const same = h.numbersEqual(claimed.boil_notices, actual.boil_notices);
+    return h.result(same ? 'verified' : 'mismatch', {
+      claimed,
+      actual,
+      discrepancies: same ? [] : [`boil_notices: claimed ${claimed.boil_notices}, source ${actual.boil_notices}`],
+      evidence: [evidence[0].sourceId]
+    });
+  }
+};
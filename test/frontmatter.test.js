@@ -0,0 +1,155 @@
+/**
+ * Tests for frontmatter.js
+ *
+ * Tests the YAML subset used by findings (nested values, lists, quoting,
+ * dates, comments), lossless round-trips and in-place updates, per-field
+ * error recovery, and findings schema validation in audit-findings.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const fm = require('../scripts/frontmatter');
+const { parseFinding } = require('../scripts/findings');
+const { auditFindings } = require('../scripts/audit-findings');
+const { tempCase } = require('./helpers');
+
+const FINDING = `---
+# Written by the follow agent
+id: F012
+title: "Acme's \\"Delaware\\" trust: who owns it"   # quoted
+status: sourced
+confidence: medium
+created: 2026-01-05
+updated: 2026-01-09T14:30:00Z
+sources: [S001, "S002"]
+related_leads:
+  - L004
+  - L007  # merged duplicate
+supersedes: ~
+superseded_by: null
+review:
+  passes: 2
+  approved: true
+  notes: |
+    Checked against the county filing.
+    Figures match.
+  history:
+    - { by: desk, at: 2026-01-08 }
+    - by: legal
+      flags: [defamation, "privacy: minor"]
+---
+
+# Finding: Acme ownership
+
+Body text [S001].
+`;
+
+test('parses nested values, lists, quoting, dates and comments', () => {
+  const { metadata, body, errors } = fm.parseFrontmatter(FINDING);
+  assert.deepEqual(errors, []);
+  assert.equal(metadata.title, 'Acme\'s "Delaware" trust: who owns it');
+  assert.equal(metadata.created, '2026-01-05');
+  assert.equal(metadata.updated, '2026-01-09T14:30:00Z');
+  assert.deepEqual(metadata.sources, ['S001', 'S002']);
+  assert.deepEqual(metadata.related_leads, ['L004', 'L007']);
+  assert.equal(metadata.supersedes, null);
+  assert.deepEqual(metadata.review, {
+    passes: 2,
+    approved: true,
+    notes: 'Checked against the county filing.\nFigures match.\n',
+    history: [{ by: 'desk', at: '2026-01-08' }, { by: 'legal', flags: ['defamation', 'privacy: minor'] }]
+  });
+  assert.equal(body, '\n# Finding: Acme ownership\n\nBody text [S001].\n');
+
+  // findings.js reads through the same parser
+  assert.deepEqual(parseFinding(FINDING).metadata, metadata);
+});
+
+test('serialize and update round-trip without changing anything else', () => {
+  const { metadata, body } = fm.parseFrontmatter(FINDING);
+  const written = fm.serializeFinding(metadata, body);
+  assert.match(written, /^sources: \["S001", "S002"\]$/m);
+  assert.match(written, /^title: "Acme's \\"Delaware\\" trust: who owns it"$/m);
+  assert.deepEqual(fm.parseFrontmatter(written).metadata, metadata);
+  assert.equal(fm.serializeFinding(fm.parseFrontmatter(written).metadata, body), written);
+
+  // Strings that look like other types stay strings
+  const tricky = { id: 'F001', zip: '007', flag: 'true', empty: '', hash: 'a #b', dash: '- x', lines: 'a\nb', n: 12 };
+  assert.deepEqual(fm.parseYaml(fm.stringify(tricky)), tricky);
+
+  const updated = fm.updateFrontmatter(FINDING, { status: 'stale', sources: ['S001'], review: undefined, confidence_note: 'see F013' });
+  assert.equal(updated.replace('status: stale', 'status: sourced')
+    .replace('sources: ["S001"]', 'sources: [S001, "S002"]')
+    .replace('\nconfidence_note: see F013', ''),
+  FINDING.replace(/^review:[\s\S]*?(?=^---$)/m, ''));
+  const reread = fm.parseFrontmatter(updated).metadata;
+  assert.equal(reread.status, 'stale');
+  assert.equal(reread.review, undefined);
+  assert.equal(reread.confidence_note, 'see F013');
+});
+
+test('a rewritten field keeps its trailing comment', () => {
+  const text = '---\nstatus: draft # note\nsources: [S001] # primary only\ntitle: "A # B"  # quoted\n---\nBody\n';
+  assert.equal(fm.updateFrontmatter(text, { status: 'sourced', sources: ['S002'], title: 'C' }),
+    '---\nstatus: sourced # note\nsources: ["S002"] # primary only\ntitle: C  # quoted\n---\nBody\n');
+});
+
+test('titles with " #" are quoted on write and warned about when plain', () => {
+  const written = fm.updateFrontmatter('---\nid: F001\ntitle: old\n---\n', { title: 'Acme #1 supplier' });
+  assert.match(written, /^title: "Acme #1 supplier"$/m);
+  const reread = fm.parseFrontmatter(written);
+  assert.equal(reread.metadata.title, 'Acme #1 supplier');
+  assert.deepEqual(reread.warnings, []);
+
+  const { metadata, warnings } = fm.parseFrontmatter('---\nid: F001\ntitle: Acme #1 supplier\nstatus: draft # fine\n---\n');
+  assert.equal(metadata.title, 'Acme');
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^Line 2: title was cut at " #"/);
+});
+
+test('a broken field is reported without losing the others', () => {
+  const { metadata, errors } = fm.parseFrontmatter('---\nid: F003\nsources: [S001\nstatus: draft\ntitle: "unterminated\nconfidence: low\n---\nBody\n');
+  assert.deepEqual(metadata, { id: 'F003', status: 'draft', confidence: 'low' });
+  assert.deepEqual(errors, [
+    'Line 2: Frontmatter field "sources" could not be parsed: Unclosed "["',
+    'Line 4: Frontmatter field "title" could not be parsed: Unterminated double-quoted string'
+  ]);
+  assert.throws(() => fm.parseYaml('a: &anchor x'), fm.FrontmatterError);
+  assert.deepEqual(fm.parseFrontmatter('# No frontmatter').errors, ['Missing or invalid YAML frontmatter block']);
+});
+
+test('findings are validated against the schema', (t) => {
+  assert.deepEqual(fm.validateFinding(fm.parseFrontmatter(FINDING).metadata).warnings, ['Unknown field "review"']);
+
+  const { errors } = fm.validateFinding({
+    id: 'F004',
+    status: 'final',
+    confidence: 'certain',
+    created: '2026-02-30x',
+    sources: 'S001',
+    related_leads: ['L1'],
+    supersedes: 'F004',
+    superseded_by: 'F009'
+  });
+  assert.deepEqual(errors, [
+    'status must be one of draft, sourced, needs_review, stale, superseded, retired, got "final"',
+    'confidence must be one of high, medium, low, got "certain"',
+    'created must be a date (YYYY-MM-DD), got "2026-02-30x"',
+    'sources must be a list of source IDs',
+    'related_leads has invalid lead IDs: L1',
+    'supersedes points at the finding itself',
+    'superseded_by is F009 but status is final (expected superseded)'
+  ]);
+
+  const caseDir = tempCase(t, 'frontmatter');
+  fs.mkdirSync(path.join(caseDir, 'findings'));
+  fs.writeFileSync(path.join(caseDir, 'findings', 'F001.md'), FINDING.replace('F012', 'F001'));
+  fs.writeFileSync(path.join(caseDir, 'findings', 'F002.md'), '---\nid: F002\nstatus: superseded\nconfidence: low\nsources: []\n---\n\nOld\n');
+
+  const audit = auditFindings(caseDir);
+  assert.equal(audit.summary.errors, 1);
+  assert.deepEqual(audit.details.find(d => d.file === 'F002.md').errors, ['status is superseded but superseded_by is not set']);
+});
@@ -0,0 +1,56 @@
+/**
+ * Shared fixtures for tests that build a throwaway case directory.
+ *
+ * Usage:
+ *   const { tempCase, lead, writeLeads, writeFindings, writeJson } = require('./helpers');
+ *
+ *   const caseDir = tempCase(t, 'lead-deps');        // removed when the test ends
+ *   writeLeads(caseDir, [lead('L001', 'Find the complaint', { status: 'dead_end' })]);
+ *   writeFindings(caseDir, { F001: '---\nid: F001\n---\n\nBody.\n' });
+ *   writeJson(caseDir, 'sources.json', { sources: [] });
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+
+/** Fresh temp directory named `<name>-test-*`, removed after test `t`. */
+function tempCase(t, name) {
+  const caseDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  return caseDir;
+}
+
+/** A pending depth-0 lead; `extra` overrides any field. */
+function lead(id, text, extra = {}) {
+  return { id, lead: text, from: null, priority: 'MEDIUM', depth: 0, parent: null, status: 'pending', result: null, sources: [], ...extra };
+}
+
+function writeJson(caseDir, file, data) {
+  fs.writeFileSync(path.join(caseDir, file), JSON.stringify(data, null, 2));
+  return caseDir;
+}
+
+/** Write leads.json; `extra` adds or overrides top-level fields (version, budget, ...). */
+function writeLeads(caseDir, leads, extra = {}) {
+  return writeJson(caseDir, 'leads.json', { version: 1, max_depth: 3, leads, ...extra });
+}
+
+/** Write findings/<id>.md for each `{ id: markdown }` entry. */
+function writeFindings(caseDir, files) {
+  fs.mkdirSync(path.join(caseDir, 'findings'), { recursive: true });
+  for (const [id, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(caseDir, 'findings', `${id}.md`), text);
+  }
+  return caseDir;
+}
+
+module.exports = {
+  tempCase,
+  lead,
+  writeJson,
+  writeLeads,
+  writeFindings
+};
@@ -0,0 +1,65 @@
+/**
+ * Tests for ids.js and audit-id-migration.js
+ *
+ * Tests variable-width source/lead/finding IDs and legacy misparse detection.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ids = require('../scripts/ids');
+const { auditIdMigration } = require('../scripts/audit-id-migration');
+const { extractArticleClaims } = require('../scripts/claims/verify-article');
+const { tempCase } = require('./helpers');
+
+test('ID predicates accept widths of 3 or more digits', () => {
+  assert.equal(ids.isSourceId('S001'), true);
+  assert.equal(ids.isSourceId('S2017'), true);
+  assert.equal(ids.isSourceId('S12'), false);
+  assert.equal(ids.isSourceId('L001'), false);
+  assert.equal(ids.isLeadId('L1234'), true);
+  assert.equal(ids.isFindingId('F1000'), true);
+});
+
+test('nextId and compareIds order numerically past 999', () => {
+  assert.equal(ids.nextId('F', ['F998', 'F999']), 'F1000');
+  assert.equal(ids.nextId('L', []), 'L001');
+  assert.deepEqual(['S1000', 'S999', 'S010'].sort(ids.compareIds), ['S010', 'S999', 'S1000']);
+});
+
+test('extractSourceIds reads wide citations with and without URLs', () => {
+  const text = 'A [S2017](https://example.com/a) and [S001] and [S2017] again.';
+  assert.deepEqual(ids.extractSourceIds(text), ['S2017', 'S001']);
+});
+
+test('extractArticleClaims keeps wide source IDs intact', () => {
+  const { claims } = extractArticleClaims('The senators wrote to the FTC in July 2023 [S2017](https://example.com/x).');
+  assert.equal(claims.length, 1);
+  assert.deepEqual(claims[0].sourceIds, ['S2017']);
+  assert.ok(!claims[0].text.includes('S2017'));
+});
+
+test('audit-id-migration flags wide citations that collide with a legacy reading', (t) => {
+  const caseDir = tempCase(t, 'ids');
+
+  fs.mkdirSync(path.join(caseDir, 'evidence', 'S201'), { recursive: true });
+  fs.mkdirSync(path.join(caseDir, 'evidence', 'S2017'), { recursive: true });
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'),
+    'First claim here [S2017].\nSecond claim here [S3050].\nThird claim [S12].\nFine [S201].\n');
+  fs.writeFileSync(path.join(caseDir, 'semantic-verification.json'),
+    JSON.stringify({ results: [{ sourceId: 'S201' }] }));
+
+  const res = auditIdMigration(caseDir);
+  const byCitation = Object.fromEntries(res.issues.filter(i => i.citation).map(i => [i.citation, i]));
+
+  assert.equal(byCitation['[S2017]'].severity, 'error');
+  assert.equal(byCitation['[S2017]'].legacyReading, 'S201');
+  assert.equal(byCitation['[S3050]'].severity, 'warning');
+  assert.equal(byCitation['[S12]'].type, 'non_canonical');
+  assert.equal(byCitation['[S201]'], undefined);
+  assert.equal(res.summary.staleVerification, 1);
+  assert.equal(res.summary.collisions, 1);
+});
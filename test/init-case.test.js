@@ -8,10 +8,10 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const path = require('node:path');
-const os = require('node:os');
 
 const ROOT = path.resolve(__dirname, '..');
 const { initCase } = require(path.join(ROOT, 'scripts', 'init-case.js'));
+const { tempCase } = require('./helpers');
 
 // Expected 35 frameworks
 const EXPECTED_FRAMEWORKS = [
@@ -52,13 +52,6 @@ const EXPECTED_FRAMEWORKS = [
   '35-mechanism-tracing',
 ];
 
-/**
- * Create a temporary directory for test cases
- */
-function createTempDir() {
-  return fs.mkdtempSync(path.join(os.tmpdir(), 'agenticinvestigator-test-'));
-}
-
 /**
  * Run init-case.js with given case name and optional full topic in specified directory
  */
@@ -72,12 +65,10 @@ function runInitCase(caseName, cwd, fullTopic = null) {
 }
 
 test('init-case.js creates correct directory structure', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   runInitCase('Test Topic Here', tempDir);
 
   const caseDir = path.join(casesDir, 'test-topic-here');
@@ -104,12 +95,10 @@ test('init-case.js creates correct directory structure', async (t) => {
 });
 
 test('init-case.js creates valid state.json with v2 schema', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   runInitCase('Schema Test', tempDir);
 
   const stateFile = path.join(casesDir, 'schema-test', 'state.json');
@@ -133,12 +122,10 @@ test('init-case.js creates valid state.json with v2 schema', async (t) => {
 });
 
 test('init-case.js stores full topic separately from short case name', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   // Pass short name and full topic as separate arguments
   const shortName = 'fda-pharma-influence';
   const fullTopic = 'How does the pharmaceutical industry influence FDA drug approval processes?';
@@ -152,12 +139,10 @@ test('init-case.js stores full topic separately from short case name', async (t)
 });
 
 test('init-case.js creates valid sources.json', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   runInitCase('Sources Test', tempDir);
 
   const sourcesFile = path.join(casesDir, 'sources-test', 'sources.json');
@@ -169,12 +154,10 @@ test('init-case.js creates valid sources.json', async (t) => {
 });
 
 test('init-case.js creates valid leads.json', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   runInitCase('Leads Test', tempDir);
 
   const leadsFile = path.join(casesDir, 'leads-test', 'leads.json');
@@ -186,12 +169,10 @@ test('init-case.js creates valid leads.json', async (t) => {
 });
 
 test('init-case.js creates all 35 framework question files', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   runInitCase('Frameworks Test', tempDir);
 
   const questionsDir = path.join(casesDir, 'frameworks-test', 'questions');
@@ -206,12 +187,10 @@ test('init-case.js creates all 35 framework question files', async (t) => {
 });
 
 test('init-case.js framework files have correct structure', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   runInitCase('Framework Content Test', tempDir);
 
   const questionsDir = path.join(casesDir, 'framework-content-test', 'questions');
@@ -229,12 +208,10 @@ test('init-case.js framework files have correct structure', async (t) => {
 });
 
 test('init-case.js slugifies topic correctly', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   runInitCase('Complex Topic: With Special Ch@rs & Numbers 123!', tempDir);
 
   const expectedSlug = 'complex-topic-with-special-ch-rs-numbers-123';
@@ -244,12 +221,10 @@ test('init-case.js slugifies topic correctly', async (t) => {
 });
 
 test('init-case.js fails if case already exists', async (t) => {
-  const tempDir = createTempDir();
+  const tempDir = tempCase(t, 'init-case');
   const casesDir = path.join(tempDir, 'cases');
   fs.mkdirSync(casesDir);
 
-  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
-
   // Create first case
   runInitCase('Duplicate Test', tempDir);
 
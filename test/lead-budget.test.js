@@ -0,0 +1,154 @@
+/**
+ * Tests for lead-budget.js
+ *
+ * Tests budget resolution and usage tracking from claims and source
+ * allocations, automatic deferral to future_research.md, and the overrun
+ * report in the check-continue.js signal.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { resolveBudget, checkBudget, findOverruns, DEFAULT_BUDGET } = require('../scripts/lead-budget');
+const { claimLead, releaseLead, recordProgress, enforceBudgets, readLeads } = require('../scripts/leads-lock');
+const { allocateRange, commitAllocation, releaseAllocation } = require('../scripts/allocate-sources');
+const { readEvents } = require('../scripts/lead-journal');
+const { tempCase, lead, writeJson, writeLeads } = require('./helpers');
+
+function minutesAgo(n) {
+  return new Date(Date.now() - n * 60000).toISOString();
+}
+
+function writeCase(t, leads, extra = {}) {
+  const caseDir = writeLeads(tempCase(t, 'lead-budget'), leads, extra);
+  writeJson(caseDir, 'state.json', { case: 'budget-test', phase: 'FOLLOW', iteration: 1, next_source: 1, gates: {} });
+  fs.writeFileSync(path.join(caseDir, 'future_research.md'), '# Future Research\n\nLeads beyond max_depth that merit future investigation.\n\n---\n\n*No leads deferred yet.*\n');
+  return caseDir;
+}
+
+test('budgets resolve per limit: lead over case over defaults', () => {
+  const data = { budget: { minutes: 30, captures: null } };
+  assert.deepEqual(DEFAULT_BUDGET, { minutes: null, captures: null });
+  assert.deepEqual(resolveBudget(lead('L001', 'a'), {}), DEFAULT_BUDGET);
+  assert.deepEqual(resolveBudget(lead('L001', 'a'), data), { minutes: 30, captures: null });
+  assert.deepEqual(resolveBudget(lead('L001', 'a', { budget: { captures: 5, minutes: 'soon' } }), data), { minutes: 30, captures: 5 });
+
+  const working = lead('L002', 'b', { claimed_at: minutesAgo(20), budget_usage: { minutes: 15, captures: 40 } });
+  const check = checkBudget(working, data);
+  assert.equal(check.used.minutes, 35);
+  assert.deepEqual(check.exceeded, ['minutes']);
+  assert.deepEqual(findOverruns({ ...data, leads: [working, lead('L003', 'c')] }).map(c => c.lead_id), ['L002']);
+});
+
+test('leads without a budget are never deferred', (t) => {
+  const caseDir = writeCase(t, [lead('L001', 'Read every council transcript', { claimed_at: minutesAgo(600), budget_usage: { minutes: 900, captures: 300 } })]);
+
+  assert.equal(checkBudget(readLeads(caseDir).leads[0], readLeads(caseDir)).over, false);
+  assert.equal(allocateRange(caseDir, 50, null, { lead_id: 'L001' }).success, true);
+  assert.deepEqual(enforceBudgets(caseDir).deferred, []);
+  assert.equal(readLeads(caseDir).leads[0].status, 'pending');
+});
+
+test('claim time accumulates across claims and over-budget leads are deferred', (t) => {
+  const caseDir = writeCase(t, [
+    lead('L001', 'Trace the shell company directors', { budget: { minutes: 20 } }),
+    lead('L002', 'Pull the county budget')
+  ]);
+
+  assert.equal(claimLead(caseDir, 'L001').success, true);
+  const data = readLeads(caseDir);
+  data.leads[0].claimed_at = minutesAgo(12);
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify(data));
+  releaseLead(caseDir, 'L001');
+  assert.equal(readLeads(caseDir).leads[0].budget_usage.minutes, 12);
+
+  claimLead(caseDir, 'L001');
+  recordProgress(caseDir, 'L001', 'Two of five directors identified', ['S004']);
+  const again = readLeads(caseDir);
+  again.leads[0].claimed_at = minutesAgo(9);
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify(again));
+
+  assert.deepEqual(enforceBudgets(caseDir, { dryRun: true }).overruns.map(c => c.lead_id), ['L001']);
+
+  const enforced = enforceBudgets(caseDir);
+  assert.deepEqual(enforced.deferred.map(c => c.exceeded), [['minutes']]);
+  const deferred = readLeads(caseDir).leads[0];
+  assert.equal(deferred.status, 'deferred');
+  assert.equal(deferred.claimed_by, undefined);
+  assert.equal(deferred.budget_usage.minutes, 21);
+  assert.match(deferred.result, /^Deferred \(budget exceeded: minutes 21\/20\)\. Partial: Two of five directors identified$/);
+  assert.deepEqual(deferred.sources, ['S004']);
+  assert.equal(claimLead(caseDir, 'L001').success, false);
+
+  const future = fs.readFileSync(path.join(caseDir, 'future_research.md'), 'utf-8');
+  assert.doesNotMatch(future, /No leads deferred yet/);
+  assert.match(future, /## L001: Trace the shell company directors\n\n- \*\*Deferred:\*\* .* \(budget exceeded: minutes 21\/20\)/);
+  assert.match(future, /- \*\*Sources so far:\*\* S004/);
+
+  assert.equal(readEvents(caseDir).events.filter(e => e.op === 'defer').length, 1);
+  assert.deepEqual(enforceBudgets(caseDir).deferred, []);
+});
+
+test('source allocations charge the lead and are refused beyond the remaining captures', (t) => {
+  const caseDir = writeCase(t, [lead('L001', 'Find every county contract with Acme')], { budget: { captures: 10 } });
+
+  const first = allocateRange(caseDir, 6, null, { lead_id: 'L001' });
+  assert.equal(first.success, true);
+  assert.equal(first.budget.used.captures, 6);
+  assert.equal(first.budget.remaining.captures, 4);
+
+  // Only 2 of 6 used: the rest is refunded
+  assert.equal(commitAllocation(caseDir, first.batch_id, 2).refunded, 4);
+  const second = allocateRange(caseDir, 5, null, { lead_id: 'L001' });
+  assert.equal(second.budget.used.captures, 7);
+  assert.equal(releaseAllocation(caseDir, second.batch_id).refunded, 5);
+  assert.equal(readLeads(caseDir).leads[0].budget_usage.captures, 2);
+
+  // More than remains: refused, nothing reserved or charged
+  const allocations = () => JSON.parse(fs.readFileSync(path.join(caseDir, 'state.json'), 'utf-8')).source_allocations;
+  const before = allocations();
+  const tooMany = allocateRange(caseDir, 50, null, { lead_id: 'L001' });
+  assert.equal(tooMany.success, false);
+  assert.equal(tooMany.error, 'budget_exceeded');
+  assert.equal(tooMany.remaining, 8);
+  assert.equal(readLeads(caseDir).leads[0].budget_usage.captures, 2);
+  assert.equal(readLeads(caseDir).leads[0].status, 'pending');
+  assert.deepEqual(allocations(), before);
+
+  // Using the budget exactly does not defer the lead
+  const last = allocateRange(caseDir, 8, null, { lead_id: 'L001' });
+  assert.equal(last.success, true);
+  assert.equal(last.budget.over, false);
+  assert.equal(readLeads(caseDir).leads[0].status, 'pending');
+
+  const refused = allocateRange(caseDir, 1, null, { lead_id: 'L001' });
+  assert.equal(refused.success, false);
+  assert.equal(refused.error, 'budget_exhausted');
+
+  // Usage past a lowered budget defers the lead
+  const data = readLeads(caseDir);
+  data.budget.captures = 5;
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify(data, null, 2));
+  assert.equal(enforceBudgets(caseDir).deferred.length, 1);
+  assert.equal(readLeads(caseDir).leads[0].status, 'deferred');
+  assert.equal(allocateRange(caseDir, 1, null, { lead_id: 'L001' }).error, 'budget_exhausted');
+
+  // Allocations without a lead are not budgeted
+  assert.equal(allocateRange(caseDir, 3).success, true);
+});
+
+test('check-continue defers overruns and reports them in the signal', (t) => {
+  const caseDir = writeCase(t, [
+    lead('L001', 'Interview former finance staff', { claimed_by: 'pid_1_1', claimed_at: minutesAgo(100) }),
+    lead('L002', 'Pull the county budget', { priority: 'LOW' })
+  ], { budget: { minutes: 90 } });
+
+  const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'check-continue.js'), caseDir], { encoding: 'utf-8' });
+  assert.equal(run.status, 2, run.stderr);
+  assert.match(run.stdout, /Budget overruns: 1 lead\(s\) deferred to future_research\.md\n {2}- L001: minutes 100\/90/);
+  assert.match(run.stdout, /Leads: 1 pending, 0 investigated, 0 dead_end, 1 deferred/);
+  assert.match(run.stdout, /Next: \/action follow L002/);
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for lead-dedup.js
+ *
+ * Tests near-duplicate merging in leads-lock.js add-child and
+ * merge-batch-leads.js, and the duplicate cluster report.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { leadSimilarity, findDuplicateClusters } = require('../scripts/lead-dedup');
+const { addChildLead, findDuplicates, readLeads } = require('../scripts/leads-lock');
+const { mergeLeads } = require('../scripts/merge-batch-leads');
+const { tempCase, lead, writeLeads } = require('./helpers');
+
+test('similarity ignores lead verbs, plurals and word order', () => {
+  assert.equal(leadSimilarity('Verify who owns Acme Holdings LLC', 'Determine who owns Acme Holdings LLC'), 1);
+  assert.equal(leadSimilarity('ICE arrest numbers for 2024', 'Check 2024 ICE arrest number'), 1);
+  assert.ok(leadSimilarity('ICE arrest numbers for 2024', 'CBP budget request for 2025') < 0.2);
+});
+
+test('add-child merges a near-duplicate into the existing lead, even a dead end', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-dedup'), [
+    lead('L001', 'Who funds the Center for Policy Reform'),
+    lead('L002', 'Find the owner of Acme Holdings LLC', { status: 'dead_end', result: 'No registry record' }),
+    lead('L003', 'Pull the 2024 county audit', { priority: 'LOW' })
+  ]);
+
+  const merged = addChildLead(caseDir, 'L001', { lead: 'Identify the owner of Acme Holdings LLC.', priority: 'HIGH' });
+  assert.equal(merged.success, true);
+  assert.equal(merged.duplicate_of, 'L002');
+  assert.equal(merged.lead.status, 'dead_end');
+  assert.equal(merged.lead.priority, 'MEDIUM');
+
+  const bumped = addChildLead(caseDir, 'L001', { lead: 'Obtain the county audit for 2024', priority: 'HIGH' });
+  assert.equal(bumped.duplicate_of, 'L003');
+
+  const data = readLeads(caseDir);
+  assert.equal(data.leads.length, 3);
+  assert.equal(data.leads[1].duplicates[0].from, 'L001');
+  assert.equal(data.leads[1].duplicates[0].duplicate_of, 'L002');
+  assert.equal(data.leads[2].duplicates[0].duplicate_of, 'L003');
+  assert.equal(data.leads[2].priority, 'HIGH');
+
+  const fresh = addChildLead(caseDir, 'L001', { lead: 'Interview the former CFO of the Center' });
+  assert.equal(fresh.lead.id, 'L004');
+  const forced = addChildLead(caseDir, 'L001', { lead: 'Find the owner of Acme Holdings LLC' }, { dedup: false });
+  assert.equal(forced.lead.id, 'L005');
+});
+
+test('merge-batch-leads merges near-duplicates across and within batches', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-dedup'), [lead('L001', 'Verify the 2023 budget of the county sheriff')]);
+  fs.writeFileSync(path.join(caseDir, 'batch1_results.json'), JSON.stringify({
+    leads_added: [
+      { lead: 'Check the county sheriff budget for 2023', from: 'L001' },
+      { lead: 'Search court records for the sheriff deputies lawsuit', from: 'L001' },
+      { lead: 'Search court records for the lawsuit against sheriff deputies', from: 'L001' }
+    ]
+  }));
+
+  const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'merge-batch-leads.js'), caseDir], { encoding: 'utf-8' });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /2 near-duplicates merged/);
+
+  assert.match(run.stdout, /duplicate_of L001 \(similarity [\d.]+\): Check the county sheriff budget for 2023/);
+
+  const data = JSON.parse(fs.readFileSync(path.join(caseDir, 'leads.json'), 'utf-8'));
+  assert.deepEqual(data.leads.map(l => l.id), ['L001', 'L002']);
+  assert.deepEqual(data.leads.map(l => l.duplicates.map(d => d.duplicate_of)), [['L001'], ['L002']]);
+  assert.equal(data.leads[1].duplicates[0].lead, 'Search court records for the lawsuit against sheriff deputies');
+});
+
+test('mergeLeads returns the duplicate_of record of each merged proposal', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-dedup'), [lead('L001', 'Verify the 2023 budget of the county sheriff')]);
+  fs.writeFileSync(path.join(caseDir, 'batch1_results.json'), JSON.stringify({
+    leads_added: [{ lead: 'Check the county sheriff budget for 2023', from: 'L001' }]
+  }));
+  t.mock.method(console, 'log', () => {});
+
+  const result = mergeLeads(caseDir, true);
+  assert.deepEqual(result.duplicates.map(d => [d.lead, d.duplicate_of]), [['Check the county sheriff budget for 2023', 'L001']]);
+  assert.deepEqual(readLeads(caseDir).leads[0].duplicates.map(d => d.duplicate_of), ['L001']);
+});
+
+test('merging a batch that adds nothing leaves leads.json and the journal alone', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-dedup'), [lead('L001', 'Verify the 2023 budget of the county sheriff')], { version: 4 });
+  fs.writeFileSync(path.join(caseDir, 'batch1_results.json'), JSON.stringify({
+    leads_added: [{ lead: 'Pull the jail staffing contract', from: 'L001' }]
+  }));
+  t.mock.method(console, 'log', () => {});
+
+  assert.equal(mergeLeads(caseDir, true).added, 1);
+  const merged = fs.readFileSync(path.join(caseDir, 'leads.json'), 'utf-8');
+  const journal = fs.readFileSync(path.join(caseDir, 'leads.events.jsonl'), 'utf-8');
+
+  const again = mergeLeads(caseDir, true);
+  assert.deepEqual([again.added, again.skipped, again.merged], [0, 1, 0]);
+  assert.equal(fs.readFileSync(path.join(caseDir, 'leads.json'), 'utf-8'), merged);
+  assert.equal(fs.readFileSync(path.join(caseDir, 'leads.events.jsonl'), 'utf-8'), journal);
+});
+
+test('duplicate report clusters transitively similar leads', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-dedup'), [
+    lead('L001', 'Acme Holdings LLC ownership records'),
+    lead('L002', 'Who owns Acme Holdings LLC'),
+    lead('L003', 'Acme Holdings LLC ownership records Delaware', { status: 'investigated' }),
+    lead('L004', 'Sheriff budget 2023'),
+    lead('L005', 'Budget of the sheriff in 2023')
+  ], { dedup_threshold: 0.6 });
+
+  const report = findDuplicates(caseDir);
+  assert.equal(report.threshold, 0.6);
+  assert.equal(report.duplicate_leads, 2);
+  assert.deepEqual(report.clusters.map(c => [c.canonical, c.ids]), [
+    ['L003', ['L001', 'L003']],
+    ['L004', ['L004', 'L005']]
+  ]);
+
+  const loose = findDuplicateClusters(readLeads(caseDir).leads, { threshold: 0.5 });
+  assert.deepEqual(loose.map(c => [c.canonical, c.ids]), [
+    ['L003', ['L001', 'L002', 'L003']],
+    ['L004', ['L004', 'L005']]
+  ]);
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for lead-deps.js
+ *
+ * Tests blocked_by editing with cycle detection in leads-lock.js, dependency-aware
+ * scheduling, and the stranded-lead report of the curiosity gate.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { findCycles } = require('../scripts/lead-deps');
+const { addDependency, removeDependency, batchSelect, claimLead, updateLead, readLeads } = require('../scripts/leads-lock');
+const { deriveCuriosityGate } = require('../scripts/gates');
+const { tempCase, lead, writeLeads } = require('./helpers');
+
+test('add-dep rejects cycles and remove-dep clears the relation', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-deps'), [
+    lead('L001', 'Find the 2023 complaint against the county'),
+    lead('L002', 'Review exhibits to the 2023 complaint'),
+    lead('L003', 'Interview the witnesses named in the exhibits')
+  ]);
+
+  assert.equal(addDependency(caseDir, 'L002', 'L001').success, true);
+  assert.equal(addDependency(caseDir, 'L003', 'L002').success, true);
+  assert.equal(addDependency(caseDir, 'L003', 'L002').unchanged, true);
+
+  const cycle = addDependency(caseDir, 'L001', 'L003');
+  assert.equal(cycle.success, false);
+  assert.deepEqual(cycle.cycle, ['L001', 'L003', 'L002', 'L001']);
+  assert.equal(addDependency(caseDir, 'L001', 'L001').error, 'cycle');
+  assert.match(addDependency(caseDir, 'L001', 'L009').error, /L009 not found/);
+
+  assert.deepEqual(readLeads(caseDir).leads.map(l => l.blocked_by), [undefined, ['L001'], ['L002']]);
+
+  assert.equal(removeDependency(caseDir, 'L003', 'L002').success, true);
+  assert.equal(removeDependency(caseDir, 'L003', 'L002').success, false);
+  assert.equal(readLeads(caseDir).leads[2].blocked_by, undefined);
+});
+
+test('only leads with resolved blockers are scheduled', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-deps'), [
+    lead('L001', 'Find the 2023 complaint against the county'),
+    lead('L002', 'Review exhibits to the 2023 complaint', { priority: 'HIGH', blocked_by: ['L001'] }),
+    lead('L003', 'Pull the county budget', { priority: 'LOW' })
+  ]);
+
+  const before = batchSelect(caseDir, 5);
+  assert.deepEqual(before.leads.map(l => l.id), ['L001', 'L003']);
+  assert.equal(before.blocked_count, 1);
+  assert.match(claimLead(caseDir, 'L002').error, /blocked by L001/);
+
+  // A blocker deferred over its budget has not resolved
+  const data = readLeads(caseDir);
+  data.leads[0].status = 'deferred';
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify(data, null, 2));
+  assert.deepEqual(batchSelect(caseDir, 5).leads.map(l => l.id), ['L003']);
+  assert.deepEqual(deriveCuriosityGate(caseDir).stranded, [{ id: 'L002', deferred_blockers: ['L001'] }]);
+
+  updateLead(caseDir, 'L001', 'dead_end', 'Complaint not on the docket');
+  assert.deepEqual(batchSelect(caseDir, 5).leads.map(l => l.id), ['L002', 'L003']);
+  assert.equal(claimLead(caseDir, 'L002').success, true);
+});
+
+test('curiosity gate reports stranded leads and hand-edited cycles', (t) => {
+  const leads = [
+    lead('L001', 'Find the 2023 complaint', { status: 'dead_end' }),
+    lead('L002', 'Review exhibits to the complaint', { blocked_by: ['L001'] }),
+    lead('L003', 'Board minutes', { blocked_by: ['L004'] }),
+    lead('L004', 'Vendor list', { blocked_by: ['L003'] }),
+    lead('L005', 'Audit', { status: 'investigated' })
+  ];
+  const caseDir = writeLeads(tempCase(t, 'lead-deps'), leads);
+  assert.deepEqual(findCycles(leads), [['L003', 'L004', 'L003']]);
+
+  const gate = deriveCuriosityGate(caseDir);
+  assert.equal(gate.ok, false);
+  assert.equal(gate.blocked, 2);
+  assert.deepEqual(gate.stranded, [{ id: 'L002', dead_end_blockers: ['L001'] }]);
+  assert.deepEqual(gate.dependencyCycles, [['L003', 'L004', 'L003']]);
+});
+
+test('check-continue stops when every pending lead is blocked', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-deps'), [
+    lead('L001', 'Board minutes', { blocked_by: ['L002'] }),
+    lead('L002', 'Vendor list', { blocked_by: ['L001'] })
+  ]);
+  fs.writeFileSync(path.join(caseDir, 'state.json'), JSON.stringify({ case: 'deps', phase: 'FOLLOW', iteration: 1, gates: {} }));
+
+  const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'check-continue.js'), caseDir], { encoding: 'utf-8' });
+  assert.equal(run.status, 1, run.stdout + run.stderr);
+  assert.match(run.stdout, /All pending leads are blocked/);
+  assert.match(run.stdout, /cycle L001 -> L002 -> L001/);
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for lead-graph.js
+ *
+ * Tests the graph model and the Mermaid, DOT, GraphML and HTML renderings,
+ * plus embedding in the article context bundle.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { buildGraph, toMermaid, toDot, toGraphML } = require('../scripts/lead-graph');
+const { buildBundle } = require('../scripts/build-article-context');
+const { tempCase, lead, writeJson, writeLeads, writeFindings } = require('./helpers');
+
+function writeCase(t) {
+  const caseDir = writeLeads(tempCase(t, 'lead-graph'), [
+    lead('L001', 'Who owns "Acme" <Holdings>', { status: 'investigated', priority: 'HIGH', from: 'questions/01-follow-the-money.md', sources: ['S001', 'S002'] }),
+    lead('L002', 'Acme subcontractors', { depth: 1, parent: 'L001', from: 'L001', status: 'dead_end', priority: 'LOW' }),
+    lead('L003', 'Subcontractor payments', { depth: 1, parent: 'L001', from: 'L001', blocked_by: ['L002'] })
+  ]);
+  writeJson(caseDir, 'sources.json', {
+    sources: [
+      { id: 'S001', title: 'State business registry', url: 'https://sos.example.gov/acme' },
+      { id: 'S002', title: 'Acme annual report', url: 'https://acme.example/report.pdf' }
+    ]
+  });
+  return writeFindings(caseDir, {
+    F001: '---\nid: F001\ntitle: Acme ownership\nstatus: draft\nsources: ["S001"]\nrelated_leads: ["L001", "L009"]\n---\n\nAcme is owned by a trust [S001].\n'
+  });
+}
+
+test('graph has the lead tree, origin, blocker, source and finding edges', (t) => {
+  const graph = buildGraph(writeCase(t));
+  assert.deepEqual(graph.nodes.map(n => `${n.kind}:${n.id}`), [
+    'lead:L001', 'source:S001', 'source:S002', 'lead:L002', 'lead:L003', 'origin:O1', 'finding:F001'
+  ]);
+  assert.deepEqual(graph.edges.map(e => `${e.from}-${e.kind}->${e.to}`), [
+    'O1-origin->L001', 'L001-source->S001', 'L001-source->S002',
+    'L001-parent->L002', 'L001-parent->L003', 'L002-blocks->L003',
+    'L001-finding->F001'
+  ]);
+  assert.equal(graph.nodes.find(n => n.id === 'O1').label, '01-follow-the-money');
+
+  const bare = buildGraph(writeCase(t), { sources: false, findings: false });
+  assert.equal(bare.nodes.filter(n => n.kind === 'source' || n.kind === 'finding').length, 0);
+});
+
+test('renderings color leads by status and priority and escape labels', (t) => {
+  const graph = buildGraph(writeCase(t));
+
+  const mermaid = toMermaid(graph);
+  assert.match(mermaid, /^flowchart LR\n/);
+  assert.match(mermaid, /L001\["L001: Who owns #quot;Acme#quot;  Holdings "\]/);
+  assert.match(mermaid, /L002 -\. blocks \.-> L003/);
+  assert.match(mermaid, /class L001 investigated/);
+  assert.match(mermaid, /class L003 pending/);
+  assert.match(mermaid, /class L001 high/);
+
+  const dot = toDot(graph);
+  assert.match(dot, /"L001" \[label="L001\\nWho owns \\"Acme\\" <Holdings>", shape=box, fillcolor="#d4edda", color="#c9302c", penwidth=3\];/);
+  assert.match(dot, /"S001" \[.*URL="https:\/\/sos\.example\.gov\/acme"\]/);
+
+  const graphml = toGraphML(graph);
+  assert.match(graphml, /<node id="L002">[\s\S]*?<data key="status">dead_end<\/data>[\s\S]*?<data key="fill">#e2e3e5<\/data>/);
+  assert.match(graphml, /Who owns &quot;Acme&quot; &lt;Holdings&gt;/);
+  assert.equal((graphml.match(/<edge /g) || []).length, graph.edges.length);
+});
+
+test('HTML export and context bundle embedding', (t) => {
+  const caseDir = writeCase(t);
+  const out = path.join(caseDir, 'graph.html');
+  const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'lead-graph.js'), caseDir, '--format', 'html', '--output', out], { encoding: 'utf-8' });
+  assert.equal(run.status, 0, run.stderr);
+  const html = fs.readFileSync(out, 'utf-8');
+  assert.match(html, /<pre class="mermaid">\nflowchart LR/);
+  assert.match(html, /3 leads, 7 edges/);
+
+  assert.doesNotMatch(buildBundle(caseDir), /Investigation Graph/);
+  const bundle = buildBundle(caseDir, { includeLeadGraph: true });
+  assert.match(bundle, /## Investigation Graph \(NOT EVIDENCE\)[\s\S]*```mermaid\nflowchart LR[\s\S]*L001 ==> F001\n[\s\S]*\n```\n/);
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for lead-journal.js
+ *
+ * Tests that leads-lock.js operations and the merge scripts journal
+ * before/after events, and the history, rebuild and undo commands built on
+ * the journal.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { readEvents, replayJournal, cloneLeads } = require('../scripts/lead-journal');
+const { claimLead, updateLead, addChildLead, releaseLead, getHistory, rebuildLeads, undoLead, readLeads, commitLeads } = require('../scripts/leads-lock');
+const { mergeNewLeads, updateLeadStatus } = require('../scripts/merge-batch-results');
+const { mergeLeadsBatches } = require('../scripts/merge-question-batches');
+const { tempCase, lead, writeLeads } = require('./helpers');
+
+test('operations journal one event per changed lead after an initial snapshot', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-journal'), [lead('L001', 'Find the 2023 complaint'), lead('L002', 'Pull the county budget')], { version: 4 });
+  process.env.LEADS_ACTOR = 'follow-agent-2';
+  t.after(() => delete process.env.LEADS_ACTOR);
+
+  const claim = claimLead(caseDir, 'L001');
+  updateLead(caseDir, 'L001', 'investigated', 'Complaint found on PACER', ['S001']);
+  addChildLead(caseDir, 'L001', { lead: 'Review exhibits to the complaint' });
+
+  const { events } = readEvents(caseDir);
+  assert.deepEqual(events.map(e => [e.id, e.op]), [
+    ['v4-snapshot', 'snapshot'],
+    ['v5-L001', 'claim'],
+    ['v6-L001', 'update'],
+    ['v7-L003', 'add-child']
+  ]);
+  assert.equal(events[0].data.leads.length, 2);
+  assert.equal(events[1].actor, 'follow-agent-2');
+  assert.equal(events[1].claim_id, claim.claim_id);
+  assert.equal(events[2].claim_id, claim.claim_id);
+  assert.equal(events[2].before.status, 'pending');
+  assert.equal(events[2].after.result, 'Complaint found on PACER');
+  assert.equal(events[3].before, null);
+
+  assert.deepEqual(getHistory(caseDir, 'L001').events.map(e => e.op), ['claim', 'update']);
+  // Releasing an unclaimed lead changes nothing and journals nothing
+  releaseLead(caseDir, 'L002');
+  assert.equal(readEvents(caseDir).events.length, 4);
+});
+
+test('undo restores the state before the last N events and is journaled', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-journal'), [lead('L001', 'Find the 2023 complaint'), lead('L002', 'Pull the county budget')], { version: 4 });
+  claimLead(caseDir, 'L001');
+  updateLead(caseDir, 'L001', 'dead_end', 'Wrong lead marked by another agent');
+  const child = addChildLead(caseDir, 'L002', { lead: 'Compare budget to audit' });
+
+  const undone = undoLead(caseDir, 'L001');
+  assert.equal(undone.success, true);
+  assert.deepEqual(undone.undone, ['v6-L001']);
+  const restored = readLeads(caseDir).leads.find(l => l.id === 'L001');
+  assert.equal(restored.status, 'pending');
+  assert.ok(restored.claimed_by);
+
+  // The next undo skips the undo event and the event it already undid
+  assert.deepEqual(undoLead(caseDir, 'L001').undone, ['v5-L001']);
+  assert.equal(readLeads(caseDir).leads[0].claimed_by, undefined);
+  assert.equal(undoLead(caseDir, 'L001').success, false);
+
+  // A bad count undoes nothing
+  assert.match(undoLead(caseDir, child.lead.id, 0).error, /positive integer/);
+  assert.match(undoLead(caseDir, child.lead.id, NaN).error, /positive integer/);
+  const script = path.join(__dirname, '..', 'scripts', 'leads-lock.js');
+  for (const count of ['0', 'all', '-1', '1.5']) {
+    const run = spawnSync(process.execPath, [script, 'undo', caseDir, child.lead.id, count], { encoding: 'utf-8' });
+    assert.equal(run.status, 1, count);
+    assert.match(run.stderr, /positive integer/);
+  }
+  assert.ok(readLeads(caseDir).leads.some(l => l.id === child.lead.id));
+
+  assert.equal(undoLead(caseDir, child.lead.id).removed, true);
+  assert.deepEqual(readLeads(caseDir).leads.map(l => l.id), ['L001', 'L002']);
+  assert.deepEqual(getHistory(caseDir, 'L001').events.map(e => e.op), ['claim', 'update', 'undo', 'undo']);
+});
+
+test('rebuild replays the journal over a clobbered leads.json', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-journal'), [lead('L001', 'Find the 2023 complaint')], { version: 4 });
+  updateLead(caseDir, 'L001', 'investigated', 'Found');
+  addChildLead(caseDir, 'L001', { lead: 'Review exhibits to the complaint' });
+  const expected = readLeads(caseDir);
+
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify({ version: 1, leads: [] }));
+  const dry = rebuildLeads(caseDir, { dryRun: true });
+  assert.equal(dry.events_applied, 2);
+  assert.deepEqual(dry.data.leads, expected.leads);
+  assert.deepEqual(readLeads(caseDir).leads, []);
+
+  const script = path.join(__dirname, '..', 'scripts', 'leads-lock.js');
+  const run = spawnSync(process.execPath, [script, 'rebuild', caseDir], { encoding: 'utf-8' });
+  assert.equal(run.status, 0, run.stderr);
+  assert.deepEqual(readLeads(caseDir).leads, expected.leads);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(caseDir, 'leads.json.bak'), 'utf-8')).leads.length, 0);
+
+  const { events } = readEvents(caseDir);
+  assert.equal(events[events.length - 1].reason, 'rebuild');
+});
+
+test('top-level fields survive replay and rebuild', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-journal'), [lead('L001', 'Find the 2023 complaint')], { version: 4, budget: { minutes: 60 } });
+  claimLead(caseDir, 'L001');
+
+  // Changed through commitLeads: journaled as a settings event
+  const data = readLeads(caseDir);
+  const before = cloneLeads(data);
+  data.scoring = { weights: { priority: 2 } };
+  commitLeads(caseDir, before, data, { op: 'update' });
+  const settings = readEvents(caseDir).events.pop();
+  assert.equal(settings.id, 'v6-settings');
+  assert.deepEqual(settings.after, { max_depth: 3, budget: { minutes: 60 }, scoring: { weights: { priority: 2 } } });
+  assert.deepEqual(replayJournal(caseDir).data.scoring, data.scoring);
+
+  // Edited by hand: the current file's fields win on rebuild
+  const edited = readLeads(caseDir);
+  edited.saturation = { threshold: 0 };
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify(edited, null, 2));
+  assert.equal(rebuildLeads(caseDir).success, true);
+  const rebuilt = readLeads(caseDir);
+  assert.deepEqual(rebuilt.saturation, { threshold: 0 });
+  assert.deepEqual(rebuilt.budget, { minutes: 60 });
+
+  // Clobbered: the journal's fields come back
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify({ version: 1, leads: [] }));
+  assert.equal(rebuildLeads(caseDir, { force: true }).success, true);
+  const restored = readLeads(caseDir);
+  assert.deepEqual(restored.budget, { minutes: 60 });
+  assert.deepEqual(restored.scoring, data.scoring);
+  assert.deepEqual(restored.saturation, { threshold: 0 });
+  assert.equal(restored.max_depth, 3);
+});
+
+test('merge scripts journal their writes and rebuild refuses to drop unjournaled ones', (t) => {
+  const caseDir = writeLeads(tempCase(t, 'lead-journal'), [lead('L001', 'Find the 2023 complaint')], { version: 4 });
+  claimLead(caseDir, 'L001');
+
+  fs.mkdirSync(path.join(caseDir, 'temp'));
+  fs.writeFileSync(path.join(caseDir, 'temp', 'leads-batch-1.json'), JSON.stringify({ leads: [{ lead: 'Pull the county budget', from: 'Q1' }] }));
+  mergeLeadsBatches(caseDir);
+  mergeNewLeads(caseDir, [lead(undefined, 'Compare budget to audit')], 3);
+  updateLeadStatus(caseDir, [{ id: 'L001', status: 'investigated', result: 'Complaint found', sources: ['S001'] }]);
+
+  assert.deepEqual(readEvents(caseDir).events.map(e => [e.id, e.op]), [
+    ['v4-snapshot', 'snapshot'],
+    ['v5-L001', 'claim'],
+    ['v6-L002', 'merge-questions'],
+    ['v7-L003', 'merge-results'],
+    ['v8-L001', 'update']
+  ]);
+  const dry = rebuildLeads(caseDir, { dryRun: true });
+  assert.equal(dry.unjournaled_writes, false);
+  assert.deepEqual(dry.data.leads, readLeads(caseDir).leads);
+
+  // A write that bypasses the journal
+  const data = readLeads(caseDir);
+  data.leads.push(lead('L004', 'Written by hand'));
+  data.version++;
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify(data, null, 2));
+
+  const refused = rebuildLeads(caseDir);
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /Use --force/);
+  assert.equal(readLeads(caseDir).leads.length, 4);
+
+  const script = path.join(__dirname, '..', 'scripts', 'leads-lock.js');
+  const forced = spawnSync(process.execPath, [script, 'rebuild', caseDir, '--force'], { encoding: 'utf-8' });
+  assert.equal(forced.status, 0, forced.stderr);
+  assert.equal(readLeads(caseDir).leads.length, 3);
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for lead-result.js
+ *
+ * Tests structured result validation (library and `leads-lock.js update`),
+ * and the exact claim-to-finding comparison used by audit-leads.js, the
+ * reconciliation gate and check-summary-claims.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { validateResult, resultText, normalizeClaimText } = require('../scripts/lead-result');
+const { updateLead, readLeads } = require('../scripts/leads-lock');
+const { auditLeads } = require('../scripts/audit-leads');
+const { deriveReconciliationGate } = require('../scripts/gates');
+const { tempCase, lead, writeJson, writeLeads, writeFindings } = require('./helpers');
+
+const SCRIPTS = path.join(__dirname, '..', 'scripts');
+
+const STRUCTURED = {
+  conclusion: 'Acme is owned by a Delaware trust',
+  claims: [
+    { text: 'Acme Holdings LLC was registered in Delaware in 2019', sources: ['S001'] },
+    { text: 'Acme received $4.2 million in county contracts', sources: ['S002'], verdict: 'refuted' }
+  ],
+  confidence: 'medium',
+  open_questions: ['Who are the trust beneficiaries?'],
+  suggested_leads: ['Pull the trust filing', { lead: 'Check county vendor list', priority: 'HIGH' }]
+};
+
+function writeCase(t, leads, findings = {}) {
+  const caseDir = writeLeads(tempCase(t, 'lead-result'), leads);
+  writeJson(caseDir, 'sources.json', {
+    sources: ['S001', 'S002', 'S003'].map(id => ({ id, url: `https://example.gov/${id}`, captured: true }))
+  });
+  return writeFindings(caseDir, Object.fromEntries(Object.entries(findings)
+    .map(([id, body]) => [id, `---\nid: ${id}\ntitle: ${id}\nstatus: draft\n---\n\n${body}\n`])));
+}
+
+test('structured results are validated field by field', () => {
+  assert.deepEqual(validateResult('Found on PACER'), { ok: true, errors: [] });
+  assert.equal(validateResult(STRUCTURED).ok, true);
+
+  const bad = validateResult({
+    conclusion: '',
+    claims: [{ text: 'Acme was founded in 2019', sources: [] }, { text: 'x', sources: ['S1'], verdict: 'maybe' }],
+    confidence: 'certain',
+    suggested_leads: [{ priority: 'HIGH' }],
+    notes: 'typo field'
+  });
+  assert.deepEqual(bad.errors, [
+    'Unknown field "notes"',
+    'conclusion must be a non-empty string',
+    'confidence must be one of high, medium, low',
+    'claims[0] is confirmed but cites no sources',
+    'claims[1].verdict must be one of confirmed, refuted, unverified',
+    'claims[1].sources has invalid IDs: S1',
+    'suggested_leads[0] must be a string or { lead, priority }'
+  ]);
+
+  assert.equal(resultText(STRUCTURED), 'Acme is owned by a Delaware trust Acme Holdings LLC was registered in Delaware in 2019 Acme received $4.2 million in county contracts');
+  assert.equal(normalizeClaimText('Acme received "$4,200,000" [S002](https://x.gov) in 2023.'), 'acme received $4200000 in 2023');
+});
+
+test('update stores structured results and rejects invalid ones', (t) => {
+  const caseDir = writeCase(t, [lead('L001', 'Who owns Acme')]);
+
+  const ok = updateLead(caseDir, 'L001', 'investigated', STRUCTURED, ['S003']);
+  assert.equal(ok.success, true);
+  assert.deepEqual(ok.lead.sources, ['S003', 'S001', 'S002']);
+
+  const script = path.join(SCRIPTS, 'leads-lock.js');
+  const invalid = spawnSync(process.execPath, [script, 'update', caseDir, 'L001', 'investigated', '{"conclusion":"x"}'], { encoding: 'utf-8' });
+  assert.equal(invalid.status, 1);
+  const out = JSON.parse(invalid.stdout);
+  assert.equal(out.error, 'invalid_result');
+  assert.deepEqual(out.errors, ['confidence must be one of high, medium, low']);
+
+  const malformed = spawnSync(process.execPath, [script, 'update', caseDir, 'L001', 'investigated', '{conclusion'], { encoding: 'utf-8' });
+  assert.match(JSON.parse(malformed.stdout).errors[0], /not valid JSON/);
+  assert.deepEqual(readLeads(caseDir).leads[0].result, STRUCTURED);
+});
+
+test('claims are compared exactly against findings by the audits and reconciliation gate', (t) => {
+  const caseDir = writeCase(t, [lead('L001', 'Who owns Acme', { status: 'investigated', result: STRUCTURED, sources: ['S001', 'S002'] })], {
+    F001: 'Acme Holdings LLC was registered in Delaware in 2019 [S003]. Records show Acme received $4.2 million in county contracts [S002].',
+    F002: 'Acme holdings was registered in delaware in 2019 [S001].'
+  });
+  fs.writeFileSync(path.join(caseDir, 'reconciliation-log.md'), '# Reconciliation\n');
+
+  const audit = auditLeads(caseDir);
+  assert.equal(audit.ok, false);
+  assert.equal(audit.summary.structuredResults, 1);
+  assert.equal(audit.summary.claimsCompared, 2);
+  assert.equal(audit.summary.claimContradictions, 1);
+  assert.deepEqual(audit.details[0].errors, ['F001 states a claim the lead found refuted: "Acme received $4.2 million in county contracts"']);
+  assert.equal(audit.warnings.length, 1);
+  assert.match(audit.warnings[0].message, /^F001 states "Acme Holdings LLC was registered in Delaware in 2019" citing S003; the lead confirmed it from S001$/);
+
+  const gate = deriveReconciliationGate(caseDir);
+  assert.equal(gate.ok, false);
+  assert.equal(gate.leadClaims.contradictions, 1);
+
+  const summary = spawnSync(process.execPath, [path.join(SCRIPTS, 'check-summary-claims.js'), caseDir], { encoding: 'utf-8' });
+  assert.match(summary.stdout, /\[HIGH\] L001: Who owns Acme\n {4}Result: F001: Records show Acme received \$4\.2 million/);
+  assert.match(summary.stdout, /\[MEDIUM\] L001: Who owns Acme[\s\S]*Finding cites a confirmed claim to other sources/);
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for lead-saturation.js
+ *
+ * Tests the convergence curve from depth and data-repo git history, the
+ * new-source rate and dead-end shares, and the curiosity gate requirement.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+
+const { computeSaturation, formatReport } = require('../scripts/lead-saturation');
+const { deriveCuriosityGate } = require('../scripts/gates');
+const { tempCase, lead, writeLeads } = require('./helpers');
+
+function treeLead(id, depth, parent, status, sources = []) {
+  return lead(id, `Lead ${id}`, { from: parent, depth, parent, status, result: 'done', sources });
+}
+
+// Converging tree: depth 0 root, 4 children, 2 grandchildren, 1 great-grandchild
+const CONVERGED = [
+  treeLead('L001', 0, null, 'investigated', ['S001', 'S002']),
+  treeLead('L002', 1, 'L001', 'investigated', ['S003']),
+  treeLead('L003', 1, 'L001', 'investigated', ['S001', 'S004']),
+  treeLead('L004', 1, 'L001', 'dead_end'),
+  treeLead('L005', 1, 'L001', 'investigated', ['S005']),
+  treeLead('L006', 2, 'L002', 'investigated', ['S003', 'S006']),
+  treeLead('L007', 2, 'L003', 'dead_end'),
+  treeLead('L008', 3, 'L006', 'investigated', ['S006'])
+];
+
+test('depth basis: curve, new-source rate and dead-end shares', (t) => {
+  const caseDir = tempCase(t, 'lead-saturation');
+  writeLeads(caseDir, CONVERGED);
+
+  const report = computeSaturation(caseDir);
+  assert.equal(report.basis, 'depth');
+  assert.deepEqual(report.curve.map(r => [r.new_leads, r.total_leads, r.resolved_children, r.children_with_new_sources]), [
+    [1, 1, 0, 0], [4, 5, 4, 3], [2, 7, 2, 1], [1, 8, 1, 0]
+  ]);
+  assert.deepEqual(report.deadEndByDepth[1], { resolved: 4, dead_end: 1, share: 0.25 });
+  assert.equal(report.deadEndShare, 0.25);
+  assert.equal(report.newSourceRate, 0);
+  assert.equal(report.score, 0.875);
+  assert.equal(report.ok, true);
+  assert.match(formatReport(report), /depth 1 #{40} 4 \(total 5\)  new-source rate 0\.75/);
+});
+
+test('the curiosity gate needs saturation as well as no pending leads', (t) => {
+  const caseDir = tempCase(t, 'lead-saturation');
+
+  // Still finding new sources at the deepest level
+  const productive = CONVERGED.map(l => (l.id === 'L008' ? { ...l, sources: ['S009'] } : l));
+  writeLeads(caseDir, productive);
+  const gate = deriveCuriosityGate(caseDir);
+  assert.equal(gate.pending, 0);
+  assert.equal(gate.ok, false);
+  assert.deepEqual(gate.saturation.reasons, ['saturation 0 below threshold 0.7']);
+
+  // Closing everything as dead ends does not count as converged
+  writeLeads(caseDir, CONVERGED.map(l => ({ ...l, status: l.depth > 0 ? 'dead_end' : l.status })));
+  assert.deepEqual(deriveCuriosityGate(caseDir).saturation.reasons, ['dead-end share 0.875 above 0.6']);
+
+  // Per-case configuration; threshold 0 turns the requirement off
+  writeLeads(caseDir, productive, { saturation: { threshold: 0 } });
+  assert.equal(deriveCuriosityGate(caseDir).ok, true);
+  writeLeads(caseDir, [treeLead('L001', 0, null, 'investigated', ['S001'])], { saturation: { min_rounds: 3 } });
+  assert.match(deriveCuriosityGate(caseDir).saturation.reasons[0], /only 1 round\(s\) of leads \(need 3\)/);
+});
+
+test('git basis: rounds are data-repo commits that added leads', (t) => {
+  const repo = tempCase(t, 'lead-saturation');
+  const caseDir = path.join(repo, 'my-case');
+  fs.mkdirSync(caseDir);
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd: repo, stdio: 'pipe' });
+  git('init', '-q');
+
+  const commits = [CONVERGED.slice(0, 1), CONVERGED.slice(0, 5), CONVERGED.slice(0, 5), CONVERGED.slice(0, 7)];
+  commits.forEach((leads, i) => {
+    writeLeads(caseDir, leads);
+    fs.writeFileSync(path.join(caseDir, 'state.json'), JSON.stringify({ iteration: i }));
+    git('add', '-A');
+    git('commit', '-q', '-m', `round ${i}`);
+  });
+  writeLeads(caseDir, CONVERGED);
+
+  const report = computeSaturation(caseDir);
+  assert.equal(report.basis, 'git');
+  // The commit that only changed lead statuses is not a round
+  assert.deepEqual(report.curve.map(r => r.new_leads), [1, 4, 2, 1]);
+  assert.equal(report.curve[3].label, 'uncommitted');
+  assert.match(report.curve[0].label, /^[0-9a-f]{8} \d{4}-\d{2}-\d{2}$/);
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for lead-scoring.js
+ *
+ * Tests factor scoring, per-case weights and the batch-select --explain output.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { scoreLeads, loadScoringContext } = require('../scripts/lead-scoring');
+const { batchSelect } = require('../scripts/leads-lock');
+const { tempCase, lead, writeJson, writeLeads, writeFindings } = require('./helpers');
+
+function writeCase(t, leadsData) {
+  const { leads, ...extra } = leadsData;
+  const caseDir = writeLeads(tempCase(t, 'lead-scoring'), leads, extra);
+  writeJson(caseDir, 'sources.json', {
+    sources: [
+      { id: 'S001', title: 'Sheriff budget hearing 2023', url: 'https://county.gov/sheriff-budget' },
+      { id: 'S002', title: 'County sheriff budget audit', url: 'https://news.example/sheriff-budget-audit' }
+    ]
+  });
+  return writeFindings(caseDir, {
+    F001: '---\nid: F001\nstatus: draft\nsources: []\nrelated_leads: ["L001"]\n---\n\n# Contracts\n\nSee L001 and L005.\n',
+    F002: '---\nid: F002\nstatus: draft\nsources: []\nrelated_leads: []\n---\n\n# Vendors\n\nFollow-up in L001.\n'
+  });
+}
+
+const LEADS = [
+  lead('L001', 'Acme contract awards', { status: 'investigated', from: 'questions/01-follow-the-money.md' }),
+  lead('L002', 'Sheriff budget overruns', { priority: 'HIGH', from: '03-follow-the-timeline' }),
+  lead('L003', 'Acme subcontractor payments', { depth: 1, parent: 'L001', from: 'L001' }),
+  lead('L004', 'Vendor lobbying disclosures', { priority: 'LOW', depth: 2, parent: 'L003', from: 'L003' }),
+  lead('L005', 'Board meeting minutes on Acme', { from: '16-uncomfortable-questions' })
+];
+
+test('factors reflect findings, source scarcity, depth and framework origin', (t) => {
+  const caseDir = writeCase(t, { leads: LEADS, scoring: { framework_weights: { '01': 1, 'uncomfortable-questions': 0 } } });
+  const data = JSON.parse(fs.readFileSync(path.join(caseDir, 'leads.json'), 'utf-8'));
+  const ranked = scoreLeads(data.leads.filter(l => l.status === 'pending'), data, loadScoringContext(caseDir));
+  const byId = Object.fromEntries(ranked.map(r => [r.lead.id, r]));
+
+  assert.equal(byId.L003.factors.parent_findings.value, 0.667);
+  assert.equal(byId.L005.factors.parent_findings.value, 0.333);
+  assert.equal(byId.L002.factors.source_scarcity.value, 0.333);
+  assert.equal(byId.L003.factors.source_scarcity.value, 1);
+  assert.equal(byId.L004.factors.depth.value, 0.333);
+  // L004 inherits framework 01 from its root ancestor L001
+  assert.equal(byId.L004.factors.framework.value, 1);
+  assert.equal(byId.L005.factors.framework.value, 0);
+  assert.equal(byId.L002.factors.age.value, 1);
+  assert.equal(byId.L005.factors.age.value, 0);
+});
+
+test('per-case weights change which leads batch-select takes', (t) => {
+  const defaults = writeCase(t, { leads: LEADS });
+  assert.deepEqual(batchSelect(defaults, 2).leads.map(l => l.id), ['L002', 'L003']);
+
+  const findingsFirst = writeCase(t, { leads: LEADS, scoring: { weights: { priority: 0, parent_findings: 5 } } });
+  const result = batchSelect(findingsFirst, 2);
+  assert.deepEqual(result.leads.map(l => l.id), ['L003', 'L005']);
+  assert.equal(result.scores[0].id, 'L003');
+  assert.equal(result.explain, undefined);
+});
+
+test('batch-select --explain prints the factor breakdown', (t) => {
+  const caseDir = writeCase(t, { leads: LEADS });
+  const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'leads-lock.js'), 'batch-select', caseDir, '1', '--explain'], { encoding: 'utf-8' });
+  assert.equal(run.status, 0, run.stderr);
+
+  const out = JSON.parse(run.stdout);
+  assert.equal(out.explain.length, 4);
+  assert.deepEqual(out.explain.filter(e => e.selected).map(e => e.id), ['L002']);
+  assert.match(run.stderr, /^\* L002 score/m);
+  assert.match(run.stderr, /parent_findings\s+0\.667 x 1\.5/);
+});
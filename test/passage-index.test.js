@@ -0,0 +1,73 @@
+/**
+ * Tests for claims/passage-index.js
+ *
+ * Tests BM25/shingle passage retrieval, claim pre-triage and prompt shrinking.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { buildIndex, searchPassages, triageClaim } = require('../scripts/claims/passage-index');
+const { prepareVerification } = require('../scripts/claims/verify-article');
+const { saveEvidence } = require('../scripts/osint-save');
+const { tempCase } = require('./helpers');
+
+function filler(n, topic) {
+  const words = ['agency', 'review', 'process', 'committee', 'report', 'staff', 'policy', 'record', 'office', 'season'];
+  return Array.from({ length: n }, (_, i) => `${topic} ${words[i % words.length]} note ${words[(i * 3) % words.length]}.`).join(' ');
+}
+
+const KEY_SENTENCE = 'In March 2024 the FTC fined Acme Streaming $4.5 million over undisclosed payola deals.';
+const CONTENT = [
+  '# Annual review',
+  '',
+  filler(300, 'Background'),
+  '',
+  KEY_SENTENCE,
+  '',
+  filler(300, 'Appendix')
+].join('\n');
+
+test('searchPassages finds the passage holding the claim, with usable offsets', () => {
+  const index = buildIndex(CONTENT);
+  const [best] = searchPassages(index, 'The FTC fined Acme Streaming $4.5 million in March 2024 over payola.', 3);
+  assert.ok(best);
+  assert.ok(CONTENT.slice(best.start, best.end).includes(KEY_SENTENCE));
+  assert.equal(best.lineStart <= 5 && best.lineEnd >= 5, true);
+});
+
+test('triageClaim labels claims by key-term coverage', () => {
+  const index = buildIndex(CONTENT);
+  const supported = 'The FTC fined Acme Streaming $4.5 million in March 2024.';
+  assert.equal(triageClaim(supported, searchPassages(index, supported)).label, 'likely_supported');
+
+  const wrongNumber = 'The FTC fined Acme Streaming $45 million in March 2024.';
+  const t = triageClaim(wrongNumber, searchPassages(index, wrongNumber));
+  assert.equal(t.label, 'needs_review');
+  assert.deepEqual(t.missing, ['45']);
+});
+
+test('prepareVerification shrinks prompts for long sources and records offsets', async (t) => {
+  const caseDir = tempCase(t, 'passage');
+
+  await saveEvidence('S001', caseDir, { url: 'https://example.com/review', markdown: CONTENT }, { warnDuplicates: false });
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'),
+    'Regulators fined Acme Streaming $4.5 million in March 2024, according to the FTC [S001].\n');
+
+  const prepared = prepareVerification(caseDir);
+  const item = prepared.verificationData[0];
+  assert.equal(item.status, 'PENDING');
+  assert.equal(item.promptMode, 'excerpt');
+  assert.equal(item.triage.label, 'likely_supported');
+  assert.ok(item.prompt.length < CONTENT.length / 2);
+  assert.ok(item.prompt.includes(KEY_SENTENCE));
+  assert.ok(CONTENT.slice(item.passages[0].start, item.passages[0].end).includes(KEY_SENTENCE));
+  assert.equal(prepared.stats.likelySupported, 1);
+
+  const full = prepareVerification(caseDir, { fullSource: true });
+  assert.equal(full.verificationData[0].promptMode, 'full');
+  assert.ok(full.verificationData[0].prompt.includes(CONTENT));
+});
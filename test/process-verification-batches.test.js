@@ -0,0 +1,80 @@
+/**
+ * Tests for process-verification-batches.js and llm-providers.js
+ *
+ * Tests unattended batch processing against the deterministic mock server,
+ * including retries, resume and merging via verify-article.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { saveEvidence } = require('../scripts/osint-save');
+const { createProvider, startMockServer } = require('../scripts/llm-providers');
+const { processBatches, loadResponses } = require('../scripts/process-verification-batches');
+const {
+  prepareVerification,
+  processVerificationResponses,
+  generateBatchFiles,
+  mergeBatchResponses
+} = require('../scripts/claims/verify-article');
+const { tempCase } = require('./helpers');
+
+async function createCase(root) {
+  const caseDir = path.join(root, 'case');
+  for (const [id, text] of [['S001', 'The agency budget rose 12 percent in 2024.'], ['S002', 'Staffing was flat.']]) {
+    await saveEvidence(id, caseDir, { url: `https://example.com/${id}`, markdown: text }, { warnDuplicates: false });
+  }
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'), [
+    'The agency budget rose 12 percent in 2024 according to filings [S001].',
+    '',
+    'The agency hired 300 new inspectors during 2024 [S002].'
+  ].join('\n'));
+  return caseDir;
+}
+
+test('batches run unattended through the mock provider and merge', async (t) => {
+  const mock = await startMockServer({ failFirst: 1 });
+  const root = tempCase(t, 'llm-batches');
+  t.after(() => mock.server.close());
+
+  const caseDir = await createCase(root);
+  const prepared = prepareVerification(caseDir);
+  assert.equal(prepared.prompts.length, 2);
+  const { batches } = generateBatchFiles(caseDir, prepared, 1);
+  assert.equal(batches, 2);
+
+  // Batch 2 already has a template placeholder, which must be re-run
+  fs.writeFileSync(path.join(caseDir, 'verification-responses-batch-2.json'), JSON.stringify([
+    { index: prepared.prompts[1].index, response: JSON.stringify({ supported: false, reason: 'NOT YET PROCESSED' }) }
+  ]));
+
+  const provider = createProvider('mock', { baseUrl: mock.url });
+  const run = await processBatches(caseDir, provider, { parallel: 2, retries: 2, retryBaseMs: 1 });
+  assert.equal(run.failed, 0);
+  assert.equal(run.totalBatches, 2);
+  assert.equal(mock.requests, 3, 'one 429 plus two answered prompts');
+
+  const progress = JSON.parse(fs.readFileSync(path.join(caseDir, 'verification-progress.json'), 'utf-8'));
+  assert.equal(progress.batches[1].answered, 1);
+
+  const results = processVerificationResponses(prepared, mergeBatchResponses(caseDir, run.totalBatches));
+  assert.deepEqual(results.results.map(r => r.status), ['SUPPORTED', 'UNSOURCED']);
+
+  // Resume: nothing left to do, no new requests
+  const again = await processBatches(caseDir, provider, { retryBaseMs: 1 });
+  assert.equal(again.batches.every(b => b.skipped === b.total), true);
+  assert.equal(mock.requests, 3);
+  assert.equal(loadResponses(path.join(caseDir, 'verification-responses-batch-1.json')).size, 1);
+});
+
+test('anthropic-style client talks to the mock server', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => mock.server.close());
+
+  const provider = createProvider('anthropic', { baseUrl: mock.url.replace(/\/v1$/, ''), model: 'mock', apiKey: 'k' });
+  const text = await provider.complete('You are a computational fact-checker.');
+  assert.equal(JSON.parse(text).source_data_found, false);
+});
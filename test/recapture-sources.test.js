@@ -0,0 +1,243 @@
+/**
+ * Tests for recapture-sources.js
+ *
+ * Tests drift detection against a local HTTP stand-in, boilerplate and
+ * threshold handling, selective cache invalidation and the resulting
+ * verify-article.js warnings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const http = require('node:http');
+
+const { saveEvidence } = require('../scripts/osint-save');
+const { recaptureSources, loadLatestRecapture, diffLines, formatUnifiedDiff } = require('../scripts/recapture-sources');
+const { prepareVerification, processVerificationResponses } = require('../scripts/claims/verify-article');
+const { storeVerdicts, CACHE_FILE } = require('../scripts/claims/verification-cache');
+const { acquireLock, releaseLock } = require('../scripts/file-lock');
+const { tempCase } = require('./helpers');
+
+const ORIGINAL_HTML = '<html><head><title>Budget</title></head><body><p>The agency budget rose 12 percent in 2024.</p><p>Staffing was flat.</p></body></html>';
+const EDITED_HTML = '<html><head><title>Budget</title></head><body><p>The agency budget was revised.</p><p>Staffing was flat.</p></body></html>';
+
+// A longer news page whose chrome rotates between fetches
+const PARAGRAPHS = Array.from({ length: 30 }, (_, i) => `Paragraph ${i + 1} of the council report.`);
+function newsPage({ time, related, ad, paragraphs = PARAGRAPHS }) {
+  return '<html><head><title>Council</title></head><body>' +
+    `<nav><a href="/">Home</a><a href="/${related}">${related}</a></nav>` +
+    `<p>Updated ${time}</p>` +
+    `<div class="ad-slot"><p>${ad}</p></div>` +
+    paragraphs.map(p => `<p>${p}</p>`).join('') +
+    '<p>Advertisement</p>' +
+    `<aside><h2>Related stories</h2><p>${related}</p></aside>` +
+    '<footer>Copyright</footer></body></html>';
+}
+const NEWS_ORIGINAL = newsPage({ time: '10:42 AM EST', related: 'Mayor resigns', ad: 'Buy shoes' });
+const NEWS_ROUTES = {
+  '/rotated': newsPage({ time: '3:15 PM EST', related: 'Zoo opens', ad: 'Cheap flights' }),
+  '/cited-edit': newsPage({
+    time: '3:15 PM EST',
+    related: 'Zoo opens',
+    ad: 'Cheap flights',
+    paragraphs: PARAGRAPHS.map((p, i) => (i === 4 ? 'Paragraph 5 was withdrawn.' : p))
+  })
+};
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    if (NEWS_ROUTES[req.url]) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(NEWS_ROUTES[req.url]);
+      return;
+    }
+    if (req.url === '/gone') {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<html><body>Not found</body></html>');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(req.url === '/edited' ? EDITED_HTML : ORIGINAL_HTML);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('recapture classifies sources and verify-article warns on drifted passages', async (t) => {
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const caseDir = tempCase(t, 'recapture');
+  t.after(() => server.close());
+
+  const sources = [];
+  for (const [id, route] of [['S001', '/same'], ['S002', '/edited'], ['S003', '/gone']]) {
+    await saveEvidence(id, caseDir, {
+      url: `${base}${route}`,
+      title: 'Budget',
+      raw_html: ORIGINAL_HTML,
+      markdown: 'The agency budget rose 12 percent in 2024.\n\nStaffing was flat.'
+    }, { warnDuplicates: false });
+    sources.push({ id, url: `${base}${route}`, title: 'Budget', type: 'web' });
+  }
+  fs.writeFileSync(path.join(caseDir, 'sources.json'), JSON.stringify({ sources }, null, 2));
+
+  const report = await recaptureSources(caseDir, ['S001', 'S002', 'S003'], { timeoutMs: 5000 });
+  assert.deepEqual(report.results.map(r => r.status), ['unchanged', 'changed', 'removed']);
+
+  const entries = JSON.parse(fs.readFileSync(path.join(caseDir, 'sources.json'), 'utf-8')).sources;
+  assert.deepEqual(entries.map(s => s.drift_status), ['unchanged', 'changed', 'removed']);
+  assert.equal(entries[1].latest_recapture, 'recaptures/v1');
+
+  const diff = fs.readFileSync(path.join(caseDir, 'evidence', 'S002', 'recaptures', 'v1', 'content.diff'), 'utf-8');
+  assert.match(diff, /^-The agency budget rose 12 percent in 2024\.$/m);
+  assert.match(diff, /^\+The agency budget was revised\.$/m);
+  assert.equal(loadLatestRecapture(caseDir, 'S002').status, 'changed');
+
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'), [
+    'The agency budget rose 12 percent in 2024 according to filings [S002].',
+    '',
+    'Staffing at the agency was flat over the period [S003].'
+  ].join('\n'));
+
+  const prepared = prepareVerification(caseDir);
+  const removed = prepared.verificationData.find(v => v.sourceId === 'S003');
+  assert.ok(removed.warnings.some(w => w.code === 'SOURCE_REMOVED_LIVE'));
+  assert.equal(prepared.stats.sourcesRemovedLive, 1);
+
+  const responses = prepared.prompts.map(p => ({
+    index: p.index,
+    response: JSON.stringify({
+      supported: true,
+      confidence: 0.9,
+      supporting_quote: p.sourceId === 'S002' ? 'The agency budget rose 12 percent in 2024.' : 'Staffing was flat.',
+      reason: 'Stated directly'
+    })
+  }));
+  const results = processVerificationResponses(prepared, responses);
+  const drifted = results.results.find(r => r.sourceId === 'S002');
+  assert.equal(drifted.status, 'SUPPORTED');
+  assert.ok(drifted.warnings.some(w => w.code === 'CITED_PASSAGE_DRIFTED'));
+  assert.equal(results.summary.driftWarnings, 2);
+});
+
+test('rotating chrome is not drift and only verdicts citing a lost passage are invalidated', async (t) => {
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const caseDir = tempCase(t, 'recapture');
+  t.after(() => server.close());
+
+  const sources = [];
+  for (const [id, route] of [['S001', '/rotated'], ['S002', '/cited-edit'], ['S003', '/gone']]) {
+    await saveEvidence(id, caseDir, {
+      url: `${base}${route}`,
+      title: 'Council',
+      raw_html: NEWS_ORIGINAL,
+      markdown: PARAGRAPHS.join('\n\n')
+    }, { warnDuplicates: false });
+    sources.push({ id, url: `${base}${route}`, title: 'Council', type: 'web' });
+  }
+  fs.writeFileSync(path.join(caseDir, 'sources.json'), JSON.stringify({ sources }, null, 2));
+
+  const verdict = (sourceId, quote) => ({
+    status: 'SUPPORTED',
+    claimText: `${quote} (${sourceId})`,
+    sourceId,
+    response: JSON.stringify({ supported: true, confidence: 0.9, supporting_quote: quote, reason: 'Stated directly' })
+  });
+  storeVerdicts(caseDir, 'semantic', [
+    verdict('S001', 'Paragraph 5 of the council report.'),
+    verdict('S002', 'Paragraph 5 of the council report.'),
+    verdict('S002', 'Paragraph 9 of the council report.'),
+    verdict('S003', 'Paragraph 9 of the council report.')
+  ]);
+  storeVerdicts(caseDir, 'compute', [{
+    status: 'MATCHED',
+    claimText: 'Thirty paragraphs (S002)',
+    sourceId: 'S002',
+    response: JSON.stringify({ raw_data: { paragraphs: 30 }, matches: true })
+  }]);
+
+  const report = await recaptureSources(caseDir, ['S001', 'S002', 'S003'], { timeoutMs: 5000 });
+  const [rotated, citedEdit, gone] = report.results;
+
+  // Timestamp, ad slot, nav, aside and footer all differ, yet nothing is diffed
+  assert.equal(rotated.status, 'unchanged');
+  assert.equal(rotated.lines_added + rotated.lines_removed, 0);
+  assert.equal(rotated.verdicts_invalidated, 0);
+
+  // One paragraph in thirty stays under the threshold, but it was cited
+  assert.ok(citedEdit.change_ratio < 0.05);
+  assert.equal(citedEdit.status, 'changed');
+  assert.equal(citedEdit.verdicts_invalidated, 1);
+  assert.equal(citedEdit.diff_file, 'content.diff');
+
+  assert.equal(gone.status, 'removed');
+  assert.equal(gone.verdicts_invalidated, 1);
+
+  const cached = Object.values(JSON.parse(fs.readFileSync(path.join(caseDir, CACHE_FILE), 'utf-8')).entries);
+  assert.deepEqual(cached.map(e => [e.kind, e.sourceId, e.claim]).sort(), [
+    ['compute', 'S002', 'thirty paragraphs (s002)'],
+    ['semantic', 'S001', 'paragraph 5 of the council report. (s001)'],
+    ['semantic', 'S002', 'paragraph 9 of the council report. (s002)']
+  ]);
+
+  // An uncited edit under the threshold leaves the source unchanged
+  NEWS_ROUTES['/rotated'] = newsPage({
+    time: '4:00 PM EST',
+    related: 'Zoo opens',
+    ad: 'Cheap flights',
+    paragraphs: PARAGRAPHS.map((p, i) => (i === 20 ? 'Paragraph 21, corrected.' : p))
+  });
+  const again = await recaptureSources(caseDir, ['S001'], { timeoutMs: 5000 });
+  assert.equal(again.results[0].status, 'unchanged');
+  assert.equal(again.results[0].lines_added, 1);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(caseDir, 'sources.json'), 'utf-8')).sources[0].drift_status, 'unchanged');
+
+  const strict = await recaptureSources(caseDir, ['S001'], { timeoutMs: 5000, threshold: 0.01 });
+  assert.equal(strict.results[0].status, 'changed');
+});
+
+test('a recapture that cannot be saved is an error, not drift', async (t) => {
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const caseDir = tempCase(t, 'recapture');
+  t.after(() => server.close());
+
+  await saveEvidence('S001', caseDir, {
+    url: `${base}/edited`,
+    title: 'Budget',
+    raw_html: ORIGINAL_HTML,
+    markdown: 'The agency budget rose 12 percent in 2024.\n\nStaffing was flat.'
+  }, { warnDuplicates: false });
+  fs.writeFileSync(path.join(caseDir, 'sources.json'), JSON.stringify({ sources: [{ id: 'S001', url: `${base}/edited`, type: 'web' }] }, null, 2));
+  storeVerdicts(caseDir, 'semantic', [{
+    status: 'SUPPORTED',
+    claimText: 'The budget rose 12 percent',
+    sourceId: 'S001',
+    response: JSON.stringify({ supported: true, supporting_quote: 'The agency budget rose 12 percent in 2024.' })
+  }]);
+
+  // Another writer holds evidence.lock for the whole run
+  const lockPath = path.join(caseDir, 'evidence.lock');
+  assert.equal(acquireLock(lockPath), true);
+  t.after(() => releaseLock(lockPath));
+
+  const [result] = (await recaptureSources(caseDir, ['S001'], { timeoutMs: 5000, lockTimeoutMs: 200 })).results;
+  assert.equal(result.status, 'error');
+  assert.match(result.error, /^Saving the recapture failed: /);
+  assert.equal(result.diff_file, null);
+  assert.equal(result.verdicts_invalidated, 0);
+  assert.equal(fs.existsSync(path.join(caseDir, 'evidence', 'S001', 'recaptures', 'v1', 'content.diff')), false);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(caseDir, 'sources.json'), 'utf-8')).sources[0].drift_status, undefined);
+  assert.equal(Object.keys(JSON.parse(fs.readFileSync(path.join(caseDir, CACHE_FILE), 'utf-8')).entries).length, 1);
+  assert.equal(loadLatestRecapture(caseDir, 'S001'), null);
+});
+
+test('formatUnifiedDiff emits hunks only around changes', () => {
+  const a = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+  const b = ['1', '2', '3', '4', 'five', '6', '7', '8', '9', '10'];
+  const out = formatUnifiedDiff(diffLines(a, b), 'a', 'b');
+  assert.equal(out, '--- a\n+++ b\n@@ -2,7 +2,7 @@\n 2\n 3\n 4\n-5\n+five\n 6\n 7\n 8\n');
+  assert.equal(formatUnifiedDiff(diffLines(a, a), 'a', 'b'), '');
+});
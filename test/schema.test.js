@@ -27,7 +27,7 @@ const V2_SCHEMA = {
     required: ['leads'],
     leadFields: ['id', 'lead', 'from', 'priority', 'status'],
     priorities: ['HIGH', 'MEDIUM', 'LOW'],
-    statuses: ['pending', 'investigated', 'dead_end'],
+    statuses: ['pending', 'investigated', 'dead_end', 'deferred'],
   },
 };
 
@@ -0,0 +1,173 @@
+/**
+ * Tests for source-impact.js
+ *
+ * Tests the impact report (findings, leads, questions, claims, article
+ * sentences, dependent gates) and retiring a source: sources.json, findings
+ * marked needs_review, article sentences moved to removed-points.md, gate
+ * resets and the dry run.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { sourceImpact, dependentGates, retireSource } = require('../scripts/source-impact');
+const { parseFinding } = require('../scripts/findings');
+const { assessFindings } = require('../scripts/finding-confidence');
+const { tempCase, lead, writeJson, writeLeads, writeFindings } = require('./helpers');
+
+const SOURCE_IMPACT_JS = path.join(__dirname, '..', 'scripts', 'source-impact.js');
+
+const ARTICLE = [
+  '# Acme and the county',
+  '',
+  'Acme received $4.2 million in county contracts [S001]. Acme lobbied the county board [S001][S002]. The board met twice [S002].',
+  '',
+  'Revenue rose 40%. [S001] The audit found no errors [S002].',
+  '',
+  '- Acme paid the clerk [S001].',
+  '- The clerk resigned [S002].',
+  '',
+  'The contracts were never rebid [S001].',
+  '',
+  '## Sources',
+  '',
+  '- [S001](https://records.example.gov/contracts) County contract register',
+  '- [S002](https://news.example.com/lobbying) Lobbying report',
+  ''
+].join('\n');
+
+function finding(id, { status = 'sourced', sources, body, extra = '' }) {
+  return `---\nid: ${id}\nstatus: ${status}\nconfidence: high\ncreated: 2026-01-01\nupdated: 2026-01-01\n` +
+    `sources: ${JSON.stringify(sources)}\n${extra}---\n\n# Finding: ${id}\n\n${body}\n`;
+}
+
+function writeCase(t) {
+  const caseDir = writeFindings(tempCase(t, 'source-impact'), {
+    F001: finding('F001', { sources: ['S001'], body: 'Acme received county contracts [S001].', extra: 'related_leads: [L1]\n' }),
+    F002: finding('F002', { sources: ['S002'], body: 'Acme lobbied the board [S002], per the register [S001].', extra: 'supersedes: F003\n' }),
+    F003: finding('F003', { status: 'superseded', sources: ['S001'], body: 'Acme lobbied [S001].', extra: 'superseded_by: F002\n' }),
+    F004: finding('F004', { sources: ['S002'], body: 'The board met twice [S002].' })
+  });
+  writeJson(caseDir, 'sources.json', {
+    sources: [
+      { id: 'S001', url: 'https://records.example.gov/contracts', title: 'County contract register', captured: true },
+      { id: 'S002', url: 'https://news.example.com/lobbying', title: 'Lobbying report', captured: true }
+    ]
+  });
+  writeLeads(caseDir, [
+    lead('L001', 'Pull the contract register', { status: 'verified', sources: ['S001'], result: 'Found it [S001].' }),
+    lead('L002', 'Ask the board')
+  ]);
+  for (const dir of ['questions', 'articles']) fs.mkdirSync(path.join(caseDir, dir));
+  fs.writeFileSync(path.join(caseDir, 'questions', '01-follow-the-money.md'), '# Follow the money\n\nWho paid? [S002]\n\nThe register lists every award [S001].\n');
+  writeJson(caseDir, 'claims.json', {
+    claims: [
+      { id: 'C001', text: 'Acme received $4.2 million in county contracts', sourceId: 'S001' },
+      { id: 'C002', text: 'The board met twice', sourceId: 'S002' }
+    ]
+  });
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'), ARTICLE);
+  fs.writeFileSync(path.join(caseDir, 'removed-points.md'), '# Removed Points\n\nPoints removed during verification due to unverifiable sources.\n\n---\n\n*No points removed yet.*\n');
+  return writeJson(caseDir, 'state.json', {
+    gates: { planning: true, questions: true, curiosity: true, reconciliation: true, article: true, sources: true, integrity: false, legal: true, balance: true, completeness: true, significance: true }
+  });
+}
+
+test('reports everything that depends on a source', (t) => {
+  const caseDir = writeCase(t);
+  const impact = sourceImpact(caseDir, 'S001');
+
+  assert.equal(impact.source.title, 'County contract register');
+  assert.deepEqual(impact.findings.map(f => [f.id, f.current, f.listed, f.cited]), [
+    ['F001', true, true, true],
+    ['F002', true, false, true],
+    ['F003', false, true, true]
+  ]);
+  assert.deepEqual(impact.leads.map(l => l.id), ['L001']);
+  assert.deepEqual(impact.questions, [{ file: path.join('questions', '01-follow-the-money.md'), lines: [5] }]);
+  assert.deepEqual(impact.claims, [{ index: 0, id: 'C001', text: 'Acme received $4.2 million in county contracts' }]);
+  // Headings and the source list are not statements; a citation after the
+  // period stays with its sentence
+  assert.deepEqual(impact.sentences.map(s => [s.line, s.sole, s.otherSources, s.text]), [
+    [3, true, [], 'Acme received $4.2 million in county contracts [S001].'],
+    [3, false, ['S002'], 'Acme lobbied the county board [S001][S002].'],
+    [5, true, [], 'Revenue rose 40%. [S001]'],
+    [7, true, [], 'Acme paid the clerk [S001].'],
+    [10, true, [], 'The contracts were never rebid [S001].']
+  ]);
+  assert.deepEqual(dependentGates(impact), ['reconciliation', 'curiosity', 'questions', 'sources', 'article', 'integrity', 'legal', 'balance', 'completeness', 'significance']);
+
+  assert.deepEqual(dependentGates(sourceImpact(caseDir, 'S009')), []);
+});
+
+test('retiring a source cascades to findings, the article and gates', (t) => {
+  const caseDir = writeCase(t);
+  const read = file => fs.readFileSync(path.join(caseDir, file), 'utf-8');
+  const statusOf = id => parseFinding(read(path.join('findings', `${id}.md`))).metadata.status;
+
+  const dry = retireSource(caseDir, 'S001', 'Register was withdrawn by the county', { dryRun: true });
+  assert.equal(dry.success, true);
+  assert.deepEqual(dry.findingsMarked, ['F001', 'F002']);
+  assert.deepEqual(dry.gatesReset, ['reconciliation', 'curiosity', 'questions', 'sources', 'article', 'legal', 'balance', 'completeness', 'significance']);
+  assert.equal(read('articles/full.md'), ARTICLE);
+  assert.equal(statusOf('F001'), 'sourced');
+  assert.equal(JSON.parse(read('sources.json')).sources[0].retired, undefined);
+
+  const cli = spawnSync(process.execPath, [SOURCE_IMPACT_JS, caseDir, 'S001', '--retire', '--reason', 'Register was withdrawn by the county'], { encoding: 'utf-8' });
+  assert.equal(cli.status, 0, cli.stderr);
+  // A legacy schema error in an unrelated field does not block retirement
+  assert.match(cli.stderr, /Warning: F001: related_leads has invalid lead IDs: L1/);
+  assert.match(cli.stdout, /Marked needs_review: F001, F002\nMoved 4 sentence\(s\) to removed-points\.md, dropped the citation from 1 other\(s\)/);
+
+  const source = JSON.parse(read('sources.json')).sources[0];
+  assert.equal(source.retired, true);
+  assert.equal(source.retired_reason, 'Register was withdrawn by the county');
+  assert.equal(source.retired_at, new Date().toISOString().split('T')[0]);
+
+  assert.equal(statusOf('F001'), 'needs_review');
+  assert.equal(statusOf('F002'), 'needs_review');
+  assert.equal(statusOf('F003'), 'superseded');
+  assert.equal(statusOf('F004'), 'sourced');
+
+  // Emptied lines and bullets are dropped, not left blank
+  assert.equal(read('articles/full.md'), [
+    '# Acme and the county',
+    '',
+    'Acme lobbied the county board [S002]. The board met twice [S002].',
+    '',
+    'The audit found no errors [S002].',
+    '',
+    '- The clerk resigned [S002].',
+    '',
+    '## Sources',
+    '',
+    '- [S001](https://records.example.gov/contracts) County contract register',
+    '- [S002](https://news.example.com/lobbying) Lobbying report',
+    ''
+  ].join('\n'));
+  const removedPoints = read('removed-points.md');
+  assert.doesNotMatch(removedPoints, /No points removed yet/);
+  assert.match(removedPoints, /## S001 retired \(\d{4}-\d{2}-\d{2}\)\n\nReason: Register was withdrawn by the county\n\n- articles\/full\.md:3: Acme received \$4\.2 million in county contracts \[S001\]\.\n- articles\/full\.md:5: Revenue rose 40%\. \[S001\]\n/);
+
+  const gates = JSON.parse(read('state.json')).gates;
+  assert.equal(gates.planning, true);
+  assert.equal(gates.reconciliation, false);
+  assert.equal(gates.significance, false);
+
+  // A retired source no longer counts toward a finding's confidence
+  const f002 = assessFindings(caseDir).findings.find(f => f.id === 'F002');
+  assert.deepEqual(f002.domains, ['example.com']);
+  assert.ok(f002.reasons.includes('retired: S001'));
+
+  assert.match(retireSource(caseDir, 'S001', 'again').error, /S001 is already retired/);
+  assert.match(retireSource(caseDir, 'S002', '  ').error, /A reason is required/);
+  assert.match(retireSource(caseDir, 'S009', 'gone').error, /Source S009 not found in sources\.json/);
+  assert.match(retireSource(caseDir, 'X1', 'gone').error, /Invalid source ID "X1"/);
+
+  const missingReason = spawnSync(process.execPath, [SOURCE_IMPACT_JS, caseDir, 'S002', '--retire'], { encoding: 'utf-8' });
+  assert.equal(missingReason.status, 1);
+  assert.match(missingReason.stderr, /A reason is required/);
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for claims/temporal-check.js
+ *
+ * Tests publication date extraction in osint-save.js and the anachronism
+ * check that check-summary-claims.js runs over findings and articles.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { saveEvidence, extractPublicationDate } = require('../scripts/osint-save');
+const { extractDateReferences, loadSourceDates, findAnachronisms } = require('../scripts/claims/temporal-check');
+const { tempCase } = require('./helpers');
+
+const AS_OF = new Date(2026, 9, 19);
+
+function page(head) {
+  return `<html><head>${head}</head><body><p>Body</p></body></html>`;
+}
+
+test('publication date comes from JSON-LD before meta tags', () => {
+  const html = page([
+    '<meta property="article:published_time" content="2023-04-05T10:00:00Z">',
+    '<script type="application/ld+json">{"@graph":[{"@type":"NewsArticle","datePublished":"2023-04-04T22:00:00-05:00","dateModified":"2023-05-01"}]}</script>'
+  ].join(''));
+  assert.deepEqual(extractPublicationDate(html), {
+    published_at: '2023-04-04',
+    modified_at: '2023-05-01',
+    published_at_source: 'json-ld'
+  });
+
+  assert.equal(extractPublicationDate(page('<meta name="citation_publication_date" content="2021/03/03">')).published_at_source, 'meta:citation_publication_date');
+  assert.equal(extractPublicationDate(page('<script type="application/ld+json">{broken</script>')).published_at, null);
+  assert.equal(extractPublicationDate(undefined).published_at, null);
+});
+
+test('non-ISO publication dates are read in UTC', (t) => {
+  const prevTz = process.env.TZ;
+  t.after(() => {
+    if (prevTz === undefined) delete process.env.TZ;
+    else process.env.TZ = prevTz;
+  });
+  for (const tz of ['Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+    process.env.TZ = tz;
+    assert.equal(extractPublicationDate(page('<meta name="date" content="October 15, 2024">')).published_at, '2024-10-15', tz);
+    assert.equal(extractPublicationDate(page('<meta name="date" content="Tue, 15 Oct 2024 23:30:00 GMT">')).published_at, '2024-10-15', tz);
+    assert.equal(extractPublicationDate(page('<meta name="citation_publication_date" content="2021/03/03">')).published_at, '2021-03-03', tz);
+  }
+});
+
+test('date references resolve to the start of the referenced period', () => {
+  const refs = extractDateReferences('Spending in fiscal year 2025 beat March 2024 and last year, not $2019.', AS_OF);
+  assert.deepEqual(refs.map(r => [r.text, r.start]), [
+    ['March 2024', '2024-03-01'],
+    ['fiscal year 2025', '2024-10-01'],
+    ['last year', '2025-01-01']
+  ]);
+});
+
+test('claims dated after every cited source are anachronisms', () => {
+  const text = [
+    'The agency hired 500 agents in March 2024 [S001].',
+    'By 2030 the agency expects to double its staff [S001].',
+    'Arrests rose again last year [S001][S003].',
+    'Arrests fell in 2022 [S001].',
+    'The agency currently employs 20,000 people [S002].',
+    '',
+    '## Sources',
+    '',
+    '- [S001] Annual report, 2025 edition'
+  ].join('\n');
+  const dates = {
+    S001: { published: '2023-06-01', modified: null },
+    S002: { published: '2022-01-01', modified: null },
+    S003: { published: null, modified: null }
+  };
+
+  const { issues, stats } = findAnachronisms(text, dates, { asOf: AS_OF });
+  assert.deepEqual(issues.map(i => [i.line, i.type, i.severity]), [
+    [1, 'anachronism', 'HIGH'],
+    [2, 'anachronism', 'MEDIUM'],
+    [5, 'stale_current', 'MEDIUM']
+  ]);
+  assert.deepEqual(stats.undatedSources, ['S003']);
+});
+
+test('check-summary-claims fails on an anachronistic article claim', async (t) => {
+  const caseDir = tempCase(t, 'temporal-check');
+
+  await saveEvidence('S001', caseDir, {
+    url: 'https://example.com/report',
+    markdown: 'The agency hired 500 agents.',
+    raw_html: page('<meta property="article:published_time" content="2023-06-01T09:00:00Z">')
+  }, { warnDuplicates: false });
+  assert.equal(JSON.parse(fs.readFileSync(path.join(caseDir, 'evidence', 'S001', 'metadata.json'), 'utf-8')).published_at, '2023-06-01');
+  assert.deepEqual(loadSourceDates(caseDir).S001, { published: '2023-06-01', modified: null, from: 'metadata' });
+
+  fs.writeFileSync(path.join(caseDir, 'sources.json'), JSON.stringify({ sources: [{ id: 'S001', url: 'https://example.com/report', captured: true }] }));
+  fs.writeFileSync(path.join(caseDir, 'leads.json'), JSON.stringify({ leads: [] }));
+  fs.mkdirSync(path.join(caseDir, 'findings'));
+  fs.writeFileSync(path.join(caseDir, 'findings', 'F001.md'), 'The agency hired 500 agents in 2023 [S001].\n');
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'), 'The agency hired 500 agents last year [S001].\n');
+
+  const script = path.join(__dirname, '..', 'scripts', 'check-summary-claims.js');
+  const run = spawnSync(process.execPath, [script, caseDir, '--as-of', '2026-10-19'], { encoding: 'utf-8' });
+  assert.equal(run.status, 1, run.stdout + run.stderr);
+  assert.match(run.stdout, /TEMPORAL ANACHRONISMS/);
+  assert.match(run.stdout, /articles\/full\.md:1 anachronism/);
+  assert.doesNotMatch(run.stdout, /findings:1 anachronism/);
+
+  const earlier = spawnSync(process.execPath, [script, caseDir, '--as-of', '2024-05-01'], { encoding: 'utf-8' });
+  assert.equal(earlier.status, 0, earlier.stdout + earlier.stderr);
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for claims/verification-cache.js
+ *
+ * Tests that verify-article.js reuses cached verdicts and that evidence hash
+ * changes invalidate them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { saveEvidence } = require('../scripts/osint-save');
+const { prepareVerification, processVerificationResponses, generateReport } = require('../scripts/claims/verify-article');
+const { openCache, storeVerdicts, invalidateSources } = require('../scripts/claims/verification-cache');
+const { tempCase } = require('./helpers');
+
+function answer(p) {
+  return {
+    index: p.index,
+    response: JSON.stringify({ supported: true, confidence: 0.9, supporting_quote: 'The agency budget rose 12 percent in 2024.', reason: 'Stated' })
+  };
+}
+
+test('cached verdicts are reused until the evidence hash changes', async (t) => {
+  const caseDir = tempCase(t, 'verify-cache');
+
+  await saveEvidence('S001', caseDir, {
+    url: 'https://example.com/budget',
+    markdown: 'The agency budget rose 12 percent in 2024.'
+  }, { warnDuplicates: false });
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  const articlePath = path.join(caseDir, 'articles', 'full.md');
+  fs.writeFileSync(articlePath, 'The agency budget rose 12 percent in 2024 according to filings [S001].\n');
+
+  const first = prepareVerification(caseDir);
+  assert.equal(first.prompts.length, 1);
+  const responses = first.prompts.map(answer);
+  const results = processVerificationResponses(first, responses);
+  storeVerdicts(caseDir, 'semantic', [{
+    claimText: results.results[0].claim.text,
+    sourceId: 'S001',
+    status: results.results[0].status,
+    response: responses[0].response
+  }]);
+
+  // Whitespace/case-only edit: same normalized claim, nothing re-sent
+  fs.writeFileSync(articlePath, 'The agency  budget rose 12 percent in 2024 according to Filings [S001].\n');
+  const second = prepareVerification(caseDir);
+  assert.equal(second.prompts.length, 0);
+  assert.equal(second.stats.cached, 1);
+  const reused = processVerificationResponses(second, []);
+  assert.equal(reused.results[0].status, 'SUPPORTED');
+  assert.equal(reused.summary.fromCache, 1);
+  assert.match(generateReport(reused), /Verdicts from cache: 1/);
+
+  assert.equal(prepareVerification(caseDir, { noCache: true }).prompts.length, 1);
+
+  // Evidence hash change is a cache miss
+  const metaPath = path.join(caseDir, 'evidence', 'S001', 'metadata.json');
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+  const originalMeta = JSON.stringify(meta, null, 2);
+  meta.verification.computed_hash = `sha256:${'0'.repeat(64)}`;
+  fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+  assert.equal(openCache(caseDir).lookup('semantic', results.results[0].claim.text, 'S001'), null);
+
+  // Explicit invalidation drops the entry
+  fs.writeFileSync(metaPath, originalMeta);
+  assert.equal(invalidateSources(caseDir, ['S001']), 1);
+  assert.equal(prepareVerification(caseDir).prompts.length, 1);
+});
+
+test('UNSOURCED verdicts from excerpts are not reused under --full-source', async (t) => {
+  const caseDir = tempCase(t, 'verify-cache-mode');
+
+  const filler = Array.from({ length: 120 }, (_, i) => `Paragraph ${i} covers unrelated municipal business in detail.`).join('\n\n');
+  await saveEvidence('S001', caseDir, {
+    url: 'https://example.com/budget',
+    markdown: `${filler}\n\nThe agency budget rose 12 percent in 2024.\n\n${filler}`
+  }, { warnDuplicates: false });
+  fs.mkdirSync(path.join(caseDir, 'articles'));
+  fs.writeFileSync(path.join(caseDir, 'articles', 'full.md'), 'The agency budget rose 12 percent in 2024 according to filings [S001].\n');
+
+  const unsourced = JSON.stringify({ supported: false, confidence: 0.8, supporting_quote: null, reason: 'Not in excerpt' });
+  const excerpted = prepareVerification(caseDir);
+  assert.equal(excerpted.verificationData[0].promptMode, 'excerpt');
+  const results = processVerificationResponses(excerpted, [{ index: 0, response: unsourced }]);
+  assert.equal(results.results[0].status, 'UNSOURCED');
+  storeVerdicts(caseDir, 'semantic', [{ claimText: results.results[0].claim.text, sourceId: 'S001', status: 'UNSOURCED', response: unsourced, mode: 'excerpt' }]);
+
+  assert.equal(prepareVerification(caseDir).prompts.length, 1);
+  assert.equal(prepareVerification(caseDir, { fullSource: true }).prompts.length, 1);
+
+  // A verdict is only reused in the mode it was reached in
+  const supported = answer({ index: 0 }).response;
+  storeVerdicts(caseDir, 'semantic', [{ claimText: results.results[0].claim.text, sourceId: 'S001', status: 'SUPPORTED', response: supported, mode: 'excerpt' }]);
+  assert.equal(prepareVerification(caseDir).prompts.length, 0);
+  assert.equal(prepareVerification(caseDir, { fullSource: true }).prompts.length, 1);
+});
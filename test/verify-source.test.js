@@ -8,13 +8,13 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const path = require('node:path');
-const os = require('node:os');
 const crypto = require('node:crypto');
 
 const { verifySource, verifyAllSources, verifyArticleSources } = require('../scripts/verify-source');
+const { tempCase } = require('./helpers');
 
-function createTempCase() {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-test-'));
+function createTempCase(t) {
+  const tempDir = tempCase(t, 'verify');
   fs.mkdirSync(path.join(tempDir, 'evidence'));
   fs.mkdirSync(path.join(tempDir, 'articles'));
   return tempDir;
@@ -127,8 +127,7 @@ function createReceiptSignedSource(caseDir, sourceId, key) {
 // Tests
 
 test('verifySource passes for valid source', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   createValidSource(caseDir, 'S001');
   const result = verifySource('S001', caseDir);
@@ -139,8 +138,7 @@ test('verifySource passes for valid source', async (t) => {
 });
 
 test('verifySource strict mode fails without receipt', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   const prev = process.env.EVIDENCE_RECEIPT_KEY;
   process.env.EVIDENCE_RECEIPT_KEY = 'test-key';
@@ -157,8 +155,7 @@ test('verifySource strict mode fails without receipt', async (t) => {
 });
 
 test('verifySource strict mode passes with valid receipt signature', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   const prev = process.env.EVIDENCE_RECEIPT_KEY;
   process.env.EVIDENCE_RECEIPT_KEY = 'test-key';
@@ -175,8 +172,7 @@ test('verifySource strict mode passes with valid receipt signature', async (t) =
 });
 
 test('verifySource fails for missing evidence directory', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   const result = verifySource('S999', caseDir);
 
@@ -185,8 +181,7 @@ test('verifySource fails for missing evidence directory', async (t) => {
 });
 
 test('verifySource fails for missing metadata.json', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   const evidenceDir = path.join(caseDir, 'evidence', 'S001');
   fs.mkdirSync(evidenceDir, { recursive: true });
@@ -199,8 +194,7 @@ test('verifySource fails for missing metadata.json', async (t) => {
 });
 
 test('verifySource fails for hash mismatch', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   createValidSource(caseDir, 'S001', 'Original content');
 
@@ -214,8 +208,7 @@ test('verifySource fails for hash mismatch', async (t) => {
 });
 
 test('verifySource warns for missing capture signature', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   const evidenceDir = path.join(caseDir, 'evidence', 'S001');
   fs.mkdirSync(evidenceDir, { recursive: true });
@@ -245,8 +238,7 @@ test('verifySource warns for missing capture signature', async (t) => {
 });
 
 test('verifySource warns on round timestamp', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   const evidenceDir = path.join(caseDir, 'evidence', 'S001');
   fs.mkdirSync(evidenceDir, { recursive: true });
@@ -278,8 +270,7 @@ test('verifySource warns on round timestamp', async (t) => {
 });
 
 test('verifySource detects compilation content', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   const evidenceDir = path.join(caseDir, 'evidence', 'S001');
   fs.mkdirSync(evidenceDir, { recursive: true });
@@ -312,8 +303,7 @@ test('verifySource detects compilation content', async (t) => {
 });
 
 test('verifyAllSources processes multiple sources', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   createValidSource(caseDir, 'S001');
   createValidSource(caseDir, 'S002');
@@ -327,8 +317,7 @@ test('verifyAllSources processes multiple sources', async (t) => {
 });
 
 test('verifyArticleSources checks cited sources', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   createValidSource(caseDir, 'S001');
   createValidSource(caseDir, 'S002');
@@ -344,8 +333,7 @@ test('verifyArticleSources checks cited sources', async (t) => {
 });
 
 test('verifyArticleSources detects missing cited source', async (t) => {
-  const caseDir = createTempCase();
-  t.after(() => fs.rmSync(caseDir, { recursive: true, force: true }));
+  const caseDir = createTempCase(t);
 
   createValidSource(caseDir, 'S001');
   // S002 not created